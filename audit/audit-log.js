@@ -0,0 +1,96 @@
+// Importação da classe Mongo do pacote meteor/mongo
+import { Mongo } from 'meteor/mongo';
+
+// Nomes das ações e das colunas da exportação no idioma de quem exporta
+import { translate } from '../i18n/i18n';
+
+// Criação da collection AuditLog
+// Registro permanente (somente inclusão) de cada alteração de presença:
+// quem fez, por qual method, em qual pessoa/evento, os valores antes e
+// depois, o IP do cliente e quando. Só o servidor grava nesta collection
+// (server/audit.js); não há regras allow, então o cliente não consegue
+// inserir, alterar nem apagar registros
+export const AuditLog = new Mongo.Collection('auditLog');
+
+/**
+ * CONSTANTE: AUDIT_ACTIONS
+ *
+ * Tipos de alteração registrados no log.
+ */
+export const AUDIT_ACTIONS = {
+  CHECK_IN: 'checkIn',
+  CHECK_OUT: 'checkOut',
+  UNDO: 'undo',
+  WAITLIST_ADD: 'waitlistAdd',
+  WAITLIST_ADMIT: 'waitlistAdmit',
+  WAITLIST_REMOVE: 'waitlistRemove',
+  WALK_IN: 'walkIn',
+  IMPORT: 'import',
+  COMMUNITY_UPDATE: 'communityUpdate',
+  PROFILE_UPDATE: 'profileUpdate',
+  MERGE: 'merge',
+};
+
+/**
+ * FUNÇÃO: getAuditActionLabelKey
+ *
+ * O nome de cada ação fica no catálogo de mensagens (auditLog.actions), e
+ * não aqui, para o visualizador e a exportação saírem no idioma escolhido.
+ *
+ * @param {string} action - Valor de AUDIT_ACTIONS
+ * @returns {string} Chave do nome da ação no catálogo
+ */
+export const getAuditActionLabelKey = (action) => `auditLog.actions.${action}`;
+
+/**
+ * CONSTANTE: AUDIT_PAGE_SIZE
+ *
+ * Quantos registros o visualizador carrega por vez.
+ */
+export const AUDIT_PAGE_SIZE = 50;
+
+/**
+ * CONSTANTE: AUDIT_MAX_EXPORT_ROWS
+ *
+ * Limite de registros em uma exportação, para manter o arquivo gerado em
+ * memória com tamanho razoável. Filtros de período reduzem o volume.
+ */
+export const AUDIT_MAX_EXPORT_ROWS = 50000;
+
+/**
+ * CONSTANTE: AUDIT_EXPORT_COLUMNS
+ *
+ * Colunas da exportação, na mesma ordem das células de getAuditExportRow.
+ * O título de cada uma está em auditLog.exportColumns no catálogo.
+ */
+const AUDIT_EXPORT_COLUMNS = ['date', 'user', 'action', 'method', 'person', 'before', 'after', 'clientIp'];
+
+/**
+ * FUNÇÃO: getAuditExportHeaders
+ *
+ * @param {string} locale - Idioma de quem exporta (valor de LOCALES)
+ * @returns {Array<string>} Cabeçalho da exportação
+ */
+export const getAuditExportHeaders = (locale) =>
+  AUDIT_EXPORT_COLUMNS.map((column) => translate(locale, `auditLog.exportColumns.${column}`));
+
+/**
+ * FUNÇÃO: getAuditExportRow
+ *
+ * Linha da exportação de um registro. Datas em ISO 8601 (UTC) e valores
+ * antes/depois em JSON, para revisão fiel em auditorias.
+ *
+ * @param {Object} entry - Documento da collection AuditLog (com personName)
+ * @param {string} locale - Idioma do nome da ação
+ * @returns {Array<string>} Células da linha
+ */
+export const getAuditExportRow = (entry, locale) => [
+  entry.createdAt.toISOString(),
+  entry.userEmail || entry.userId || '',
+  translate(locale, getAuditActionLabelKey(entry.action)),
+  entry.method,
+  entry.personName || entry.personId || '',
+  entry.before ? JSON.stringify(entry.before) : '',
+  entry.after ? JSON.stringify(entry.after) : '',
+  entry.clientIp || '',
+];
@@ -0,0 +1,261 @@
+// Dados do evento guardados no documento da comunidade
+// Além do nome, cada comunidade pode ter início/fim, local, fuso horário,
+// capacidade máxima e o intervalo mínimo entre check-in e check-out.
+// Este módulo é compartilhado: o formulário do organizador
+// e o method communities.updateDetails usam as mesmas regras de validação
+
+/**
+ * CONSTANTE: EVENT_STATUS
+ *
+ * Situação do evento em relação ao momento atual, usada para agrupar o
+ * seletor de eventos.
+ */
+export const EVENT_STATUS = {
+  ONGOING: 'ongoing',
+  UPCOMING: 'upcoming',
+  PAST: 'past',
+  UNSCHEDULED: 'unscheduled',
+};
+
+/**
+ * CONSTANTE: EVENT_STATUS_ORDER
+ *
+ * Ordem dos grupos no seletor. Os títulos de cada grupo ficam no catálogo
+ * de mensagens (eventStatus.*).
+ */
+export const EVENT_STATUS_ORDER = [
+  EVENT_STATUS.ONGOING,
+  EVENT_STATUS.UPCOMING,
+  EVENT_STATUS.PAST,
+  EVENT_STATUS.UNSCHEDULED,
+];
+
+/**
+ * CONSTANTE: MAX_VENUE_LENGTH
+ *
+ * Tamanho máximo do nome do local do evento.
+ */
+export const MAX_VENUE_LENGTH = 200;
+
+/**
+ * CONSTANTE: MAX_CHECK_OUT_COOLDOWN_SECONDS
+ *
+ * Maior intervalo mínimo entre check-in e check-out aceito (1 hora).
+ */
+export const MAX_CHECK_OUT_COOLDOWN_SECONDS = 3600;
+
+/**
+ * FUNÇÃO: isValidTimeZone
+ *
+ * @param {string} timeZone - Fuso horário IANA (ex.: 'America/Sao_Paulo')
+ * @returns {boolean} true se o Intl reconhece o fuso
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * FUNÇÃO: getEventStatus
+ *
+ * Um evento sem data de início fica em "sem data definida". Sem data de
+ * fim, o evento é considerado em andamento a partir do início.
+ *
+ * @param {Object} community - Documento da collection Communities
+ * @param {Date} [now=new Date()] - Momento de referência
+ * @returns {string} Valor de EVENT_STATUS
+ */
+export const getEventStatus = (community, now = new Date()) => {
+  if (!community.startDate) {
+    return EVENT_STATUS.UNSCHEDULED;
+  }
+  if (now < community.startDate) {
+    return EVENT_STATUS.UPCOMING;
+  }
+  if (community.endDate && now > community.endDate) {
+    return EVENT_STATUS.PAST;
+  }
+  return EVENT_STATUS.ONGOING;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getZonedParts
+ *
+ * Data/hora "de relógio" de um instante em um fuso horário.
+ *
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Fuso horário IANA
+ * @returns {Object} { year, month, day, hour, minute } como strings com zeros à esquerda
+ */
+const getZonedParts = (date, timeZone) =>
+  Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+/**
+ * FUNÇÃO: toDateTimeLocalValue
+ *
+ * Converte uma data para o valor de um <input type="datetime-local">
+ * ("YYYY-MM-DDTHH:mm") no fuso horário do evento.
+ *
+ * @param {Date|null} date - Data salva no evento
+ * @param {string} [timeZone] - Fuso do evento; sem ele, usa o do navegador
+ * @returns {string} Valor do campo ou string vazia
+ */
+export const toDateTimeLocalValue = (date, timeZone) => {
+  if (!date) {
+    return '';
+  }
+  const parts = getZonedParts(
+    date,
+    timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+/**
+ * FUNÇÃO: fromDateTimeLocalValue
+ *
+ * Operação inversa de toDateTimeLocalValue: interpreta "YYYY-MM-DDTHH:mm"
+ * como horário de relógio no fuso do evento, e não no do navegador de
+ * quem está editando.
+ *
+ * O deslocamento do fuso é descoberto formatando um palpite em UTC e
+ * medindo a diferença; a segunda passada corrige os dias de mudança de
+ * horário de verão.
+ *
+ * @param {string} value - Valor do campo datetime-local
+ * @param {string} [timeZone] - Fuso do evento; sem ele, usa o do navegador
+ * @returns {Date|null} Instante correspondente ou null se o valor for vazio/inválido
+ */
+export const fromDateTimeLocalValue = (value, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const getOffset = (instant) => {
+    const parts = getZonedParts(new Date(instant), zone);
+    return (
+      Date.UTC(
+        Number(parts.year),
+        Number(parts.month) - 1,
+        Number(parts.day),
+        Number(parts.hour),
+        Number(parts.minute)
+      ) - instant
+    );
+  };
+
+  const firstGuess = wallTime - getOffset(wallTime);
+  return new Date(wallTime - getOffset(firstGuess));
+};
+
+/**
+ * FUNÇÃO: validateEventDetails
+ *
+ * Valida os dados do evento enviados pelo formulário do organizador.
+ * Campos opcionais podem ser null para serem apagados.
+ *
+ * @param {Object} details - { name, startDate, endDate, venue, timeZone, capacity, checkOutCooldownSeconds }
+ * @returns {Object|null} Primeiro erro encontrado, como { key, params } do
+ *   catálogo de mensagens, ou null se estiver tudo certo
+ */
+export const validateEventDetails = ({
+  name,
+  startDate,
+  endDate,
+  venue,
+  timeZone,
+  capacity,
+  checkOutCooldownSeconds = null,
+}) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { key: 'errors.eventNameRequired' };
+  }
+  const isDateOrNull = (date) =>
+    date === null || (date instanceof Date && !Number.isNaN(date.getTime()));
+  if (!isDateOrNull(startDate) || !isDateOrNull(endDate)) {
+    return { key: 'errors.invalidEventDates' };
+  }
+  if (endDate && !startDate) {
+    return { key: 'errors.eventStartRequired' };
+  }
+  if (startDate && endDate && endDate <= startDate) {
+    return { key: 'errors.eventEndBeforeStart' };
+  }
+  if (venue !== null && (typeof venue !== 'string' || venue.length > MAX_VENUE_LENGTH)) {
+    return { key: 'errors.venueTooLong', params: { max: MAX_VENUE_LENGTH } };
+  }
+  if (timeZone !== null && !isValidTimeZone(timeZone)) {
+    return { key: 'errors.invalidTimeZone' };
+  }
+  if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+    return { key: 'errors.invalidCapacity' };
+  }
+  if (
+    checkOutCooldownSeconds !== null &&
+    (!Number.isInteger(checkOutCooldownSeconds) ||
+      checkOutCooldownSeconds < 0 ||
+      checkOutCooldownSeconds > MAX_CHECK_OUT_COOLDOWN_SECONDS)
+  ) {
+    return { key: 'errors.invalidCheckOutCooldown', params: { max: MAX_CHECK_OUT_COOLDOWN_SECONDS } };
+  }
+  return null;
+};
+
+/**
+ * CONSTANTE: OCCUPANCY_WARNING_RATIO
+ *
+ * A partir desta fração da capacidade a lotação aparece em amarelo.
+ */
+export const OCCUPANCY_WARNING_RATIO = 0.8;
+
+/**
+ * CONSTANTE: OCCUPANCY_CRITICAL_RATIO
+ *
+ * A partir desta fração da capacidade a lotação aparece em vermelho,
+ * avisando a recepção de que o evento está quase cheio.
+ */
+export const OCCUPANCY_CRITICAL_RATIO = 0.95;
+
+/**
+ * FUNÇÃO: getOccupancyLevel
+ *
+ * @param {number} presentCount - Pessoas presentes agora
+ * @param {number|undefined} capacity - Capacidade máxima do evento
+ * @returns {string|null} 'normal', 'warning', 'critical' ou 'full'; null se o evento não tem capacidade
+ */
+export const getOccupancyLevel = (presentCount, capacity) => {
+  if (!capacity) {
+    return null;
+  }
+  const ratio = presentCount / capacity;
+  if (ratio >= 1) {
+    return 'full';
+  }
+  if (ratio >= OCCUPANCY_CRITICAL_RATIO) {
+    return 'critical';
+  }
+  return ratio >= OCCUPANCY_WARNING_RATIO ? 'warning' : 'normal';
+};
@@ -0,0 +1,145 @@
+// Internacionalização: idiomas disponíveis, catálogos de mensagens e formatação
+// Este módulo é compartilhado: o cliente traduz a interface e o servidor
+// traduz os motivos dos erros (Meteor.Error) para o idioma de quem chamou
+
+// Catálogos de mensagens, um por idioma (com as mesmas chaves)
+import { ptBR } from './messages/pt-BR';
+import { enUS } from './messages/en-US';
+
+/**
+ * CONSTANTE: LOCALES
+ *
+ * Idiomas suportados (tags BCP 47, as mesmas usadas pelo Intl).
+ */
+export const LOCALES = {
+  PT_BR: 'pt-BR',
+  EN_US: 'en-US',
+};
+
+/**
+ * CONSTANTE: DEFAULT_LOCALE
+ *
+ * Idioma original da aplicação, usado quando o idioma pedido não existe
+ * e quando falta uma mensagem no catálogo de outro idioma.
+ */
+export const DEFAULT_LOCALE = LOCALES.PT_BR;
+
+/**
+ * CONSTANTE: LOCALE_LABELS
+ *
+ * Nome de cada idioma no seletor, escrito no próprio idioma.
+ */
+export const LOCALE_LABELS = {
+  [LOCALES.PT_BR]: 'Português (Brasil)',
+  [LOCALES.EN_US]: 'English (US)',
+};
+
+const CATALOGS = {
+  [LOCALES.PT_BR]: ptBR,
+  [LOCALES.EN_US]: enUS,
+};
+
+/**
+ * FUNÇÃO: resolveLocale
+ *
+ * Escolhe o idioma suportado mais próximo do pedido: a tag exata ou, se
+ * não existir, o primeiro idioma com a mesma língua ('en-GB' → 'en-US').
+ *
+ * @param {string|null|undefined} requested - Tag pedida (ex.: navigator.language)
+ * @returns {string} Valor de LOCALES
+ */
+export const resolveLocale = (requested) => {
+  if (typeof requested !== 'string' || !requested) {
+    return DEFAULT_LOCALE;
+  }
+  const supported = Object.values(LOCALES);
+  if (supported.includes(requested)) {
+    return requested;
+  }
+  const language = requested.split('-')[0].toLowerCase();
+  return supported.find((locale) => locale.split('-')[0] === language) || DEFAULT_LOCALE;
+};
+
+/**
+ * FUNÇÃO: formatNumber
+ *
+ * @param {string} locale - Valor de LOCALES
+ * @param {number} value - Número a formatar
+ * @param {Object} [options] - Opções do Intl.NumberFormat (ex.: { style: 'percent' })
+ * @returns {string} Número com os separadores do idioma (1.234 em pt-BR, 1,234 em en-US)
+ */
+export const formatNumber = (locale, value, options) =>
+  new Intl.NumberFormat(locale, options).format(value);
+
+// Procura "a.b.c" nos objetos aninhados do catálogo
+const findMessage = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+/**
+ * FUNÇÃO AUXILIAR: isMessageReference
+ *
+ * Referência a outra mensagem do catálogo, no formato { key, params? }
+ * devolvido pelas validações compartilhadas (ex.: o nome de um campo).
+ *
+ * @param {*} value - Valor de um parâmetro
+ * @returns {boolean} true se o valor é uma referência
+ */
+export const isMessageReference = (value) =>
+  Boolean(value) && typeof value === 'object' && typeof value.key === 'string';
+
+/**
+ * FUNÇÃO: translate
+ *
+ * Busca a mensagem no catálogo do idioma e substitui os parâmetros
+ * `{nome}`. Números nos parâmetros são formatados no idioma; referências
+ * { key, params } são traduzidas no mesmo idioma, e listas viram uma
+ * enumeração ("Nome e Empresa", "Name and Company").
+ *
+ * Mensagens com plural são objetos { zero?, one, other } e usam o
+ * parâmetro `count` para escolher a forma (regras do Intl.PluralRules).
+ *
+ * Sem a mensagem no idioma pedido, usa a do idioma padrão; sem nenhuma,
+ * devolve a própria chave, para a falta aparecer na tela durante o
+ * desenvolvimento.
+ *
+ * @param {string} locale - Valor de LOCALES
+ * @param {string} key - Chave da mensagem (ex.: 'peopleList.checkIn')
+ * @param {Object} [params] - Valores dos parâmetros da mensagem
+ * @returns {string} Mensagem traduzida
+ */
+export const translate = (locale, key, params = {}) => {
+  let message = findMessage(CATALOGS[locale], key);
+  if (message === undefined) {
+    message = findMessage(CATALOGS[DEFAULT_LOCALE], key);
+  }
+  if (message === undefined) {
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    // "zero" é opcional e vale para qualquer idioma (em pt-BR, 0 usaria a forma "one")
+    const form = params.count === 0 && message.zero ? 'zero' : new Intl.PluralRules(locale).select(params.count || 0);
+    message = message[form] || message.other;
+  }
+
+  const formatParam = (value) => {
+    if (typeof value === 'number') {
+      return formatNumber(locale, value);
+    }
+    if (isMessageReference(value)) {
+      return translate(locale, value.key, value.params);
+    }
+    if (Array.isArray(value)) {
+      return new Intl.ListFormat(locale, { type: 'conjunction' }).format(value.map(formatParam));
+    }
+    return String(value);
+  };
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      return placeholder;
+    }
+    return formatParam(value);
+  });
+};
@@ -0,0 +1,677 @@
+// Catálogo de mensagens em inglês (Estados Unidos)
+// Mesmas chaves de pt-BR.js; chaves ausentes aqui aparecem em português
+
+/**
+ * CONSTANTE: enUS
+ */
+export const enUS = {
+  language: {
+    label: 'Language',
+  },
+
+  roles: {
+    organizer: 'Organizer',
+    doorStaff: 'Door staff',
+    viewer: 'Read only',
+  },
+
+  fields: {
+    firstName: 'First name',
+    lastName: 'Last name',
+    companyName: 'Company',
+    title: 'Job title',
+    notes: 'Notes',
+  },
+
+  homePage: {
+    title: 'Quave Event Check-in',
+    subtitle: 'Event attendance management',
+    logout: 'Log out',
+    panels: {
+      walkIn: 'Register walk-in',
+      scan: 'Scan mode (QR)',
+      event: 'Edit event',
+      audit: 'Audit log',
+      team: 'Event team',
+      badges: 'Print badges',
+      import: 'Import attendees (CSV)',
+      duplicates: 'Duplicate records',
+      presence: 'Who was in the event',
+    },
+    noEventTitle: 'Select an event',
+    noEventDescription: 'Choose an event in the selector above to see its attendees and manage check-ins.',
+  },
+
+  eventStatus: {
+    ongoing: 'Happening now',
+    upcoming: 'Upcoming events',
+    past: 'Past events',
+    unscheduled: 'No date set',
+  },
+
+  eventSelector: {
+    label: 'Select Event',
+    loading: 'Loading events...',
+    loadingHint: 'Fetching available events from the server...',
+    placeholder: 'Select an event',
+    dateRange: '{start} to {end}',
+    capacity: {
+      one: 'Capacity: {count} person',
+      other: 'Capacity: {count} people',
+    },
+    count: {
+      zero: 'No events found',
+      one: '{count} event available',
+      other: '{count} events available',
+    },
+  },
+
+  eventSummary: {
+    title: 'Event Summary',
+    subtitle: 'Real-time attendee statistics',
+    present: 'People in the event right now',
+    byCompany: 'People by company',
+    noCompany: 'No company',
+    notCheckedIn: 'People not checked in',
+    notCheckedInHint: 'Have not checked in yet',
+    occupancy: 'Occupancy: {present} of {capacity} people',
+    occupancyFull: ' - event full',
+    waitlist: {
+      one: '{count} person on the waitlist',
+      other: '{count} people on the waitlist',
+    },
+    total: 'Total registered attendees:',
+    preRegisteredWalkIns: 'Pre-registered / walk-ins:',
+    walkInsPresent: {
+      one: '({count} walk-in in the event right now)',
+      other: '({count} walk-ins in the event right now)',
+    },
+    timeOnSite: 'Total time in the event (all visits):',
+    averageTimeOnSite: '(average of {duration} per person)',
+    checkInProgress: 'Check-in progress',
+  },
+
+  eventTimeline: {
+    title: 'Arrivals and departures',
+    empty: 'Nobody has checked in to this event yet.',
+    bucketLabel: 'Chart interval size',
+    bucket: '{minutes} min',
+    legendOccupancy: 'In the event',
+    legendCheckIns: 'Check-ins',
+    legendCheckOuts: 'Check-outs',
+    chartLabel: 'Chart of event occupancy over time',
+    scrubLabel: 'Time selected on the chart',
+    live: 'Now',
+    presentAt: {
+      one: '{time}: {count} person in the event',
+      other: '{time}: {count} people in the event',
+    },
+    bucketMovement: '({checkIns} arrivals and {checkOuts} departures between {start} and {end})',
+    backToLive: 'Back to now',
+    whoLoading: 'Loading who was in the event...',
+    whoEmpty: 'Nobody was in the event at this time.',
+    whoError: 'Could not load who was in the event: {reason}',
+    whoMore: {
+      one: 'and {count} more person',
+      other: 'and {count} more people',
+    },
+  },
+
+  teamManagement: {
+    title: 'Event team',
+    subtitle: 'Who has access to this event and what each person can do.',
+    close: 'Close',
+    email: 'Email',
+    role: 'Role',
+    roleOf: 'Role of {email}',
+    password: 'Initial password',
+    passwordHint: 'New accounts only (min. {min} characters)',
+    add: 'Add to team',
+    added: '{email} is now part of the team.',
+    roleChanged: 'Role of {email} changed.',
+    removed: '{email} no longer has access to the event.',
+    confirmRemove: 'Remove access to this event for {email}?',
+    remove: 'Remove',
+    you: '(you)',
+    loading: 'Loading team...',
+  },
+
+  presenceHistory: {
+    title: 'Who was in the event',
+    subtitle: 'See who was on site at a given time or during a period, with counts per company. Times use the event time zone.',
+    close: 'Close',
+    mode: {
+      moment: 'At a time',
+      period: 'During a period',
+    },
+    at: 'Time',
+    from: 'From',
+    to: 'To',
+    search: 'Search',
+    searching: 'Searching...',
+    fillTimes: 'Fill in the times to search.',
+    resultAt: {
+      zero: 'Nobody was in the event at {at}.',
+      one: '{count} person was in the event at {at}.',
+      other: '{count} people were in the event at {at}.',
+    },
+    resultPeriod: {
+      zero: 'Nobody was in the event between {from} and {to}.',
+      one: '{count} person was in the event between {from} and {to}.',
+      other: '{count} people were in the event between {from} and {to}.',
+    },
+    company: 'Company',
+    people: 'People',
+    name: 'Name',
+    jobTitle: 'Title',
+    visits: 'Check-in → check-out',
+    truncated: 'Showing {shown} of {count} people; the company counts include everyone.',
+  },
+
+  companyLeaderboard: {
+    empty: 'No one registered.',
+    filter: "Show only this company's people in the list",
+    clearFilter: 'Remove the company filter',
+    columns: {
+      companyName: 'Company',
+      registeredCount: 'Registered',
+      presentCount: 'Present',
+      checkedOutCount: 'Checked out',
+      noShowCount: 'No-shows',
+    },
+  },
+
+  peopleList: {
+    title: 'Event Attendees',
+    registeredCount: {
+      one: '{count} registered attendee',
+      other: '{count} registered attendees',
+    },
+    foundCount: {
+      one: '{count} attendee found',
+      other: '{count} attendees found',
+    },
+    showing: ' (showing {count})',
+    searchPlaceholder: 'Search by name, company or title',
+    searchLabel: 'Search attendees',
+    sortLabel: 'Sort attendees',
+    searchShortcut: 'Press / to search',
+    statusLabel: 'Filter by status',
+    status: {
+      all: 'All statuses',
+      noShow: 'Not checked in',
+      present: 'In the event',
+      checkedOut: 'Checked out',
+    },
+    companyLabel: 'Filter by company',
+    allCompanies: 'All companies',
+    titleLabel: 'Filter by title',
+    allTitles: 'All titles',
+    clearFilters: 'Clear filters',
+    sort: {
+      name: 'First name',
+      lastName: 'Last name',
+      company: 'Company',
+      recentCheckIn: 'Most recent check-in',
+    },
+    selectAll: 'Select all',
+    selectedCount: {
+      one: '{count} selected',
+      other: '{count} selected',
+    },
+    selectPerson: 'Select {name}',
+    bulkOffline: 'Bulk actions unavailable while offline',
+    bulk: {
+      checkInSelected: 'Check in selected',
+      checkOutSelected: 'Check out selected',
+      checkOutAllPresent: 'Check out everyone present',
+    },
+    bulkError: 'Bulk action failed: {reason}',
+    checkIn: 'Check in {name}',
+    checkOut: 'Check out {name}',
+    wait: 'Wait... ({seconds}s)',
+    checkInDone: '{name} checked in',
+    checkOutDone: '{name} checked out',
+    checkInError: 'Check-in failed: {reason}',
+    checkOutError: 'Check-out failed: {reason}',
+    undoError: 'Undo failed: {reason}',
+    leaveWaitlistError: 'Could not remove from the waitlist: {reason}',
+    visits: 'Visits ({count}) - total time: {duration}',
+    stillPresent: 'in the event',
+    emptyTitle: 'No attendees found',
+    emptyDescription: 'Select an event to see its attendees or check whether anyone is registered for this event.',
+    noResults: 'No attendees found for "{search}".',
+    noFilterResults: 'No attendees match the filters.',
+    company: 'Company:',
+    jobTitle: 'Title:',
+    walkIn: 'Walk-in',
+    waitlistedSince: 'On the waitlist since {date}',
+    leaveWaitlist: 'Remove from waitlist',
+    loading: 'Loading...',
+    loadMore: 'Load more',
+    unknownPerson: 'Person {id}',
+  },
+
+  undoToast: {
+    undo: 'Undo',
+    undoing: 'Undoing...',
+    close: 'Dismiss',
+  },
+
+  bulkResults: {
+    succeeded: {
+      one: '{count} succeeded',
+      other: '{count} succeeded',
+    },
+    failed: ', {count} failed',
+    empty: ' (nobody to process)',
+    close: 'Dismiss results',
+  },
+
+  waitlist: {
+    admitted: {
+      one: 'Admitted from the waitlist: {names}',
+      other: 'Admitted from the waitlist: {names}',
+    },
+  },
+
+  auditLog: {
+    title: 'Audit log',
+    subtitle: 'Every attendance change in the event. Entries cannot be edited.',
+    export: 'Export CSV',
+    exporting: 'Exporting...',
+    exportFailed: 'Could not export the audit log: {reason}',
+    close: 'Close',
+    actionFilter: 'Action type',
+    allActions: 'All actions',
+    userFilter: 'Email of who made the change',
+    personFilter: 'Person (name, company or job title)',
+    personFilterLabel: 'Affected person',
+    from: 'From',
+    to: 'To',
+    filter: 'Filter',
+    columns: {
+      date: 'Date',
+      user: 'User',
+      action: 'Action',
+      person: 'Person',
+      changes: 'Changes',
+      ip: 'IP',
+    },
+    items: {
+      zero: '{count} items',
+      one: '{count} item',
+      other: '{count} items',
+    },
+    empty: 'No entries found.',
+    loading: 'Loading...',
+    loadMore: 'Load more',
+    actions: {
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+      undo: 'Action undone',
+      waitlistAdd: 'Added to the waitlist',
+      waitlistAdmit: 'Admitted from the waitlist',
+      waitlistRemove: 'Left the waitlist',
+      walkIn: 'Walk-in registration',
+      import: 'CSV import',
+      communityUpdate: 'Event details changed',
+      profileUpdate: 'Person details changed',
+      merge: 'Duplicate records merged',
+    },
+    exportColumns: {
+      date: 'Date (UTC)',
+      user: 'User',
+      action: 'Action',
+      method: 'Method',
+      person: 'Person',
+      before: 'Before',
+      after: 'After',
+      clientIp: 'Client IP',
+    },
+  },
+
+  offlineSync: {
+    offlineTitle: 'No connection to the server',
+    offlineDescription: 'Check-ins and check-outs keep working and are saved on this device until the connection is back.',
+    pendingOffline: {
+      one: '{count} action waiting to be sent.',
+      other: '{count} actions waiting to be sent.',
+    },
+    syncing: {
+      one: 'Sending {count} action made offline...',
+      other: 'Sending {count} actions made offline...',
+    },
+    syncFailed: 'Could not send the actions made offline: {reason}',
+    pendingOnline: {
+      one: '{count} action made offline waiting to be sent.',
+      other: '{count} actions made offline waiting to be sent.',
+    },
+    conflictsTitle: {
+      one: '{count} action made offline was not applied',
+      other: '{count} actions made offline were not applied',
+    },
+    dismiss: 'Got it',
+    conflictAction: '{action} of {name}',
+    conflictReason: 'at {date}: {reason}',
+    currentState: 'Current status: {state}.',
+    actions: {
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+    },
+    state: {
+      notFound: 'person not found in the event',
+      present: 'in the event since {date}',
+      waitlisted: 'on the waitlist',
+      left: 'left at {date}',
+      notArrived: 'not arrived yet',
+    },
+  },
+
+  badgeSheet: {
+    title: 'Badges',
+    count: {
+      zero: 'No badges for {name}',
+      one: '{count} badge for {name}',
+      other: '{count} badges for {name}',
+    },
+    generating: 'Generating badges...',
+    print: 'Print',
+    close: 'Close',
+  },
+
+  personDetails: {
+    title: 'Attendee details',
+    close: 'Close',
+    loading: 'Loading...',
+    notFound: 'Person not found or no access.',
+    status: {
+      present: 'In the event',
+      waitlisted: 'On the waitlist',
+      left: 'Left the event',
+      notArrived: 'Not checked in yet',
+    },
+    profile: 'Profile',
+    edit: 'Edit',
+    source: 'Source',
+    sources: {
+      walkIn: 'Registered at the door (walk-in)',
+      import: 'CSV import',
+      seed: 'Initial registration',
+    },
+    createdAt: 'Registered at',
+    updatedAt: 'Last edited',
+    conflictTitle: 'Someone else on the team changed this person',
+    conflictValue: '{field}: now',
+    empty: '(empty)',
+    useCurrentValues: 'Use current values',
+    keepMyValues: 'Keep mine',
+    cancel: 'Cancel',
+    save: 'Save',
+    saving: 'Saving...',
+    timeOnSite: 'Time at the event',
+    waitlist: 'Waitlist',
+    waitlistedSince: 'since {date}',
+    history: 'Attendance history',
+    noVisits: 'No entries recorded.',
+  },
+
+  peopleImport: {
+    title: 'Import attendees (CSV)',
+    subtitle: 'People will be added to the event {name}.',
+    close: 'Close',
+    file: 'CSV file (the first row must be the header)',
+    noDataRows: 'The file has no data rows below the header.',
+    tooManyRows: 'The file has {count} rows; the maximum is {max}.',
+    skipColumn: 'Do not import',
+    column: 'Column {number}',
+    check: {
+      one: 'Check {count} row',
+      other: 'Check {count} rows',
+    },
+    previewCounts: 'Valid: {valid} · Duplicates: {duplicate} · With errors: {invalid}',
+    import: {
+      zero: 'Nobody to import',
+      one: 'Import {count} person',
+      other: 'Import {count} people',
+    },
+    done: 'Import finished. Imported: {inserted} · Duplicates: {duplicate} · With errors: {invalid}. The report was saved.',
+    row: 'Row',
+    statusColumn: 'Status',
+    status: {
+      valid: 'Valid',
+      inserted: 'Imported',
+      duplicate: 'Duplicate',
+      invalid: 'Error',
+    },
+    pastReports: 'Previous imports',
+    unnamedFile: 'unnamed file',
+    reportCounts: 'imported: {inserted} · duplicates: {duplicate} · with errors: {invalid}',
+  },
+
+  duplicateReview: {
+    title: 'Duplicate records',
+    subtitle: 'Pairs of records with similar names and companies. The list is refreshed automatically from time to time.',
+    scan: 'Search now',
+    scanning: 'Searching...',
+    close: 'Close',
+    pendingCount: {
+      zero: 'No pairs to review.',
+      one: '{count} pair to review.',
+      other: '{count} pairs to review.',
+    },
+    reasons: {
+      sameName: 'Same name',
+      swappedName: 'First and last name swapped',
+      similarName: 'Similar names',
+      sameCompany: 'Same company',
+      similarCompany: 'Similar companies',
+      missingCompany: 'Company missing in one of the records',
+    },
+    dismiss: 'Different people',
+    merge: 'Merge',
+    noCompanyOrTitle: 'No company or job title',
+    waitlisted: 'On the waitlist',
+    noVisits: 'No entries',
+    visitsPresent: {
+      one: '{count} entry, in the event (last: {date})',
+      other: '{count} entries, in the event (last: {date})',
+    },
+    visitsLeft: {
+      one: '{count} entry, left (last: {date})',
+      other: '{count} entries, left (last: {date})',
+    },
+    keptRecord: 'Record to keep',
+    keptRecordHint: 'The other one is removed. The kept record keeps its printed badge and gets the entries of both.',
+    empty: '(empty)',
+    combineNotes: 'Combine both',
+    cancel: 'Cancel',
+    confirmMerge: 'Confirm merge',
+    merging: 'Merging...',
+    loading: 'Loading...',
+    noCandidates: 'No likely duplicates found.',
+    hasMore: 'Showing the most likely pairs. Resolve these to see the others.',
+  },
+
+  walkInForm: {
+    title: 'Register walk-in',
+    subtitle: 'Registration for people who arrived without signing up.',
+    close: 'Close',
+    checkInNow: 'Check in now',
+    save: 'Register',
+    saving: 'Registering...',
+    lastRegistered: '{name}: {message}',
+  },
+
+  eventDetailsForm: {
+    title: 'Event details',
+    subtitle: 'Dates and times in the event time zone.',
+    close: 'Close',
+    name: 'Name',
+    startDate: 'Start',
+    endDate: 'End',
+    timeZone: 'Time zone',
+    capacity: 'Maximum capacity',
+    noLimit: 'No limit',
+    checkOutCooldown: 'Minimum interval before check-out (seconds)',
+    defaultCooldown: 'Default: {seconds}',
+    venue: 'Venue',
+    save: 'Save',
+    saving: 'Saving...',
+  },
+
+  scanCheckIn: {
+    title: 'Scan mode',
+    subtitle: 'Scan the badge QR code: people outside are checked in, people inside are checked out.',
+    close: 'Close',
+    waiting: 'Waiting for a badge scan...',
+    codeLabel: 'Badge code',
+    submit: 'Send',
+    cameraOn: 'Use camera',
+    cameraOff: 'Turn camera off',
+    cameraUnsupported: 'This browser cannot read QR codes with the camera. Use a code scanner connected to the device.',
+    cameraError: 'Could not access the camera. Check the browser permission.',
+    actions: {
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+    },
+  },
+
+  loginForm: {
+    title: 'Sign in',
+    email: 'Email',
+    password: 'Password',
+    submit: 'Sign in',
+    submitting: 'Signing in...',
+    invalidCredentials: 'Invalid email or password.',
+  },
+
+  attendanceExport: {
+    title: 'Attendance report',
+    allPeople: 'All attendees',
+    exportCsv: 'Export CSV',
+    exportXlsx: 'Export Excel',
+    exporting: 'Exporting...',
+    failed: 'Error exporting report: {reason}',
+    sheetName: 'Attendance',
+    status: {
+      present: 'At the event',
+      checkedOut: 'Left',
+      noShow: 'No-show',
+    },
+    columns: {
+      fullName: 'Full name',
+      company: 'Company',
+      title: 'Title',
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+      visits: 'Visits',
+      timeOnSite: 'Time at event',
+      status: 'Status',
+    },
+  },
+
+  results: {
+    checkedIn: 'Checked in successfully!',
+    checkedOut: 'Checked out successfully!',
+    checkInUndone: 'Check-in undone.',
+    checkOutUndone: 'Check-out undone.',
+    walkInRegistered: 'Walk-in registered.',
+    walkInCheckedIn: 'Walk-in registered and checked in.',
+    walkInNotCheckedIn: 'Walk-in registered. {reason}',
+    leftWaitlist: 'Removed from the waitlist.',
+    nothingChanged: 'Nothing was changed.',
+    personUpdated: 'Details updated.',
+    duplicateDismissed: 'Pair marked as different people.',
+    duplicateMerged: 'Records merged into {name}.',
+  },
+
+  errors: {
+    notLoggedIn: 'You need to log in to do this.',
+    notAuthorized: 'You are not allowed to do this in this event.',
+    invalidLocale: 'Unsupported language.',
+    invalidCommunityId: 'The event ID must be a valid string.',
+    invalidPersonId: 'The person ID must be a valid string.',
+    emptyPersonId: 'The person ID cannot be empty.',
+    invalidCandidateId: 'The pair ID must be a valid string.',
+    communityNotFound: 'Event not found.',
+    personNotFound: 'Person not found.',
+    personNotInCommunity: 'Person not found in this event.',
+    invalidEmail: 'Enter a valid email address.',
+    unknownRole: 'Unknown role.',
+    userNotFound: 'User not found.',
+    initialPasswordTooShort: 'The initial password must have at least {min} characters.',
+    cannotChangeOwnRole: 'You cannot change your own organizer role.',
+    unknownExportFormat: 'Unknown export format.',
+    invalidTimeZone: 'Invalid time zone.',
+    unknownAuditAction: 'Unknown action type.',
+    invalidPeriod: 'Invalid period.',
+    auditExportTooLarge: 'There are {count} entries; an export can have at most {max}. Use a shorter period.',
+    invalidTimestamp: 'Invalid action time.',
+    invalidOptions: 'Invalid action options.',
+    invalidMoment: 'Invalid time.',
+    offlineActionTooOld: {
+      one: 'This action was made offline more than {count} hour ago and can no longer be synced.',
+      other: 'This action was made offline more than {count} hours ago and can no longer be synced.',
+    },
+    clockSkew:
+      "This device's clock is {skew} seconds off from the server " +
+      '(tolerance of {tolerance} seconds). Fix the date and time on this device.',
+    capacityReached: 'Event full ({capacity} people). {name} is number {position} on the waitlist.',
+    eventFull: 'Event full ({capacity} people).',
+    alreadyCheckedIn: 'This person is already in the event.',
+    checkInBeforeCheckOut: "The check-in time is before this person's last check-out.",
+    checkOutWithoutCheckIn: 'Cannot check out without checking in first.',
+    alreadyCheckedOut: 'This person has already checked out.',
+    checkOutBeforeCheckIn: "The check-out time is before this person's check-in.",
+    checkOutTooSoon: 'Check-out is only allowed {seconds} seconds after check-in.',
+    updateFailed: "Failed to update the person's data.",
+    checkInFailed: 'Check-in failed: {message}',
+    checkOutFailed: 'Check-out failed: {message}',
+    undoFailed: 'Undo failed: {message}',
+    noPeopleSelected: 'Select at least one person.',
+    invalidPersonIds: 'All person IDs must be valid strings.',
+    batchTooLarge: 'Select at most {max} people at a time.',
+    offlineConflict: "This person's attendance was changed on another device after this action.",
+    noOfflineActions: 'No actions to sync.',
+    tooManyOfflineActions: 'Send at most {max} actions at a time.',
+    nothingToUndo: 'There is no recent action to undo.',
+    undoNotOwner: 'Only the person who did the action can undo it.',
+    undoExpired: 'An action can only be undone up to {seconds} seconds after it was done.',
+    undoCapacityReached: 'The event is full; the check-out cannot be undone.',
+    undoConcurrentChange: 'The person was changed by another action. Refresh and try again.',
+    duplicatePerson: '{name} is already registered for this event. Look them up in the list.',
+    notWaitlisted: 'This person is not on the waitlist.',
+    noChanges: 'No changes given.',
+    originalValuesRequired: 'The original values of the changed fields are required.',
+    editConflictFields:
+      'Someone else on the team changed {fields} while you were editing. Check the current values.',
+    editConflict: 'Someone else on the team just changed this person. Check the current values.',
+    unrecognizedBadge: 'Code not recognized as a badge.',
+    badgeNotFound: 'Badge not found.',
+    badgeFromOtherCommunity: 'This badge belongs to another event.',
+    candidateNotFound: 'Record pair not found.',
+    candidateResolved: 'Someone else on the team has already reviewed this pair.',
+    chooseRecordToKeep: 'Choose one of the two records in the pair to keep.',
+    mergedPersonMissing: 'One of the records in the pair no longer exists.',
+    mergeConcurrentChange: 'The attendance of one of the records changed during the merge. Try again.',
+    mergeValueNotFromPair: '{fields} must be the value of one of the two records.',
+    chooseImportCommunity: 'Choose the target event.',
+    emptyImport: 'The file has no rows to import.',
+    importTooLarge: 'Import at most {max} rows at a time.',
+    fieldRequired: '{field} is required.',
+    fieldTooLong: '{field} must be at most {max} characters long.',
+    importDuplicateInEvent: 'Someone with the same name and company is already registered for this event.',
+    importDuplicateRow: 'Repeats row {row} of the file.',
+    importInsertFailed: 'Could not insert the row: {message}',
+    eventNameRequired: 'The event name is required.',
+    invalidEventDates: 'Invalid start or end date.',
+    eventStartRequired: 'Enter the start date before the end date.',
+    eventEndBeforeStart: 'The end date must be after the start date.',
+    venueTooLong: 'The venue must be at most {max} characters long.',
+    invalidCapacity: 'The capacity must be a whole number greater than zero.',
+    invalidCheckOutCooldown: 'The check-out interval must be a whole number from 0 to {max} seconds.',
+    offlineActionWithoutId: 'Action without an identifier.',
+    unknownOfflineAction: 'Unknown action type.',
+  },
+};
@@ -0,0 +1,693 @@
+// Catálogo de mensagens em português (Brasil), o idioma original da aplicação
+// As chaves são agrupadas pelo componente ou módulo que usa a mensagem.
+// Mensagens com plural são objetos { zero?, one, other } (ver translate em i18n.js)
+
+/**
+ * CONSTANTE: ptBR
+ *
+ * Também é o catálogo de reserva: uma chave que falte no catálogo de
+ * outro idioma aparece com o texto daqui.
+ */
+export const ptBR = {
+  language: {
+    label: 'Idioma',
+  },
+
+  roles: {
+    organizer: 'Organizador',
+    doorStaff: 'Recepção',
+    viewer: 'Somente leitura',
+  },
+
+  // Campos do cadastro da pessoa (importação, walk-in e edição)
+  fields: {
+    firstName: 'Nome',
+    lastName: 'Sobrenome',
+    companyName: 'Empresa',
+    title: 'Cargo',
+    notes: 'Observações',
+  },
+
+  homePage: {
+    title: 'Quave Event Check-in',
+    subtitle: 'Sistema de gerenciamento de presença em eventos',
+    logout: 'Sair',
+    panels: {
+      walkIn: 'Registrar walk-in',
+      scan: 'Modo leitura (QR)',
+      event: 'Editar evento',
+      audit: 'Log de auditoria',
+      team: 'Equipe do evento',
+      badges: 'Imprimir crachás',
+      import: 'Importar participantes (CSV)',
+      duplicates: 'Cadastros duplicados',
+      presence: 'Quem estava no evento',
+    },
+    noEventTitle: 'Selecione um evento',
+    noEventDescription:
+      'Escolha um evento no seletor acima para visualizar os participantes e gerenciar check-ins.',
+  },
+
+  eventStatus: {
+    ongoing: 'Acontecendo agora',
+    upcoming: 'Próximos eventos',
+    past: 'Eventos encerrados',
+    unscheduled: 'Sem data definida',
+  },
+
+  eventSelector: {
+    label: 'Selecionar Evento',
+    loading: 'Carregando eventos...',
+    loadingHint: 'Buscando eventos disponíveis no servidor...',
+    placeholder: 'Selecione um evento',
+    dateRange: '{start} até {end}',
+    capacity: {
+      one: 'Capacidade: {count} pessoa',
+      other: 'Capacidade: {count} pessoas',
+    },
+    count: {
+      zero: 'Nenhum evento encontrado',
+      one: '{count} evento disponível',
+      other: '{count} eventos disponíveis',
+    },
+  },
+
+  eventSummary: {
+    title: 'Resumo do Evento',
+    subtitle: 'Estatísticas em tempo real dos participantes',
+    present: 'Pessoas no evento agora',
+    byCompany: 'Pessoas por empresa',
+    noCompany: 'Sem empresa',
+    notCheckedIn: 'Pessoas não registradas',
+    notCheckedInHint: 'Ainda não fizeram check-in',
+    occupancy: 'Lotação: {present} de {capacity} pessoas',
+    occupancyFull: ' - evento lotado',
+    waitlist: {
+      one: '{count} pessoa na lista de espera',
+      other: '{count} pessoas na lista de espera',
+    },
+    total: 'Total de participantes registrados:',
+    preRegisteredWalkIns: 'Pré-inscritos / walk-ins:',
+    walkInsPresent: {
+      one: '({count} walk-in no evento agora)',
+      other: '({count} walk-ins no evento agora)',
+    },
+    timeOnSite: 'Tempo total no evento (todas as visitas):',
+    averageTimeOnSite: '(média de {duration} por pessoa)',
+    checkInProgress: 'Progresso de check-ins',
+  },
+
+  eventTimeline: {
+    title: 'Chegadas e saídas',
+    empty: 'Ainda não houve check-ins neste evento.',
+    bucketLabel: 'Tamanho da faixa do gráfico',
+    bucket: '{minutes} min',
+    legendOccupancy: 'No evento',
+    legendCheckIns: 'Check-ins',
+    legendCheckOuts: 'Check-outs',
+    chartLabel: 'Gráfico da lotação do evento ao longo do tempo',
+    scrubLabel: 'Horário escolhido no gráfico',
+    live: 'Agora',
+    presentAt: {
+      one: '{time}: {count} pessoa no evento',
+      other: '{time}: {count} pessoas no evento',
+    },
+    bucketMovement: '({checkIns} entradas e {checkOuts} saídas entre {start} e {end})',
+    backToLive: 'Voltar para agora',
+    whoLoading: 'Carregando quem estava no evento...',
+    whoEmpty: 'Ninguém estava no evento neste horário.',
+    whoError: 'Não foi possível carregar quem estava no evento: {reason}',
+    whoMore: {
+      one: 'e mais {count} pessoa',
+      other: 'e mais {count} pessoas',
+    },
+  },
+
+  teamManagement: {
+    title: 'Equipe do evento',
+    subtitle: 'Quem tem acesso a este evento e o que cada pessoa pode fazer.',
+    close: 'Fechar',
+    email: 'E-mail',
+    role: 'Papel',
+    roleOf: 'Papel de {email}',
+    password: 'Senha inicial',
+    passwordHint: 'Só para contas novas (mín. {min} caracteres)',
+    add: 'Adicionar à equipe',
+    added: '{email} agora faz parte da equipe.',
+    roleChanged: 'Papel de {email} alterado.',
+    removed: '{email} não tem mais acesso ao evento.',
+    confirmRemove: 'Remover o acesso de {email} a este evento?',
+    remove: 'Remover',
+    you: '(você)',
+    loading: 'Carregando equipe...',
+  },
+
+  presenceHistory: {
+    title: 'Quem estava no evento',
+    subtitle: 'Consulte quem esteve no local num horário ou período, com a contagem por empresa. Os horários seguem o fuso do evento.',
+    close: 'Fechar',
+    mode: {
+      moment: 'Em um horário',
+      period: 'Durante um período',
+    },
+    at: 'Horário',
+    from: 'De',
+    to: 'Até',
+    search: 'Consultar',
+    searching: 'Consultando...',
+    fillTimes: 'Preencha os horários da consulta.',
+    resultAt: {
+      zero: 'Ninguém estava no evento em {at}.',
+      one: '{count} pessoa estava no evento em {at}.',
+      other: '{count} pessoas estavam no evento em {at}.',
+    },
+    resultPeriod: {
+      zero: 'Ninguém esteve no evento entre {from} e {to}.',
+      one: '{count} pessoa esteve no evento entre {from} e {to}.',
+      other: '{count} pessoas estiveram no evento entre {from} e {to}.',
+    },
+    company: 'Empresa',
+    people: 'Pessoas',
+    name: 'Nome',
+    jobTitle: 'Cargo',
+    visits: 'Entrada → saída',
+    truncated: 'Exibindo {shown} de {count} pessoas; a contagem por empresa considera todas.',
+  },
+
+  companyLeaderboard: {
+    empty: 'Nenhuma pessoa inscrita.',
+    filter: 'Mostrar só as pessoas desta empresa na lista',
+    clearFilter: 'Remover o filtro por empresa',
+    columns: {
+      companyName: 'Empresa',
+      registeredCount: 'Inscritos',
+      presentCount: 'Presentes',
+      checkedOutCount: 'Saíram',
+      noShowCount: 'Não vieram',
+    },
+  },
+
+  peopleList: {
+    title: 'Participantes do Evento',
+    registeredCount: {
+      one: '{count} participante registrado',
+      other: '{count} participantes registrados',
+    },
+    foundCount: {
+      one: '{count} participante encontrado',
+      other: '{count} participantes encontrados',
+    },
+    showing: ' (exibindo {count})',
+    searchPlaceholder: 'Buscar por nome, empresa ou cargo',
+    searchLabel: 'Buscar participantes',
+    sortLabel: 'Ordenar participantes',
+    searchShortcut: 'Pressione / para buscar',
+    statusLabel: 'Filtrar por situação',
+    status: {
+      all: 'Todas as situações',
+      noShow: 'Não fizeram check-in',
+      present: 'No evento',
+      checkedOut: 'Já saíram',
+    },
+    companyLabel: 'Filtrar por empresa',
+    allCompanies: 'Todas as empresas',
+    titleLabel: 'Filtrar por cargo',
+    allTitles: 'Todos os cargos',
+    clearFilters: 'Limpar filtros',
+    sort: {
+      name: 'Nome',
+      lastName: 'Sobrenome',
+      company: 'Empresa',
+      recentCheckIn: 'Check-in mais recente',
+    },
+    selectAll: 'Selecionar todos',
+    selectedCount: {
+      one: '{count} selecionado',
+      other: '{count} selecionados',
+    },
+    selectPerson: 'Selecionar {name}',
+    bulkOffline: 'Ações em lote indisponíveis sem conexão',
+    bulk: {
+      checkInSelected: 'Check-in dos selecionados',
+      checkOutSelected: 'Check-out dos selecionados',
+      checkOutAllPresent: 'Check-out de todos os presentes',
+    },
+    bulkError: 'Erro ao executar a ação em lote: {reason}',
+    checkIn: 'Check-in {name}',
+    checkOut: 'Check-out {name}',
+    wait: 'Aguarde... ({seconds}s)',
+    checkInDone: 'Check-in de {name} realizado',
+    checkOutDone: 'Check-out de {name} realizado',
+    checkInError: 'Erro ao realizar check-in: {reason}',
+    checkOutError: 'Erro ao realizar check-out: {reason}',
+    undoError: 'Erro ao desfazer: {reason}',
+    leaveWaitlistError: 'Erro ao remover da lista de espera: {reason}',
+    visits: 'Visitas ({count}) - tempo total: {duration}',
+    stillPresent: 'no evento',
+    emptyTitle: 'Nenhum participante encontrado',
+    emptyDescription:
+      'Selecione um evento para ver os participantes ou verifique se há pessoas registradas neste evento.',
+    noResults: 'Nenhum participante encontrado para "{search}".',
+    noFilterResults: 'Nenhum participante atende aos filtros.',
+    company: 'Empresa:',
+    jobTitle: 'Cargo:',
+    walkIn: 'Walk-in',
+    waitlistedSince: 'Na lista de espera desde {date}',
+    leaveWaitlist: 'Remover da lista',
+    loading: 'Carregando...',
+    loadMore: 'Carregar mais',
+    unknownPerson: 'Pessoa {id}',
+  },
+
+  undoToast: {
+    undo: 'Desfazer',
+    undoing: 'Desfazendo...',
+    close: 'Fechar aviso',
+  },
+
+  bulkResults: {
+    succeeded: {
+      one: '{count} realizado com sucesso',
+      other: '{count} realizados com sucesso',
+    },
+    failed: ', {count} com erro',
+    empty: ' (nenhuma pessoa para processar)',
+    close: 'Fechar resultado',
+  },
+
+  waitlist: {
+    admitted: {
+      one: 'Admitido da lista de espera: {names}',
+      other: 'Admitidos da lista de espera: {names}',
+    },
+  },
+
+  auditLog: {
+    title: 'Log de auditoria',
+    subtitle: 'Todas as alterações de presença do evento. Os registros não podem ser editados.',
+    export: 'Exportar CSV',
+    exporting: 'Exportando...',
+    exportFailed: 'Erro ao exportar o log de auditoria: {reason}',
+    close: 'Fechar',
+    actionFilter: 'Tipo de ação',
+    allActions: 'Todas as ações',
+    userFilter: 'E-mail de quem alterou',
+    personFilter: 'Pessoa (nome, empresa ou cargo)',
+    personFilterLabel: 'Pessoa afetada',
+    from: 'De',
+    to: 'Até',
+    filter: 'Filtrar',
+    columns: {
+      date: 'Data',
+      user: 'Usuário',
+      action: 'Ação',
+      person: 'Pessoa',
+      changes: 'Alterações',
+      ip: 'IP',
+    },
+    items: {
+      zero: '{count} itens',
+      one: '{count} item',
+      other: '{count} itens',
+    },
+    empty: 'Nenhum registro encontrado.',
+    loading: 'Carregando...',
+    loadMore: 'Carregar mais',
+    actions: {
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+      undo: 'Ação desfeita',
+      waitlistAdd: 'Entrada na lista de espera',
+      waitlistAdmit: 'Admissão da lista de espera',
+      waitlistRemove: 'Saída da lista de espera',
+      walkIn: 'Cadastro de walk-in',
+      import: 'Importação de CSV',
+      communityUpdate: 'Dados do evento alterados',
+      profileUpdate: 'Dados da pessoa alterados',
+      merge: 'Cadastros duplicados mesclados',
+    },
+    exportColumns: {
+      date: 'Data (UTC)',
+      user: 'Usuário',
+      action: 'Ação',
+      method: 'Method',
+      person: 'Pessoa',
+      before: 'Antes',
+      after: 'Depois',
+      clientIp: 'IP do cliente',
+    },
+  },
+
+  offlineSync: {
+    offlineTitle: 'Sem conexão com o servidor',
+    offlineDescription:
+      'Check-ins e check-outs continuam funcionando e ficam salvos neste aparelho até a conexão voltar.',
+    pendingOffline: {
+      one: '{count} ação aguardando envio.',
+      other: '{count} ações aguardando envio.',
+    },
+    syncing: {
+      one: 'Enviando {count} ação feita sem conexão...',
+      other: 'Enviando {count} ações feitas sem conexão...',
+    },
+    syncFailed: 'Não foi possível enviar as ações feitas sem conexão: {reason}',
+    pendingOnline: {
+      one: '{count} ação feita sem conexão aguardando envio.',
+      other: '{count} ações feitas sem conexão aguardando envio.',
+    },
+    conflictsTitle: {
+      one: '{count} ação feita sem conexão não foi aplicada',
+      other: '{count} ações feitas sem conexão não foram aplicadas',
+    },
+    dismiss: 'Conferido',
+    conflictAction: '{action} de {name}',
+    conflictReason: 'em {date}: {reason}',
+    currentState: 'Situação atual: {state}.',
+    actions: {
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+    },
+    state: {
+      notFound: 'pessoa não encontrada no evento',
+      present: 'no evento desde {date}',
+      waitlisted: 'na lista de espera',
+      left: 'saiu em {date}',
+      notArrived: 'ainda não entrou',
+    },
+  },
+
+  badgeSheet: {
+    title: 'Crachás',
+    count: {
+      zero: 'Nenhum crachá do evento {name}',
+      one: '{count} crachá do evento {name}',
+      other: '{count} crachás do evento {name}',
+    },
+    generating: 'Gerando crachás...',
+    print: 'Imprimir',
+    close: 'Fechar',
+  },
+
+  personDetails: {
+    title: 'Detalhes do participante',
+    close: 'Fechar',
+    loading: 'Carregando...',
+    notFound: 'Pessoa não encontrada ou sem acesso.',
+    status: {
+      present: 'No evento',
+      waitlisted: 'Na lista de espera',
+      left: 'Saiu do evento',
+      notArrived: 'Ainda não fez check-in',
+    },
+    profile: 'Cadastro',
+    edit: 'Editar',
+    source: 'Origem',
+    sources: {
+      walkIn: 'Registrada na porta (walk-in)',
+      import: 'Importação de CSV',
+      seed: 'Cadastro inicial',
+    },
+    createdAt: 'Cadastrada em',
+    updatedAt: 'Última edição',
+    conflictTitle: 'Esta pessoa foi alterada por outra pessoa da equipe',
+    conflictValue: '{field}: agora é',
+    empty: '(vazio)',
+    useCurrentValues: 'Usar valores atuais',
+    keepMyValues: 'Manter os meus',
+    cancel: 'Cancelar',
+    save: 'Salvar',
+    saving: 'Salvando...',
+    timeOnSite: 'Tempo no evento',
+    waitlist: 'Lista de espera',
+    waitlistedSince: 'desde {date}',
+    history: 'Histórico de presença',
+    noVisits: 'Nenhuma entrada registrada.',
+  },
+
+  peopleImport: {
+    title: 'Importar participantes (CSV)',
+    subtitle: 'As pessoas serão adicionadas ao evento {name}.',
+    close: 'Fechar',
+    file: 'Arquivo CSV (a primeira linha deve ser o cabeçalho)',
+    noDataRows: 'O arquivo não tem linhas de dados abaixo do cabeçalho.',
+    tooManyRows: 'O arquivo tem {count} linhas; o máximo é {max}.',
+    skipColumn: 'Não importar',
+    column: 'Coluna {number}',
+    check: {
+      one: 'Verificar {count} linha',
+      other: 'Verificar {count} linhas',
+    },
+    previewCounts: 'Válidas: {valid} · Duplicadas: {duplicate} · Com erro: {invalid}',
+    import: {
+      zero: 'Nenhuma pessoa para importar',
+      one: 'Importar {count} pessoa',
+      other: 'Importar {count} pessoas',
+    },
+    done: 'Importação concluída. Importadas: {inserted} · Duplicadas: {duplicate} · Com erro: {invalid}. O relatório foi salvo.',
+    row: 'Linha',
+    statusColumn: 'Status',
+    status: {
+      valid: 'Válida',
+      inserted: 'Importada',
+      duplicate: 'Duplicada',
+      invalid: 'Com erro',
+    },
+    pastReports: 'Importações anteriores',
+    unnamedFile: 'arquivo sem nome',
+    reportCounts: 'importadas: {inserted} · duplicadas: {duplicate} · com erro: {invalid}',
+  },
+
+  duplicateReview: {
+    title: 'Cadastros duplicados',
+    subtitle:
+      'Pares de cadastros com nome e empresa parecidos. A lista é atualizada automaticamente de tempos em tempos.',
+    scan: 'Procurar agora',
+    scanning: 'Procurando...',
+    close: 'Fechar',
+    pendingCount: {
+      zero: 'Nenhum par para revisar.',
+      one: '{count} par para revisar.',
+      other: '{count} pares para revisar.',
+    },
+    reasons: {
+      sameName: 'Mesmo nome',
+      swappedName: 'Nome e sobrenome trocados',
+      similarName: 'Nomes parecidos',
+      sameCompany: 'Mesma empresa',
+      similarCompany: 'Empresas parecidas',
+      missingCompany: 'Empresa não informada em um dos cadastros',
+    },
+    dismiss: 'Pessoas diferentes',
+    merge: 'Mesclar',
+    noCompanyOrTitle: 'Sem empresa e cargo',
+    waitlisted: 'Na lista de espera',
+    noVisits: 'Nenhuma entrada',
+    visitsPresent: {
+      one: '{count} entrada, no evento (última: {date})',
+      other: '{count} entradas, no evento (última: {date})',
+    },
+    visitsLeft: {
+      one: '{count} entrada, saiu (última: {date})',
+      other: '{count} entradas, saiu (última: {date})',
+    },
+    keptRecord: 'Cadastro mantido',
+    keptRecordHint: 'O outro é removido. O mantido conserva o crachá impresso e recebe as entradas dos dois.',
+    empty: '(vazio)',
+    combineNotes: 'Combinar as duas',
+    cancel: 'Cancelar',
+    confirmMerge: 'Confirmar mesclagem',
+    merging: 'Mesclando...',
+    loading: 'Carregando...',
+    noCandidates: 'Nenhum provável duplicado encontrado.',
+    hasMore: 'Mostrando os pares mais prováveis. Resolva estes para ver os demais.',
+  },
+
+  walkInForm: {
+    title: 'Registrar walk-in',
+    subtitle: 'Cadastro de quem chegou sem inscrição prévia.',
+    close: 'Fechar',
+    checkInNow: 'Fazer check-in agora',
+    save: 'Registrar',
+    saving: 'Registrando...',
+    lastRegistered: '{name}: {message}',
+  },
+
+  eventDetailsForm: {
+    title: 'Dados do evento',
+    subtitle: 'Datas e horários no fuso horário do evento.',
+    close: 'Fechar',
+    name: 'Nome',
+    startDate: 'Início',
+    endDate: 'Término',
+    timeZone: 'Fuso horário',
+    capacity: 'Capacidade máxima',
+    noLimit: 'Sem limite',
+    checkOutCooldown: 'Intervalo mínimo para check-out (segundos)',
+    defaultCooldown: 'Padrão: {seconds}',
+    venue: 'Local',
+    save: 'Salvar',
+    saving: 'Salvando...',
+  },
+
+  scanCheckIn: {
+    title: 'Modo leitura',
+    subtitle: 'Leia o QR code do crachá: quem está fora entra, quem está no evento sai.',
+    close: 'Fechar',
+    waiting: 'Aguardando leitura do crachá...',
+    codeLabel: 'Código do crachá',
+    submit: 'Enviar',
+    cameraOn: 'Usar câmera',
+    cameraOff: 'Desligar câmera',
+    cameraUnsupported:
+      'Este navegador não lê QR codes pela câmera. Use um leitor de código conectado ao aparelho.',
+    cameraError: 'Não foi possível acessar a câmera. Verifique a permissão do navegador.',
+    actions: {
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+    },
+  },
+
+  loginForm: {
+    title: 'Entrar',
+    email: 'E-mail',
+    password: 'Senha',
+    submit: 'Entrar',
+    submitting: 'Entrando...',
+    invalidCredentials: 'E-mail ou senha inválidos.',
+  },
+
+  attendanceExport: {
+    title: 'Relatório de presença',
+    allPeople: 'Todos os participantes',
+    exportCsv: 'Exportar CSV',
+    exportXlsx: 'Exportar Excel',
+    exporting: 'Exportando...',
+    failed: 'Erro ao exportar relatório: {reason}',
+    sheetName: 'Presença',
+    status: {
+      present: 'No evento',
+      checkedOut: 'Saiu',
+      noShow: 'Não compareceu',
+    },
+    columns: {
+      fullName: 'Nome completo',
+      company: 'Empresa',
+      title: 'Cargo',
+      checkIn: 'Check-in',
+      checkOut: 'Check-out',
+      visits: 'Visitas',
+      timeOnSite: 'Tempo no evento',
+      status: 'Status',
+    },
+  },
+
+  // Mensagens de sucesso devolvidas pelos methods
+  results: {
+    checkedIn: 'Check-in realizado com sucesso!',
+    checkedOut: 'Check-out realizado com sucesso!',
+    checkInUndone: 'Check-in desfeito.',
+    checkOutUndone: 'Check-out desfeito.',
+    walkInRegistered: 'Walk-in cadastrado.',
+    walkInCheckedIn: 'Walk-in cadastrado e check-in realizado.',
+    walkInNotCheckedIn: 'Walk-in cadastrado. {reason}',
+    leftWaitlist: 'Pessoa removida da lista de espera.',
+    nothingChanged: 'Nenhum dado foi alterado.',
+    personUpdated: 'Dados atualizados.',
+    duplicateDismissed: 'Par marcado como pessoas diferentes.',
+    duplicateMerged: 'Cadastros mesclados em {name}.',
+  },
+
+  // Motivos dos Meteor.Error lançados pelo servidor
+  errors: {
+    notLoggedIn: 'É preciso entrar com uma conta para realizar esta ação.',
+    notAuthorized: 'Você não tem permissão para realizar esta ação neste evento.',
+    invalidLocale: 'Idioma não suportado.',
+    invalidCommunityId: 'O ID do evento deve ser uma string válida.',
+    invalidPersonId: 'O ID da pessoa deve ser uma string válida.',
+    emptyPersonId: 'O ID da pessoa não pode estar vazio.',
+    invalidCandidateId: 'O ID do par deve ser uma string válida.',
+    communityNotFound: 'Evento não encontrado.',
+    personNotFound: 'Pessoa não encontrada.',
+    personNotInCommunity: 'Pessoa não encontrada neste evento.',
+    invalidEmail: 'Informe um e-mail válido.',
+    unknownRole: 'Papel desconhecido.',
+    userNotFound: 'Usuário não encontrado.',
+    initialPasswordTooShort: 'A senha inicial deve ter pelo menos {min} caracteres.',
+    cannotChangeOwnRole: 'Você não pode alterar o seu próprio papel de organizador.',
+    unknownExportFormat: 'Formato de exportação desconhecido.',
+    invalidTimeZone: 'Fuso horário inválido.',
+    unknownAuditAction: 'Tipo de ação desconhecido.',
+    invalidPeriod: 'Período inválido.',
+    auditExportTooLarge:
+      'São {count} registros; o máximo por exportação é {max}. Use um período menor.',
+    invalidTimestamp: 'Horário da ação inválido.',
+    invalidOptions: 'Opções da ação inválidas.',
+    invalidMoment: 'Horário inválido.',
+    offlineActionTooOld: {
+      one: 'A ação foi feita offline há mais de {count} hora e não pode mais ser sincronizada.',
+      other: 'A ação foi feita offline há mais de {count} horas e não pode mais ser sincronizada.',
+    },
+    clockSkew:
+      'O relógio deste aparelho está {skew} segundos diferente do servidor ' +
+      '(tolerância de {tolerance} segundos). Acerte a data e a hora do aparelho.',
+    capacityReached:
+      'Evento lotado ({capacity} pessoas). {name} está na posição {position} da lista de espera.',
+    eventFull: 'Evento lotado ({capacity} pessoas).',
+    alreadyCheckedIn: 'Esta pessoa já está no evento.',
+    checkInBeforeCheckOut: 'O horário de entrada é anterior à última saída desta pessoa.',
+    checkOutWithoutCheckIn: 'Não é possível fazer check-out sem ter feito check-in primeiro.',
+    alreadyCheckedOut: 'Esta pessoa já fez check-out.',
+    checkOutBeforeCheckIn: 'O horário de saída é anterior ao check-in desta pessoa.',
+    checkOutTooSoon: 'O check-out só é permitido {seconds} segundos após o check-in.',
+    updateFailed: 'Falha ao atualizar os dados da pessoa.',
+    checkInFailed: 'Erro ao realizar check-in: {message}',
+    checkOutFailed: 'Erro ao realizar check-out: {message}',
+    undoFailed: 'Erro ao desfazer a ação: {message}',
+    noPeopleSelected: 'Selecione pelo menos uma pessoa.',
+    invalidPersonIds: 'Todos os IDs de pessoas devem ser strings válidas.',
+    batchTooLarge: 'Selecione no máximo {max} pessoas por vez.',
+    offlineConflict: 'A presença desta pessoa foi alterada em outro aparelho depois desta ação.',
+    noOfflineActions: 'Nenhuma ação para sincronizar.',
+    tooManyOfflineActions: 'Envie no máximo {max} ações por vez.',
+    nothingToUndo: 'Não há ação recente para desfazer.',
+    undoNotOwner: 'Apenas quem realizou a ação pode desfazê-la.',
+    undoExpired: 'A ação só pode ser desfeita até {seconds} segundos depois de realizada.',
+    undoCapacityReached: 'O evento está lotado; o check-out não pode ser desfeito.',
+    undoConcurrentChange: 'A pessoa foi alterada por outra ação. Atualize e tente novamente.',
+    duplicatePerson: '{name} já está cadastrado(a) neste evento. Busque a pessoa na lista.',
+    notWaitlisted: 'Esta pessoa não está na lista de espera.',
+    noChanges: 'Nenhuma alteração informada.',
+    originalValuesRequired: 'Os valores originais dos campos alterados são obrigatórios.',
+    editConflictFields:
+      'Outra pessoa da equipe alterou {fields} enquanto você editava. Confira os valores atuais.',
+    editConflict:
+      'Esta pessoa foi alterada por outra pessoa da equipe agora mesmo. Confira os valores atuais.',
+    unrecognizedBadge: 'Código não reconhecido como crachá.',
+    badgeNotFound: 'Crachá não encontrado.',
+    badgeFromOtherCommunity: 'Este crachá é de outro evento.',
+    candidateNotFound: 'Par de cadastros não encontrado.',
+    candidateResolved: 'Este par já foi revisado por outra pessoa da equipe.',
+    chooseRecordToKeep: 'Escolha um dos dois cadastros do par para manter.',
+    mergedPersonMissing: 'Um dos cadastros do par não existe mais.',
+    mergeConcurrentChange: 'A presença de um dos cadastros mudou durante a mesclagem. Tente novamente.',
+    mergeValueNotFromPair: '{fields} deve ser o valor de um dos dois cadastros.',
+    chooseImportCommunity: 'Escolha o evento de destino.',
+    emptyImport: 'O arquivo não tem linhas para importar.',
+    importTooLarge: 'Importe no máximo {max} linhas por vez.',
+    fieldRequired: '{field} é obrigatório.',
+    fieldTooLong: '{field} deve ter no máximo {max} caracteres.',
+    importDuplicateInEvent: 'Já existe uma pessoa com o mesmo nome e empresa neste evento.',
+    importDuplicateRow: 'Repete a linha {row} do arquivo.',
+    importInsertFailed: 'Falha ao inserir a linha: {message}',
+    eventNameRequired: 'O nome do evento é obrigatório.',
+    invalidEventDates: 'Data de início ou de término inválida.',
+    eventStartRequired: 'Informe a data de início antes da data de término.',
+    eventEndBeforeStart: 'A data de término deve ser posterior à data de início.',
+    venueTooLong: 'O local deve ter no máximo {max} caracteres.',
+    invalidCapacity: 'A capacidade deve ser um número inteiro maior que zero.',
+    invalidCheckOutCooldown:
+      'O intervalo para check-out deve ser um número inteiro de 0 a {max} segundos.',
+    offlineActionWithoutId: 'Ação sem identificador.',
+    unknownOfflineAction: 'Tipo de ação desconhecido.',
+  },
+};
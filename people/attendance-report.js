@@ -0,0 +1,113 @@
+// Relatório de presença do evento (lista de quem compareceu)
+// As colunas e filtros ficam aqui para que a tela de exportação e o
+// servidor, que gera o arquivo, falem a mesma língua
+
+// Funções do histórico de visitas e formatação de datas/durações
+import {
+  formatDate,
+  formatDuration,
+  getTimeOnSite,
+  getVisits,
+  isPresent,
+} from './attendance';
+
+// Colunas e status no idioma de quem exporta
+import { translate } from '../i18n/i18n';
+
+/**
+ * CONSTANTE: ATTENDANCE_STATUS
+ *
+ * Situação de cada participante no relatório.
+ */
+export const ATTENDANCE_STATUS = {
+  PRESENT: 'present',
+  CHECKED_OUT: 'checkedOut',
+  NO_SHOW: 'noShow',
+};
+
+/**
+ * FUNÇÃO: getAttendanceStatusLabelKey
+ *
+ * Chave do texto de cada status (coluna "Status" e filtro da exportação)
+ * em attendanceExport.status no catálogo.
+ *
+ * @param {string} status - Valor de ATTENDANCE_STATUS
+ * @returns {string} Chave do catálogo
+ */
+export const getAttendanceStatusLabelKey = (status) => `attendanceExport.status.${status}`;
+
+/**
+ * CONSTANTE: EXPORT_FORMATS
+ *
+ * Formatos de arquivo aceitos pela exportação.
+ */
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * CONSTANTE: ATTENDANCE_REPORT_COLUMNS
+ *
+ * Colunas do relatório, na mesma ordem das células de getAttendanceReportRow.
+ */
+const ATTENDANCE_REPORT_COLUMNS = [
+  'fullName',
+  'company',
+  'title',
+  'checkIn',
+  'checkOut',
+  'visits',
+  'timeOnSite',
+  'status',
+];
+
+/**
+ * FUNÇÃO: getAttendanceReportHeaders
+ *
+ * @param {string} locale - Idioma de quem exporta (valor de LOCALES)
+ * @returns {Array<string>} Cabeçalho do relatório
+ */
+export const getAttendanceReportHeaders = (locale) =>
+  ATTENDANCE_REPORT_COLUMNS.map((column) => translate(locale, `attendanceExport.columns.${column}`));
+
+/**
+ * FUNÇÃO: getAttendanceStatus
+ *
+ * @param {Object} person - Documento da collection People
+ * @returns {string} Valor de ATTENDANCE_STATUS
+ */
+export const getAttendanceStatus = (person) => {
+  if (isPresent(person)) {
+    return ATTENDANCE_STATUS.PRESENT;
+  }
+  return person.checkInDate ? ATTENDANCE_STATUS.CHECKED_OUT : ATTENDANCE_STATUS.NO_SHOW;
+};
+
+/**
+ * FUNÇÃO: getAttendanceReportRow
+ *
+ * Monta a linha do relatório de uma pessoa. Para quem entrou e saiu mais de
+ * uma vez, o check-in é a primeira chegada, o check-out é a última saída e o
+ * tempo no evento soma todas as visitas.
+ *
+ * @param {Object} person - Documento da collection People
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Momento de referência para visitas em aberto
+ * @param {string} [options.timeZone] - Fuso horário das datas
+ * @param {string} [options.locale] - Idioma do status
+ * @returns {Array<string|number>} Células da linha
+ */
+export const getAttendanceReportRow = (person, { now = new Date(), timeZone, locale } = {}) => {
+  const visits = getVisits(person);
+  const firstVisit = visits[0];
+  const lastVisit = visits[visits.length - 1];
+
+  return [
+    `${person.firstName || ''} ${person.lastName || ''}`.trim(),
+    person.companyName || '',
+    person.title || '',
+    formatDate(firstVisit && firstVisit.checkInDate, timeZone),
+    formatDate(lastVisit && lastVisit.checkOutDate, timeZone),
+    visits.length,
+    visits.length > 0 ? formatDuration(getTimeOnSite(person, now)) : 'N/A',
+    translate(locale, getAttendanceStatusLabelKey(getAttendanceStatus(person))),
+  ];
+};
@@ -0,0 +1,245 @@
+// Funções utilitárias do histórico de presença (visitas) de um participante
+// Este módulo é compartilhado entre cliente e servidor, por isso não acessa
+// nenhuma collection: trabalha apenas sobre o documento da pessoa já carregado
+
+// Importação do Meteor para ler as configurações públicas (Meteor.settings.public)
+import { Meteor } from 'meteor/meteor';
+
+/**
+ * CONSTANTE: UNDO_WINDOW_SECONDS
+ *
+ * Por quantos segundos a última ação de check-in/check-out pode ser desfeita
+ * (method people.undo). Configurável em Meteor.settings.public.undoWindowSeconds
+ * para que o servidor e o aviso com o botão "Desfazer" usem o mesmo prazo.
+ */
+export const UNDO_WINDOW_SECONDS =
+  (Meteor.settings.public && Meteor.settings.public.undoWindowSeconds) || 30;
+
+/**
+ * CONSTANTE: CHECK_OUT_COOLDOWN_SECONDS
+ *
+ * Tempo mínimo padrão entre o check-in e o check-out de uma pessoa, usado
+ * nos eventos que não definem `checkOutCooldownSeconds`. A lista só mostra
+ * o botão de check-out depois desse tempo, e o servidor recusa o check-out
+ * de quem entrou há menos tempo.
+ */
+export const CHECK_OUT_COOLDOWN_SECONDS = 5;
+
+/**
+ * FUNÇÃO: getCheckOutCooldownSeconds
+ *
+ * @param {Object|null} community - Documento do evento
+ * @returns {number} Intervalo mínimo de check-out do evento, em segundos (0 desativa a regra)
+ */
+export const getCheckOutCooldownSeconds = (community) =>
+  community && Number.isInteger(community.checkOutCooldownSeconds)
+    ? community.checkOutCooldownSeconds
+    : CHECK_OUT_COOLDOWN_SECONDS;
+
+/**
+ * Estrutura de uma visita
+ *
+ * Cada entrada/saída de um participante gera uma visita no array `visits`:
+ *   { checkInDate: Date, checkOutDate: Date|null }
+ *
+ * checkInDate/checkOutDate são os horários informados pelo aparelho da
+ * recepção (quando a pessoa passou pela porta). Visitas registradas depois
+ * dessa mudança também guardam `checkInRecordedAt`/`checkOutRecordedAt`,
+ * o horário em que o servidor recebeu cada ação.
+ *
+ * Os campos `checkInDate`/`checkOutDate` na raiz do documento continuam
+ * refletindo a visita mais recente, para manter compatibilidade com o
+ * restante da interface e com as regras do desafio.
+ */
+
+/**
+ * FUNÇÃO: getVisits
+ *
+ * Retorna o histórico de visitas de uma pessoa em ordem cronológica.
+ * Documentos antigos (criados antes do histórico existir) não possuem
+ * o array `visits`; nesse caso a visita é reconstruída a partir dos
+ * campos `checkInDate`/`checkOutDate`.
+ *
+ * @param {Object} person - Documento da collection People
+ * @returns {Array<{checkInDate: Date, checkOutDate: Date|null}>} Visitas da pessoa
+ */
+export const getVisits = (person) => {
+  if (!person) {
+    return [];
+  }
+
+  if (Array.isArray(person.visits) && person.visits.length > 0) {
+    return person.visits;
+  }
+
+  if (person.checkInDate) {
+    return [
+      {
+        checkInDate: person.checkInDate,
+        checkOutDate: person.checkOutDate || null,
+      },
+    ];
+  }
+
+  return [];
+};
+
+/**
+ * FUNÇÃO: isPresent
+ *
+ * Uma pessoa está no evento quando a última visita ainda não tem check-out.
+ *
+ * @param {Object} person - Documento da collection People
+ * @returns {boolean} true se a pessoa está no evento agora
+ */
+export const isPresent = (person) =>
+  !!person && !!person.checkInDate && !person.checkOutDate;
+
+/**
+ * FUNÇÃO: getVisitsDuring
+ *
+ * Visitas que se sobrepõem ao período de `from` a `to` (inclusive): a
+ * entrada foi até o fim do período e a saída, se houve, depois do início.
+ * Com `from` igual a `to`, são as visitas em andamento naquele momento.
+ *
+ * @param {Object} person - Documento da collection People
+ * @param {Date} from - Início do período
+ * @param {Date} to - Fim do período
+ * @returns {Array<Object>} Visitas da pessoa dentro do período
+ */
+export const getVisitsDuring = (person, from, to) =>
+  getVisits(person).filter(
+    (visit) => visit.checkInDate <= to && (!visit.checkOutDate || visit.checkOutDate > from)
+  );
+
+/**
+ * FUNÇÃO: getFirstArrival
+ *
+ * Responde à pergunta "quando esta pessoa chegou pela primeira vez?".
+ *
+ * @param {Object} person - Documento da collection People
+ * @returns {Date|null} Data do primeiro check-in ou null
+ */
+export const getFirstArrival = (person) => {
+  const [firstVisit] = getVisits(person);
+  return firstVisit ? firstVisit.checkInDate : null;
+};
+
+/**
+ * FUNÇÃO: getVisitDuration
+ *
+ * Duração de uma visita em milissegundos. Visitas em aberto (sem check-out)
+ * são contadas até o momento `now`.
+ *
+ * @param {Object} visit - Visita com checkInDate/checkOutDate
+ * @param {Date} [now=new Date()] - Momento de referência para visitas em aberto
+ * @returns {number} Duração em milissegundos
+ */
+export const getVisitDuration = (visit, now = new Date()) => {
+  if (!visit || !(visit.checkInDate instanceof Date)) {
+    return 0;
+  }
+  const end = visit.checkOutDate instanceof Date ? visit.checkOutDate : now;
+  return Math.max(0, end - visit.checkInDate);
+};
+
+/**
+ * FUNÇÃO: getTimeOnSite
+ *
+ * Soma a duração de todas as visitas de uma pessoa.
+ *
+ * @param {Object} person - Documento da collection People
+ * @param {Date} [now=new Date()] - Momento de referência para visitas em aberto
+ * @returns {number} Tempo total no evento em milissegundos
+ */
+export const getTimeOnSite = (person, now = new Date()) =>
+  getVisits(person).reduce(
+    (total, visit) => total + getVisitDuration(visit, now),
+    0
+  );
+
+/**
+ * FUNÇÃO: formatDate
+ *
+ * Formata uma data no padrão MM/DD/YYYY, HH:mm ou retorna 'N/A' se a data for nula.
+ * É o formato exigido na lista de participantes e usado também nos relatórios
+ * exportados, por isso fica neste módulo compartilhado.
+ *
+ * Sem timeZone, usa o fuso horário do ambiente (navegador no cliente).
+ * Com timeZone (ex.: 'America/Sao_Paulo'), converte para esse fuso, o que
+ * permite ao servidor gerar datas no horário de quem pediu o relatório.
+ *
+ * Com locale (ex.: 'pt-BR'), a interface mostra a data na ordem do idioma
+ * escolhido (DD/MM/YYYY em pt-BR). Os relatórios não passam locale e
+ * mantêm o formato fixo.
+ *
+ * @param {Date|null|undefined} date - Data a ser formatada
+ * @param {string} [timeZone] - Fuso horário IANA
+ * @param {string} [locale] - Idioma da interface (valor de LOCALES em i18n/i18n.js)
+ * @returns {string} Data formatada ou 'N/A'
+ */
+export const formatDate = (date, timeZone, locale) => {
+  // Verifica se a data existe e é válida
+  if (!date || !(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return 'N/A';
+  }
+
+  if (locale) {
+    return new Intl.DateTimeFormat(locale, {
+      timeZone: timeZone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).format(date);
+  }
+
+  if (timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      })
+        .formatToParts(date)
+        .map(({ type, value }) => [type, value])
+    );
+    return `${parts.month}/${parts.day}/${parts.year}, ${parts.hour}:${parts.minute}`;
+  }
+
+  // Extrai componentes da data
+  const month = (date.getMonth() + 1).toString().padStart(2, '0'); // +1 porque getMonth() retorna 0-11
+  const day = date.getDate().toString().padStart(2, '0');
+  const year = date.getFullYear();
+  const hours = date.getHours().toString().padStart(2, '0');
+  const minutes = date.getMinutes().toString().padStart(2, '0');
+
+  // Retorna no formato MM/DD/YYYY, HH:mm
+  return `${month}/${day}/${year}, ${hours}:${minutes}`;
+};
+
+/**
+ * FUNÇÃO: formatDuration
+ *
+ * Formata uma duração em milissegundos como "Xh YYmin".
+ * Durações menores que um minuto aparecem como "0min".
+ *
+ * @param {number} durationInMs - Duração em milissegundos
+ * @returns {string} Duração formatada
+ */
+export const formatDuration = (durationInMs) => {
+  const totalMinutes = Math.floor((durationInMs || 0) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours === 0) {
+    return `${minutes}min`;
+  }
+  return `${hours}h ${minutes.toString().padStart(2, '0')}min`;
+};
@@ -0,0 +1,36 @@
+// Crachás com QR code
+// O QR code de cada crachá guarda um token aleatório ligado ao documento da
+// pessoa (campo `badgeToken`), nunca o _id, para que o código de um crachá
+// não sirva para adivinhar outros
+
+/**
+ * CONSTANTE: BADGE_CODE_PREFIX
+ *
+ * Prefixo gravado no QR code. Ajuda a reconhecer leituras de crachás do
+ * sistema e a ignorar outros códigos lidos por engano.
+ */
+export const BADGE_CODE_PREFIX = 'QCHK:';
+
+/**
+ * FUNÇÃO: buildBadgeCode
+ *
+ * @param {string} badgeToken - Token do crachá da pessoa
+ * @returns {string} Texto gravado no QR code
+ */
+export const buildBadgeCode = (badgeToken) => `${BADGE_CODE_PREFIX}${badgeToken}`;
+
+/**
+ * FUNÇÃO: parseBadgeCode
+ *
+ * Extrai o token do texto lido pela câmera ou pelo leitor (que "digita" o
+ * código como um teclado). Aceita também o token sem prefixo, para
+ * digitação manual.
+ *
+ * @param {string} code - Texto lido
+ * @returns {string|null} Token do crachá ou null se o texto não parece um crachá
+ */
+export const parseBadgeCode = (code) => {
+  const text = (code || '').trim();
+  const token = text.startsWith(BADGE_CODE_PREFIX) ? text.slice(BADGE_CODE_PREFIX.length) : text;
+  return /^[a-f0-9]{32}$/i.test(token) ? token.toLowerCase() : null;
+};
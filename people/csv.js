@@ -0,0 +1,111 @@
+// Leitura e escrita de arquivos CSV
+// Módulo compartilhado e sem dependências: o cliente lê o arquivo enviado
+// pelo usuário e o servidor valida o resultado com as mesmas regras;
+// o servidor também gera os relatórios exportados
+
+/**
+ * FUNÇÃO AUXILIAR: detectDelimiter
+ *
+ * Planilhas exportadas em português costumam usar ";" como separador,
+ * porque a vírgula é o separador decimal. Escolhe o separador que mais
+ * aparece na primeira linha.
+ *
+ * @param {string} firstLine - Primeira linha do arquivo
+ * @returns {string} ',' ou ';'
+ */
+const detectDelimiter = (firstLine) => {
+  const commas = (firstLine.match(/,/g) || []).length;
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * FUNÇÃO: parseCsv
+ *
+ * Converte o texto de um arquivo CSV em uma matriz de células.
+ * Suporta campos entre aspas (com vírgulas, quebras de linha e aspas
+ * duplicadas "" dentro deles), finais de linha \n ou \r\n e o BOM que
+ * o Excel adiciona no início do arquivo. Linhas vazias são ignoradas.
+ *
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {Array<Array<string>>} Linhas do arquivo, cada uma com suas células
+ */
+export const parseCsv = (text) => {
+  const content = (text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0] || '');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+
+    if (inQuotes) {
+      if (char === '"' && content[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      // \r\n conta como uma única quebra de linha
+      if (char === '\r' && content[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // Última linha (arquivos sem quebra de linha no final)
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+};
+
+/**
+ * FUNÇÃO AUXILIAR: escapeCsvCell
+ *
+ * Coloca a célula entre aspas quando ela contém separador, aspas ou quebra
+ * de linha. Valores começando com =, +, - ou @ recebem um apóstrofo para
+ * que planilhas não os interpretem como fórmulas (CSV injection).
+ *
+ * @param {*} value - Valor da célula
+ * @returns {string} Célula pronta para o arquivo
+ */
+const escapeCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * FUNÇÃO: toCsv
+ *
+ * Gera o texto de um arquivo CSV a partir de uma matriz de células.
+ * Usa \r\n entre linhas e começa com BOM para o Excel reconhecer UTF-8
+ * (acentos nos nomes aparecem corretamente).
+ *
+ * @param {Array<Array<*>>} rows - Linhas do arquivo (a primeira costuma ser o cabeçalho)
+ * @returns {string} Conteúdo do arquivo
+ */
+export const toCsv = (rows) =>
+  `\uFEFF${rows.map((cells) => cells.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
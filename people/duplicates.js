@@ -0,0 +1,261 @@
+// Detecção de cadastros duplicados e regras da mesclagem
+// Importações e walk-ins podem criar a mesma pessoa duas vezes, com
+// pequenas diferenças de digitação ou com nome e sobrenome trocados. O
+// servidor compara as pessoas de cada evento periodicamente
+// (server/duplicates.js) e guarda os pares prováveis para o organizador
+// revisar e mesclar
+
+// Importação da classe Mongo para a collection de pares encontrados
+import { Mongo } from 'meteor/mongo';
+
+// Mesma normalização usada na chave de duplicados da importação
+import { normalizeForComparison } from './people-import';
+
+// Histórico de visitas, combinado na mesclagem
+import { getVisits } from './attendance';
+
+/**
+ * Collection DuplicateCandidates
+ *
+ * Um documento por par de pessoas que provavelmente são a mesma:
+ *   { communityId, pairKey, personIds: [id, id], score, reasons,
+ *     status: 'pending' | 'dismissed' | 'merged', detectedAt, updatedAt,
+ *     resolvedBy, resolvedAt }
+ * Pares marcados como "não são a mesma pessoa" continuam guardados para
+ * não voltarem na próxima varredura.
+ */
+export const DuplicateCandidates = new Mongo.Collection('duplicateCandidates');
+
+/**
+ * CONSTANTE: DUPLICATE_STATUS
+ */
+export const DUPLICATE_STATUS = {
+  PENDING: 'pending',
+  DISMISSED: 'dismissed',
+  MERGED: 'merged',
+};
+
+/**
+ * CONSTANTE: DUPLICATE_SCORE_THRESHOLD
+ *
+ * Pontuação mínima (0 a 1) para um par ser sugerido ao organizador.
+ */
+export const DUPLICATE_SCORE_THRESHOLD = 0.8;
+
+/**
+ * CONSTANTE: DUPLICATE_REASONS
+ *
+ * Motivos que explicam a pontuação de um par. O texto de cada um, exibido
+ * na revisão, fica em duplicateReview.reasons no catálogo de mensagens.
+ */
+export const DUPLICATE_REASONS = {
+  SAME_NAME: 'sameName',
+  SWAPPED_NAME: 'swappedName',
+  SIMILAR_NAME: 'similarName',
+  SAME_COMPANY: 'sameCompany',
+  SIMILAR_COMPANY: 'similarCompany',
+  MISSING_COMPANY: 'missingCompany',
+};
+
+// Pessoas com um mesmo trecho de nome são comparadas entre si; grupos
+// maiores que isto (prefixos muito comuns) são ignorados
+const MAX_BLOCK_SIZE = 300;
+
+/**
+ * FUNÇÃO AUXILIAR: getEditDistance
+ *
+ * Distância de Levenshtein: quantas letras precisam ser incluídas,
+ * removidas ou trocadas para transformar um texto no outro.
+ *
+ * @param {string} a - Primeiro texto
+ * @param {string} b - Segundo texto
+ * @returns {number} Distância entre os textos
+ */
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getSimilarity
+ *
+ * @param {string} a - Texto já normalizado
+ * @param {string} b - Texto já normalizado
+ * @returns {number} 1 para textos iguais, 0 para textos sem nada em comum
+ */
+const getSimilarity = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - getEditDistance(a, b) / length;
+};
+
+/**
+ * FUNÇÃO: scoreDuplicatePair
+ *
+ * Pontua a chance de duas pessoas serem a mesma. O nome pesa mais que a
+ * empresa e é comparado também com nome e sobrenome invertidos. Sem
+ * empresa em um dos cadastros, a pontuação vem só do nome, com desconto.
+ *
+ * @param {Object} a - Pessoa ({ firstName, lastName, companyName })
+ * @param {Object} b - Outra pessoa do mesmo evento
+ * @returns {Object} { score, reasons }
+ */
+export const scoreDuplicatePair = (a, b) => {
+  const [aFirst, aLast, aCompany] = [a.firstName, a.lastName, a.companyName].map(normalizeForComparison);
+  const [bFirst, bLast, bCompany] = [b.firstName, b.lastName, b.companyName].map(normalizeForComparison);
+
+  const directScore = (getSimilarity(aFirst, bFirst) + getSimilarity(aLast, bLast)) / 2;
+  const swappedScore = (getSimilarity(aFirst, bLast) + getSimilarity(aLast, bFirst)) / 2;
+  const nameScore = Math.max(directScore, swappedScore);
+
+  const reasons = [];
+  if (directScore === 1) {
+    reasons.push(DUPLICATE_REASONS.SAME_NAME);
+  } else if (swappedScore > directScore) {
+    reasons.push(DUPLICATE_REASONS.SWAPPED_NAME);
+  } else {
+    reasons.push(DUPLICATE_REASONS.SIMILAR_NAME);
+  }
+
+  let score;
+  if (!aCompany || !bCompany) {
+    reasons.push(DUPLICATE_REASONS.MISSING_COMPANY);
+    score = nameScore * 0.9;
+  } else {
+    const companyScore = getSimilarity(aCompany, bCompany);
+    if (companyScore === 1) {
+      reasons.push(DUPLICATE_REASONS.SAME_COMPANY);
+    } else if (companyScore >= DUPLICATE_SCORE_THRESHOLD) {
+      reasons.push(DUPLICATE_REASONS.SIMILAR_COMPANY);
+    }
+    score = nameScore * 0.7 + companyScore * 0.3;
+  }
+
+  // Nomes diferentes não viram par só porque a empresa é a mesma
+  if (nameScore < DUPLICATE_SCORE_THRESHOLD) {
+    score = Math.min(score, nameScore);
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * FUNÇÃO: getPairKey
+ *
+ * @param {string} personIdA - ID de uma pessoa
+ * @param {string} personIdB - ID da outra
+ * @returns {string} Chave do par, a mesma em qualquer ordem
+ */
+export const getPairKey = (personIdA, personIdB) => [personIdA, personIdB].sort().join('|');
+
+/**
+ * FUNÇÃO: findDuplicatePairs
+ *
+ * Compara as pessoas de um evento e devolve os pares com pontuação acima
+ * de DUPLICATE_SCORE_THRESHOLD. Para não comparar todos com todos, só são
+ * comparadas pessoas com algum trecho de nome em comum (as três primeiras
+ * letras do nome ou do sobrenome), o que cobre erros de digitação no fim
+ * do nome e nomes invertidos.
+ *
+ * @param {Array<Object>} people - Pessoas do evento ({ _id, firstName, lastName, companyName })
+ * @returns {Array<Object>} [{ pairKey, personIds, score, reasons }], da maior para a menor pontuação
+ */
+export const findDuplicatePairs = (people) => {
+  const blocks = new Map();
+  people.forEach((person, index) => {
+    const keys = new Set(
+      [person.firstName, person.lastName]
+        .map(normalizeForComparison)
+        .flatMap((name) => name.split(' '))
+        .filter(Boolean)
+        .map((token) => token.slice(0, 3))
+    );
+    keys.forEach((key) => {
+      if (!blocks.has(key)) {
+        blocks.set(key, []);
+      }
+      blocks.get(key).push(index);
+    });
+  });
+
+  const pairs = new Map();
+  blocks.forEach((indexes) => {
+    if (indexes.length > MAX_BLOCK_SIZE) {
+      return;
+    }
+    indexes.forEach((i, position) => {
+      indexes.slice(position + 1).forEach((j) => {
+        const pairKey = getPairKey(people[i]._id, people[j]._id);
+        if (pairs.has(pairKey)) {
+          return;
+        }
+        const { score, reasons } = scoreDuplicatePair(people[i], people[j]);
+        pairs.set(pairKey, { pairKey, personIds: pairKey.split('|'), score, reasons });
+      });
+    });
+  });
+
+  return [...pairs.values()]
+    .filter(({ score }) => score >= DUPLICATE_SCORE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * FUNÇÃO: mergeAttendance
+ *
+ * Junta a presença de dois cadastros da mesma pessoa. As visitas dos dois
+ * são ordenadas, e visitas que se sobrepõem (check-in feito nos dois
+ * cadastros) viram uma só. Se a pessoa está no evento por qualquer um
+ * dos cadastros, continua no evento; senão, a lista de espera mantém a
+ * entrada mais antiga.
+ *
+ * @param {Object} kept - Cadastro mantido
+ * @param {Object} merged - Cadastro que será removido
+ * @returns {Object} { checkInDate, checkOutDate, visits, waitlistedAt } (null quando não houver)
+ */
+export const mergeAttendance = (kept, merged) => {
+  const sorted = [...getVisits(kept), ...getVisits(merged)].sort(
+    (a, b) => a.checkInDate.getTime() - b.checkInDate.getTime()
+  );
+
+  const visits = [];
+  sorted.forEach((visit) => {
+    const last = visits[visits.length - 1];
+    // Visita aberta (sem check-out) cobre tudo o que vem depois dela
+    const overlaps = last && (!last.checkOutDate || visit.checkInDate <= last.checkOutDate);
+    if (!overlaps) {
+      visits.push({ ...visit, checkOutDate: visit.checkOutDate || null });
+      return;
+    }
+    if (last.checkOutDate && (!visit.checkOutDate || visit.checkOutDate > last.checkOutDate)) {
+      // A saída passa a ser a da visita que termina depois
+      const { checkOutRecordedAt, ...extended } = last;
+      extended.checkOutDate = visit.checkOutDate || null;
+      if (visit.checkOutRecordedAt) {
+        extended.checkOutRecordedAt = visit.checkOutRecordedAt;
+      }
+      visits[visits.length - 1] = extended;
+    }
+  });
+
+  const lastVisit = visits[visits.length - 1];
+  const isPresentAfterMerge = !!lastVisit && !lastVisit.checkOutDate;
+  const waitlistDates = [kept.waitlistedAt, merged.waitlistedAt].filter(Boolean);
+
+  return {
+    checkInDate: lastVisit ? lastVisit.checkInDate : null,
+    checkOutDate: lastVisit ? lastVisit.checkOutDate : null,
+    visits,
+    waitlistedAt:
+      isPresentAfterMerge || waitlistDates.length === 0
+        ? null
+        : new Date(Math.min(...waitlistDates.map((date) => date.getTime()))),
+  };
+};
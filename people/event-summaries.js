@@ -0,0 +1,41 @@
+// Importação da classe Mongo do pacote meteor/mongo
+import { Mongo } from 'meteor/mongo';
+
+// Criação da collection EventSummaries
+// Não existe uma collection "eventSummaries" no MongoDB: os documentos são
+// calculados no servidor pela publicação 'eventSummary' e enviados ao cliente,
+// um documento por comunidade (o _id do resumo é o próprio communityId)
+export const EventSummaries = new Mongo.Collection('eventSummaries');
+
+/**
+ * CONSTANTE: NO_COMPANY_KEY
+ *
+ * Chave do grupo de pessoas sem empresa informada em `companies` (e no
+ * filtro por empresa da lista). É um valor reservado, e não um texto, para
+ * não se confundir com uma empresa de verdade; a interface exibe no lugar
+ * o texto eventSummary.noCompany do catálogo.
+ */
+export const NO_COMPANY_KEY = '__none__';
+
+/**
+ * FUNÇÃO: getSummaryTimeOnSite
+ *
+ * O tempo total no evento muda a cada segundo enquanto houver pessoas
+ * presentes, então o servidor não publica o valor final. Ele publica a soma
+ * das visitas encerradas e a soma dos horários de entrada das visitas em
+ * aberto, e o cliente completa o cálculo:
+ *
+ *   total = visitas encerradas + (abertas × agora − soma das entradas abertas)
+ *
+ * @param {Object} summary - Documento da collection EventSummaries
+ * @param {Date} [now=new Date()] - Momento de referência para visitas em aberto
+ * @returns {number} Tempo total no evento em milissegundos
+ */
+export const getSummaryTimeOnSite = (summary, now = new Date()) => {
+  if (!summary) {
+    return 0;
+  }
+  const openVisitsDuration =
+    summary.openVisitsCount * now.getTime() - summary.openVisitsStartSum;
+  return summary.closedVisitsDuration + Math.max(0, openVisitsDuration);
+};
@@ -0,0 +1,150 @@
+// Linha do tempo de chegadas e saídas do evento, exibida no EventSummary
+
+// Importação da classe Mongo do pacote meteor/mongo
+import { Mongo } from 'meteor/mongo';
+
+// Histórico de visitas de cada pessoa
+import { getVisits } from './attendance';
+
+/**
+ * Collection EventTimelines
+ *
+ * Existe apenas no cliente, como EventSummaries: a publicação
+ * 'eventTimeline' envia um documento por comunidade (o _id é o próprio
+ * communityId) com os check-ins e check-outs contados em faixas de
+ * TIMELINE_BASE_BUCKET_MINUTES minutos:
+ *
+ *   { checkIns: { [início da faixa em ms]: quantidade }, checkOuts: { ... } }
+ */
+export const EventTimelines = new Mongo.Collection('eventTimelines');
+
+/**
+ * CONSTANTE: TIMELINE_BASE_BUCKET_MINUTES
+ *
+ * Menor faixa publicada pelo servidor. As faixas maiores do gráfico são
+ * montadas no cliente somando faixas desse tamanho.
+ */
+export const TIMELINE_BASE_BUCKET_MINUTES = 5;
+
+/**
+ * CONSTANTE: TIMELINE_BUCKET_OPTIONS
+ *
+ * Tamanhos de faixa (em minutos) oferecidos no gráfico. Todos são
+ * múltiplos de TIMELINE_BASE_BUCKET_MINUTES.
+ */
+export const TIMELINE_BUCKET_OPTIONS = [5, 15, 60];
+
+/**
+ * CONSTANTE: TIMELINE_MAX_BUCKETS
+ *
+ * Quantidade máxima de faixas desenhadas. Em eventos de vários dias o
+ * gráfico mostra as faixas mais recentes; a lotação do início do gráfico
+ * continua considerando tudo o que aconteceu antes.
+ */
+export const TIMELINE_MAX_BUCKETS = 288;
+
+/**
+ * FUNÇÃO: getBucketStart
+ *
+ * Início da faixa que contém a data. As faixas são alinhadas ao relógio em
+ * UTC, o que coincide com as horas cheias de quase todos os fusos.
+ *
+ * @param {Date|number} date - Data ou timestamp em milissegundos
+ * @param {number} bucketMinutes - Tamanho da faixa em minutos
+ * @returns {number} Timestamp do início da faixa
+ */
+export const getBucketStart = (date, bucketMinutes) => {
+  const size = bucketMinutes * 60 * 1000;
+  return Math.floor(new Date(date).getTime() / size) * size;
+};
+
+/**
+ * FUNÇÃO: getTimelineContribution
+ *
+ * Faixas em que uma pessoa entrou e saiu, usadas pelo servidor para manter
+ * a linha do tempo de forma incremental (como os contadores do resumo).
+ *
+ * @param {Object} person - Campos da pessoa conhecidos pelo observer
+ * @returns {{checkIns: Array<string>, checkOuts: Array<string>}} Chaves das faixas
+ */
+export const getTimelineContribution = (person) => {
+  const visits = getVisits(person);
+  return {
+    checkIns: visits.map((visit) =>
+      String(getBucketStart(visit.checkInDate, TIMELINE_BASE_BUCKET_MINUTES))
+    ),
+    checkOuts: visits
+      .filter((visit) => visit.checkOutDate)
+      .map((visit) => String(getBucketStart(visit.checkOutDate, TIMELINE_BASE_BUCKET_MINUTES))),
+  };
+};
+
+/**
+ * FUNÇÃO: buildTimeline
+ *
+ * Monta os pontos do gráfico a partir do documento publicado: reagrupa as
+ * faixas no tamanho escolhido, preenche as faixas sem movimento e calcula a
+ * lotação acumulada (entradas menos saídas) ao fim de cada faixa.
+ *
+ * Enquanto alguém estiver no evento, o gráfico vai até a faixa atual; depois
+ * que todos saem, termina na última faixa com movimento.
+ *
+ * @param {Object|null} timeline - Documento da collection EventTimelines
+ * @param {number} bucketMinutes - Valor de TIMELINE_BUCKET_OPTIONS
+ * @param {Date} [now=new Date()] - Momento atual
+ * @returns {Array<{start: Date, end: Date, checkIns: number, checkOuts: number, occupancy: number}>}
+ *   Faixas em ordem cronológica (vazio se ninguém fez check-in)
+ */
+export const buildTimeline = (timeline, bucketMinutes, now = new Date()) => {
+  if (!timeline) {
+    return [];
+  }
+
+  const size = bucketMinutes * 60 * 1000;
+  const counts = new Map();
+  const addCounts = (byBucket, field) => {
+    Object.entries(byBucket || {}).forEach(([key, count]) => {
+      const start = getBucketStart(Number(key), bucketMinutes);
+      const bucket = counts.get(start) || { checkIns: 0, checkOuts: 0 };
+      bucket[field] += count;
+      counts.set(start, bucket);
+    });
+  };
+  addCounts(timeline.checkIns, 'checkIns');
+  addCounts(timeline.checkOuts, 'checkOuts');
+
+  if (counts.size === 0) {
+    return [];
+  }
+
+  const starts = [...counts.keys()];
+  const finalOccupancy = [...counts.values()].reduce(
+    (total, bucket) => total + bucket.checkIns - bucket.checkOuts,
+    0
+  );
+  const lastActivity = Math.max(...starts);
+  const last = finalOccupancy > 0 ? Math.max(lastActivity, getBucketStart(now, bucketMinutes)) : lastActivity;
+  const first = Math.max(Math.min(...starts), last - (TIMELINE_MAX_BUCKETS - 1) * size);
+
+  // Lotação ao início da primeira faixa desenhada
+  let occupancy = 0;
+  counts.forEach((bucket, start) => {
+    if (start < first) {
+      occupancy += bucket.checkIns - bucket.checkOuts;
+    }
+  });
+
+  const points = [];
+  for (let start = first; start <= last; start += size) {
+    const bucket = counts.get(start) || { checkIns: 0, checkOuts: 0 };
+    occupancy += bucket.checkIns - bucket.checkOuts;
+    points.push({
+      start: new Date(start),
+      end: new Date(start + size),
+      checkIns: bucket.checkIns,
+      checkOuts: bucket.checkOuts,
+      occupancy,
+    });
+  }
+  return points;
+};
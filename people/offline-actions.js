@@ -0,0 +1,101 @@
+// Ações de check-in/check-out feitas sem conexão
+// Quando o Wi-Fi do local cai, a recepção continua trabalhando: cada ação
+// entra em uma fila no aparelho, com o horário em que aconteceu, e é enviada
+// ao servidor (method people.syncOfflineActions) quando a conexão volta.
+// Este módulo é compartilhado: o cliente monta as ações e o servidor as valida
+
+// Histórico de visitas, usado para aplicar a ação na cópia local da pessoa
+import { getVisits } from './attendance';
+
+/**
+ * CONSTANTE: OFFLINE_ACTION_TYPES
+ *
+ * Ações que podem ser feitas offline (os mesmos tipos de lastAttendanceAction).
+ */
+export const OFFLINE_ACTION_TYPES = {
+  CHECK_IN: 'checkIn',
+  CHECK_OUT: 'checkOut',
+};
+
+/**
+ * CONSTANTE: MAX_OFFLINE_ACTIONS
+ *
+ * Quantidade máxima de ações enviadas em uma única sincronização. Filas
+ * maiores são enviadas em partes.
+ */
+export const MAX_OFFLINE_ACTIONS = 200;
+
+/**
+ * FUNÇÃO: validateOfflineAction
+ *
+ * Estrutura de uma ação da fila:
+ *   { id: string, type: 'checkIn'|'checkOut', personId: string, occurredAt: Date }
+ *
+ * @param {Object} action - Ação recebida do cliente
+ * @returns {Object|null} Erro { key } do catálogo de mensagens ou null se a ação é válida
+ */
+export const validateOfflineAction = (action) => {
+  if (!action || typeof action.id !== 'string' || !action.id) {
+    return { key: 'errors.offlineActionWithoutId' };
+  }
+  if (!Object.values(OFFLINE_ACTION_TYPES).includes(action.type)) {
+    return { key: 'errors.unknownOfflineAction' };
+  }
+  if (typeof action.personId !== 'string' || !action.personId.trim()) {
+    return { key: 'errors.invalidPersonId' };
+  }
+  if (!(action.occurredAt instanceof Date) || Number.isNaN(action.occurredAt.getTime())) {
+    return { key: 'errors.invalidTimestamp' };
+  }
+  return null;
+};
+
+/**
+ * FUNÇÃO: applyOfflineAction
+ *
+ * Calcula como a presença da pessoa fica depois da ação, da mesma forma
+ * que checkInPerson/checkOutPerson fazem no servidor. Usado para a lista
+ * refletir na hora as ações que ainda estão na fila.
+ *
+ * @param {Object} person - Documento da pessoa
+ * @param {Object} action - Ação da fila ({ type, occurredAt })
+ * @returns {Object} { checkInDate, checkOutDate, visits }
+ */
+export const applyOfflineAction = (person, { type, occurredAt }) => {
+  const visits = getVisits(person);
+
+  if (type === OFFLINE_ACTION_TYPES.CHECK_IN) {
+    return {
+      checkInDate: occurredAt,
+      checkOutDate: null,
+      visits: [...visits, { checkInDate: occurredAt, checkOutDate: null }],
+    };
+  }
+
+  return {
+    checkInDate: person.checkInDate,
+    checkOutDate: occurredAt,
+    visits: visits.map((visit, index) =>
+      index === visits.length - 1 ? { ...visit, checkOutDate: occurredAt } : visit
+    ),
+  };
+};
+
+/**
+ * FUNÇÃO: getLastAttendanceChange
+ *
+ * Momento da última entrada ou saída registrada para a pessoa. Uma ação
+ * offline anterior a esse momento chegou atrasada: outra pessoa da recepção
+ * já alterou a presença depois dela, e a ação é tratada como conflito.
+ *
+ * @param {Object} person - Documento da pessoa
+ * @returns {Date|null} Data da última alteração ou null se nunca entrou
+ */
+export const getLastAttendanceChange = (person) => {
+  const visits = getVisits(person);
+  if (visits.length === 0) {
+    return null;
+  }
+  const lastVisit = visits[visits.length - 1];
+  return lastVisit.checkOutDate || lastVisit.checkInDate;
+};
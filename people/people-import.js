@@ -0,0 +1,175 @@
+// Regras da importação de participantes via CSV
+// Compartilhadas entre a tela de importação (prévia no cliente) e os
+// methods do servidor, que validam tudo de novo antes de inserir
+
+// Importação da classe Mongo para a collection de relatórios de importação
+import { Mongo } from 'meteor/mongo';
+
+/**
+ * Collection ImportReports
+ *
+ * Um documento por importação realizada: quem importou, em qual comunidade,
+ * quando, e o resultado de cada linha do arquivo (inserida, duplicada ou
+ * inválida). Serve de relatório para o organizador conferir depois.
+ */
+export const ImportReports = new Mongo.Collection('importReports');
+
+/**
+ * CONSTANTE: IMPORT_FIELDS
+ *
+ * Campos da collection People que podem ser preenchidos pelo CSV.
+ * `labelKey` é a chave do nome do campo no catálogo de mensagens e
+ * `aliases` são nomes de coluna reconhecidos automaticamente no cabeçalho.
+ */
+export const IMPORT_FIELDS = [
+  {
+    key: 'firstName',
+    labelKey: 'fields.firstName',
+    required: true,
+    aliases: ['firstname', 'first name', 'nome', 'primeiro nome'],
+  },
+  {
+    key: 'lastName',
+    labelKey: 'fields.lastName',
+    required: true,
+    aliases: ['lastname', 'last name', 'sobrenome', 'último nome', 'ultimo nome'],
+  },
+  {
+    key: 'companyName',
+    labelKey: 'fields.companyName',
+    required: false,
+    aliases: ['companyname', 'company', 'company name', 'empresa'],
+  },
+  {
+    key: 'title',
+    labelKey: 'fields.title',
+    required: false,
+    aliases: ['title', 'job title', 'cargo', 'função', 'funcao'],
+  },
+];
+
+/**
+ * CONSTANTE: MAX_IMPORT_ROWS
+ *
+ * Quantidade máxima de linhas aceitas em uma importação.
+ */
+export const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * CONSTANTE: MAX_FIELD_LENGTH
+ *
+ * Tamanho máximo de cada campo importado.
+ */
+export const MAX_FIELD_LENGTH = 120;
+
+/**
+ * FUNÇÃO: guessColumnMapping
+ *
+ * Sugere qual coluna do CSV corresponde a cada campo, comparando o
+ * cabeçalho com os aliases conhecidos. O usuário pode ajustar depois.
+ *
+ * @param {Array<string>} headers - Primeira linha do CSV
+ * @returns {Object} { firstName: índice|null, lastName: ..., companyName: ..., title: ... }
+ */
+export const guessColumnMapping = (headers) =>
+  Object.fromEntries(
+    IMPORT_FIELDS.map(({ key, aliases }) => {
+      const index = headers.findIndex((header) =>
+        aliases.includes(header.trim().toLowerCase())
+      );
+      return [key, index === -1 ? null : index];
+    })
+  );
+
+/**
+ * FUNÇÃO: mapCsvRows
+ *
+ * Converte as linhas do CSV (sem o cabeçalho) em objetos de pessoa
+ * usando o mapeamento de colunas escolhido. Valores são aparados.
+ *
+ * @param {Array<Array<string>>} rows - Linhas de dados do CSV
+ * @param {Object} mapping - Resultado de guessColumnMapping (ajustado pelo usuário)
+ * @returns {Array<Object>} Pessoas com firstName, lastName, companyName e title
+ */
+export const mapCsvRows = (rows, mapping) =>
+  rows.map((cells) =>
+    Object.fromEntries(
+      IMPORT_FIELDS.map(({ key }) => {
+        const index = mapping[key];
+        const value = index === null || index === undefined ? '' : cells[index] || '';
+        return [key, value.trim()];
+      })
+    )
+  );
+
+/**
+ * FUNÇÃO: normalizeImportedPerson
+ *
+ * Mantém apenas os campos importáveis, como strings aparadas. Campos
+ * opcionais vazios são omitidos, como nos documentos do seed.
+ *
+ * @param {Object} person - Pessoa vinda do cliente
+ * @returns {Object} Pessoa pronta para validação/inserção
+ */
+export const normalizeImportedPerson = (person) => {
+  const normalized = {};
+  IMPORT_FIELDS.forEach(({ key, required }) => {
+    const value = person && typeof person[key] === 'string' ? person[key].trim() : '';
+    if (value || required) {
+      normalized[key] = value;
+    }
+  });
+  return normalized;
+};
+
+/**
+ * FUNÇÃO: validateImportedPerson
+ *
+ * Os erros são chaves do catálogo com parâmetros, e não textos prontos:
+ * a tela traduz com t() e o servidor lança com createError, cada um no
+ * idioma de quem está usando.
+ *
+ * @param {Object} person - Pessoa normalizada
+ * @returns {Array<Object>} Erros { key, params } (vazio se a linha é válida)
+ */
+export const validateImportedPerson = (person) => {
+  const errors = [];
+
+  IMPORT_FIELDS.forEach(({ key, labelKey, required }) => {
+    const value = person[key] || '';
+    const field = { key: labelKey };
+    if (required && !value) {
+      errors.push({ key: 'errors.fieldRequired', params: { field } });
+    }
+    if (value.length > MAX_FIELD_LENGTH) {
+      errors.push({ key: 'errors.fieldTooLong', params: { field, max: MAX_FIELD_LENGTH } });
+    }
+  });
+
+  return errors;
+};
+
+// Remove acentos, espaços extras e diferenças de maiúsculas/minúsculas
+// (também usado na detecção de duplicados por semelhança)
+export const normalizeForComparison = (value) =>
+  (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+/**
+ * FUNÇÃO: getDuplicateKey
+ *
+ * Chave usada para detectar duplicados: nome + sobrenome + empresa,
+ * ignorando acentos e maiúsculas. Duas pessoas com a mesma chave na
+ * mesma comunidade são consideradas a mesma pessoa.
+ *
+ * @param {Object} person - Pessoa (importada ou já cadastrada)
+ * @returns {string} Chave de comparação
+ */
+export const getDuplicateKey = (person) =>
+  [person.firstName, person.lastName, person.companyName]
+    .map(normalizeForComparison)
+    .join('|');
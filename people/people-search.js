@@ -0,0 +1,226 @@
+// Regras de busca, ordenação e paginação da lista de participantes
+// Compartilhadas entre a publicação 'people.search' (servidor) e a consulta
+// do HomePage (cliente), para que os dois lados filtrem e ordenem igual
+
+// Importação da classe Mongo para a collection de contagens
+import { Mongo } from 'meteor/mongo';
+
+// Grupo de quem não informou empresa, o mesmo do resumo do evento
+import { NO_COMPANY_KEY } from './event-summaries';
+
+// Situações do participante, as mesmas do relatório de presença
+import { ATTENDANCE_STATUS } from './attendance-report';
+
+/**
+ * Collection PeopleSearchCounts
+ *
+ * Existe apenas no cliente: recebe da publicação 'people.search' um documento
+ * { _id, total } com o total de pessoas que atendem à busca, independente de
+ * quantas já foram carregadas na página. O _id vem de getPeopleSearchCountId,
+ * para que duas buscas abertas no mesmo evento não dividam o mesmo documento.
+ */
+export const PeopleSearchCounts = new Mongo.Collection('peopleSearchCounts');
+
+/**
+ * Collection PeopleFacets
+ *
+ * Existe apenas no cliente: recebe da publicação 'people.facets' um documento
+ * por comunidade com as opções dos filtros de empresa e cargo da lista:
+ *   { _id: communityId, companies: [{ value, count }], titles: [{ value, count }] }
+ * As contagens consideram todos os inscritos, sem os outros filtros.
+ */
+export const PeopleFacets = new Mongo.Collection('peopleFacets');
+
+/**
+ * CONSTANTE: PEOPLE_PAGE_SIZE
+ *
+ * Quantidade de pessoas carregadas por página (a cada "Carregar mais").
+ */
+export const PEOPLE_PAGE_SIZE = 30;
+
+/**
+ * CONSTANTE: PEOPLE_MAX_LIMIT
+ *
+ * Limite máximo aceito pela publicação, para que um cliente não consiga
+ * pedir todos os participantes de uma vez.
+ */
+export const PEOPLE_MAX_LIMIT = 500;
+
+/**
+ * CONSTANTE: PEOPLE_SORT_OPTIONS
+ *
+ * Ordenações disponíveis na lista. A chave é o valor aceito pela publicação
+ * (e o nome do texto do seletor em peopleList.sort no catálogo) e `sort` é o
+ * especificador do MongoDB.
+ * O _id entra por último para manter a paginação estável em empates.
+ */
+export const PEOPLE_SORT_OPTIONS = {
+  name: {
+    sort: { firstName: 1, lastName: 1, _id: 1 },
+  },
+  lastName: {
+    sort: { lastName: 1, firstName: 1, _id: 1 },
+  },
+  company: {
+    sort: { companyName: 1, firstName: 1, lastName: 1, _id: 1 },
+  },
+  recentCheckIn: {
+    sort: { checkInDate: -1, firstName: 1, lastName: 1, _id: 1 },
+  },
+};
+
+/**
+ * CONSTANTE: DEFAULT_PEOPLE_SORT
+ *
+ * Ordenação padrão: alfabética pelo nome, como a lista sempre foi exibida.
+ */
+export const DEFAULT_PEOPLE_SORT = 'name';
+
+/**
+ * CONSTANTE: PEOPLE_LIST_FIELDS
+ *
+ * Campos que a lista precisa. A publicação envia somente estes campos.
+ */
+export const PEOPLE_LIST_FIELDS = {
+  communityId: 1,
+  firstName: 1,
+  lastName: 1,
+  companyName: 1,
+  title: 1,
+  checkInDate: 1,
+  checkOutDate: 1,
+  visits: 1,
+  waitlistedAt: 1,
+  source: 1,
+};
+
+// Campos em que a busca textual procura o termo digitado
+const SEARCHABLE_FIELDS = ['firstName', 'lastName', 'companyName', 'title'];
+
+// Escapa caracteres especiais para usar o termo digitado dentro de uma RegExp
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * CONSTANTE: STATUS_SELECTORS
+ *
+ * Condição do filtro por situação, com a mesma regra de getAttendanceStatus:
+ * presente é quem tem check-in sem check-out na visita mais recente.
+ */
+const STATUS_SELECTORS = {
+  [ATTENDANCE_STATUS.NO_SHOW]: { checkInDate: null },
+  [ATTENDANCE_STATUS.PRESENT]: { checkInDate: { $ne: null }, checkOutDate: null },
+  [ATTENDANCE_STATUS.CHECKED_OUT]: { checkInDate: { $ne: null }, checkOutDate: { $ne: null } },
+};
+
+/**
+ * CONSTANTE: PEOPLE_STATUS_FILTERS
+ *
+ * Situações oferecidas no filtro da lista, na ordem de exibição.
+ */
+export const PEOPLE_STATUS_FILTERS = Object.keys(STATUS_SELECTORS);
+
+/**
+ * FUNÇÃO: normalizePeopleSearch
+ *
+ * Termo e filtros da busca como a publicação os aplica: valores inválidos
+ * são ignorados e textos longos, cortados.
+ *
+ * @param {Object} [options] - { search, status, company, title }
+ * @returns {Object} { search, filters: { status, company, title } }
+ */
+export const normalizePeopleSearch = (options) => {
+  const { search, status, company, title } = options && typeof options === 'object' ? options : {};
+  return {
+    search: typeof search === 'string' ? search.slice(0, 100) : '',
+    filters: {
+      status: PEOPLE_STATUS_FILTERS.includes(status) ? status : '',
+      company: typeof company === 'string' ? company.slice(0, 200) : '',
+      title: typeof title === 'string' ? title.slice(0, 200) : '',
+    },
+  };
+};
+
+/**
+ * FUNÇÃO: getPeopleSearchCountId
+ *
+ * _id do documento de PeopleSearchCounts de uma busca. Cada combinação de
+ * evento, termo e filtros tem o seu; o limite (página) não entra, pois não
+ * muda o total. O servidor e o cliente calculam o mesmo valor.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {Object} [options] - { search, status, company, title }
+ * @returns {string} _id do documento do total
+ */
+export const getPeopleSearchCountId = (communityId, options) => {
+  const { search, filters } = normalizePeopleSearch(options);
+  return JSON.stringify([communityId, search, filters.status, filters.company, filters.title]);
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getCompanySelector
+ *
+ * Condição do filtro por empresa (clique na tabela de empresas do
+ * EventSummary). NO_COMPANY_KEY seleciona quem não informou empresa.
+ *
+ * @param {string} company - Nome exato da empresa ou NO_COMPANY_KEY
+ * @returns {Object} Condição do MongoDB
+ */
+const getCompanySelector = (company) =>
+  company === NO_COMPANY_KEY
+    ? { companyName: { $in: [null, ''] } }
+    : { companyName: company };
+
+/**
+ * FUNÇÃO: buildPeopleSearchSelector
+ *
+ * Monta o seletor do MongoDB para as pessoas de uma comunidade que atendem
+ * ao termo de busca e aos filtros. Cada palavra do termo precisa aparecer em algum dos
+ * campos pesquisáveis (sem diferenciar maiúsculas/minúsculas), então
+ * "ted propeller" encontra Ted Gonzalez da Propeller Heads.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {string} [search] - Termo digitado pelo usuário
+ * @param {Object} [filters] - Filtros escolhidos na lista:
+ *   - status: valor de PEOPLE_STATUS_FILTERS
+ *   - company: nome exato da empresa (ou NO_COMPANY_KEY)
+ *   - title: cargo exato
+ * @returns {Object} Seletor do MongoDB
+ */
+export const buildPeopleSearchSelector = (communityId, search, filters = {}) => {
+  const words = (search || '').trim().split(/\s+/).filter(Boolean);
+
+  const conditions = words.map((word) => {
+    const pattern = new RegExp(escapeRegExp(word), 'i');
+    return {
+      $or: SEARCHABLE_FIELDS.map((field) => ({ [field]: pattern })),
+    };
+  });
+
+  if (STATUS_SELECTORS[filters.status]) {
+    conditions.push(STATUS_SELECTORS[filters.status]);
+  }
+  if (filters.company) {
+    conditions.push(getCompanySelector(filters.company));
+  }
+  if (filters.title) {
+    conditions.push({ title: filters.title });
+  }
+
+  if (conditions.length === 0) {
+    return { communityId };
+  }
+
+  return { communityId, $and: conditions };
+};
+
+/**
+ * FUNÇÃO: getPeopleSort
+ *
+ * Retorna o especificador de ordenação para uma chave, usando a ordenação
+ * padrão quando a chave é desconhecida.
+ *
+ * @param {string} [sortBy] - Chave de PEOPLE_SORT_OPTIONS
+ * @returns {Object} Especificador de ordenação do MongoDB
+ */
+export const getPeopleSort = (sortBy) =>
+  (PEOPLE_SORT_OPTIONS[sortBy] || PEOPLE_SORT_OPTIONS[DEFAULT_PEOPLE_SORT]).sort;
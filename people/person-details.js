@@ -0,0 +1,26 @@
+// Detalhes de uma pessoa, exibidos na gaveta aberta pela rota
+// /events/:communityId/people/:personId
+
+// Importação da classe Mongo para a collection de detalhes
+import { Mongo } from 'meteor/mongo';
+
+/**
+ * Collection PersonDetails
+ *
+ * Existe apenas no cliente: recebe da publicação 'people.details' o documento
+ * completo da pessoa aberta. Fica separada de People para que a pessoa aberta
+ * não entre na página da lista (que é consultada no minimongo de People).
+ */
+export const PersonDetails = new Mongo.Collection('personDetails');
+
+/**
+ * CONSTANTE: PERSON_DETAILS_HIDDEN_FIELDS
+ *
+ * Campos internos que não são enviados para a gaveta: o token do crachá
+ * (quem tem o token faz check-in pelo QR code) e o registro usado pelo
+ * people.undo.
+ */
+export const PERSON_DETAILS_HIDDEN_FIELDS = {
+  badgeToken: 0,
+  lastAttendanceAction: 0,
+};
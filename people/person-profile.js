@@ -0,0 +1,116 @@
+// Dados cadastrais da pessoa editáveis na gaveta de detalhes
+// Compartilhado entre o formulário (validação imediata) e o method
+// people.update, que valida tudo de novo e confere conflitos de edição
+
+// Os mesmos campos e limites usados na importação por CSV
+import { IMPORT_FIELDS, MAX_FIELD_LENGTH } from './people-import';
+
+/**
+ * CONSTANTE: MAX_NOTES_LENGTH
+ *
+ * Tamanho máximo das observações da pessoa.
+ */
+export const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * CONSTANTE: PROFILE_FIELDS
+ *
+ * Campos editáveis: os da importação (nome, sobrenome, empresa e cargo)
+ * mais as observações internas da equipe, em texto livre.
+ */
+export const PROFILE_FIELDS = [
+  ...IMPORT_FIELDS.map(({ key, labelKey, required }) => ({
+    key,
+    labelKey,
+    required,
+    maxLength: MAX_FIELD_LENGTH,
+  })),
+  {
+    key: 'notes',
+    labelKey: 'fields.notes',
+    required: false,
+    maxLength: MAX_NOTES_LENGTH,
+    multiline: true,
+  },
+];
+
+const PROFILE_FIELD_KEYS = PROFILE_FIELDS.map(({ key }) => key);
+
+/**
+ * FUNÇÃO: getProfileValues
+ *
+ * Valores atuais dos campos editáveis. Campos ausentes no documento (os
+ * opcionais vazios são omitidos) viram string vazia, para comparar com o
+ * que foi digitado.
+ *
+ * @param {Object} person - Documento da pessoa
+ * @returns {Object} { firstName, lastName, companyName, title, notes }
+ */
+export const getProfileValues = (person) =>
+  Object.fromEntries(
+    PROFILE_FIELD_KEYS.map((key) => [key, typeof person[key] === 'string' ? person[key] : ''])
+  );
+
+/**
+ * FUNÇÃO: normalizeProfileChanges
+ *
+ * Mantém apenas os campos editáveis informados, como strings aparadas.
+ *
+ * @param {Object} changes - Campos alterados vindos do cliente
+ * @returns {Object} Alterações prontas para validação
+ */
+export const normalizeProfileChanges = (changes) => {
+  const normalized = {};
+  PROFILE_FIELD_KEYS.forEach((key) => {
+    if (changes && Object.prototype.hasOwnProperty.call(changes, key)) {
+      normalized[key] = typeof changes[key] === 'string' ? changes[key].trim() : '';
+    }
+  });
+  return normalized;
+};
+
+/**
+ * FUNÇÃO: validateProfileChanges
+ *
+ * Mesmas mensagens da importação (errors.fieldRequired/fieldTooLong), com
+ * o limite de cada campo.
+ *
+ * @param {Object} changes - Resultado de normalizeProfileChanges
+ * @returns {Array<Object>} Erros { key, params } (vazio se as alterações são válidas)
+ */
+export const validateProfileChanges = (changes) => {
+  const errors = [];
+
+  PROFILE_FIELDS.forEach(({ key, labelKey, required, maxLength }) => {
+    if (!Object.prototype.hasOwnProperty.call(changes, key)) {
+      return;
+    }
+    const field = { key: labelKey };
+    if (required && !changes[key]) {
+      errors.push({ key: 'errors.fieldRequired', params: { field } });
+    }
+    if (changes[key].length > maxLength) {
+      errors.push({ key: 'errors.fieldTooLong', params: { field, max: maxLength } });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * FUNÇÃO: findProfileConflicts
+ *
+ * Campos que outra pessoa da equipe alterou desde que a edição começou:
+ * o valor atual é diferente do que estava na tela quando o formulário foi
+ * aberto e também do que está sendo salvo. Quem muda campos diferentes
+ * da mesma pessoa não entra em conflito.
+ *
+ * @param {Object} current - getProfileValues da versão atual da pessoa
+ * @param {Object} original - Valores dos campos alterados quando a edição começou
+ * @param {Object} changes - Novos valores dos campos alterados
+ * @returns {Array<string>} Chaves dos campos em conflito
+ */
+export const findProfileConflicts = (current, original, changes) =>
+  Object.keys(changes).filter(
+    (key) => current[key] !== original[key] && current[key] !== changes[key]
+  );
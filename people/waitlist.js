@@ -0,0 +1,33 @@
+// Lista de espera de eventos lotados
+// Quando o evento atinge a capacidade, quem tenta entrar recebe o campo
+// `waitlistedAt` e é admitido automaticamente, por ordem de chegada, assim
+// que alguém sai (admitFromWaitlist em server/methods.js)
+
+// Mensagens no idioma da interface
+import { DEFAULT_LOCALE, translate } from '../i18n/i18n';
+
+/**
+ * FUNÇÃO: isWaitlisted
+ *
+ * @param {Object} person - Documento da collection People
+ * @returns {boolean} true se a pessoa está na lista de espera
+ */
+export const isWaitlisted = (person) => !!person.waitlistedAt;
+
+/**
+ * FUNÇÃO: formatAdmittedMessage
+ *
+ * Texto exibido depois de uma saída que chamou pessoas da lista de espera,
+ * para a recepção avisar quem pode entrar.
+ *
+ * @param {Array<Object>} [admitted] - Pessoas admitidas ({ firstName, lastName })
+ * @param {string} [locale] - Idioma da mensagem
+ * @returns {string|null} Mensagem ou null se ninguém foi admitido
+ */
+export const formatAdmittedMessage = (admitted, locale = DEFAULT_LOCALE) => {
+  if (!admitted || admitted.length === 0) {
+    return null;
+  }
+  const names = admitted.map((person) => `${person.firstName} ${person.lastName}`).join(', ');
+  return translate(locale, 'waitlist.admitted', { count: admitted.length, names });
+};
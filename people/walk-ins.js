@@ -0,0 +1,20 @@
+// Participantes registrados na porta do evento (walk-ins)
+// Pessoas que não se inscreveram antes são cadastradas pela recepção com
+// `source: WALK_IN_SOURCE`, o que permite separá-las dos pré-inscritos no
+// resumo do evento
+
+/**
+ * CONSTANTE: WALK_IN_SOURCE
+ *
+ * Valor do campo `source` de quem foi registrado na porta
+ * (pessoas importadas por CSV usam 'import'; as do seed não têm o campo).
+ */
+export const WALK_IN_SOURCE = 'walkIn';
+
+/**
+ * FUNÇÃO: isWalkIn
+ *
+ * @param {Object} person - Documento da collection People
+ * @returns {boolean} true se a pessoa foi registrada na porta
+ */
+export const isWalkIn = (person) => person.source === WALK_IN_SOURCE;
@@ -0,0 +1,10 @@
+// Importação da classe Mongo do pacote meteor/mongo
+import { Mongo } from 'meteor/mongo';
+
+// Criação da collection CommunityTeam
+// Não existe uma collection "communityTeam" no MongoDB: a publicação
+// 'community.team' envia um documento por pessoa da equipe do evento
+// ({ _id: userId, communityId, email, role }), lido do documento de cada
+// usuário. Assim a tela de equipe não mistura os papéis dos colegas com os
+// do próprio usuário, que chegam em Meteor.users
+export const CommunityTeam = new Mongo.Collection('communityTeam');
@@ -0,0 +1,83 @@
+// Papéis (roles) e permissões dos usuários por comunidade/evento
+// Este módulo é compartilhado: o servidor usa para autorizar methods e
+// publications e o cliente usa para esconder ações que o usuário não pode fazer
+
+/**
+ * CONSTANTE: ROLES
+ *
+ * Papéis disponíveis. Um usuário tem no máximo um papel por comunidade,
+ * guardado no documento do usuário em `communityRoles`:
+ *   { communityRoles: { [communityId]: 'organizer' | 'doorStaff' | 'viewer' } }
+ * O nome exibido de cada papel fica em roles no catálogo de mensagens.
+ */
+export const ROLES = {
+  // Organizador: acesso completo ao evento, inclusive gerenciar a equipe
+  ORGANIZER: 'organizer',
+
+  // Recepção: pode ver participantes e fazer check-in/check-out
+  DOOR_STAFF: 'doorStaff',
+
+  // Somente leitura: pode acompanhar a lista e o resumo do evento
+  VIEWER: 'viewer',
+};
+
+/**
+ * CONSTANTE: PERMISSIONS
+ *
+ * Ações protegidas e os papéis que podem executá-las.
+ */
+export const PERMISSIONS = {
+  // Ver participantes e o resumo do evento
+  VIEW_PEOPLE: 'people.view',
+
+  // Fazer check-in e check-out de participantes
+  CHECK_IN: 'people.checkIn',
+
+  // Cadastrar e importar participantes
+  MANAGE_PEOPLE: 'people.manage',
+
+  // Gerenciar a equipe (papéis) da comunidade
+  MANAGE_COMMUNITY: 'community.manage',
+};
+
+const ROLES_BY_PERMISSION = {
+  [PERMISSIONS.VIEW_PEOPLE]: [ROLES.ORGANIZER, ROLES.DOOR_STAFF, ROLES.VIEWER],
+  [PERMISSIONS.CHECK_IN]: [ROLES.ORGANIZER, ROLES.DOOR_STAFF],
+  [PERMISSIONS.MANAGE_PEOPLE]: [ROLES.ORGANIZER],
+  [PERMISSIONS.MANAGE_COMMUNITY]: [ROLES.ORGANIZER],
+};
+
+/**
+ * FUNÇÃO: getCommunityRole
+ *
+ * @param {Object|null} user - Documento do usuário (Meteor.user())
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {string|null} Papel do usuário na comunidade ou null
+ */
+export const getCommunityRole = (user, communityId) =>
+  (user && user.communityRoles && user.communityRoles[communityId]) || null;
+
+/**
+ * FUNÇÃO: getUserCommunityIds
+ *
+ * @param {Object|null} user - Documento do usuário
+ * @returns {Array<string>} IDs das comunidades em que o usuário tem algum papel
+ */
+export const getUserCommunityIds = (user) =>
+  Object.keys((user && user.communityRoles) || {});
+
+/**
+ * FUNÇÃO: userCan
+ *
+ * Verifica se o usuário pode executar uma ação em uma comunidade.
+ * Usuários não logados nunca têm permissão.
+ *
+ * @param {Object|null} user - Documento do usuário
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {string} permission - Valor de PERMISSIONS
+ * @returns {boolean} true se o papel do usuário permite a ação
+ */
+export const userCan = (user, communityId, permission) => {
+  const role = getCommunityRole(user, communityId);
+  return !!role && (ROLES_BY_PERMISSION[permission] || []).includes(role);
+};
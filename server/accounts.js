@@ -0,0 +1,185 @@
+// Importação do Meteor para methods, settings e a collection de usuários
+import { Meteor } from 'meteor/meteor';
+
+// Importação do Accounts para criar contas e configurar o login por senha
+import { Accounts } from 'meteor/accounts-base';
+
+// Importação da collection Communities para dar acesso inicial a todos os eventos
+import { Communities } from '../communities/communities';
+
+// Papéis e permissões por comunidade
+import { PERMISSIONS, ROLES } from '../roles/roles';
+import { assertPermission, hasPermission } from './authorization';
+
+// Nome da collection (somente no cliente) que recebe a equipe do evento
+const COMMUNITY_TEAM_COLLECTION = 'communityTeam';
+
+// Motivos dos erros traduzidos para o idioma de quem chamou o method
+import { createError, localizeMethods } from './i18n';
+
+/**
+ * CONFIGURAÇÃO: Accounts
+ *
+ * Contas não podem ser criadas pelo cliente: quem cria contas e distribui
+ * papéis é um organizador, na tela "Equipe do evento" (TeamManagement),
+ * que chama o method users.setCommunityRole.
+ */
+Accounts.config({ forbidClientAccountCreation: true });
+
+/**
+ * FUNÇÃO: ensureInitialOrganizer
+ *
+ * Garante que exista pelo menos um organizador para acessar o sistema.
+ * Se ainda não há nenhum usuário, cria a conta definida em
+ * Meteor.settings.initialOrganizer ({ email, password }) e a torna
+ * organizadora de todas as comunidades cadastradas.
+ *
+ * Em desenvolvimento, sem settings, usa admin@quave.dev / admin123.
+ */
+export const ensureInitialOrganizer = async () => {
+  if (await Meteor.users.find().countAsync()) {
+    return;
+  }
+
+  const settings = Meteor.settings.initialOrganizer;
+  if (!settings && !Meteor.isDevelopment) {
+    return;
+  }
+  const { email, password } = settings || {
+    email: 'admin@quave.dev',
+    password: 'admin123',
+  };
+
+  const communities = await Communities.find({}, { fields: { _id: 1 } }).fetchAsync();
+  const communityRoles = Object.fromEntries(
+    communities.map(({ _id }) => [_id, ROLES.ORGANIZER])
+  );
+
+  const userId = await Accounts.createUserAsync({ email, password });
+  await Meteor.users.updateAsync({ _id: userId }, { $set: { communityRoles } });
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getUserEmail
+ *
+ * @param {Array<Object>} [emails] - Campo emails do documento do usuário
+ * @returns {string|null} Primeiro e-mail da conta
+ */
+const getUserEmail = (emails) => (emails && emails[0] ? emails[0].address : null);
+
+/**
+ * Publicação: community.team
+ *
+ * Envia a equipe do evento (e-mail e papel de cada usuário com acesso) para
+ * a tela de gerenciamento de equipe. Só organizadores recebem a lista.
+ *
+ * Os documentos vão para a collection 'communityTeam' do cliente, e não
+ * para Meteor.users: o campo communityRoles do próprio organizador já é
+ * publicado completo (publicação sem nome) e seria sobrescrito por uma
+ * versão com apenas este evento.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<void>|Array} - Array vazio se o ID for inválido ou o usuário não for organizador
+ */
+Meteor.publish('community.team', async function publishCommunityTeam(communityId) {
+  if (typeof communityId !== 'string' || !communityId.trim()) {
+    return [];
+  }
+  if (!(await hasPermission(this.userId, communityId, PERMISSIONS.MANAGE_COMMUNITY))) {
+    return [];
+  }
+
+  const roleField = `communityRoles.${communityId}`;
+  const handle = await Meteor.users.find(
+    { [roleField]: { $exists: true } },
+    { fields: { emails: 1, [roleField]: 1 } }
+  ).observeChangesAsync({
+    added: (id, fields) => {
+      this.added(COMMUNITY_TEAM_COLLECTION, id, {
+        communityId,
+        email: getUserEmail(fields.emails),
+        role: fields.communityRoles[communityId],
+      });
+    },
+    changed: (id, fields) => {
+      const changes = {};
+      if (fields.emails) {
+        changes.email = getUserEmail(fields.emails);
+      }
+      if (fields.communityRoles) {
+        changes.role = fields.communityRoles[communityId];
+      }
+      this.changed(COMMUNITY_TEAM_COLLECTION, id, changes);
+    },
+    removed: (id) => {
+      this.removed(COMMUNITY_TEAM_COLLECTION, id);
+    },
+  });
+
+  this.ready();
+  this.onStop(() => handle.stop());
+  return undefined;
+});
+
+/**
+ * Methods de gerenciamento da equipe de cada evento
+ */
+Meteor.methods(localizeMethods({
+  /**
+   * Método: users.setCommunityRole
+   *
+   * Define o papel de uma pessoa da equipe em uma comunidade. Se ainda não
+   * existe conta com o e-mail informado, ela é criada com a senha enviada.
+   * Passar role = null remove o acesso do usuário à comunidade.
+   * Apenas organizadores da comunidade podem chamar este método.
+   *
+   * @param {Object} params
+   * @param {string} params.communityId - ID da comunidade/evento
+   * @param {string} params.email - E-mail da pessoa da equipe
+   * @param {string|null} params.role - Valor de ROLES ou null
+   * @param {string} [params.password] - Senha inicial, obrigatória para contas novas
+   * @throws {Meteor.Error} - Se os parâmetros forem inválidos ou o usuário não for organizador
+   * @returns {Object} - Objeto com status de sucesso e ID do usuário
+   */
+  async 'users.setCommunityRole'({ communityId, email, role, password } = {}) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+    if (typeof email !== 'string' || !email.includes('@')) {
+      throw createError('invalid-argument', 'errors.invalidEmail');
+    }
+    if (role !== null && !Object.values(ROLES).includes(role)) {
+      throw createError('invalid-argument', 'errors.unknownRole');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.MANAGE_COMMUNITY);
+
+    let user = await Accounts.findUserByEmail(email);
+
+    // Conta nova: precisa de senha inicial
+    if (!user) {
+      if (role === null) {
+        throw createError('user-not-found', 'errors.userNotFound');
+      }
+      if (typeof password !== 'string' || password.length < 8) {
+        throw createError('invalid-argument', 'errors.initialPasswordTooShort', { min: 8 });
+      }
+      const userId = await Accounts.createUserAsync({ email, password });
+      user = { _id: userId };
+    }
+
+    // Um organizador não pode remover o próprio acesso de organizador,
+    // senão o evento poderia ficar sem ninguém para gerenciá-lo
+    if (user._id === this.userId && role !== ROLES.ORGANIZER) {
+      throw createError('invalid-operation', 'errors.cannotChangeOwnRole');
+    }
+
+    const field = `communityRoles.${communityId}`;
+    await Meteor.users.updateAsync(
+      { _id: user._id },
+      role === null ? { $unset: { [field]: '' } } : { $set: { [field]: role } }
+    );
+
+    return { success: true, userId: user._id };
+  },
+}));
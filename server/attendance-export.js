@@ -0,0 +1,166 @@
+// Importação do Meteor para methods e erros
+import { Meteor } from 'meteor/meteor';
+
+// Biblioteca usada para gerar planilhas do Excel (.xlsx)
+import ExcelJS from 'exceljs';
+
+// Collections consultadas pelo relatório
+import { Communities } from '../communities/communities';
+import { People } from '../people/people';
+
+// Colunas, status e formatação do relatório de presença
+import {
+  EXPORT_FORMATS,
+  getAttendanceReportHeaders,
+  getAttendanceReportRow,
+  getAttendanceStatus,
+} from '../people/attendance-report';
+import { toCsv } from '../people/csv';
+
+// Mesma validação de fuso horário usada nos dados do evento
+import { isValidTimeZone } from '../communities/event-details';
+
+// Quem pode ver a lista de participantes pode exportá-la
+import { PERMISSIONS } from '../roles/roles';
+import { assertPermission } from './authorization';
+
+// Erros, colunas e status no idioma da interface de quem pediu o relatório
+import { createError, getConnectionLocale, localizeMethods } from './i18n';
+
+// Nome da aba da planilha no mesmo idioma das colunas
+import { translate } from '../i18n/i18n';
+
+/**
+ * FUNÇÃO AUXILIAR: buildFileName
+ *
+ * Nome do arquivo exportado, ex.: "presenca-great-code-2024-07-01.csv".
+ *
+ * @param {string} communityName - Nome do evento
+ * @param {string} format - 'csv' ou 'xlsx'
+ * @returns {string} Nome do arquivo
+ */
+const buildFileName = (communityName, format) => {
+  const slug = (communityName || 'evento')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+  return `presenca-${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: buildXlsx
+ *
+ * Gera a planilha com cabeçalho em negrito e colunas dimensionadas.
+ *
+ * @param {Array<string>} headers - Cabeçalho do relatório
+ * @param {Array<Array<*>>} rows - Linhas do relatório (sem cabeçalho)
+ * @param {string} locale - Idioma do nome da aba
+ * @returns {Promise<string>} Conteúdo do arquivo em base64
+ */
+const buildXlsx = async (headers, rows, locale) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(translate(locale, 'attendanceExport.sheetName'));
+
+  // Cabeçalho em negrito e largura de cada coluna pelo maior conteúdo (com folga)
+  sheet.columns = headers.map((header, index) => ({
+    header,
+    width: Math.min(
+      Math.max(header.length, ...rows.map((row) => String(row[index]).length)) + 2,
+      60
+    ),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(rows);
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer).toString('base64');
+};
+
+/**
+ * Methods de exportação do relatório de presença
+ */
+Meteor.methods(localizeMethods({
+  /**
+   * Método: people.exportAttendance
+   *
+   * Gera o relatório de presença de um evento: nome completo, empresa,
+   * cargo, check-in, check-out (formato MM/DD/YYYY, HH:mm, como na lista),
+   * número de visitas, tempo no evento e status. Usado por financeiro e
+   * patrocinadores depois de cada evento.
+   *
+   * O arquivo é devolvido ao cliente, que dispara o download. Planilhas
+   * .xlsx são enviadas em base64.
+   *
+   * @param {Object} params
+   * @param {string} params.communityId - ID da comunidade/evento
+   * @param {string} [params.status] - Filtro: 'present', 'checkedOut', 'noShow' ou vazio para todos
+   * @param {string} [params.format='csv'] - 'csv' ou 'xlsx'
+   * @param {string} [params.timeZone] - Fuso horário das datas (o do navegador de quem exporta)
+   * @throws {Meteor.Error} - Se os parâmetros forem inválidos ou o usuário não tiver acesso ao evento
+   * @returns {Object} - { fileName, mimeType, encoding, content, rowCount }
+   */
+  async 'people.exportAttendance'({ communityId, status, format = 'csv', timeZone } = {}) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw createError('invalid-argument', 'errors.unknownExportFormat');
+    }
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      throw createError('invalid-argument', 'errors.invalidTimeZone');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.VIEW_PEOPLE);
+
+    const community = await Communities.findOneAsync({ _id: communityId });
+    if (!community) {
+      throw createError('community-not-found', 'errors.communityNotFound');
+    }
+
+    const people = await People.find(
+      { communityId },
+      {
+        fields: {
+          firstName: 1,
+          lastName: 1,
+          companyName: 1,
+          title: 1,
+          checkInDate: 1,
+          checkOutDate: 1,
+          visits: 1,
+        },
+        sort: { firstName: 1, lastName: 1 },
+      }
+    ).fetchAsync();
+
+    // Filtro por status aplicado com a mesma regra da coluna "Status"
+    const now = new Date();
+    const locale = getConnectionLocale(this.connection);
+    const headers = getAttendanceReportHeaders(locale);
+    const rows = people
+      .filter((person) => !status || getAttendanceStatus(person) === status)
+      .map((person) => getAttendanceReportRow(person, { now, timeZone, locale }));
+
+    const fileName = buildFileName(community.name, format);
+
+    if (format === 'xlsx') {
+      return {
+        fileName,
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        encoding: 'base64',
+        content: await buildXlsx(headers, rows, locale),
+        rowCount: rows.length,
+      };
+    }
+
+    return {
+      fileName,
+      mimeType: 'text/csv;charset=utf-8',
+      encoding: 'utf-8',
+      content: toCsv([headers, ...rows]),
+      rowCount: rows.length,
+    };
+  },
+}));
@@ -0,0 +1,140 @@
+// Importação do Meteor para methods
+import { Meteor } from 'meteor/meteor';
+
+// Collection consultada
+import { People } from '../people/people';
+
+// Visitas dentro do período consultado, a partir do histórico de cada pessoa
+import { getVisitsDuring } from '../people/attendance';
+
+// Quem pode ver a lista de participantes pode consultar o histórico
+import { PERMISSIONS } from '../roles/roles';
+import { assertPermission } from './authorization';
+
+// Erros no idioma da interface de quem consultou
+import { createError, localizeMethods } from './i18n';
+
+/**
+ * CONSTANTE: PRESENT_AT_MAX_PEOPLE
+ *
+ * Quantas pessoas o method devolve pelo nome. O total e a contagem por
+ * empresa consideram sempre todas as pessoas presentes.
+ */
+const PRESENT_AT_MAX_PEOPLE = 1000;
+
+/**
+ * FUNÇÃO AUXILIAR: isValidDate
+ *
+ * @param {*} value - Valor recebido do cliente
+ * @returns {boolean} true se for uma data válida
+ */
+const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+/**
+ * FUNÇÃO AUXILIAR: countByCompany
+ *
+ * Quantas pessoas de cada empresa estavam presentes, da empresa com mais
+ * pessoas para a com menos (empates em ordem alfabética). Pessoas sem
+ * empresa ficam agrupadas com companyName null.
+ *
+ * @param {Array<Object>} people - Pessoas presentes
+ * @returns {Array<{companyName: string|null, count: number}>} Contagem por empresa
+ */
+const countByCompany = (people) => {
+  const counts = new Map();
+  people.forEach((person) => {
+    const companyName = person.companyName || null;
+    counts.set(companyName, (counts.get(companyName) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([companyName, count]) => ({ companyName, count }))
+    .sort(
+      (a, b) => b.count - a.count || String(a.companyName || '').localeCompare(String(b.companyName || ''))
+    );
+};
+
+/**
+ * Methods do histórico de presença
+ */
+Meteor.methods(localizeMethods({
+  /**
+   * Método: people.presentAt
+   *
+   * Responde "quem estava no evento?" num momento (`at`) ou durante um
+   * período (`from` a `to`), a partir do histórico de visitas, e não dos
+   * campos da raiz, que são sobrescritos a cada nova entrada. Usado pelo
+   * gráfico de chegadas e pelo painel de presença por horário (consultas
+   * de segurança após incidentes).
+   *
+   * Só as pessoas com alguma entrada até o fim do período são lidas do
+   * banco; a sobreposição com o período (getVisitsDuring) é verificada em
+   * seguida.
+   *
+   * @param {Object} params
+   * @param {string} params.communityId - ID da comunidade/evento
+   * @param {Date} [params.at] - Momento consultado (no lugar de from/to)
+   * @param {Date} [params.from] - Início do período
+   * @param {Date} [params.to] - Fim do período
+   * @throws {Meteor.Error} - Se os parâmetros forem inválidos ou o usuário não tiver acesso ao evento
+   * @returns {Object} - { from, to, totalCount, companies: [{ companyName, count }],
+   *   people: [{ _id, firstName, lastName, companyName, title, visits }] }
+   */
+  async 'people.presentAt'({ communityId, at, from, to } = {}) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+    if (at !== undefined ? !isValidDate(at) : !isValidDate(from) || !isValidDate(to)) {
+      throw createError('invalid-argument', 'errors.invalidMoment');
+    }
+    const periodStart = at !== undefined ? at : from;
+    const periodEnd = at !== undefined ? at : to;
+    if (periodStart > periodEnd) {
+      throw createError('invalid-argument', 'errors.invalidPeriod');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.VIEW_PEOPLE);
+
+    // A raiz guarda só a última visita: quem voltou depois do período
+    // precisa ser encontrado pelo histórico
+    const candidates = await People.find(
+      {
+        communityId,
+        $or: [{ checkInDate: { $lte: periodEnd } }, { 'visits.checkInDate': { $lte: periodEnd } }],
+      },
+      {
+        fields: {
+          firstName: 1,
+          lastName: 1,
+          companyName: 1,
+          title: 1,
+          checkInDate: 1,
+          checkOutDate: 1,
+          visits: 1,
+        },
+        sort: { firstName: 1, lastName: 1 },
+      }
+    ).fetchAsync();
+
+    const present = candidates
+      .map((person) => ({ person, visits: getVisitsDuring(person, periodStart, periodEnd) }))
+      .filter(({ visits }) => visits.length > 0);
+
+    return {
+      from: periodStart,
+      to: periodEnd,
+      totalCount: present.length,
+      companies: countByCompany(present.map(({ person }) => person)),
+      people: present.slice(0, PRESENT_AT_MAX_PEOPLE).map(({ person, visits }) => ({
+        _id: person._id,
+        firstName: person.firstName,
+        lastName: person.lastName,
+        companyName: person.companyName || null,
+        title: person.title || null,
+        visits: visits.map((visit) => ({
+          checkInDate: visit.checkInDate,
+          checkOutDate: visit.checkOutDate || null,
+        })),
+      })),
+    };
+  },
+}));
@@ -0,0 +1,249 @@
+// Importação do Meteor para methods, erros e a collection de usuários
+import { Meteor } from 'meteor/meteor';
+
+// Log de auditoria, colunas da exportação e pessoas citadas nos registros
+import {
+  AUDIT_ACTIONS,
+  AUDIT_MAX_EXPORT_ROWS,
+  AUDIT_PAGE_SIZE,
+  AuditLog,
+  getAuditExportHeaders,
+  getAuditExportRow,
+} from '../audit/audit-log';
+import { People } from '../people/people';
+import { buildPeopleSearchSelector } from '../people/people-search';
+import { toCsv } from '../people/csv';
+
+// Apenas organizadores consultam e exportam o log
+import { PERMISSIONS } from '../roles/roles';
+import { assertPermission } from './authorization';
+
+// Erros e a exportação no idioma da interface de quem consulta o log
+import { createError, getConnectionLocale, localizeMethods } from './i18n';
+
+/**
+ * CONSTANTE: ATTENDANCE_AUDIT_FIELDS
+ *
+ * Campos da pessoa guardados como "antes" e "depois" nas alterações de presença.
+ */
+const ATTENDANCE_AUDIT_FIELDS = ['checkInDate', 'checkOutDate', 'visits', 'waitlistedAt'];
+
+/**
+ * CONSTANTE: AUDIT_MAX_PAGE_LIMIT
+ *
+ * Maior quantidade de registros devolvida por uma consulta do visualizador.
+ */
+const AUDIT_MAX_PAGE_LIMIT = 1000;
+
+/**
+ * FUNÇÃO: pickAttendanceFields
+ *
+ * Recorta do documento da pessoa apenas os campos de presença. Campos
+ * ausentes viram null para que "antes" e "depois" tenham sempre as mesmas chaves.
+ *
+ * @param {Object} person - Documento (ou campos alterados) da pessoa
+ * @returns {Object} { checkInDate, checkOutDate, visits, waitlistedAt }
+ */
+export const pickAttendanceFields = (person) =>
+  Object.fromEntries(
+    ATTENDANCE_AUDIT_FIELDS.map((field) => [field, person[field] === undefined ? null : person[field]])
+  );
+
+/**
+ * FUNÇÃO: getAuditContext
+ *
+ * Reúne, uma vez por chamada de method, os dados de quem está agindo.
+ * O contexto é repassado às funções que alteram pessoas, inclusive em
+ * ações em lote, para que cada registro aponte o method original.
+ *
+ * @param {Object} invocation - this do method
+ * @param {string} method - Nome do method chamado pelo cliente
+ * @returns {Promise<Object>} { userId, userEmail, method, clientIp }
+ */
+export const getAuditContext = async (invocation, method) => {
+  const user =
+    invocation.userId &&
+    (await Meteor.users.findOneAsync({ _id: invocation.userId }, { fields: { emails: 1 } }));
+
+  return {
+    userId: invocation.userId,
+    userEmail: (user && user.emails && user.emails[0] && user.emails[0].address) || null,
+    method,
+    clientIp: invocation.connection ? invocation.connection.clientAddress : null,
+  };
+};
+
+/**
+ * FUNÇÃO: recordAudit
+ *
+ * Inclui um registro no log. É a única escrita feita na collection
+ * AuditLog: registros nunca são alterados nem removidos.
+ *
+ * @param {Object} context - Resultado de getAuditContext
+ * @param {Object} entry
+ * @param {string} entry.action - Valor de AUDIT_ACTIONS
+ * @param {string} entry.communityId - Evento afetado
+ * @param {string|null} [entry.personId] - Pessoa afetada (null para alterações do evento)
+ * @param {Object|null} [entry.before] - Valores antes da alteração
+ * @param {Object|null} [entry.after] - Valores depois da alteração
+ * @returns {Promise<string>} ID do registro
+ */
+export const recordAudit = (context, { action, communityId, personId = null, before = null, after = null }) =>
+  AuditLog.insertAsync({
+    createdAt: new Date(),
+    userId: context.userId,
+    userEmail: context.userEmail,
+    method: context.method,
+    clientIp: context.clientIp,
+    action,
+    communityId,
+    personId,
+    before,
+    after,
+  });
+
+/**
+ * FUNÇÃO AUXILIAR: buildAuditSelector
+ *
+ * Monta o filtro do log a partir dos campos do visualizador.
+ *
+ * @param {Object} filters
+ * @param {string} filters.communityId - ID da comunidade/evento
+ * @param {string} [filters.action] - Valor de AUDIT_ACTIONS
+ * @param {string} [filters.userEmail] - Parte do e-mail de quem fez a alteração
+ * @param {string} [filters.personSearch] - Nome, empresa ou cargo da pessoa afetada
+ * @param {Date} [filters.from] - Início do período
+ * @param {Date} [filters.to] - Fim do período
+ * @returns {Promise<Object>} Seletor do MongoDB
+ * @throws {Meteor.Error} - Se algum filtro for inválido
+ */
+const buildAuditSelector = async ({ communityId, action, userEmail, personSearch, from, to }) => {
+  if (typeof communityId !== 'string' || !communityId.trim()) {
+    throw createError('invalid-argument', 'errors.invalidCommunityId');
+  }
+  if (action && !Object.values(AUDIT_ACTIONS).includes(action)) {
+    throw createError('invalid-argument', 'errors.unknownAuditAction');
+  }
+  const isDateOrEmpty = (date) => !date || (date instanceof Date && !Number.isNaN(date.getTime()));
+  if (!isDateOrEmpty(from) || !isDateOrEmpty(to)) {
+    throw createError('invalid-argument', 'errors.invalidPeriod');
+  }
+
+  const selector = { communityId };
+  if (action) {
+    selector.action = action;
+  }
+  if (typeof userEmail === 'string' && userEmail.trim()) {
+    const escaped = userEmail.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    selector.userEmail = { $regex: escaped, $options: 'i' };
+  }
+  if (typeof personSearch === 'string' && personSearch.trim()) {
+    const people = await People.find(buildPeopleSearchSelector(communityId, personSearch), {
+      fields: { _id: 1 },
+    }).fetchAsync();
+    selector.personId = { $in: people.map(({ _id }) => _id) };
+  }
+  if (from || to) {
+    selector.createdAt = {};
+    if (from) {
+      selector.createdAt.$gte = from;
+    }
+    if (to) {
+      selector.createdAt.$lte = to;
+    }
+  }
+  return selector;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: withPersonNames
+ *
+ * Acrescenta o nome da pessoa a cada registro (o log guarda apenas o ID).
+ *
+ * @param {Array<Object>} entries - Registros do log
+ * @returns {Promise<Array<Object>>} Registros com personName
+ */
+const withPersonNames = async (entries) => {
+  const personIds = [...new Set(entries.map((entry) => entry.personId).filter(Boolean))];
+  const people = await People.find(
+    { _id: { $in: personIds } },
+    { fields: { firstName: 1, lastName: 1 } }
+  ).fetchAsync();
+  const names = new Map(people.map((person) => [person._id, `${person.firstName} ${person.lastName}`]));
+
+  return entries.map((entry) => ({ ...entry, personName: names.get(entry.personId) || null }));
+};
+
+/**
+ * Methods do log de auditoria
+ */
+Meteor.methods(localizeMethods({
+  /**
+   * Método: audit.search
+   *
+   * Consulta o log de auditoria de um evento, do registro mais recente para
+   * o mais antigo, com filtros por ação, usuário, pessoa e período.
+   *
+   * @param {Object} params - Filtros (veja buildAuditSelector) e limit
+   * @param {number} [params.limit=AUDIT_PAGE_SIZE] - Quantidade de registros
+   * @throws {Meteor.Error} - Se os filtros forem inválidos ou o usuário não for organizador
+   * @returns {Object} - { entries, hasMore }
+   */
+  async 'audit.search'({ limit = AUDIT_PAGE_SIZE, ...filters } = {}) {
+    await assertPermission(this.userId, filters.communityId, PERMISSIONS.MANAGE_COMMUNITY);
+
+    const selector = await buildAuditSelector(filters);
+    const safeLimit = Math.min(Math.max(Number(limit) || AUDIT_PAGE_SIZE, 1), AUDIT_MAX_PAGE_LIMIT);
+
+    // Um registro a mais indica se existe próxima página
+    const entries = await AuditLog.find(selector, {
+      sort: { createdAt: -1 },
+      limit: safeLimit + 1,
+    }).fetchAsync();
+
+    return {
+      entries: await withPersonNames(entries.slice(0, safeLimit)),
+      hasMore: entries.length > safeLimit,
+    };
+  },
+
+  /**
+   * Método: audit.export
+   *
+   * Exporta em CSV os registros que atendem aos filtros, para revisões de
+   * conformidade. Registros em ordem cronológica.
+   *
+   * @param {Object} filters - Mesmos filtros de audit.search
+   * @throws {Meteor.Error} - Se os filtros forem inválidos, o usuário não for organizador
+   *                          ou houver registros demais para um único arquivo
+   * @returns {Object} - { fileName, mimeType, encoding, content, rowCount }
+   */
+  async 'audit.export'(filters = {}) {
+    await assertPermission(this.userId, filters.communityId, PERMISSIONS.MANAGE_COMMUNITY);
+
+    const selector = await buildAuditSelector(filters);
+    const count = await AuditLog.find(selector).countAsync();
+    if (count > AUDIT_MAX_EXPORT_ROWS) {
+      throw createError('export-too-large', 'errors.auditExportTooLarge', {
+        count,
+        max: AUDIT_MAX_EXPORT_ROWS,
+      });
+    }
+
+    const entries = await withPersonNames(
+      await AuditLog.find(selector, { sort: { createdAt: 1 } }).fetchAsync()
+    );
+    const locale = getConnectionLocale(this.connection);
+
+    return {
+      fileName: `auditoria-${filters.communityId}-${new Date().toISOString().slice(0, 10)}.csv`,
+      mimeType: 'text/csv;charset=utf-8',
+      encoding: 'utf-8',
+      content: toCsv([
+        getAuditExportHeaders(locale),
+        ...entries.map((entry) => getAuditExportRow(entry, locale)),
+      ]),
+      rowCount: entries.length,
+    };
+  },
+}));
@@ -0,0 +1,53 @@
+// Importação do Meteor para acessar a collection de usuários e lançar erros
+import { Meteor } from 'meteor/meteor';
+
+// Regras de papéis/permissões compartilhadas com o cliente
+import { userCan } from '../roles/roles';
+
+// Erros de permissão no idioma de quem chamou o method
+import { createError } from './i18n';
+
+/**
+ * FUNÇÃO: hasPermission
+ *
+ * Verifica no banco se o usuário pode executar uma ação em uma comunidade.
+ * Usada pelas publications, que devolvem uma lista vazia em vez de
+ * lançar erro quando o usuário não tem acesso.
+ *
+ * @param {string|null} userId - ID do usuário logado (this.userId)
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {string} permission - Valor de PERMISSIONS
+ * @returns {Promise<boolean>} true se o papel do usuário permite a ação
+ */
+export const hasPermission = async (userId, communityId, permission) => {
+  if (!userId) {
+    return false;
+  }
+
+  const user = await Meteor.users.findOneAsync(
+    { _id: userId },
+    { fields: { communityRoles: 1 } }
+  );
+  return userCan(user, communityId, permission);
+};
+
+/**
+ * FUNÇÃO: assertPermission
+ *
+ * Versão de hasPermission para methods: lança Meteor.Error quando o
+ * usuário não está logado ou não tem o papel necessário na comunidade.
+ *
+ * @param {string|null} userId - ID do usuário logado (this.userId)
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {string} permission - Valor de PERMISSIONS
+ * @throws {Meteor.Error} - 'not-logged-in' ou 'not-authorized'
+ */
+export const assertPermission = async (userId, communityId, permission) => {
+  if (!userId) {
+    throw createError('not-logged-in', 'errors.notLoggedIn');
+  }
+
+  if (!(await hasPermission(userId, communityId, permission))) {
+    throw createError('not-authorized', 'errors.notAuthorized');
+  }
+};
@@ -0,0 +1,128 @@
+// Importação do Meteor para methods e erros
+import { Meteor } from 'meteor/meteor';
+
+// Collection que guarda os dados do evento
+import { Communities } from '../communities/communities';
+
+// Regras de validação compartilhadas com o formulário do organizador
+import { validateEventDetails } from '../communities/event-details';
+
+// Somente organizadores editam os dados do evento
+import { PERMISSIONS } from '../roles/roles';
+import { assertPermission } from './authorization';
+
+// Motivos dos erros no idioma escolhido na interface
+import { createError, localizeMethods } from './i18n';
+
+// Aumentar ou remover a capacidade abre vagas para a lista de espera
+import { admitFromWaitlist } from './methods';
+
+// Alterações do evento também ficam no log de auditoria
+import { AUDIT_ACTIONS } from '../audit/audit-log';
+import { getAuditContext, recordAudit } from './audit';
+
+/**
+ * FUNÇÃO AUXILIAR: toOptionalValue
+ *
+ * Campos opcionais apagados no formulário chegam vazios ou nem chegam.
+ *
+ * @param {*} value - Valor recebido do cliente
+ * @returns {*} null para vazio; o próprio valor nos demais casos (validado depois)
+ */
+const toOptionalValue = (value) =>
+  value === undefined || value === null || value === '' ? null : value;
+
+/**
+ * Methods de gerenciamento dos eventos
+ */
+Meteor.methods(localizeMethods({
+  /**
+   * Método: communities.updateDetails
+   *
+   * Atualiza nome, início/fim, local, fuso horário, capacidade máxima e
+   * intervalo mínimo de check-out de um evento. Campos opcionais enviados
+   * vazios (null) são removidos do documento.
+   *
+   * As datas são instantes absolutos (Date); o fuso horário define como
+   * elas são exibidas na lista de participantes e no formulário.
+   *
+   * @param {Object} params
+   * @param {string} params.communityId - ID da comunidade/evento
+   * @param {string} params.name - Nome do evento
+   * @param {Date|null} [params.startDate] - Início do evento
+   * @param {Date|null} [params.endDate] - Término do evento
+   * @param {string|null} [params.venue] - Local
+   * @param {string|null} [params.timeZone] - Fuso horário IANA
+   * @param {number|null} [params.capacity] - Capacidade máxima de pessoas presentes
+   * @param {number|null} [params.checkOutCooldownSeconds] - Segundos entre check-in e check-out
+   *                                                         (null volta ao padrão)
+   * Se a nova capacidade abre vagas, a lista de espera é chamada na hora.
+   *
+   * @throws {Meteor.Error} - Se os dados forem inválidos ou o usuário não for organizador do evento
+   * @returns {Object} - { admitted } com as pessoas admitidas da lista de espera
+   */
+  async 'communities.updateDetails'({
+    communityId,
+    name,
+    startDate,
+    endDate,
+    venue,
+    timeZone,
+    capacity,
+    checkOutCooldownSeconds,
+  } = {}) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.MANAGE_COMMUNITY);
+
+    const details = {
+      name: typeof name === 'string' ? name.trim() : name,
+      startDate: toOptionalValue(startDate),
+      endDate: toOptionalValue(endDate),
+      venue: typeof venue === 'string' ? venue.trim() || null : toOptionalValue(venue),
+      timeZone: timeZone || null,
+      capacity: toOptionalValue(capacity),
+      checkOutCooldownSeconds: toOptionalValue(checkOutCooldownSeconds),
+    };
+
+    const validationError = validateEventDetails(details);
+    if (validationError) {
+      throw createError('invalid-argument', validationError.key, validationError.params);
+    }
+
+    const community = await Communities.findOneAsync({ _id: communityId });
+    if (!community) {
+      throw createError('community-not-found', 'errors.communityNotFound');
+    }
+
+    // Separa os campos preenchidos dos que devem ser apagados
+    const $set = { updatedAt: new Date() };
+    const $unset = {};
+    Object.entries(details).forEach(([field, value]) => {
+      if (value === null) {
+        $unset[field] = '';
+      } else {
+        $set[field] = value;
+      }
+    });
+
+    await Communities.updateAsync(
+      { _id: communityId },
+      Object.keys($unset).length > 0 ? { $set, $unset } : { $set }
+    );
+
+    const context = await getAuditContext(this, 'communities.updateDetails');
+    await recordAudit(context, {
+      action: AUDIT_ACTIONS.COMMUNITY_UPDATE,
+      communityId,
+      before: Object.fromEntries(
+        Object.keys(details).map((field) => [field, community[field] === undefined ? null : community[field]])
+      ),
+      after: details,
+    });
+
+    return { admitted: await admitFromWaitlist(context, communityId) };
+  },
+}));
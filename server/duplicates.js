@@ -0,0 +1,541 @@
+// Importação do Meteor para methods, erros e a varredura periódica
+import { Meteor } from 'meteor/meteor';
+
+// Collections envolvidas na detecção e na mesclagem
+import { Communities } from '../communities/communities';
+import { People } from '../people/people';
+import { PERSON_DETAILS_HIDDEN_FIELDS } from '../people/person-details';
+
+// Pontuação dos pares e regras da mesclagem (compartilhadas com a tela de revisão)
+import {
+  DUPLICATE_STATUS,
+  DuplicateCandidates,
+  findDuplicatePairs,
+  mergeAttendance,
+} from '../people/duplicates';
+import { isPresent } from '../people/attendance';
+import {
+  PROFILE_FIELDS,
+  getProfileValues,
+  normalizeProfileChanges,
+  validateProfileChanges,
+} from '../people/person-profile';
+
+// Apenas organizadores revisam e mesclam cadastros
+import { PERMISSIONS } from '../roles/roles';
+import { assertPermission } from './authorization';
+
+// Erros no idioma da interface do organizador
+import { createError, localizeMethods } from './i18n';
+
+// A mesclagem entra no log de auditoria dos dois cadastros; se liberar
+// uma vaga (as duas cópias estavam no evento), a lista de espera anda
+import { AUDIT_ACTIONS } from '../audit/audit-log';
+import { getAuditContext, pickAttendanceFields, recordAudit } from './audit';
+import { admitFromWaitlist, releaseSeats } from './methods';
+
+/**
+ * CONSTANTE: DUPLICATE_SCAN_INTERVAL_MS
+ *
+ * Intervalo da varredura de todos os eventos. Configurável em
+ * Meteor.settings.duplicateScanIntervalMinutes.
+ */
+const DUPLICATE_SCAN_INTERVAL_MS = (Meteor.settings.duplicateScanIntervalMinutes || 15) * 60 * 1000;
+
+/**
+ * CONSTANTE: MAX_LISTED_CANDIDATES
+ *
+ * Quantidade máxima de pares devolvida para a revisão (os de maior pontuação).
+ */
+const MAX_LISTED_CANDIDATES = 200;
+
+// Varreduras em andamento por evento: uma varredura pedida pelo
+// organizador durante a periódica aproveita a que já está rodando
+const runningScans = new Map();
+
+/**
+ * FUNÇÃO AUXILIAR: runCommunityScan
+ *
+ * Compara as pessoas do evento e atualiza os pares pendentes: pares novos
+ * são incluídos, os que continuam parecidos têm a pontuação atualizada e
+ * os que deixaram de ser (nome corrigido, pessoa removida) saem da
+ * revisão. Pares descartados ou já mesclados não são alterados.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<number>} Quantidade de pares pendentes
+ */
+const runCommunityScan = async (communityId) => {
+  const people = await People.find(
+    { communityId },
+    { fields: { firstName: 1, lastName: 1, companyName: 1 } }
+  ).fetchAsync();
+  const pairs = findDuplicatePairs(people);
+
+  const existing = await DuplicateCandidates.find(
+    { communityId },
+    { fields: { pairKey: 1, status: 1 } }
+  ).fetchAsync();
+  const existingByKey = new Map(existing.map((candidate) => [candidate.pairKey, candidate]));
+  const now = new Date();
+
+  const pendingPairs = pairs.filter((pair) => {
+    const found = existingByKey.get(pair.pairKey);
+    return !found || found.status === DUPLICATE_STATUS.PENDING;
+  });
+
+  await Promise.all(
+    pendingPairs.map(({ pairKey, personIds, score, reasons }) =>
+      DuplicateCandidates.upsertAsync(
+        { communityId, pairKey },
+        {
+          $set: { personIds, score, reasons, updatedAt: now },
+          $setOnInsert: { status: DUPLICATE_STATUS.PENDING, detectedAt: now },
+        }
+      )
+    )
+  );
+
+  await DuplicateCandidates.removeAsync({
+    communityId,
+    status: DUPLICATE_STATUS.PENDING,
+    pairKey: { $nin: pendingPairs.map(({ pairKey }) => pairKey) },
+  });
+
+  return pendingPairs.length;
+};
+
+/**
+ * FUNÇÃO: scanCommunityForDuplicates
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<number>} Quantidade de pares pendentes
+ */
+export const scanCommunityForDuplicates = (communityId) => {
+  if (!runningScans.has(communityId)) {
+    runningScans.set(
+      communityId,
+      runCommunityScan(communityId).finally(() => runningScans.delete(communityId))
+    );
+  }
+  return runningScans.get(communityId);
+};
+
+/**
+ * FUNÇÃO AUXILIAR: scanAllCommunities
+ *
+ * Varredura periódica. Um evento com erro não impede os demais.
+ */
+const scanAllCommunities = async () => {
+  const communities = await Communities.find({}, { fields: { _id: 1 } }).fetchAsync();
+
+  // Sequencial de propósito: um evento por vez, para não disputar o servidor com a recepção
+  /* eslint-disable no-await-in-loop */
+  for (const { _id: communityId } of communities) {
+    try {
+      await scanCommunityForDuplicates(communityId);
+    } catch (error) {
+      console.error(`Erro ao procurar duplicados no evento ${communityId}:`, error);
+    }
+  }
+  /* eslint-enable no-await-in-loop */
+};
+
+/**
+ * FUNÇÃO: startDuplicateScanJob
+ *
+ * Agenda a varredura de todos os eventos a cada DUPLICATE_SCAN_INTERVAL_MS,
+ * com uma primeira execução logo depois da inicialização.
+ */
+export const startDuplicateScanJob = () => {
+  Meteor.defer(scanAllCommunities);
+  Meteor.setInterval(scanAllCommunities, DUPLICATE_SCAN_INTERVAL_MS);
+};
+
+/**
+ * FUNÇÃO AUXILIAR: findPendingCandidate
+ *
+ * @param {string} userId - Usuário logado
+ * @param {string} candidateId - ID do par
+ * @returns {Promise<Object>} Par pendente
+ * @throws {Meteor.Error} - Se o par não existir, já tiver sido resolvido ou o usuário não for organizador
+ */
+const findPendingCandidate = async (userId, candidateId) => {
+  if (typeof candidateId !== 'string' || !candidateId.trim()) {
+    throw createError('invalid-argument', 'errors.invalidCandidateId');
+  }
+
+  const candidate = await DuplicateCandidates.findOneAsync({ _id: candidateId });
+  if (!candidate) {
+    throw createError('candidate-not-found', 'errors.candidateNotFound');
+  }
+
+  await assertPermission(userId, candidate.communityId, PERMISSIONS.MANAGE_PEOPLE);
+
+  if (candidate.status !== DUPLICATE_STATUS.PENDING) {
+    throw createError('candidate-resolved', 'errors.candidateResolved');
+  }
+  return candidate;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: pickMergeAuditFields
+ *
+ * Dados cadastrais e de presença guardados no log da mesclagem.
+ *
+ * @param {Object} person - Documento da pessoa
+ * @returns {Object} Campos do cadastro e da presença
+ */
+const pickMergeAuditFields = (person) => ({
+  ...getProfileValues(person),
+  ...pickAttendanceFields(person),
+});
+
+/**
+ * CONSTANTE: MERGE_MAX_ATTEMPTS
+ *
+ * Tentativas de gravar o cadastro mantido quando a presença dele muda
+ * durante a mesclagem.
+ */
+const MERGE_MAX_ATTEMPTS = 3;
+
+/**
+ * FUNÇÃO AUXILIAR: getAttendanceGuard
+ *
+ * Seletor que só encontra a pessoa se a presença dela ainda for a lida:
+ * datas do último check-in/check-out, número de visitas e lista de espera.
+ *
+ * @param {Object} person - Documento da pessoa lido antes da gravação
+ * @returns {Object} Condições a juntar ao seletor do _id
+ */
+const getAttendanceGuard = (person) => ({
+  checkInDate: person.checkInDate || null,
+  checkOutDate: person.checkOutDate || null,
+  waitlistedAt: person.waitlistedAt || null,
+  visits: Array.isArray(person.visits) ? { $size: person.visits.length } : { $exists: false },
+});
+
+/**
+ * FUNÇÃO AUXILIAR: reopenCandidate
+ *
+ * Devolve para a revisão um par reivindicado cuja mesclagem não pôde ser gravada.
+ *
+ * @param {string} candidateId - ID do par
+ */
+const reopenCandidate = (candidateId) =>
+  DuplicateCandidates.updateAsync(
+    { _id: candidateId },
+    {
+      $set: { status: DUPLICATE_STATUS.PENDING },
+      $unset: { keptPersonId: '', resolvedBy: '', resolvedAt: '' },
+    }
+  );
+
+/**
+ * FUNÇÃO AUXILIAR: buildMergeModifier
+ *
+ * Modificador do cadastro mantido: dados escolhidos pelo organizador e a
+ * presença dos dois cadastros juntas.
+ *
+ * @param {string} userId - Organizador que mescla
+ * @param {Object} kept - Cadastro mantido (como lido agora)
+ * @param {Object} merged - Cadastro removido
+ * @param {Object} profile - Dados cadastrais escolhidos
+ * @param {Object} attendance - Resultado de mergeAttendance(kept, merged)
+ * @returns {Object} Modificador do MongoDB
+ */
+const buildMergeModifier = (userId, kept, merged, profile, attendance) => {
+  const modifier = {
+    $set: {
+      updatedAt: new Date(),
+      updatedBy: userId,
+      mergedFrom: [...(kept.mergedFrom || []), merged._id],
+    },
+    // A ação registrada para o "desfazer" não vale mais depois da mesclagem
+    $unset: { lastAttendanceAction: '' },
+  };
+  Object.entries(profile).forEach(([key, value]) => {
+    if (value) {
+      modifier.$set[key] = value;
+    } else {
+      modifier.$unset[key] = '';
+    }
+  });
+  if (attendance.visits.length > 0) {
+    modifier.$set.visits = attendance.visits;
+    modifier.$set.checkInDate = attendance.checkInDate;
+    modifier.$set.checkOutDate = attendance.checkOutDate;
+  }
+  if (attendance.waitlistedAt) {
+    modifier.$set.waitlistedAt = attendance.waitlistedAt;
+  } else {
+    modifier.$unset.waitlistedAt = '';
+  }
+  // O crachá impresso do cadastro removido continua valendo se o mantido não tinha um
+  if (!kept.badgeToken && merged.badgeToken) {
+    modifier.$set.badgeToken = merged.badgeToken;
+  }
+  return modifier;
+};
+
+/**
+ * Methods da detecção e mesclagem de duplicados
+ */
+Meteor.methods(localizeMethods({
+  /**
+   * Método: duplicates.scan
+   *
+   * Procura duplicados no evento agora, sem esperar a varredura periódica
+   * (ex.: logo depois de uma importação).
+   *
+   * @param {string} communityId - ID da comunidade/evento
+   * @throws {Meteor.Error} - Se o ID for inválido ou o usuário não for organizador
+   * @returns {Object} - { pendingCount }
+   */
+  async 'duplicates.scan'(communityId) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.MANAGE_PEOPLE);
+
+    return { pendingCount: await scanCommunityForDuplicates(communityId) };
+  },
+
+  /**
+   * Método: duplicates.list
+   *
+   * Pares pendentes de revisão, do mais provável para o menos provável,
+   * com os dois cadastros completos para comparação.
+   *
+   * @param {string} communityId - ID da comunidade/evento
+   * @throws {Meteor.Error} - Se o ID for inválido ou o usuário não for organizador
+   * @returns {Object} - { candidates: [{ _id, score, reasons, people: [pessoa, pessoa] }], hasMore }
+   */
+  async 'duplicates.list'(communityId) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.MANAGE_PEOPLE);
+
+    const candidates = await DuplicateCandidates.find(
+      { communityId, status: DUPLICATE_STATUS.PENDING },
+      { sort: { score: -1, detectedAt: 1 }, limit: MAX_LISTED_CANDIDATES + 1 }
+    ).fetchAsync();
+    const listed = candidates.slice(0, MAX_LISTED_CANDIDATES);
+
+    const personIds = [...new Set(listed.flatMap((candidate) => candidate.personIds))];
+    const people = await People.find(
+      { _id: { $in: personIds } },
+      { fields: PERSON_DETAILS_HIDDEN_FIELDS }
+    ).fetchAsync();
+    const peopleById = new Map(people.map((person) => [person._id, person]));
+
+    return {
+      candidates: listed
+        .map(({ _id, score, reasons, personIds: pair }) => ({
+          _id,
+          score,
+          reasons,
+          people: pair.map((personId) => peopleById.get(personId)),
+        }))
+        // Pessoa removida desde a última varredura: o par some na próxima
+        .filter((candidate) => candidate.people.every(Boolean)),
+      hasMore: candidates.length > MAX_LISTED_CANDIDATES,
+    };
+  },
+
+  /**
+   * Método: duplicates.dismiss
+   *
+   * Marca o par como "não são a mesma pessoa". O par não volta nas
+   * próximas varreduras.
+   *
+   * @param {string} candidateId - ID do par
+   * @throws {Meteor.Error} - Se o par não existir, já tiver sido revisado ou o usuário não for organizador
+   * @returns {Object} - Objeto com status de sucesso e mensagem
+   */
+  async 'duplicates.dismiss'(candidateId) {
+    const candidate = await findPendingCandidate(this.userId, candidateId);
+
+    // Só um par ainda pendente pode ser descartado (outro organizador pode
+    // ter acabado de mesclá-lo)
+    const dismissed = await DuplicateCandidates.updateAsync(
+      { _id: candidate._id, status: DUPLICATE_STATUS.PENDING },
+      { $set: { status: DUPLICATE_STATUS.DISMISSED, resolvedBy: this.userId, resolvedAt: new Date() } }
+    );
+    if (dismissed === 0) {
+      throw createError('candidate-resolved', 'errors.candidateResolved');
+    }
+
+    return { success: true, message: { key: 'results.duplicateDismissed' } };
+  },
+
+  /**
+   * Método: duplicates.merge
+   *
+   * Mescla os dois cadastros do par em um só documento de `people`. O
+   * cadastro escolhido em `keepPersonId` é mantido (com o mesmo ID, o
+   * crachá e a origem); o outro é removido. Os dados cadastrais são os
+   * escolhidos em `values`, cada um vindo de um dos dois cadastros (as
+   * observações podem ser combinadas), e a presença é a junção das duas
+   * (veja mergeAttendance).
+   *
+   * Os dois cadastros recebem um registro no log de auditoria com os
+   * valores de antes, e o mantido guarda em `mergedFrom` os IDs absorvidos.
+   *
+   * Check-ins e check-outs feitos nos dois cadastros durante a mesclagem
+   * não se perdem: a presença do mantido é relida e juntada de novo, e uma
+   * mudança no removido devolve o par para a revisão.
+   *
+   * @param {Object} params
+   * @param {string} params.candidateId - ID do par
+   * @param {string} params.keepPersonId - ID do cadastro mantido (um dos dois do par)
+   * @param {Object} params.values - { firstName, lastName, companyName, title, notes }
+   * @throws {Meteor.Error} - Se o par já tiver sido revisado, os valores forem inválidos,
+   *                          a presença mudar durante a mesclagem ou o usuário não for organizador
+   * @returns {Object} - { success, message, personId, admitted }
+   */
+  async 'duplicates.merge'({ candidateId, keepPersonId, values } = {}) {
+    const candidate = await findPendingCandidate(this.userId, candidateId);
+    if (!candidate.personIds.includes(keepPersonId)) {
+      throw createError('invalid-argument', 'errors.chooseRecordToKeep');
+    }
+    const mergePersonId = candidate.personIds.find((personId) => personId !== keepPersonId);
+
+    const [kept, merged] = await Promise.all([
+      People.findOneAsync({ _id: keepPersonId }),
+      People.findOneAsync({ _id: mergePersonId }),
+    ]);
+    if (
+      !kept ||
+      !merged ||
+      kept.communityId !== candidate.communityId ||
+      merged.communityId !== candidate.communityId
+    ) {
+      await DuplicateCandidates.removeAsync({ _id: candidate._id });
+      throw createError('person-not-found', 'errors.mergedPersonMissing');
+    }
+
+    const keptValues = getProfileValues(kept);
+    const mergedValues = getProfileValues(merged);
+    const profile = { ...keptValues, ...normalizeProfileChanges(values) };
+    const [profileError] = validateProfileChanges(profile);
+    if (profileError) {
+      throw createError('invalid-argument', profileError.key, profileError.params);
+    }
+    // Nome, empresa e cargo vêm de um dos dois cadastros; as observações podem ser combinadas
+    const inventedFields = PROFILE_FIELDS.filter(
+      ({ key }) => key !== 'notes' && profile[key] !== keptValues[key] && profile[key] !== mergedValues[key]
+    );
+    if (inventedFields.length > 0) {
+      throw createError('invalid-argument', 'errors.mergeValueNotFromPair', {
+        fields: inventedFields.map(({ labelKey }) => ({ key: labelKey })),
+      });
+    }
+
+    // O par é reivindicado antes de mexer nos cadastros, numa única
+    // operação: se dois organizadores mesclarem o mesmo par ao mesmo tempo
+    // (cada um mantendo um cadastro diferente), só o primeiro continua e o
+    // outro recebe o erro, em vez de cada um apagar o cadastro do outro
+    const claimed = await DuplicateCandidates.updateAsync(
+      { _id: candidate._id, status: DUPLICATE_STATUS.PENDING },
+      {
+        $set: {
+          status: DUPLICATE_STATUS.MERGED,
+          keptPersonId: keepPersonId,
+          resolvedBy: this.userId,
+          resolvedAt: new Date(),
+        },
+      }
+    );
+    if (claimed === 0) {
+      throw createError('candidate-resolved', 'errors.candidateResolved');
+    }
+
+    // O cadastro removido sai primeiro: o token do crachá é único. A
+    // remoção só acontece se a presença dele ainda é a que foi lida; um
+    // check-in feito nele nesse meio-tempo devolve o par para a revisão
+    const removed = await People.removeAsync({ _id: mergePersonId, ...getAttendanceGuard(merged) });
+    if (removed === 0) {
+      if (await People.findOneAsync({ _id: mergePersonId }, { fields: { _id: 1 } })) {
+        await reopenCandidate(candidate._id);
+        throw createError('merge-conflict', 'errors.mergeConcurrentChange');
+      }
+      // Já tinha sido removido (mesclado em outro par): nada mais é alterado
+      await DuplicateCandidates.removeAsync({ _id: candidate._id });
+      throw createError('person-not-found', 'errors.mergedPersonMissing');
+    }
+
+    // O cadastro mantido é gravado com a presença que foi lida dele. Se um
+    // check-in, check-out ou "desfazer" chegou nele depois da leitura, a
+    // gravação não encontra o documento; a presença é lida de novo e a
+    // junção refeita. O removido não muda mais, então só o mantido é relido
+    let current = kept;
+    let attendance = null;
+    /* eslint-disable no-await-in-loop */
+    for (let attempt = 1; attempt <= MERGE_MAX_ATTEMPTS; attempt += 1) {
+      if (attempt > 1) {
+        current = await People.findOneAsync({ _id: keepPersonId });
+        if (!current) {
+          break;
+        }
+      }
+      attendance = mergeAttendance(current, merged);
+      const updated = await People.updateAsync(
+        { _id: keepPersonId, ...getAttendanceGuard(current) },
+        buildMergeModifier(this.userId, current, merged, profile, attendance)
+      );
+      if (updated > 0) {
+        break;
+      }
+      attendance = null;
+    }
+    /* eslint-enable no-await-in-loop */
+
+    // Sem gravação possível, o removido volta como estava e o par volta
+    // para a revisão: nenhum estado mesclado é gravado com dados antigos
+    if (!attendance) {
+      await People.insertAsync(merged);
+      await reopenCandidate(candidate._id);
+      throw createError('merge-conflict', 'errors.mergeConcurrentChange');
+    }
+    // Outros pares com o cadastro removido deixam de fazer sentido
+    await DuplicateCandidates.removeAsync({
+      communityId: candidate.communityId,
+      status: DUPLICATE_STATUS.PENDING,
+      personIds: mergePersonId,
+    });
+
+    const context = await getAuditContext(this, 'duplicates.merge');
+    const after = pickMergeAuditFields({ ...profile, ...attendance });
+    await recordAudit(context, {
+      action: AUDIT_ACTIONS.MERGE,
+      communityId: candidate.communityId,
+      personId: keepPersonId,
+      before: { ...pickMergeAuditFields(current), mergedPersonId: null },
+      after: { ...after, mergedPersonId: mergePersonId },
+    });
+    await recordAudit(context, {
+      action: AUDIT_ACTIONS.MERGE,
+      communityId: candidate.communityId,
+      personId: mergePersonId,
+      before: { ...pickMergeAuditFields(merged), mergedIntoPersonId: null },
+      after: { mergedIntoPersonId: keepPersonId },
+    });
+
+    // As duas cópias ocupavam vagas no evento; agora ocupam uma só
+    let admitted = [];
+    if (isPresent(current) && isPresent(merged)) {
+      await releaseSeats(candidate.communityId);
+      admitted = await admitFromWaitlist(context, candidate.communityId);
+    }
+
+    return {
+      success: true,
+      message: { key: 'results.duplicateMerged', params: { name: `${profile.firstName} ${profile.lastName}` } },
+      personId: keepPersonId,
+      admitted,
+    };
+  },
+}));
@@ -0,0 +1,137 @@
+// Importação do Meteor para methods, conexões e erros
+import { Meteor } from 'meteor/meteor';
+
+// Idiomas e catálogos compartilhados com o cliente
+import { DEFAULT_LOCALE, LOCALES, isMessageReference, translate } from '../i18n/i18n';
+
+/**
+ * Idioma escolhido em cada conexão (DDP), informado pelo cliente com o
+ * method i18n.setLocale. Fica só em memória: ao reconectar, o cliente
+ * informa o idioma de novo.
+ */
+const connectionLocales = new Map();
+
+Meteor.onConnection((connection) => {
+  connection.onClose(() => connectionLocales.delete(connection.id));
+});
+
+/**
+ * FUNÇÃO: getConnectionLocale
+ *
+ * @param {Object|null} connection - this.connection do method (null em chamadas do servidor)
+ * @returns {string} Idioma da conexão ou DEFAULT_LOCALE
+ */
+export const getConnectionLocale = (connection) =>
+  (connection && connectionLocales.get(connection.id)) || DEFAULT_LOCALE;
+
+/**
+ * FUNÇÃO: createError
+ *
+ * Cria um Meteor.Error cujo motivo vem do catálogo de mensagens. O motivo
+ * sai no idioma padrão (é o que aparece nos logs e em chamadas feitas pelo
+ * próprio servidor); a chave e os parâmetros ficam guardados no erro para
+ * localizeMethods traduzi-lo para o idioma de quem chamou o method.
+ *
+ * @param {string} code - Código do erro (ex.: 'person-not-found')
+ * @param {string} key - Chave da mensagem em 'errors' (ex.: 'errors.personNotFound')
+ * @param {Object} [params] - Parâmetros da mensagem
+ * @param {Object} [details] - Detalhes enviados ao cliente junto com o erro
+ * @returns {Meteor.Error} Erro pronto para ser lançado
+ */
+export const createError = (code, key, params = {}, details = undefined) => {
+  const error = new Meteor.Error(code, translate(DEFAULT_LOCALE, key, params), details);
+  // Propriedade extra: não é enviada ao cliente pelo DDP
+  error.i18n = { key, params };
+  return error;
+};
+
+/**
+ * FUNÇÃO: localizeError
+ *
+ * Devolve o erro com o motivo no idioma pedido. Erros que não vieram de
+ * createError (ex.: falhas inesperadas do banco) são devolvidos sem
+ * alteração.
+ *
+ * @param {Error} error - Erro lançado
+ * @param {string} locale - Valor de LOCALES
+ * @returns {Error} Erro traduzido
+ */
+export const localizeError = (error, locale) => {
+  if (!error || !error.i18n || locale === DEFAULT_LOCALE) {
+    return error;
+  }
+  const { key, params } = error.i18n;
+  const localized = new Meteor.Error(error.error, translate(locale, key, params), error.details);
+  localized.i18n = error.i18n;
+  return localized;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: localizeResult
+ *
+ * Traduz a mensagem de sucesso devolvida por um method. Os methods e as
+ * funções que eles chamam (ex.: checkInPerson) não conhecem a conexão, então
+ * devolvem `message` como referência { key, params } ao catálogo, da
+ * mesma forma que os erros guardam a chave em createError.
+ *
+ * @param {*} result - Valor devolvido pelo method
+ * @param {string} locale - Valor de LOCALES
+ * @returns {*} O mesmo resultado, com `message` traduzida
+ */
+const localizeResult = (result, locale) => {
+  if (!result || typeof result !== 'object' || !isMessageReference(result.message)) {
+    return result;
+  }
+  return { ...result, message: translate(locale, result.message.key, result.message.params) };
+};
+
+/**
+ * FUNÇÃO: localizeMethods
+ *
+ * Envolve cada method de um objeto passado a Meteor.methods para que os
+ * erros e as mensagens de sucesso cheguem ao cliente no idioma escolhido
+ * na conexão.
+ *
+ * @param {Object} methods - { nome: função } como em Meteor.methods
+ * @returns {Object} Os mesmos methods, com erros e mensagens traduzidos
+ */
+export const localizeMethods = (methods) =>
+  Object.fromEntries(
+    Object.entries(methods).map(([name, handler]) => [
+      name,
+      async function localizedMethod(...args) {
+        const locale = getConnectionLocale(this.connection);
+        try {
+          return localizeResult(await handler.apply(this, args), locale);
+        } catch (error) {
+          throw localizeError(error, locale);
+        }
+      },
+    ])
+  );
+
+/**
+ * Methods de idioma
+ */
+Meteor.methods({
+  /**
+   * Método: i18n.setLocale
+   *
+   * Guarda o idioma escolhido na interface para traduzir os erros e as
+   * mensagens dos methods chamados por esta conexão. Não exige login: a
+   * tela de login também é traduzida.
+   *
+   * @param {string} locale - Valor de LOCALES
+   * @throws {Meteor.Error} - Se o idioma não for suportado
+   * @returns {string} Idioma guardado
+   */
+  async 'i18n.setLocale'(locale) {
+    if (!Object.values(LOCALES).includes(locale)) {
+      throw createError('invalid-argument', 'errors.invalidLocale');
+    }
+    if (this.connection) {
+      connectionLocales.set(this.connection.id, locale);
+    }
+    return locale;
+  },
+});
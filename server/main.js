@@ -1,9 +1,41 @@
 import { Meteor } from 'meteor/meteor';
 import { loadInitialData } from '../infra/initial-data';
+import { People } from '../people/people';
+import { AuditLog } from '../audit/audit-log';
+import { DuplicateCandidates } from '../people/duplicates';
+
+// Registro dos methods e publications do servidor
+// Como o package.json define um mainModule, somente arquivos importados são carregados
+import { ensureInitialOrganizer } from './accounts';
+import './attendance-export';
+import './attendance-history';
+import './audit';
+import './communities';
+import { startDuplicateScanJob } from './duplicates';
+import './i18n';
+import { syncPresentCounts } from './methods';
+import './people-import';
+import './publications';
 
 Meteor.startup(async () => {
   // DON'T CHANGE THE NEXT LINE
   await loadInitialData();
 
   // YOU CAN DO WHATEVER YOU WANT HERE
+  await ensureInitialOrganizer();
+
+  // Contador de presentes de cada evento, usado para reservar vagas no check-in
+  await syncPresentCounts();
+
+  // Busca de crachás pelo token lido no QR code (tokens são únicos)
+  await People.createIndexAsync({ badgeToken: 1 }, { unique: true, sparse: true });
+
+  // Consultas do log de auditoria: sempre por evento, das mais recentes para as mais antigas
+  await AuditLog.createIndexAsync({ communityId: 1, createdAt: -1 });
+
+  // Um documento por par de pessoas; a varredura atualiza o par pela chave
+  await DuplicateCandidates.createIndexAsync({ communityId: 1, pairKey: 1 }, { unique: true });
+
+  // Procura cadastros duplicados em todos os eventos periodicamente
+  startDuplicateScanJob();
 });
@@ -2,10 +2,793 @@
 // O Meteor.methods permite criar funções que podem ser chamadas do cliente de forma segura
 import { Meteor } from 'meteor/meteor';
 
+// Conferência do formato dos parâmetros recebidos do cliente
+import { Match } from 'meteor/check';
+
+// Gerador de números aleatórios do Node, usado nos tokens dos crachás
+import { randomBytes } from 'crypto';
+
 // Importação da collection People para manipular os dados dos participantes
 // Esta collection contém todos os participantes registrados nos eventos
 import { People } from '../people/people';
 
+// Collection de eventos, consultada para saber a capacidade máxima e o intervalo de check-out
+import { Communities } from '../communities/communities';
+
+// Funções do histórico de visitas (compartilhadas com o cliente)
+// Usadas para reconstruir o histórico de documentos antigos antes de alterá-lo
+import {
+  UNDO_WINDOW_SECONDS,
+  getCheckOutCooldownSeconds,
+  getVisits,
+  isPresent,
+} from '../people/attendance';
+
+// Leitura do texto gravado no QR code dos crachás
+import { parseBadgeCode } from '../people/badges';
+
+// Cadastro de walk-ins: mesmos campos e validações da importação por CSV
+import {
+  getDuplicateKey,
+  normalizeImportedPerson,
+  validateImportedPerson,
+} from '../people/people-import';
+import { WALK_IN_SOURCE } from '../people/walk-ins';
+
+// Edição dos dados cadastrais pela gaveta de detalhes
+import {
+  PROFILE_FIELDS,
+  findProfileConflicts,
+  getProfileValues,
+  normalizeProfileChanges,
+  validateProfileChanges,
+} from '../people/person-profile';
+
+// Ações feitas sem conexão e enviadas quando a conexão volta
+import {
+  MAX_OFFLINE_ACTIONS,
+  OFFLINE_ACTION_TYPES,
+  getLastAttendanceChange,
+  validateOfflineAction,
+} from '../people/offline-actions';
+import { PEOPLE_LIST_FIELDS } from '../people/people-search';
+
+// Controle de acesso: apenas organizadores e recepção podem fazer check-in/check-out
+import { PERMISSIONS } from '../roles/roles';
+import { assertPermission } from './authorization';
+
+// Erros com o motivo no idioma escolhido pela recepção
+import { createError, getConnectionLocale, localizeError, localizeMethods } from './i18n';
+
+// Log de auditoria: cada alteração de presença é registrada com autor, method e IP
+import { AUDIT_ACTIONS } from '../audit/audit-log';
+import { getAuditContext, pickAttendanceFields, recordAudit } from './audit';
+
+/**
+ * CONSTANTE: CLIENT_TIME_TOLERANCE_SECONDS
+ *
+ * Diferença máxima aceita entre o horário enviado pelo aparelho da recepção
+ * e o relógio do servidor. Configurável em Meteor.settings.clientTimeToleranceSeconds.
+ */
+const CLIENT_TIME_TOLERANCE_SECONDS = Meteor.settings.clientTimeToleranceSeconds || 120;
+
+/**
+ * CONSTANTE: OFFLINE_ACTION_MAX_AGE_HOURS
+ *
+ * Idade máxima de uma ação feita offline quando ela chega ao servidor.
+ * Ações mais antigas são recusadas, para que a sincronização não sirva
+ * para registrar presença em qualquer data do passado. Configurável em
+ * Meteor.settings.offlineActionMaxAgeHours.
+ */
+const OFFLINE_ACTION_MAX_AGE_HOURS = Meteor.settings.offlineActionMaxAgeHours || 24;
+
+/**
+ * FUNÇÃO AUXILIAR: resolveActionTime
+ *
+ * Define o horário de uma entrada/saída. Sem horário do cliente, vale o
+ * relógio do servidor. Com ele, o horário do cliente é usado (é quando a
+ * pessoa realmente passou pela porta) desde que esteja dentro da tolerância;
+ * o horário do servidor é guardado junto, como o momento do registro.
+ *
+ * @param {Date} [clientTimestamp] - Horário informado pelo aparelho
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeHours] - Aceita horários até essa idade (ações feitas offline,
+ *                                         enviadas muito depois); horários no futuro
+ *                                         continuam limitados pela tolerância
+ * @returns {Object} { occurredAt, recordedAt }
+ * @throws {Meteor.Error} - 'invalid-timestamp' se o horário for inválido, fora da tolerância
+ *                          ou mais antigo que maxAgeHours
+ */
+const resolveActionTime = (clientTimestamp, { maxAgeHours = null } = {}) => {
+  const recordedAt = new Date();
+  if (clientTimestamp === undefined || clientTimestamp === null) {
+    return { occurredAt: recordedAt, recordedAt };
+  }
+
+  if (!(clientTimestamp instanceof Date) || Number.isNaN(clientTimestamp.getTime())) {
+    throw createError('invalid-timestamp', 'errors.invalidTimestamp');
+  }
+
+  // Positivo: relógio do aparelho adiantado; negativo: atrasado (ou ação enviada com atraso)
+  const skewSeconds = (clientTimestamp - recordedAt) / 1000;
+  const isTooLate = skewSeconds > CLIENT_TIME_TOLERANCE_SECONDS;
+  const isTooEarly = maxAgeHours === null && -skewSeconds > CLIENT_TIME_TOLERANCE_SECONDS;
+  if (isTooLate || isTooEarly) {
+    throw createError('invalid-timestamp', 'errors.clockSkew', {
+      skew: Math.round(Math.abs(skewSeconds)),
+      tolerance: CLIENT_TIME_TOLERANCE_SECONDS,
+    });
+  }
+  if (maxAgeHours !== null && -skewSeconds > maxAgeHours * 60 * 60) {
+    throw createError('invalid-timestamp', 'errors.offlineActionTooOld', { count: maxAgeHours });
+  }
+
+  return { occurredAt: clientTimestamp, recordedAt };
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getClientTimestamp
+ *
+ * Lê o horário do aparelho das opções de people.checkIn/people.checkOut.
+ * As opções podem faltar (undefined ou null); quando vêm, precisam ser um
+ * objeto. Outro tipo vira um erro traduzido, e não um TypeError do servidor.
+ *
+ * @param {Object|null} [options] - { clientTimestamp }
+ * @returns {Date|undefined} Horário informado pelo aparelho
+ * @throws {Meteor.Error} - 'invalid-argument' se as opções não forem um objeto
+ */
+const getClientTimestamp = (options) => {
+  if (!Match.test(options, Match.Maybe(Object))) {
+    throw createError('invalid-argument', 'errors.invalidOptions');
+  }
+  return options ? options.clientTimestamp : undefined;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: buildLastAttendanceAction
+ *
+ * Monta o registro da última ação de presença, guardado no próprio documento
+ * da pessoa em `lastAttendanceAction`. Ele contém o estado anterior à ação
+ * para que o method people.undo consiga restaurá-lo, inclusive a posição
+ * na lista de espera (o check-in tira a pessoa da fila).
+ *
+ * @param {string} type - 'checkIn' ou 'checkOut'
+ * @param {string} userId - Usuário que executou a ação
+ * @param {Object} person - Documento da pessoa antes da ação
+ * @param {Date} performedAt - Momento da ação
+ * @returns {Object} Registro da última ação
+ */
+const buildLastAttendanceAction = (type, userId, person, performedAt) => ({
+  type,
+  userId,
+  performedAt,
+  previous: {
+    checkInDate: person.checkInDate || null,
+    checkOutDate: person.checkOutDate || null,
+    visits: getVisits(person),
+    waitlistedAt: person.waitlistedAt || null,
+  },
+});
+
+/**
+ * CONSTANTE: NOT_PRESENT_SELECTOR
+ *
+ * Pessoas fora do evento: nunca entraram ou já saíram. Usado no seletor do
+ * check-in para que duas portas não registrem a mesma entrada.
+ */
+const NOT_PRESENT_SELECTOR = { $or: [{ checkInDate: null }, { checkOutDate: { $ne: null } }] };
+
+/**
+ * FUNÇÃO AUXILIAR: countPresent
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<number>} Quantas pessoas estão no evento agora
+ */
+const countPresent = (communityId) =>
+  People.find({ communityId, checkInDate: { $ne: null }, checkOutDate: null }).countAsync();
+
+/**
+ * FUNÇÃO AUXILIAR: reserveSeat
+ *
+ * Ocupa uma vaga no contador de presentes do evento (`presentCount` no
+ * documento da comunidade). A conferência da capacidade e o incremento são
+ * uma única operação no banco, então check-ins simultâneos em várias portas
+ * não passam do limite: só um deles fica com a última vaga.
+ *
+ * Eventos sem capacidade também contam, para o contador já estar certo se
+ * um limite for definido depois.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<boolean>} true se a vaga foi ocupada; false com o evento lotado
+ */
+const reserveSeat = async (communityId) => {
+  const reserved = await Communities.updateAsync(
+    {
+      _id: communityId,
+      $or: [
+        { capacity: null },
+        { $expr: { $lt: [{ $ifNull: ['$presentCount', 0] }, '$capacity'] } },
+      ],
+    },
+    { $inc: { presentCount: 1 } }
+  );
+  return reserved > 0;
+};
+
+/**
+ * FUNÇÃO: releaseSeats
+ *
+ * Devolve vagas ao contador de presentes (saída, check-in desfeito,
+ * mesclagem de cadastros). O contador nunca fica negativo.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {number} [count=1] - Quantas vagas foram liberadas
+ */
+export const releaseSeats = async (communityId, count = 1) => {
+  if (count <= 0) {
+    return;
+  }
+  await Communities.updateAsync(
+    { _id: communityId, presentCount: { $gte: count } },
+    { $inc: { presentCount: -count } }
+  );
+};
+
+/**
+ * FUNÇÃO: syncPresentCounts
+ *
+ * Recalcula o contador de presentes de cada evento a partir das pessoas.
+ * Chamada na inicialização do servidor, para corrigir um contador que
+ * tenha ficado diferente (ex.: servidor parado entre reservar a vaga e
+ * registrar o check-in).
+ */
+export const syncPresentCounts = async () => {
+  const communities = await Communities.find({}, { fields: { _id: 1 } }).fetchAsync();
+  await Promise.all(
+    communities.map(async ({ _id }) =>
+      Communities.updateAsync({ _id }, { $set: { presentCount: await countPresent(_id) } })
+    )
+  );
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getCommunityCapacity
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<number|null>} Capacidade máxima ou null se o evento não tem limite
+ */
+const getCommunityCapacity = async (communityId) => {
+  const community = await Communities.findOneAsync(
+    { _id: communityId },
+    { fields: { capacity: 1 } }
+  );
+  return (community && community.capacity) || null;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getCommunityCheckOutCooldown
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<number>} Intervalo mínimo entre check-in e check-out do evento, em segundos
+ */
+const getCommunityCheckOutCooldown = async (communityId) =>
+  getCheckOutCooldownSeconds(
+    await Communities.findOneAsync({ _id: communityId }, { fields: { checkOutCooldownSeconds: 1 } })
+  );
+
+/**
+ * FUNÇÃO AUXILIAR: assertCapacityAvailable
+ *
+ * Limite de lotação do local: ocupa uma vaga para a pessoa (reserveSeat).
+ * Com o evento cheio, o check-in é recusado e a pessoa entra na lista de
+ * espera (campo `waitlistedAt`, que define a ordem da fila). Quem já está
+ * na fila mantém a posição original.
+ *
+ * Quem chama fica responsável pela vaga ocupada: se o check-in não for
+ * registrado, ela deve ser devolvida com releaseSeats.
+ *
+ * @param {Object} context - Contexto de auditoria (getAuditContext)
+ * @param {Object} person - Documento da pessoa que quer entrar
+ * @param {Object} [options]
+ * @param {boolean} [options.joinWaitlist=true] - false nas admissões da própria lista de espera
+ * @throws {Meteor.Error} - 'capacity-reached' com a posição na lista de espera
+ */
+const assertCapacityAvailable = async (context, person, { joinWaitlist = true } = {}) => {
+  if (await reserveSeat(person.communityId)) {
+    return;
+  }
+
+  const capacity = await getCommunityCapacity(person.communityId);
+  if (!joinWaitlist) {
+    throw createError('capacity-reached', 'errors.eventFull', { capacity });
+  }
+
+  const waitlistedAt = person.waitlistedAt || new Date();
+  if (!person.waitlistedAt) {
+    // Só registra na auditoria se esta chamada colocou a pessoa na fila
+    const updated = await People.updateAsync(
+      { _id: person._id, waitlistedAt: { $exists: false } },
+      { $set: { waitlistedAt } }
+    );
+    if (updated > 0) {
+      await recordAudit(context, {
+        action: AUDIT_ACTIONS.WAITLIST_ADD,
+        communityId: person.communityId,
+        personId: person._id,
+        before: pickAttendanceFields(person),
+        after: pickAttendanceFields({ ...person, waitlistedAt }),
+      });
+    }
+  }
+
+  const position = await People.find({
+    communityId: person.communityId,
+    waitlistedAt: { $lte: waitlistedAt },
+  }).countAsync();
+
+  throw createError('capacity-reached', 'errors.capacityReached', {
+    capacity,
+    name: `${person.firstName} ${person.lastName}`,
+    position,
+  });
+};
+
+/**
+ * FUNÇÃO AUXILIAR: checkInPerson
+ * 
+ * Responsável por realizar o check-in de um participante em um evento.
+ * Quando executado, abre uma nova visita no histórico (`visits`) com a
+ * data/hora da entrada (veja resolveActionTime) e atualiza
+ * checkInDate/checkOutDate para refletir essa visita. As visitas
+ * anteriores são preservadas, então uma pessoa que sai e volta mantém
+ * todo o seu histórico de entradas e saídas.
+ * 
+ * Se o evento tem capacidade máxima e está lotado, a pessoa vai para a
+ * lista de espera (veja assertCapacityAvailable). A vaga é ocupada antes
+ * do registro da entrada e devolvida se a entrada não for registrada.
+ * 
+ * @param {Object} context - Contexto de auditoria do method (getAuditContext), com o usuário que executa a ação
+ * @param {string} personId - ID único da pessoa que está fazendo check-in
+ * @param {Object} [options]
+ * @param {boolean} [options.fromWaitlist=false] - Admissão da lista de espera (sem vaga, a pessoa continua na fila)
+ * @param {Date} [options.clientTimestamp] - Horário da entrada informado pelo aparelho
+ * @param {number} [options.maxTimestampAgeHours] - Idade máxima aceita para o horário (ação feita offline)
+ * @throws {Meteor.Error} - Se personId não for uma string válida, se a pessoa não for encontrada,
+ *                          se o usuário não tiver permissão no evento da pessoa, se o horário for
+ *                          inválido ou anterior à última saída, ou se o evento estiver lotado
+ * @returns {Object} - Objeto com status de sucesso e mensagem
+ */
+const checkInPerson = async (
+  context,
+  personId,
+  { fromWaitlist = false, clientTimestamp = null, maxTimestampAgeHours = null } = {}
+) => {
+  // Validação de entrada: verifica se personId é uma string
+  // Esta validação é importante para segurança e prevenção de erros
+  if (typeof personId !== 'string') {
+    throw createError('invalid-argument', 'errors.invalidPersonId');
+  }
+
+  // Validação adicional: verifica se a string não está vazia
+  // Uma string vazia não é um ID válido do MongoDB
+  if (!personId.trim()) {
+    throw createError('invalid-argument', 'errors.emptyPersonId');
+  }
+
+  const { occurredAt: checkInDate, recordedAt } = resolveActionTime(clientTimestamp, {
+    maxAgeHours: maxTimestampAgeHours,
+  });
+
+  try {
+    // Verifica se a pessoa existe antes de fazer o check-in
+    // Isso garante que não tentamos fazer check-in de pessoas inexistentes
+    const person = await People.findOneAsync({ _id: personId });
+    
+    if (!person) {
+      throw createError('person-not-found', 'errors.personNotFound');
+    }
+
+    // Autorização: o papel do usuário é verificado no evento da pessoa
+    await assertPermission(context.userId, person.communityId, PERMISSIONS.CHECK_IN);
+
+    // Uma pessoa que já está no evento não pode entrar de novo
+    // Sem esta verificação a visita em aberto ficaria sem check-out para sempre
+    if (isPresent(person)) {
+      throw createError('already-checked-in', 'errors.alreadyCheckedIn');
+    }
+
+    // As visitas ficam em ordem: a nova entrada não pode ser anterior à última saída
+    if (person.checkOutDate && checkInDate < person.checkOutDate) {
+      throw createError('check-in-before-check-out', 'errors.checkInBeforeCheckOut');
+    }
+
+    await assertCapacityAvailable(context, person, { joinWaitlist: !fromWaitlist });
+
+    // Histórico atual + nova visita em aberto
+    // getVisits reconstrói a visita de documentos que ainda não têm o array `visits`
+    // checkInRecordedAt: quando o servidor recebeu a entrada (pode diferir do horário do aparelho)
+    const visits = [
+      ...getVisits(person),
+      { checkInDate, checkInRecordedAt: recordedAt, checkOutDate: null },
+    ];
+
+    // Atualização do documento na collection People usando o método updateAsync (Meteor 3)
+    // O método updateAsync é assíncrono e devolve quantos documentos foram alterados
+    // A vaga já está ocupada: se nada for alterado (ou der erro), ela é devolvida
+    let updated = 0;
+    try {
+      updated = await People.updateAsync(
+        // Seletor: o documento com o _id correspondente ao personId, se a pessoa
+        // ainda estiver fora do evento (outra porta pode ter registrado a entrada)
+        { _id: personId, ...NOT_PRESENT_SELECTOR },
+      
+        // Operador $set: define/atualiza os campos especificados
+        {
+          $set: {
+            // checkInDate: registra a data e hora exatas do check-in
+            checkInDate,
+          
+            // checkOutDate: define como null para limpar qualquer check-out anterior
+            // Isso garante que a pessoa apareça como "presente" no evento
+            checkOutDate: null,
+
+            // visits: histórico completo de entradas e saídas
+            visits,
+
+            // lastAttendanceAction: permite desfazer este check-in (people.undo)
+            lastAttendanceAction: buildLastAttendanceAction('checkIn', context.userId, person, recordedAt),
+          },
+
+          // Quem entra sai da lista de espera
+          $unset: { waitlistedAt: '' },
+        }
+      );
+    } finally {
+      if (updated === 0) {
+        await releaseSeats(person.communityId);
+      }
+    }
+
+    // Verifica se a atualização foi bem-sucedida
+    // updated indica quantos documentos foram modificados
+    if (updated === 0) {
+      throw createError('update-failed', 'errors.updateFailed');
+    }
+
+    // Registro no log de auditoria
+    await recordAudit(context, {
+      action: fromWaitlist ? AUDIT_ACTIONS.WAITLIST_ADMIT : AUDIT_ACTIONS.CHECK_IN,
+      communityId: person.communityId,
+      personId,
+      before: pickAttendanceFields(person),
+      after: pickAttendanceFields({ checkInDate, checkOutDate: null, visits }),
+    });
+
+    // Retorna sucesso se a operação foi concluída
+    // A mensagem é traduzida por localizeMethods no idioma de quem chamou
+    return { success: true, message: { key: 'results.checkedIn' } };
+    
+  } catch (error) {
+    // Captura e relança erros específicos do Meteor
+    if (error instanceof Meteor.Error) {
+      throw error;
+    }
+    
+    // Para outros tipos de erro, cria um erro genérico do Meteor
+    throw createError('database-error', 'errors.checkInFailed', { message: error.message });
+  }
+};
+
+/**
+ * FUNÇÃO AUXILIAR: checkOutPerson  
+ * 
+ * Responsável por realizar o check-out de um participante que já fez check-in.
+ * Registra a data/hora da saída (veja resolveActionTime), tanto em
+ * checkOutDate quanto na visita em aberto do histórico (`visits`).
+ * O participante deve ter feito check-in previamente para poder fazer check-out,
+ * e só depois do intervalo mínimo definido no evento (checkOutCooldownSeconds).
+ * 
+ * @param {Object} context - Contexto de auditoria do method (getAuditContext), com o usuário que executa a ação
+ * @param {string} personId - ID único da pessoa que está fazendo check-out
+ * @param {Object} [options]
+ * @param {Date} [options.clientTimestamp] - Horário da saída informado pelo aparelho
+ * @param {number} [options.maxTimestampAgeHours] - Idade máxima aceita para o horário (ação feita offline)
+ * @throws {Meteor.Error} - Se personId não for uma string válida, se a pessoa não for encontrada,
+ *                          se o usuário não tiver permissão no evento da pessoa, se o horário
+ *                          for inválido ou anterior ao check-in, ou 'check-out-too-soon' se o
+ *                          intervalo mínimo do evento ainda não passou
+ * @returns {Object} - Objeto com status de sucesso, mensagem e o evento da pessoa (communityId),
+ *                     usado para chamar a próxima pessoa da lista de espera
+ */
+const checkOutPerson = async (
+  context,
+  personId,
+  { clientTimestamp = null, maxTimestampAgeHours = null } = {}
+) => {
+  // Validação de entrada: verifica se personId é uma string
+  // Mesma validação do método checkIn para consistência
+  if (typeof personId !== 'string') {
+    throw createError('invalid-argument', 'errors.invalidPersonId');
+  }
+
+  // Validação adicional: verifica se a string não está vazia
+  if (!personId.trim()) {
+    throw createError('invalid-argument', 'errors.emptyPersonId');
+  }
+
+  const { occurredAt: checkOutDate, recordedAt } = resolveActionTime(clientTimestamp, {
+    maxAgeHours: maxTimestampAgeHours,
+  });
+
+  try {
+    // Busca primeiro a pessoa para verificar se ela fez check-in
+    // Isso garante que só pessoas que fizeram check-in possam fazer check-out
+    const person = await People.findOneAsync({ _id: personId });
+    
+    if (!person) {
+      throw createError('person-not-found', 'errors.personNotFound');
+    }
+
+    // Autorização: mesma regra do check-in
+    await assertPermission(context.userId, person.communityId, PERMISSIONS.CHECK_IN);
+
+    // Verifica se a pessoa fez check-in antes de permitir check-out
+    // Uma pessoa só pode sair se tiver entrado primeiro
+    if (!person.checkInDate) {
+      throw createError('invalid-operation', 'errors.checkOutWithoutCheckIn');
+    }
+
+    // Verifica se a pessoa já fez check-out
+    // Previne múltiplos check-outs para a mesma entrada
+    if (person.checkOutDate) {
+      throw createError('already-checked-out', 'errors.alreadyCheckedOut');
+    }
+
+    // Uma visita não pode terminar antes de começar
+    if (checkOutDate < person.checkInDate) {
+      throw createError('check-out-before-check-in', 'errors.checkOutBeforeCheckIn');
+    }
+
+    // Intervalo mínimo do evento: o check-out só é liberado algum tempo depois
+    // do check-in. A lista mostra a mesma contagem regressiva; aqui a regra vale
+    // para qualquer caminho (botão, lote, leitura de crachá e fila offline)
+    const cooldownSeconds = await getCommunityCheckOutCooldown(person.communityId);
+    const secondsSinceCheckIn = (checkOutDate - person.checkInDate) / 1000;
+    if (secondsSinceCheckIn < cooldownSeconds) {
+      throw createError(
+        'check-out-too-soon',
+        'errors.checkOutTooSoon',
+        { seconds: cooldownSeconds },
+        { remainingSeconds: Math.ceil(cooldownSeconds - secondsSinceCheckIn) }
+      );
+    }
+
+    // Fecha a última visita do histórico (a que está em aberto)
+    const visits = getVisits(person).map((visit, index, allVisits) =>
+      index === allVisits.length - 1
+        ? { ...visit, checkOutDate, checkOutRecordedAt: recordedAt }
+        : visit
+    );
+
+    // Atualização do documento para registrar o check-out
+    const updated = await People.updateAsync(
+      // Seletor: o documento com o _id correspondente, se a visita lida acima
+      // ainda estiver em aberto (evita devolver a mesma vaga duas vezes)
+      { _id: personId, checkInDate: person.checkInDate, checkOutDate: null },
+      
+      // Operador $set: atualiza checkOutDate e o histórico de visitas
+      {
+        $set: {
+          // checkOutDate: registra a data e hora exatas do check-out
+          checkOutDate,
+
+          // visits: histórico com a visita atual encerrada
+          visits,
+
+          // lastAttendanceAction: permite desfazer este check-out (people.undo)
+          lastAttendanceAction: buildLastAttendanceAction('checkOut', context.userId, person, recordedAt),
+        },
+      }
+    );
+
+    // Verifica se a atualização foi bem-sucedida
+    if (updated === 0) {
+      throw createError('update-failed', 'errors.updateFailed');
+    }
+
+    // A vaga fica livre para a lista de espera
+    await releaseSeats(person.communityId);
+
+    // Registro no log de auditoria
+    await recordAudit(context, {
+      action: AUDIT_ACTIONS.CHECK_OUT,
+      communityId: person.communityId,
+      personId,
+      before: pickAttendanceFields(person),
+      after: pickAttendanceFields({ ...person, checkOutDate, visits }),
+    });
+
+    // Retorna sucesso se a operação foi concluída
+    return {
+      success: true,
+      message: { key: 'results.checkedOut' },
+      communityId: person.communityId,
+    };
+    
+  } catch (error) {
+    // Captura e relança erros específicos do Meteor
+    if (error instanceof Meteor.Error) {
+      throw error;
+    }
+    
+    // Para outros tipos de erro, cria um erro genérico do Meteor
+    throw createError('database-error', 'errors.checkOutFailed', { message: error.message });
+  }
+};
+
+/**
+ * FUNÇÃO: admitFromWaitlist
+ *
+ * Admite pessoas da lista de espera, na ordem de chegada, enquanto houver
+ * vaga. É chamada depois de cada saída e quando o organizador aumenta ou
+ * remove a capacidade do evento. A admissão é registrada como um check-in
+ * feito pelo usuário que liberou a vaga.
+ *
+ * @param {Object} context - Contexto de auditoria do method cuja ação liberou vagas
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludePersonIds=[]] - Pessoas da fila que não
+ *   devem ser admitidas agora (ex.: quem acabou de voltar para a fila)
+ * @returns {Promise<Array<Object>>} Pessoas admitidas: [{ _id, firstName, lastName }]
+ */
+export const admitFromWaitlist = async (context, communityId, { excludePersonIds = [] } = {}) => {
+  const admitted = [];
+  const findNext = () =>
+    People.findOneAsync(
+      { communityId, waitlistedAt: { $exists: true }, _id: { $nin: excludePersonIds } },
+      { sort: { waitlistedAt: 1 }, fields: { firstName: 1, lastName: 1, waitlistedAt: 1 } }
+    );
+
+  // Sequencial de propósito: cada admissão ocupa uma vaga (reserveSeat, no
+  // check-in) antes de a próxima pessoa da fila ser chamada; sem vaga, o
+  // check-in falha com 'capacity-reached' e a fila para
+  /* eslint-disable no-await-in-loop */
+  let next = await findNext();
+  while (next) {
+    try {
+      await checkInPerson(context, next._id, { fromWaitlist: true });
+      admitted.push(next);
+    } catch (error) {
+      // Quem já entrou por outro caminho sai da fila para não bloquear as
+      // pessoas atrás; qualquer outro erro deixa a fila como está
+      if (error.error !== 'already-checked-in') {
+        break;
+      }
+      await People.updateAsync({ _id: next._id }, { $unset: { waitlistedAt: '' } });
+      await recordAudit(context, {
+        action: AUDIT_ACTIONS.WAITLIST_REMOVE,
+        communityId,
+        personId: next._id,
+        before: { waitlistedAt: next.waitlistedAt },
+        after: { waitlistedAt: null },
+      });
+    }
+    next = await findNext();
+  }
+  /* eslint-enable no-await-in-loop */
+
+  return admitted;
+};
+
+/**
+ * CONSTANTE: MAX_BATCH_SIZE
+ *
+ * Quantidade máxima de pessoas processadas em uma única ação em lote.
+ */
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * FUNÇÃO AUXILIAR: runBatch
+ *
+ * Executa uma ação pessoa a pessoa e coleta o resultado de cada uma, sem
+ * interromper o lote quando alguém falha. Assim a interface consegue
+ * informar exatamente quem entrou/saiu e quem não pôde ser processado.
+ *
+ * @param {Array<string>} personIds - IDs das pessoas
+ * @param {Function} action - async (personId) => resultado da ação individual
+ * @param {string} locale - Idioma dos motivos das falhas (o da conexão que chamou o lote)
+ * @returns {Promise<Object>} - { results: [{ personId, success, error, reason }], successCount, failureCount }
+ */
+const runBatch = async (personIds, action, locale) => {
+  const results = [];
+
+  // Sequencial de propósito: cada ação lê e grava a mesma pessoa, e um lote
+  // com IDs repetidos não pode gerar duas visitas abertas
+  for (const personId of personIds) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await action(personId);
+      results.push({ personId, success: true });
+    } catch (error) {
+      results.push({
+        personId,
+        success: false,
+        error: error.error || 'unknown-error',
+        reason: localizeError(error, locale).reason || error.message,
+      });
+    }
+  }
+
+  const successCount = results.filter((result) => result.success).length;
+  return { results, successCount, failureCount: results.length - successCount };
+};
+
+/**
+ * FUNÇÃO AUXILIAR: validatePersonIds
+ *
+ * Valida a lista de IDs recebida pelos methods em lote e remove repetidos.
+ *
+ * @param {Array<string>} personIds - IDs enviados pelo cliente
+ * @returns {Array<string>} IDs únicos
+ * @throws {Meteor.Error} - Se a lista for inválida, vazia ou grande demais
+ */
+const validatePersonIds = (personIds) => {
+  if (!Array.isArray(personIds) || personIds.length === 0) {
+    throw createError('invalid-argument', 'errors.noPeopleSelected');
+  }
+  if (personIds.some((personId) => typeof personId !== 'string' || !personId.trim())) {
+    throw createError('invalid-argument', 'errors.invalidPersonIds');
+  }
+
+  const uniqueIds = [...new Set(personIds)];
+  if (uniqueIds.length > MAX_BATCH_SIZE) {
+    throw createError('invalid-argument', 'errors.batchTooLarge', { max: MAX_BATCH_SIZE });
+  }
+  return uniqueIds;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: applyOfflineActionOnServer
+ *
+ * Aplica uma ação feita offline com o horário em que ela aconteceu. Antes,
+ * confere se a pessoa não foi alterada por outro aparelho depois desse
+ * horário: nesse caso a ação chegou atrasada e é recusada como conflito,
+ * em vez de sobrescrever o que a outra pessoa da recepção registrou.
+ *
+ * @param {Object} context - Contexto de auditoria do method
+ * @param {string} communityId - Evento aberto no aparelho que fez a ação
+ * @param {Object} action - { id, type, personId, occurredAt }
+ * @throws {Meteor.Error} - Se a ação for inválida ou estiver em conflito com o servidor
+ */
+const applyOfflineActionOnServer = async (context, communityId, action) => {
+  const validationError = validateOfflineAction(action);
+  if (validationError) {
+    throw createError('invalid-argument', validationError.key, validationError.params);
+  }
+
+  const person = await People.findOneAsync({ _id: action.personId });
+  if (!person || person.communityId !== communityId) {
+    throw createError('person-not-found', 'errors.personNotInCommunity');
+  }
+
+  const lastChange = getLastAttendanceChange(person);
+  if (lastChange && lastChange > action.occurredAt) {
+    throw createError('offline-conflict', 'errors.offlineConflict');
+  }
+
+  // Ações offline chegam depois de acontecer: o horário pode ser antigo,
+  // mas não mais que OFFLINE_ACTION_MAX_AGE_HOURS
+  const timestampOptions = {
+    clientTimestamp: action.occurredAt,
+    maxTimestampAgeHours: OFFLINE_ACTION_MAX_AGE_HOURS,
+  };
+  if (action.type === OFFLINE_ACTION_TYPES.CHECK_IN) {
+    await checkInPerson(context, action.personId, timestampOptions);
+  } else {
+    await checkOutPerson(context, action.personId, timestampOptions);
+  }
+};
+
 /**
  * Métodos do Meteor para gerenciar check-in e check-out de participantes
  * 
@@ -17,160 +800,668 @@ import { People } from '../people/people';
 
 // Definição dos métodos usando Meteor.methods
 // Cada método definido aqui pode ser chamado do cliente usando Meteor.callAsync()
-Meteor.methods({
+// localizeMethods entrega os motivos dos erros no idioma de quem chamou
+Meteor.methods(localizeMethods({
   
   /**
    * Método: people.checkIn
    * 
-   * Responsável por realizar o check-in de um participante em um evento.
-   * Quando executado, registra a data/hora atual como momento do check-in
-   * e garante que não existe um check-out pendente (define como null).
+   * Realiza o check-in de um participante (veja checkInPerson).
    * 
    * @param {string} personId - ID único da pessoa que está fazendo check-in
-   * @throws {Meteor.Error} - Se personId não for uma string válida ou se a pessoa não for encontrada
+   * @param {Object|null} [options] - Opcional (veja getClientTimestamp)
+   * @param {Date} [options.clientTimestamp] - Horário da entrada no aparelho (dentro de
+   *                                           CLIENT_TIME_TOLERANCE_SECONDS do servidor)
    * @returns {Object} - Objeto com status de sucesso e mensagem
    */
-  async 'people.checkIn'(personId) {
-    // Validação de entrada: verifica se personId é uma string
-    // Esta validação é importante para segurança e prevenção de erros
-    if (typeof personId !== 'string') {
-      throw new Meteor.Error('invalid-argument', 'O ID da pessoa deve ser uma string válida.');
+  async 'people.checkIn'(personId, options) {
+    const clientTimestamp = getClientTimestamp(options);
+    const context = await getAuditContext(this, 'people.checkIn');
+    return checkInPerson(context, personId, { clientTimestamp });
+  },
+
+
+  /**
+   * Método: people.checkOut  
+   * 
+   * Realiza o check-out de um participante (veja checkOutPerson). A vaga
+   * liberada é oferecida à lista de espera.
+   * 
+   * @param {string} personId - ID único da pessoa que está fazendo check-out
+   * @param {Object|null} [options] - Opcional (veja getClientTimestamp)
+   * @param {Date} [options.clientTimestamp] - Horário da saída no aparelho (veja people.checkIn)
+   * @returns {Object} - Status de sucesso, mensagem e pessoas admitidas da lista de espera (admitted)
+   */
+  async 'people.checkOut'(personId, options) {
+    const clientTimestamp = getClientTimestamp(options);
+    const context = await getAuditContext(this, 'people.checkOut');
+    const result = await checkOutPerson(context, personId, { clientTimestamp });
+    const admitted = await admitFromWaitlist(context, result.communityId);
+    return { ...result, admitted };
+  },
+
+  /**
+   * Método: people.checkInMany
+   *
+   * Check-in em lote (ex.: um grupo da mesma empresa ou um ônibus chegando).
+   * Cada pessoa é validada individualmente; uma falha não impede as demais.
+   *
+   * @param {Array<string>} personIds - IDs das pessoas selecionadas
+   * @returns {Object} - { results, successCount, failureCount }
+   */
+  async 'people.checkInMany'(personIds) {
+    const ids = validatePersonIds(personIds);
+    const context = await getAuditContext(this, 'people.checkInMany');
+    return runBatch(ids, (personId) => checkInPerson(context, personId), getConnectionLocale(this.connection));
+  },
+
+  /**
+   * Método: people.checkOutMany
+   *
+   * Check-out em lote das pessoas selecionadas. O intervalo mínimo do evento
+   * é aplicado a cada pessoa: quem entrou há pouco aparece como falha.
+   *
+   * @param {Array<string>} personIds - IDs das pessoas selecionadas
+   * @returns {Object} - { results, successCount, failureCount, admitted }
+   */
+  async 'people.checkOutMany'(personIds) {
+    const ids = validatePersonIds(personIds);
+    const context = await getAuditContext(this, 'people.checkOutMany');
+    const communityIds = new Set();
+    const summary = await runBatch(
+      ids,
+      async (personId) => {
+        const result = await checkOutPerson(context, personId);
+        communityIds.add(result.communityId);
+      },
+      getConnectionLocale(this.connection)
+    );
+
+    // As vagas liberadas são oferecidas à lista de espera de cada evento afetado
+    const admitted = [];
+    for (const communityId of communityIds) {
+      // eslint-disable-next-line no-await-in-loop
+      admitted.push(...(await admitFromWaitlist(context, communityId)));
     }
+    return { ...summary, admitted };
+  },
 
-    // Validação adicional: verifica se a string não está vazia
-    // Uma string vazia não é um ID válido do MongoDB
-    if (!personId.trim()) {
-      throw new Meteor.Error('invalid-argument', 'O ID da pessoa não pode estar vazio.');
+  /**
+   * Método: people.checkOutAllPresent
+   *
+   * Faz o check-out de todas as pessoas presentes no evento (ex.: no
+   * encerramento). Segue as mesmas regras de people.checkOutMany.
+   *
+   * @param {string} communityId - ID da comunidade/evento
+   * @returns {Object} - { results, successCount, failureCount, admitted }
+   */
+  async 'people.checkOutAllPresent'(communityId) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.CHECK_IN);
+    const context = await getAuditContext(this, 'people.checkOutAllPresent');
+
+    const presentPeople = await People.find(
+      { communityId, checkInDate: { $ne: null }, checkOutDate: null },
+      { fields: { _id: 1 } }
+    ).fetchAsync();
+
+    const summary = await runBatch(
+      presentPeople.map(({ _id }) => _id),
+      (personId) => checkOutPerson(context, personId),
+      getConnectionLocale(this.connection)
+    );
+    return { ...summary, admitted: await admitFromWaitlist(context, communityId) };
+  },
+
+  /**
+   * Método: people.undo
+   *
+   * Desfaz a última ação de presença (check-in ou check-out) de uma pessoa,
+   * restaurando checkInDate, checkOutDate, o histórico de visitas e a posição
+   * na lista de espera exatamente como estavam antes. Serve para corrigir
+   * toques no botão errado na recepção.
+   *
+   * Regras:
+   * - Só quem executou a ação pode desfazê-la
+   * - Só dentro da janela de UNDO_WINDOW_SECONDS após a ação
+   * - Só a última ação pode ser desfeita, e apenas uma vez
+   * - Desfazer um check-out não pode ultrapassar a capacidade do evento;
+   *   desfazer um check-in libera a vaga para a lista de espera
+   *
+   * @param {string} personId - ID único da pessoa
+   * @throws {Meteor.Error} - Se não houver ação a desfazer, se ela for de outro usuário
+   *                          ou se a janela para desfazer já tiver passado
+   * @returns {Object} - Objeto com status de sucesso e mensagem
+   */
+  async 'people.undo'(personId) {
+    if (typeof personId !== 'string' || !personId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidPersonId');
     }
 
     try {
-      // Verifica se a pessoa existe antes de fazer o check-in
-      // Isso garante que não tentamos fazer check-in de pessoas inexistentes
       const person = await People.findOneAsync({ _id: personId });
-      
+
       if (!person) {
-        throw new Meteor.Error('person-not-found', 'Pessoa não encontrada no sistema.');
+        throw createError('person-not-found', 'errors.personNotFound');
       }
 
-      // Atualização do documento na collection People usando o método updateAsync (Meteor 3)
-      // O método updateAsync é assíncrono e retorna uma Promise
-      const result = await People.updateAsync(
-        // Seletor: encontra o documento com o _id correspondente ao personId
-        { _id: personId },
-        
-        // Operador $set: define/atualiza os campos especificados
-        {
-          $set: {
-            // checkInDate: registra a data e hora exatas do check-in
-            checkInDate: new Date(),
-            
-            // checkOutDate: define como null para limpar qualquer check-out anterior
-            // Isso garante que a pessoa apareça como "presente" no evento
-            checkOutDate: null,
-          },
+      // Desfazer exige a mesma permissão de quem faz check-in/check-out
+      await assertPermission(this.userId, person.communityId, PERMISSIONS.CHECK_IN);
+
+      const action = person.lastAttendanceAction;
+
+      if (!action) {
+        throw createError('nothing-to-undo', 'errors.nothingToUndo');
+      }
+
+      if (action.userId !== this.userId) {
+        throw createError('not-authorized', 'errors.undoNotOwner');
+      }
+
+      const elapsedMs = new Date() - action.performedAt;
+      if (elapsedMs > UNDO_WINDOW_SECONDS * 1000) {
+        throw createError('undo-expired', 'errors.undoExpired', { seconds: UNDO_WINDOW_SECONDS });
+      }
+
+      // Desfazer um check-out coloca a pessoa de volta no evento: a vaga é
+      // ocupada antes e devolvida se nada for restaurado
+      const isReturning = action.type === 'checkOut';
+      if (isReturning && !(await reserveSeat(person.communityId))) {
+        throw createError('capacity-reached', 'errors.undoCapacityReached');
+      }
+
+      // Quem saiu da lista de espera pelo check-in volta para a mesma posição
+      const { waitlistedAt } = action.previous;
+      const modifier = {
+        $set: {
+          checkInDate: action.previous.checkInDate,
+          checkOutDate: action.previous.checkOutDate,
+          visits: action.previous.visits,
+        },
+        $unset: { lastAttendanceAction: '' },
+      };
+      if (waitlistedAt) {
+        modifier.$set.waitlistedAt = waitlistedAt;
+      } else {
+        modifier.$unset.waitlistedAt = '';
+      }
+
+      // O seletor inclui a data da ação: se outra ação aconteceu entre a
+      // leitura e a escrita, nada é alterado e o erro abaixo é lançado
+      let updated = 0;
+      try {
+        updated = await People.updateAsync(
+          { _id: personId, 'lastAttendanceAction.performedAt': action.performedAt },
+          modifier
+        );
+      } finally {
+        if (isReturning && updated === 0) {
+          await releaseSeats(person.communityId);
         }
-      );
+      }
 
-      // Verifica se a atualização foi bem-sucedida
-      // result.modifiedCount indica quantos documentos foram modificados
-      if (result.modifiedCount === 0) {
-        throw new Meteor.Error('update-failed', 'Falha ao atualizar os dados da pessoa.');
+      // updateAsync devolve quantos documentos foram alterados
+      if (updated === 0) {
+        throw createError('update-failed', 'errors.undoConcurrentChange');
       }
 
-      // Log para auditoria removido para conformidade ESLint
-      // console.log(`Check-in realizado com sucesso para pessoa ID: ${personId}`);
+      // Check-in desfeito: a pessoa não está mais ocupando a vaga
+      if (!isReturning) {
+        await releaseSeats(person.communityId);
+      }
 
-      // Retorna sucesso se a operação foi concluída
-      return { success: true, message: 'Check-in realizado com sucesso!' };
-      
+      const context = await getAuditContext(this, 'people.undo');
+      await recordAudit(context, {
+        action: AUDIT_ACTIONS.UNDO,
+        communityId: person.communityId,
+        personId,
+        before: pickAttendanceFields(person),
+        after: pickAttendanceFields({ ...person, ...action.previous, waitlistedAt: waitlistedAt || null }),
+      });
+
+      // Quem voltou para a fila pelo "desfazer" não é admitido de novo com
+      // a vaga que acabou de devolver: ela vai para a próxima pessoa
+      if (action.type === 'checkIn') {
+        await admitFromWaitlist(context, person.communityId, {
+          excludePersonIds: waitlistedAt ? [personId] : [],
+        });
+      }
+
+      return {
+        success: true,
+        message: { key: action.type === 'checkIn' ? 'results.checkInUndone' : 'results.checkOutUndone' },
+      };
     } catch (error) {
-      // Captura e relança erros específicos do Meteor
       if (error instanceof Meteor.Error) {
         throw error;
       }
-      
-      // Para outros tipos de erro, cria um erro genérico do Meteor
-      throw new Meteor.Error('database-error', `Erro ao realizar check-in: ${error.message}`);
+
+      throw createError('database-error', 'errors.undoFailed', { message: error.message });
     }
   },
 
   /**
-   * Método: people.checkOut  
-   * 
-   * Responsável por realizar o check-out de um participante que já fez check-in.
-   * Registra a data/hora atual como momento da saída do evento.
-   * O participante deve ter feito check-in previamente para poder fazer check-out.
-   * 
-   * @param {string} personId - ID único da pessoa que está fazendo check-out
-   * @throws {Meteor.Error} - Se personId não for uma string válida ou se a pessoa não for encontrada
-   * @returns {Object} - Objeto com status de sucesso e mensagem
+   * Método: people.registerWalkIn
+   *
+   * Cadastra na hora uma pessoa que chegou ao evento sem inscrição prévia
+   * (walk-in) e, se pedido, já faz o check-in dela. A pessoa fica marcada
+   * com source 'walkIn' para ser contada separadamente no resumo.
+   *
+   * Se o evento estiver lotado, o cadastro é mantido e a pessoa vai para a
+   * lista de espera; o retorno informa a posição em vez de lançar erro.
+   *
+   * @param {Object} params
+   * @param {string} params.communityId - ID da comunidade/evento
+   * @param {Object} params.person - { firstName, lastName, companyName, title }
+   * @param {boolean} [params.checkIn=false] - Fazer o check-in logo após o cadastro
+   * @throws {Meteor.Error} - Se os dados forem inválidos, a pessoa já estiver cadastrada
+   *                          no evento ou o usuário não puder fazer check-in
+   * @returns {Object} - { personId, checkedIn, message }
    */
-  async 'people.checkOut'(personId) {
-    // Validação de entrada: verifica se personId é uma string
-    // Mesma validação do método checkIn para consistência
-    if (typeof personId !== 'string') {
-      throw new Meteor.Error('invalid-argument', 'O ID da pessoa deve ser uma string válida.');
+  async 'people.registerWalkIn'({ communityId, person, checkIn = false } = {}) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+
+    // Quem faz check-in na porta pode cadastrar walk-ins
+    await assertPermission(this.userId, communityId, PERMISSIONS.CHECK_IN);
+
+    const newPerson = normalizeImportedPerson(person);
+    // O formulário já mostra todos os erros; aqui basta recusar pelo primeiro
+    const [personError] = validateImportedPerson(newPerson);
+    if (personError) {
+      throw createError('invalid-argument', personError.key, personError.params);
+    }
+
+    // Evita cadastrar de novo quem já está inscrito (a recepção deve buscar a pessoa na lista)
+    const existingPeople = await People.find(
+      { communityId },
+      { fields: { firstName: 1, lastName: 1, companyName: 1 } }
+    ).fetchAsync();
+    const duplicateKey = getDuplicateKey(newPerson);
+    if (existingPeople.some((existing) => getDuplicateKey(existing) === duplicateKey)) {
+      throw createError('duplicate-person', 'errors.duplicatePerson', {
+        name: `${newPerson.firstName} ${newPerson.lastName}`,
+      });
     }
 
-    // Validação adicional: verifica se a string não está vazia
-    if (!personId.trim()) {
-      throw new Meteor.Error('invalid-argument', 'O ID da pessoa não pode estar vazio.');
+    const personId = await People.insertAsync({
+      ...newPerson,
+      communityId,
+      source: WALK_IN_SOURCE,
+      createdBy: this.userId,
+      createdAt: new Date(),
+    });
+
+    const context = await getAuditContext(this, 'people.registerWalkIn');
+    await recordAudit(context, {
+      action: AUDIT_ACTIONS.WALK_IN,
+      communityId,
+      personId,
+      after: { ...newPerson, source: WALK_IN_SOURCE },
+    });
+
+    if (!checkIn) {
+      return { personId, checkedIn: false, message: { key: 'results.walkInRegistered' } };
     }
 
     try {
-      // Busca primeiro a pessoa para verificar se ela fez check-in
-      // Isso garante que só pessoas que fizeram check-in possam fazer check-out
-      const person = await People.findOneAsync({ _id: personId });
-      
-      if (!person) {
-        throw new Meteor.Error('person-not-found', 'Pessoa não encontrada.');
+      await checkInPerson(context, personId);
+    } catch (error) {
+      if (error.error !== 'capacity-reached') {
+        throw error;
       }
+      // O motivo (evento lotado) vai como referência e é traduzido junto com a mensagem
+      return {
+        personId,
+        checkedIn: false,
+        message: { key: 'results.walkInNotCheckedIn', params: { reason: error.i18n } },
+      };
+    }
+    return { personId, checkedIn: true, message: { key: 'results.walkInCheckedIn' } };
+  },
 
-      // Verifica se a pessoa fez check-in antes de permitir check-out
-      // Uma pessoa só pode sair se tiver entrado primeiro
-      if (!person.checkInDate) {
-        throw new Meteor.Error('invalid-operation', 'Não é possível fazer check-out sem ter feito check-in primeiro.');
-      }
+  /**
+   * Método: people.leaveWaitlist
+   *
+   * Tira uma pessoa da lista de espera (ex.: desistiu de esperar na porta).
+   *
+   * @param {string} personId - ID único da pessoa
+   * @throws {Meteor.Error} - Se a pessoa não for encontrada ou não estiver na lista de espera
+   * @returns {Object} - Objeto com status de sucesso e mensagem
+   */
+  async 'people.leaveWaitlist'(personId) {
+    if (typeof personId !== 'string' || !personId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidPersonId');
+    }
+
+    const person = await People.findOneAsync({ _id: personId });
+    if (!person) {
+      throw createError('person-not-found', 'errors.personNotFound');
+    }
+
+    await assertPermission(this.userId, person.communityId, PERMISSIONS.CHECK_IN);
+
+    if (!person.waitlistedAt) {
+      throw createError('not-waitlisted', 'errors.notWaitlisted');
+    }
+
+    await People.updateAsync({ _id: personId }, { $unset: { waitlistedAt: '' } });
+
+    const context = await getAuditContext(this, 'people.leaveWaitlist');
+    await recordAudit(context, {
+      action: AUDIT_ACTIONS.WAITLIST_REMOVE,
+      communityId: person.communityId,
+      personId,
+      before: pickAttendanceFields(person),
+      after: pickAttendanceFields({ ...person, waitlistedAt: null }),
+    });
+
+    return { success: true, message: { key: 'results.leftWaitlist' } };
+  },
+
+  /**
+   * Método: people.update
+   *
+   * Corrige os dados cadastrais de uma pessoa (nome, sobrenome, empresa,
+   * cargo e observações). Só os campos alterados são enviados, junto com
+   * os valores que estavam na tela quando a edição começou (`original`).
+   *
+   * Detecção de conflito: se outra pessoa da equipe alterou um desses
+   * campos nesse meio-tempo, nada é gravado e o erro 'edit-conflict' traz
+   * os valores atuais em `details.current`. A gravação também confere os
+   * valores no próprio seletor do update, para que duas edições
+   * simultâneas não se sobrescrevam entre a leitura e a escrita.
+   *
+   * @param {Object} params
+   * @param {string} params.personId - ID único da pessoa
+   * @param {Object} params.changes - Novos valores dos campos alterados
+   * @param {Object} params.original - Valores desses campos quando a edição começou
+   * @throws {Meteor.Error} - Se os dados forem inválidos, a pessoa não for encontrada,
+   *                          o usuário não for organizador ou houver conflito de edição
+   * @returns {Object} - { success, message, updatedFields }
+   */
+  async 'people.update'({ personId, changes, original } = {}) {
+    if (typeof personId !== 'string' || !personId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidPersonId');
+    }
+
+    const person = await People.findOneAsync({ _id: personId });
+    if (!person) {
+      throw createError('person-not-found', 'errors.personNotFound');
+    }
+
+    // Corrigir cadastros é tarefa de quem gerencia os participantes
+    await assertPermission(this.userId, person.communityId, PERMISSIONS.MANAGE_PEOPLE);
+
+    const newValues = normalizeProfileChanges(changes);
+    if (Object.keys(newValues).length === 0) {
+      throw createError('invalid-argument', 'errors.noChanges');
+    }
+    const [profileError] = validateProfileChanges(newValues);
+    if (profileError) {
+      throw createError('invalid-argument', profileError.key, profileError.params);
+    }
+    if (!original || Object.keys(newValues).some((key) => typeof original[key] !== 'string')) {
+      throw createError('invalid-argument', 'errors.originalValuesRequired');
+    }
+
+    const current = getProfileValues(person);
+    const conflicts = findProfileConflicts(current, original, newValues);
+    if (conflicts.length > 0) {
+      // Nomes dos campos como referências ao catálogo, traduzidos no idioma de quem editou
+      const fields = PROFILE_FIELDS.filter(({ key }) => conflicts.includes(key)).map(({ labelKey }) => ({
+        key: labelKey,
+      }));
+      throw createError(
+        'edit-conflict',
+        'errors.editConflictFields',
+        { fields },
+        { fields: conflicts, current }
+      );
+    }
 
-      // Verifica se a pessoa já fez check-out
-      // Previne múltiplos check-outs para a mesma entrada
-      if (person.checkOutDate) {
-        throw new Meteor.Error('already-checked-out', 'Esta pessoa já fez check-out.');
+    const updatedFields = Object.keys(newValues).filter((key) => newValues[key] !== current[key]);
+    if (updatedFields.length === 0) {
+      return { success: true, message: { key: 'results.nothingChanged' }, updatedFields };
+    }
+
+    // Campos opcionais vazios são removidos do documento, como nos cadastros do seed
+    const modifier = { $set: { updatedAt: new Date(), updatedBy: this.userId } };
+    const selector = { _id: personId };
+    updatedFields.forEach((key) => {
+      if (newValues[key]) {
+        modifier.$set[key] = newValues[key];
+      } else {
+        modifier.$unset = { ...modifier.$unset, [key]: '' };
       }
+      selector[key] = current[key] ? current[key] : { $in: [null, ''] };
+    });
 
-      // Atualização do documento para registrar o check-out
-      const result = await People.updateAsync(
-        // Seletor: encontra o documento com o _id correspondente
-        { _id: personId },
-        
-        // Operador $set: atualiza apenas o campo checkOutDate
-        {
-          $set: {
-            // checkOutDate: registra a data e hora exatas do check-out
-            checkOutDate: new Date(),
-          },
-        }
+    const updated = await People.updateAsync(selector, modifier);
+    if (updated === 0) {
+      const latest = await People.findOneAsync({ _id: personId });
+      throw createError(
+        'edit-conflict',
+        'errors.editConflict',
+        {},
+        { fields: updatedFields, current: latest ? getProfileValues(latest) : current }
+      );
+    }
+
+    const context = await getAuditContext(this, 'people.update');
+    await recordAudit(context, {
+      action: AUDIT_ACTIONS.PROFILE_UPDATE,
+      communityId: person.communityId,
+      personId,
+      before: Object.fromEntries(updatedFields.map((key) => [key, current[key]])),
+      after: Object.fromEntries(updatedFields.map((key) => [key, newValues[key]])),
+    });
+
+    return { success: true, message: { key: 'results.personUpdated' }, updatedFields };
+  },
+
+  /**
+   * Método: people.getBadges
+   *
+   * Retorna os dados para imprimir os crachás de um evento (nome, empresa,
+   * cargo e token do QR code). Pessoas que ainda não têm token recebem um
+   * novo nesta chamada; tokens existentes são mantidos para que crachás já
+   * impressos continuem válidos.
+   *
+   * @param {string} communityId - ID da comunidade/evento
+   * @throws {Meteor.Error} - Se o ID for inválido ou o usuário não for organizador
+   * @returns {Array<Object>} - [{ _id, firstName, lastName, companyName, title, badgeToken }]
+   */
+  async 'people.getBadges'(communityId) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.MANAGE_PEOPLE);
+
+    const peopleWithoutToken = await People.find(
+      { communityId, badgeToken: { $exists: false } },
+      { fields: { _id: 1 } }
+    ).fetchAsync();
+
+    for (const { _id } of peopleWithoutToken) {
+      // eslint-disable-next-line no-await-in-loop
+      await People.updateAsync(
+        { _id, badgeToken: { $exists: false } },
+        { $set: { badgeToken: randomBytes(16).toString('hex') } }
       );
+    }
 
-      // Verifica se a atualização foi bem-sucedida
-      if (result.modifiedCount === 0) {
-        throw new Meteor.Error('update-failed', 'Falha ao atualizar os dados da pessoa.');
+    return People.find(
+      { communityId },
+      {
+        fields: { firstName: 1, lastName: 1, companyName: 1, title: 1, badgeToken: 1 },
+        sort: { firstName: 1, lastName: 1 },
       }
+    ).fetchAsync();
+  },
 
-      // Log para auditoria removido para conformidade ESLint
-      // console.log(`Check-out realizado com sucesso para pessoa ID: ${personId}`);
+  /**
+   * Método: people.scanBadge
+   *
+   * Chamado pelo modo de leitura da recepção quando um crachá é lido (câmera
+   * ou leitor de código). Faz o check-in de quem está fora do evento e o
+   * check-out de quem já está presente, respeitando o intervalo mínimo do evento
+   * para que uma leitura repetida não registre a saída por engano.
+   *
+   * @param {Object} params
+   * @param {string} params.code - Texto lido do QR code
+   * @param {string} params.communityId - Evento aberto na recepção
+   * @throws {Meteor.Error} - Se o código for inválido, de outro evento, ou a ação não for permitida
+   * @returns {Object} - { action: 'checkIn'|'checkOut', person: { firstName, lastName, companyName, title }, admitted }
+   */
+  async 'people.scanBadge'({ code, communityId } = {}) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
 
-      // Retorna sucesso se a operação foi concluída
-      return { success: true, message: 'Check-out realizado com sucesso!' };
-      
-    } catch (error) {
-      // Captura e relança erros específicos do Meteor
-      if (error instanceof Meteor.Error) {
-        throw error;
+    // A permissão é conferida antes de revelar qualquer coisa sobre o crachá
+    await assertPermission(this.userId, communityId, PERMISSIONS.CHECK_IN);
+
+    const badgeToken = parseBadgeCode(typeof code === 'string' ? code : '');
+    if (!badgeToken) {
+      throw createError('invalid-badge', 'errors.unrecognizedBadge');
+    }
+
+    const person = await People.findOneAsync({ badgeToken });
+    if (!person) {
+      throw createError('invalid-badge', 'errors.badgeNotFound');
+    }
+
+    // Evita registrar presença em um evento diferente do que está aberto na recepção
+    if (person.communityId !== communityId) {
+      throw createError('wrong-community', 'errors.badgeFromOtherCommunity');
+    }
+
+    const context = await getAuditContext(this, 'people.scanBadge');
+    const action = isPresent(person) ? 'checkOut' : 'checkIn';
+    let admitted = [];
+    if (action === 'checkOut') {
+      await checkOutPerson(context, person._id);
+      admitted = await admitFromWaitlist(context, communityId);
+    } else {
+      await checkInPerson(context, person._id);
+    }
+
+    return {
+      action,
+      admitted,
+      person: {
+        _id: person._id,
+        firstName: person.firstName,
+        lastName: person.lastName,
+        companyName: person.companyName || null,
+        title: person.title || null,
+      },
+    };
+  },
+  /**
+   * Método: people.getOfflineSnapshot
+   *
+   * Retorna todas as pessoas do evento com os campos da lista. O aparelho
+   * da recepção guarda esta cópia para continuar buscando pessoas e fazendo
+   * check-in/check-out quando a conexão cai.
+   *
+   * @param {string} communityId - ID da comunidade/evento
+   * @throws {Meteor.Error} - Se o ID for inválido ou o usuário não puder fazer check-in
+   * @returns {Array<Object>} - Pessoas do evento
+   */
+  async 'people.getOfflineSnapshot'(communityId) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.CHECK_IN);
+
+    return People.find({ communityId }, { fields: PEOPLE_LIST_FIELDS }).fetchAsync();
+  },
+
+  /**
+   * Método: people.syncOfflineActions
+   *
+   * Recebe a fila de ações feitas sem conexão e as aplica em ordem
+   * cronológica, cada uma com o horário em que aconteceu. Uma ação em
+   * conflito (pessoa alterada por outro aparelho depois dela, já presente,
+   * evento lotado etc.) não interrompe as demais: ela volta no resultado
+   * com o motivo e a situação atual da pessoa, para a recepção conferir.
+   *
+   * @param {Object} params
+   * @param {string} params.communityId - Evento aberto no aparelho
+   * @param {Array<Object>} params.actions - [{ id, type, personId, occurredAt }]
+   * @throws {Meteor.Error} - Se a fila for inválida ou o usuário não puder fazer check-in
+   * @returns {Object} - { results: [{ id, personId, type, occurredAt, success, error, reason, current }],
+   *                       successCount, failureCount, admitted }
+   */
+  async 'people.syncOfflineActions'({ communityId, actions } = {}) {
+    if (typeof communityId !== 'string' || !communityId.trim()) {
+      throw createError('invalid-argument', 'errors.invalidCommunityId');
+    }
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw createError('invalid-argument', 'errors.noOfflineActions');
+    }
+    if (actions.length > MAX_OFFLINE_ACTIONS) {
+      throw createError('invalid-argument', 'errors.tooManyOfflineActions', { max: MAX_OFFLINE_ACTIONS });
+    }
+
+    await assertPermission(this.userId, communityId, PERMISSIONS.CHECK_IN);
+    const context = await getAuditContext(this, 'people.syncOfflineActions');
+    const locale = getConnectionLocale(this.connection);
+
+    // Ordem em que as ações aconteceram, mesmo que a fila tenha chegado fora de ordem
+    const sortedActions = actions
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+    const results = [];
+
+    // Sequencial de propósito: ações da mesma pessoa (entrou e saiu offline)
+    // precisam ser aplicadas uma depois da outra
+    /* eslint-disable no-await-in-loop */
+    for (const action of sortedActions) {
+      const { id, personId, type, occurredAt } = action;
+      try {
+        await applyOfflineActionOnServer(context, communityId, action);
+        results.push({ id, personId, type, occurredAt, success: true });
+      } catch (error) {
+        const current =
+          typeof personId === 'string'
+            ? await People.findOneAsync(
+                { _id: personId, communityId },
+                { fields: { checkInDate: 1, checkOutDate: 1, visits: 1, waitlistedAt: 1 } }
+              )
+            : null;
+        results.push({
+          id,
+          personId,
+          type,
+          occurredAt,
+          success: false,
+          error: error.error || 'unknown-error',
+          reason: localizeError(error, locale).reason || error.message,
+          current: current || null,
+        });
       }
-      
-      // Para outros tipos de erro, cria um erro genérico do Meteor
-      throw new Meteor.Error('database-error', `Erro ao realizar check-out: ${error.message}`);
     }
+    /* eslint-enable no-await-in-loop */
+
+    const successCount = results.filter((result) => result.success).length;
+    const hasCheckOut = results.some(
+      (result) => result.success && result.type === OFFLINE_ACTION_TYPES.CHECK_OUT
+    );
+    return {
+      results,
+      successCount,
+      failureCount: results.length - successCount,
+      admitted: hasCheckOut ? await admitFromWaitlist(context, communityId) : [],
+    };
   },
-});
\ No newline at end of file
+}));
\ No newline at end of file
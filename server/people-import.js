@@ -0,0 +1,247 @@
+// Importação do Meteor para methods, publications e erros
+import { Meteor } from 'meteor/meteor';
+
+// Collections envolvidas na importação
+import { Communities } from '../communities/communities';
+import { People } from '../people/people';
+
+// Regras da importação compartilhadas com a tela de prévia
+import {
+  ImportReports,
+  MAX_IMPORT_ROWS,
+  getDuplicateKey,
+  normalizeImportedPerson,
+  validateImportedPerson,
+} from '../people/people-import';
+
+// Apenas organizadores podem importar participantes
+import { PERMISSIONS } from '../roles/roles';
+import { assertPermission, hasPermission } from './authorization';
+
+// Erros da importação no idioma da interface
+import { createError, localizeMethods } from './i18n';
+
+// Cada importação concluída entra no log de auditoria
+import { AUDIT_ACTIONS } from '../audit/audit-log';
+import { getAuditContext, recordAudit } from './audit';
+
+/**
+ * FUNÇÃO AUXILIAR: validateImportParams
+ *
+ * Valida os parâmetros comuns à prévia e à importação e confere se o
+ * usuário é organizador da comunidade de destino.
+ *
+ * @param {string|null} userId - Usuário logado
+ * @param {Object} params - { communityId, people }
+ * @throws {Meteor.Error} - Se os parâmetros forem inválidos ou o usuário não tiver permissão
+ */
+const validateImportParams = async (userId, { communityId, people }) => {
+  if (typeof communityId !== 'string' || !communityId.trim()) {
+    throw createError('invalid-argument', 'errors.chooseImportCommunity');
+  }
+  if (!Array.isArray(people) || people.length === 0) {
+    throw createError('invalid-argument', 'errors.emptyImport');
+  }
+  if (people.length > MAX_IMPORT_ROWS) {
+    throw createError('invalid-argument', 'errors.importTooLarge', { max: MAX_IMPORT_ROWS });
+  }
+
+  await assertPermission(userId, communityId, PERMISSIONS.MANAGE_PEOPLE);
+
+  if (!(await Communities.findOneAsync({ _id: communityId }, { fields: { _id: 1 } }))) {
+    throw createError('community-not-found', 'errors.communityNotFound');
+  }
+};
+
+/**
+ * FUNÇÃO AUXILIAR: classifyImportRows
+ *
+ * Classifica cada linha do arquivo:
+ * - invalid: campos obrigatórios faltando ou grandes demais
+ * - duplicate: já existe uma pessoa igual na comunidade, ou a mesma
+ *   pessoa aparece em uma linha anterior do arquivo
+ * - valid: pronta para ser inserida
+ *
+ * @param {string} communityId - Comunidade de destino
+ * @param {Array<Object>} people - Linhas já mapeadas para os campos de People
+ * @returns {Promise<Array<Object>>} [{ rowNumber, person, status, errors, duplicateOf }],
+ *   com os erros como { key, params } do catálogo (a tela e o relatório os traduzem)
+ */
+const classifyImportRows = async (communityId, people) => {
+  const existingPeople = await People.find(
+    { communityId },
+    { fields: { firstName: 1, lastName: 1, companyName: 1 } }
+  ).fetchAsync();
+
+  // Chave de duplicidade → ID da pessoa já cadastrada (ou da linha do arquivo)
+  const existingKeys = new Map(
+    existingPeople.map((person) => [getDuplicateKey(person), person._id])
+  );
+  const fileKeys = new Map();
+
+  return people.map((rawPerson, index) => {
+    // rowNumber considera o cabeçalho do arquivo como linha 1
+    const rowNumber = index + 2;
+    const person = normalizeImportedPerson(rawPerson);
+    const errors = validateImportedPerson(person);
+
+    if (errors.length > 0) {
+      return { rowNumber, person, status: 'invalid', errors };
+    }
+
+    const key = getDuplicateKey(person);
+    if (existingKeys.has(key)) {
+      return {
+        rowNumber,
+        person,
+        status: 'duplicate',
+        errors: [{ key: 'errors.importDuplicateInEvent' }],
+        duplicateOf: { personId: existingKeys.get(key) },
+      };
+    }
+    if (fileKeys.has(key)) {
+      return {
+        rowNumber,
+        person,
+        status: 'duplicate',
+        errors: [{ key: 'errors.importDuplicateRow', params: { row: fileKeys.get(key) } }],
+        duplicateOf: { rowNumber: fileKeys.get(key) },
+      };
+    }
+
+    fileKeys.set(key, rowNumber);
+    return { rowNumber, person, status: 'valid', errors: [] };
+  });
+};
+
+// Conta as linhas por status: { valid, duplicate, invalid }
+const countByStatus = (rows) =>
+  rows.reduce(
+    (counts, row) => ({ ...counts, [row.status]: counts[row.status] + 1 }),
+    { valid: 0, duplicate: 0, invalid: 0 }
+  );
+
+/**
+ * Methods da importação de participantes via CSV
+ */
+Meteor.methods(localizeMethods({
+  /**
+   * Método: people.previewImport
+   *
+   * Valida as linhas do arquivo sem gravar nada, para o organizador
+   * conferir erros e duplicados antes de confirmar a importação.
+   *
+   * @param {Object} params
+   * @param {string} params.communityId - Comunidade de destino
+   * @param {Array<Object>} params.people - Linhas mapeadas (firstName, lastName, companyName, title)
+   * @returns {Object} - { rows, counts }
+   */
+  async 'people.previewImport'(params = {}) {
+    await validateImportParams(this.userId, params);
+
+    const rows = await classifyImportRows(params.communityId, params.people);
+    return { rows, counts: countByStatus(rows) };
+  },
+
+  /**
+   * Método: people.import
+   *
+   * Insere na comunidade as linhas válidas do arquivo. Linhas inválidas e
+   * duplicadas são ignoradas. Ao final grava um relatório em ImportReports
+   * com o resultado de cada linha.
+   *
+   * @param {Object} params
+   * @param {string} params.communityId - Comunidade de destino
+   * @param {Array<Object>} params.people - Linhas mapeadas (firstName, lastName, companyName, title)
+   * @param {string} [params.fileName] - Nome do arquivo importado (para o relatório)
+   * @returns {Object} - { reportId, counts, rows }
+   */
+  async 'people.import'(params = {}) {
+    await validateImportParams(this.userId, params);
+
+    const { communityId, fileName } = params;
+    const rows = await classifyImportRows(communityId, params.people);
+    const createdAt = new Date();
+
+    // O relatório é criado antes das inserções para que as pessoas
+    // importadas possam apontar para ele (importId)
+    const reportId = await ImportReports.insertAsync({
+      communityId,
+      userId: this.userId,
+      fileName: typeof fileName === 'string' ? fileName.slice(0, 200) : null,
+      createdAt,
+      status: 'running',
+    });
+
+    const reportRows = [];
+    for (const row of rows) {
+      if (row.status !== 'valid') {
+        reportRows.push(row);
+      } else {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const personId = await People.insertAsync({
+            ...row.person,
+            communityId,
+            source: 'import',
+            importId: reportId,
+            createdAt,
+          });
+          reportRows.push({ ...row, status: 'inserted', personId });
+        } catch (error) {
+          reportRows.push({
+            ...row,
+            status: 'invalid',
+            errors: [{ key: 'errors.importInsertFailed', params: { message: error.message } }],
+          });
+        }
+      }
+    }
+
+    const counts = {
+      total: reportRows.length,
+      inserted: reportRows.filter((row) => row.status === 'inserted').length,
+      duplicate: reportRows.filter((row) => row.status === 'duplicate').length,
+      invalid: reportRows.filter((row) => row.status === 'invalid').length,
+    };
+
+    await ImportReports.updateAsync(
+      { _id: reportId },
+      { $set: { status: 'done', finishedAt: new Date(), counts, rows: reportRows } }
+    );
+
+    // Um registro por importação; as pessoas inseridas ficam no relatório (importId)
+    await recordAudit(await getAuditContext(this, 'people.import'), {
+      action: AUDIT_ACTIONS.IMPORT,
+      communityId,
+      after: { reportId, fileName: fileName || null, counts },
+    });
+
+    return { reportId, counts, rows: reportRows };
+  },
+}));
+
+/**
+ * Publicação: importReports
+ *
+ * Resumo das últimas importações feitas em uma comunidade (quem, quando,
+ * arquivo e contadores), mais recentes primeiro. Visível apenas para
+ * organizadores. As linhas de cada relatório ficam no banco e não são
+ * enviadas aqui, pois podem ter milhares de itens.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<Mongo.Cursor>|Array} - Cursor dos relatórios ou array vazio
+ */
+Meteor.publish('importReports', async function publishImportReports(communityId) {
+  if (typeof communityId !== 'string' || !communityId.trim()) {
+    return [];
+  }
+  if (!(await hasPermission(this.userId, communityId, PERMISSIONS.MANAGE_PEOPLE))) {
+    return [];
+  }
+
+  return ImportReports.find(
+    { communityId },
+    { fields: { rows: 0 }, sort: { createdAt: -1 }, limit: 10 }
+  );
+});
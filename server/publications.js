@@ -7,81 +7,646 @@ import { Meteor } from 'meteor/meteor';
 import { Communities } from '../communities/communities';
 import { People } from '../people/people';
 
+// Funções do histórico de visitas usadas para montar o resumo do evento
+import { getVisits, isPresent } from '../people/attendance';
+import { isWalkIn } from '../people/walk-ins';
+import { ATTENDANCE_STATUS, getAttendanceStatus } from '../people/attendance-report';
+import { NO_COMPANY_KEY } from '../people/event-summaries';
+import { getTimelineContribution } from '../people/event-timeline';
+
+// Controle de acesso por comunidade
+import { PERMISSIONS, getUserCommunityIds } from '../roles/roles';
+import { hasPermission } from './authorization';
+
+// Regras de busca/ordenação/paginação compartilhadas com o cliente
+import {
+  PEOPLE_LIST_FIELDS,
+  PEOPLE_MAX_LIMIT,
+  PEOPLE_PAGE_SIZE,
+  buildPeopleSearchSelector,
+  getPeopleSearchCountId,
+  getPeopleSort,
+  normalizePeopleSearch,
+} from '../people/people-search';
+
+// Campos internos que não vão para a gaveta de detalhes da pessoa
+import { PERSON_DETAILS_HIDDEN_FIELDS } from '../people/person-details';
+
+/**
+ * CONSTANTE: PEOPLE_SEARCH_COUNTS_COLLECTION
+ *
+ * Nome da collection (apenas no cliente) que recebe o total da busca.
+ * Precisa ser o mesmo nome usado em people/people-search.js.
+ */
+const PEOPLE_SEARCH_COUNTS_COLLECTION = 'peopleSearchCounts';
+
+/**
+ * CONSTANTE: EVENT_SUMMARIES_COLLECTION
+ *
+ * Nome da collection (apenas no cliente) que recebe os documentos de resumo.
+ * Precisa ser o mesmo nome usado em people/event-summaries.js.
+ */
+const EVENT_SUMMARIES_COLLECTION = 'eventSummaries';
+
+/**
+ * CONSTANTE: EVENT_TIMELINES_COLLECTION
+ *
+ * Nome da collection (apenas no cliente) que recebe a linha do tempo.
+ * Precisa ser o mesmo nome usado em people/event-timeline.js.
+ */
+const EVENT_TIMELINES_COLLECTION = 'eventTimelines';
+
+/**
+ * CONSTANTE: PEOPLE_FACETS_COLLECTION
+ *
+ * Nome da collection (apenas no cliente) que recebe as opções dos filtros.
+ * Precisa ser o mesmo nome usado em people/people-search.js.
+ */
+const PEOPLE_FACETS_COLLECTION = 'peopleFacets';
+
+/**
+ * CONSTANTE: PERSON_DETAILS_COLLECTION
+ *
+ * Nome da collection (apenas no cliente) que recebe a pessoa aberta na gaveta.
+ * Precisa ser o mesmo nome usado em people/person-details.js.
+ */
+const PERSON_DETAILS_COLLECTION = 'personDetails';
+
+/**
+ * FUNÇÃO AUXILIAR: getPersonContribution
+ *
+ * Calcula quanto uma pessoa contribui para cada contador do resumo.
+ * O resumo é mantido de forma incremental: quando uma pessoa muda,
+ * subtraímos a contribuição antiga e somamos a nova, sem varrer
+ * todos os participantes novamente.
+ *
+ * @param {Object} person - Campos da pessoa conhecidos pelo observer
+ * @returns {Object} Contribuição da pessoa para o resumo
+ */
+const getPersonContribution = (person) => {
+  const visits = getVisits(person);
+  const present = isPresent(person);
+  const walkIn = isWalkIn(person);
+  const closedVisits = visits.filter((visit) => visit.checkOutDate);
+  const openVisits = visits.filter((visit) => !visit.checkOutDate);
+
+  return {
+    totalCount: 1,
+    presentCount: present ? 1 : 0,
+    notCheckedInCount: person.checkInDate ? 0 : 1,
+    attendedCount: visits.length > 0 ? 1 : 0,
+    waitlistCount: person.waitlistedAt ? 1 : 0,
+    walkInCount: walkIn ? 1 : 0,
+    walkInPresentCount: walkIn && present ? 1 : 0,
+    closedVisitsDuration: closedVisits.reduce(
+      (total, visit) => total + (visit.checkOutDate - visit.checkInDate),
+      0
+    ),
+    openVisitsCount: openVisits.length,
+    openVisitsStartSum: openVisits.reduce(
+      (total, visit) => total + visit.checkInDate.getTime(),
+      0
+    ),
+    company: person.companyName || NO_COMPANY_KEY,
+    status: getAttendanceStatus(person),
+  };
+};
+
+/**
+ * CONSTANTE: SUMMARY_COUNTERS
+ *
+ * Campos numéricos do resumo que são somados pessoa a pessoa.
+ */
+const SUMMARY_COUNTERS = [
+  'totalCount',
+  'presentCount',
+  'notCheckedInCount',
+  'attendedCount',
+  'waitlistCount',
+  'walkInCount',
+  'walkInPresentCount',
+  'closedVisitsDuration',
+  'openVisitsCount',
+  'openVisitsStartSum',
+];
+
+/**
+ * CONSTANTE: COMPANY_STATUS_COUNTERS
+ *
+ * Contador de cada empresa incrementado pela situação da pessoa
+ * (valores de ATTENDANCE_STATUS, os mesmos do relatório de presença).
+ */
+const COMPANY_STATUS_COUNTERS = {
+  [ATTENDANCE_STATUS.PRESENT]: 'presentCount',
+  [ATTENDANCE_STATUS.CHECKED_OUT]: 'checkedOutCount',
+  [ATTENDANCE_STATUS.NO_SHOW]: 'noShowCount',
+};
+
+/**
+ * FUNÇÃO AUXILIAR: applyContribution
+ *
+ * Soma (sign = 1) ou subtrai (sign = -1) a contribuição de uma pessoa
+ * dos contadores do resumo e retorna o novo resumo.
+ *
+ * As empresas são publicadas como um array (e não como um objeto indexado
+ * pelo nome) porque nomes de empresa podem conter pontos, que não são
+ * aceitos em nomes de campo. Empresas sem nenhuma pessoa inscrita são
+ * removidas.
+ *
+ * @param {Object} summary - Resumo atual da comunidade
+ * @param {Object} contribution - Resultado de getPersonContribution
+ * @param {number} sign - 1 para somar, -1 para subtrair
+ * @returns {Object} Novo resumo
+ */
+const applyContribution = (summary, contribution, sign) => {
+  const next = { ...summary };
+
+  SUMMARY_COUNTERS.forEach((field) => {
+    next[field] += sign * contribution[field];
+  });
+
+  const current = summary.companies.find((company) => company.companyName === contribution.company) || {
+    companyName: contribution.company,
+    registeredCount: 0,
+    presentCount: 0,
+    checkedOutCount: 0,
+    noShowCount: 0,
+  };
+  const statusCounter = COMPANY_STATUS_COUNTERS[contribution.status];
+  const updated = {
+    ...current,
+    registeredCount: current.registeredCount + sign,
+    [statusCounter]: current[statusCounter] + sign,
+  };
+  next.companies = summary.companies.filter((company) => company.companyName !== contribution.company);
+  if (updated.registeredCount > 0) {
+    next.companies.push(updated);
+  }
+
+  return next;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: applyTimelineContribution
+ *
+ * Equivalente de applyContribution para a linha do tempo: soma ou subtrai
+ * as entradas e saídas de uma pessoa nas faixas correspondentes. Faixas que
+ * chegam a zero são removidas para o documento não crescer à toa.
+ *
+ * @param {Object} timeline - { checkIns, checkOuts } atuais da comunidade
+ * @param {Object} contribution - Resultado de getTimelineContribution
+ * @param {number} sign - 1 para somar, -1 para subtrair
+ * @returns {Object} Nova linha do tempo
+ */
+const applyTimelineContribution = (timeline, contribution, sign) => {
+  const next = { checkIns: { ...timeline.checkIns }, checkOuts: { ...timeline.checkOuts } };
+
+  ['checkIns', 'checkOuts'].forEach((field) => {
+    contribution[field].forEach((bucket) => {
+      const count = (next[field][bucket] || 0) + sign;
+      if (count > 0) {
+        next[field][bucket] = count;
+      } else {
+        delete next[field][bucket];
+      }
+    });
+  });
+
+  return next;
+};
+
+/**
+ * FUNÇÃO AUXILIAR: applyFacetContribution
+ *
+ * Soma ou subtrai uma pessoa das opções de empresa e de cargo. Como em
+ * summary.companies, as opções são arrays (nomes podem conter pontos);
+ * opções que chegam a zero saem da lista. Quem não informou cargo não
+ * entra nas opções de cargo.
+ *
+ * @param {Object} facets - { companies, titles } atuais da comunidade
+ * @param {Object} person - Campos da pessoa conhecidos pelo observer
+ * @param {number} sign - 1 para somar, -1 para subtrair
+ * @returns {Object} Novas opções
+ */
+const applyFacetContribution = (facets, person, sign) => {
+  const applyValue = (options, value) => {
+    if (!value) {
+      return options;
+    }
+    const { count: currentCount = 0 } = options.find((option) => option.value === value) || {};
+    const count = currentCount + sign;
+    const others = options.filter((option) => option.value !== value);
+    return count > 0 ? [...others, { value, count }] : others;
+  };
+
+  return {
+    companies: applyValue(facets.companies, person.companyName || NO_COMPANY_KEY),
+    titles: applyValue(facets.titles, person.title),
+  };
+};
+
+/**
+ * Publicação: userCommunityRoles (sem nome)
+ *
+ * Publicações sem nome são enviadas automaticamente a todo cliente logado.
+ * Envia os papéis do usuário em cada comunidade, usados pela interface
+ * para esconder ações que ele não pode executar.
+ *
+ * @returns {Mongo.Cursor|Array} - Cursor com o próprio usuário ou array vazio
+ */
+Meteor.publish(null, function publishUserCommunityRoles() {
+  if (!this.userId) {
+    return [];
+  }
+  return Meteor.users.find({ _id: this.userId }, { fields: { communityRoles: 1 } });
+});
+
 /**
  * Publicação: communities
  * 
- * Esta publicação envia todos os eventos/comunidades disponíveis para o cliente.
+ * Esta publicação envia os eventos/comunidades em que o usuário logado
+ * tem algum papel (organizador, recepção ou somente leitura).
  * É utilizada para popular o dropdown de seleção de eventos na interface.
- * Como geralmente há poucos eventos, enviamos todos sem filtragem.
  * 
- * @returns {Mongo.Cursor} - Cursor reativo com todos os documentos da collection Communities
+ * Observação: os papéis são lidos quando a inscrição começa; um papel novo
+ * aparece no seletor depois que o cliente refaz a inscrição (ex.: novo login).
+ * 
+ * @returns {Promise<Mongo.Cursor>|Array} - Cursor com as comunidades do usuário ou array vazio
  */
-Meteor.publish('communities', () => Communities.find());
+Meteor.publish('communities', async function publishCommunities() {
+  if (!this.userId) {
+    return [];
+  }
+
+  const user = await Meteor.users.findOneAsync(
+    { _id: this.userId },
+    { fields: { communityRoles: 1 } }
+  );
+  return Communities.find({ _id: { $in: getUserCommunityIds(user) } });
+});
 
 /**
- * Publicação: people
- * 
- * Esta publicação é responsável por enviar apenas as pessoas registradas
- * no evento/comunidade selecionado. É uma publicação parametrizada que
- * recebe o ID da comunidade como argumento.
- * 
- * Funcionalidades principais:
- * - Filtra pessoas por evento específico
- * - Implementa validações de segurança
- * - Fornece reatividade para check-ins/check-outs
- * - Otimiza performance enviando apenas dados relevantes
- * 
- * @param {string} communityId - ID da comunidade/evento para filtrar as pessoas
- * @returns {Mongo.Cursor|Array} - Cursor com pessoas filtradas ou array vazio se inválido
- */
-Meteor.publish('people', (communityId) => {
-  // Log removido para conformidade ESLint
-  // console.log(`Publicação people foi solicitada para communityId: ${communityId}`);
-  
-  // VALIDAÇÃO DE SEGURANÇA: Verificar se communityId foi fornecido
-  // Sem um communityId válido, não devemos enviar nenhum dado
-  // Isso previne que clientes vejam dados de todos os eventos sem autorização
-  if (!communityId) {
-    // Log removido para conformidade ESLint
-    // console.log('Publicação people: communityId não fornecido, retornando vazio');
-    
-    // Retorna array vazio - nenhum dado será enviado ao cliente
-    // O Meteor automaticamente sinaliza ready() quando a função termina
+ * Publicação: eventSummary
+ *
+ * Publica um único documento com os contadores do evento selecionado
+ * (pessoas presentes, situação de cada empresa, quem ainda não fez check-in,
+ * lista de espera, walk-ins, total de registrados e tempo no evento).
+ * Assim o EventSummary não precisa baixar todos os participantes só para
+ * exibir alguns números.
+ *
+ * Funcionamento:
+ * - observeChangesAsync acompanha apenas os campos necessários das pessoas
+ * - Cada alteração ajusta os contadores de forma incremental
+ * - O documento é enviado para a collection 'eventSummaries' do cliente,
+ *   com o communityId como _id
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<void>|Array} - Array vazio se o communityId for inválido
+ */
+Meteor.publish('eventSummary', async function publishEventSummary(communityId) {
+  // Mesmas validações e autorização da publicação people.search
+  if (!communityId || typeof communityId !== 'string' || !communityId.trim()) {
+    return [];
+  }
+  if (!(await hasPermission(this.userId, communityId, PERMISSIONS.VIEW_PEOPLE))) {
+    return [];
+  }
+
+  // Contadores da comunidade, mantidos em memória enquanto a inscrição existir
+  let summary = {
+    communityId,
+    totalCount: 0,
+    presentCount: 0,
+    notCheckedInCount: 0,
+    attendedCount: 0,
+    waitlistCount: 0,
+    walkInCount: 0,
+    walkInPresentCount: 0,
+    closedVisitsDuration: 0,
+    openVisitsCount: 0,
+    openVisitsStartSum: 0,
+    companies: [],
+  };
+
+  // Último estado conhecido de cada pessoa, necessário para aplicar os
+  // campos parciais recebidos em changed e desfazer a contribuição anterior
+  const peopleById = new Map();
+  let initializing = true;
+
+  // Durante a carga inicial só acumulamos; depois disso cada alteração
+  // envia o resumo atualizado ao cliente
+  const publishChanges = () => {
+    if (!initializing) {
+      this.changed(EVENT_SUMMARIES_COLLECTION, communityId, summary);
+    }
+  };
+
+  const handle = await People.find(
+    { communityId },
+    {
+      fields: {
+        companyName: 1,
+        checkInDate: 1,
+        checkOutDate: 1,
+        visits: 1,
+        waitlistedAt: 1,
+        source: 1,
+      },
+    }
+  ).observeChangesAsync({
+    added: (id, fields) => {
+      peopleById.set(id, fields);
+      summary = applyContribution(summary, getPersonContribution(fields), 1);
+      publishChanges();
+    },
+    changed: (id, fields) => {
+      const previous = peopleById.get(id);
+      const next = { ...previous };
+      // Campos removidos do documento chegam como undefined
+      Object.entries(fields).forEach(([field, value]) => {
+        if (value === undefined) {
+          delete next[field];
+        } else {
+          next[field] = value;
+        }
+      });
+      peopleById.set(id, next);
+      summary = applyContribution(summary, getPersonContribution(previous), -1);
+      summary = applyContribution(summary, getPersonContribution(next), 1);
+      publishChanges();
+    },
+    removed: (id) => {
+      summary = applyContribution(
+        summary,
+        getPersonContribution(peopleById.get(id)),
+        -1
+      );
+      peopleById.delete(id);
+      publishChanges();
+    },
+  });
+
+  initializing = false;
+  this.added(EVENT_SUMMARIES_COLLECTION, communityId, summary);
+  this.ready();
+
+  // Encerra o observer quando o cliente cancela a inscrição
+  this.onStop(() => handle.stop());
+  return undefined;
+});
+
+/**
+ * Publicação: eventTimeline
+ *
+ * Publica as entradas e saídas do evento contadas em faixas de 5 minutos,
+ * usadas pelo gráfico de chegadas do EventSummary. Segue o mesmo modelo da
+ * publicação eventSummary: o observer acompanha só o histórico de visitas e
+ * cada alteração ajusta apenas as faixas da pessoa que mudou.
+ *
+ * O documento vai para a collection 'eventTimelines' do cliente, com o
+ * communityId como _id.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<void>|Array} - Array vazio se o communityId for inválido
+ */
+Meteor.publish('eventTimeline', async function publishEventTimeline(communityId) {
+  // Mesmas validações e autorização da publicação people.search
+  if (!communityId || typeof communityId !== 'string' || !communityId.trim()) {
+    return [];
+  }
+  if (!(await hasPermission(this.userId, communityId, PERMISSIONS.VIEW_PEOPLE))) {
+    return [];
+  }
+
+  let timeline = { checkIns: {}, checkOuts: {} };
+  const peopleById = new Map();
+  let initializing = true;
+
+  const publishChanges = () => {
+    if (!initializing) {
+      this.changed(EVENT_TIMELINES_COLLECTION, communityId, timeline);
+    }
+  };
+
+  const handle = await People.find(
+    { communityId },
+    { fields: { checkInDate: 1, checkOutDate: 1, visits: 1 } }
+  ).observeChangesAsync({
+    added: (id, fields) => {
+      peopleById.set(id, fields);
+      timeline = applyTimelineContribution(timeline, getTimelineContribution(fields), 1);
+      publishChanges();
+    },
+    changed: (id, fields) => {
+      const previous = peopleById.get(id);
+      const next = { ...previous };
+      Object.entries(fields).forEach(([field, value]) => {
+        if (value === undefined) {
+          delete next[field];
+        } else {
+          next[field] = value;
+        }
+      });
+      peopleById.set(id, next);
+      timeline = applyTimelineContribution(timeline, getTimelineContribution(previous), -1);
+      timeline = applyTimelineContribution(timeline, getTimelineContribution(next), 1);
+      publishChanges();
+    },
+    removed: (id) => {
+      timeline = applyTimelineContribution(
+        timeline,
+        getTimelineContribution(peopleById.get(id)),
+        -1
+      );
+      peopleById.delete(id);
+      publishChanges();
+    },
+  });
+
+  initializing = false;
+  this.added(EVENT_TIMELINES_COLLECTION, communityId, timeline);
+  this.ready();
+
+  this.onStop(() => handle.stop());
+  return undefined;
+});
+
+/**
+ * Publicação: people.facets
+ *
+ * Opções dos filtros de empresa e de cargo da lista de participantes, com
+ * quantas pessoas há em cada uma. Mantidas de forma incremental, como o
+ * resumo do evento, observando só os dois campos envolvidos.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @returns {Promise<void>|Array} - Array vazio se o communityId for inválido
+ */
+Meteor.publish('people.facets', async function publishPeopleFacets(communityId) {
+  // Mesmas validações e autorização da publicação people.search
+  if (!communityId || typeof communityId !== 'string' || !communityId.trim()) {
+    return [];
+  }
+  if (!(await hasPermission(this.userId, communityId, PERMISSIONS.VIEW_PEOPLE))) {
     return [];
   }
-  
-  // VALIDAÇÃO ADICIONAL: Verificar se communityId é uma string
-  // Isso previne ataques e garante que o tipo de dado está correto
-  if (typeof communityId !== 'string') {
-    // Log removido para conformidade ESLint
-    // console.log('Publicação people: communityId deve ser uma string, retornando vazio');
+
+  let facets = { companies: [], titles: [] };
+  const peopleById = new Map();
+  let initializing = true;
+
+  const publishChanges = () => {
+    if (!initializing) {
+      this.changed(PEOPLE_FACETS_COLLECTION, communityId, facets);
+    }
+  };
+
+  const handle = await People.find(
+    { communityId },
+    { fields: { companyName: 1, title: 1 } }
+  ).observeChangesAsync({
+    added: (id, fields) => {
+      peopleById.set(id, fields);
+      facets = applyFacetContribution(facets, fields, 1);
+      publishChanges();
+    },
+    changed: (id, fields) => {
+      const previous = peopleById.get(id);
+      const next = { ...previous };
+      Object.entries(fields).forEach(([field, value]) => {
+        if (value === undefined) {
+          delete next[field];
+        } else {
+          next[field] = value;
+        }
+      });
+      peopleById.set(id, next);
+      facets = applyFacetContribution(applyFacetContribution(facets, previous, -1), next, 1);
+      publishChanges();
+    },
+    removed: (id) => {
+      facets = applyFacetContribution(facets, peopleById.get(id), -1);
+      peopleById.delete(id);
+      publishChanges();
+    },
+  });
+
+  initializing = false;
+  this.added(PEOPLE_FACETS_COLLECTION, communityId, facets);
+  this.ready();
+
+  this.onStop(() => handle.stop());
+  return undefined;
+});
+
+/**
+ * Publicação: people.search
+ *
+ * Lista de participantes paginada e pesquisável, pensada para eventos
+ * com milhares de inscritos. Em vez de enviar todos os participantes, envia
+ * apenas uma "janela" da lista já filtrada e ordenada no servidor.
+ *
+ * Parâmetros (objeto options):
+ * - search: termo buscado em nome, sobrenome, empresa e cargo
+ * - status/company/title: filtros da barra da lista (ver buildPeopleSearchSelector)
+ * - sortBy: chave de PEOPLE_SORT_OPTIONS (padrão: nome)
+ * - limit: quantidade de pessoas a enviar; o cliente aumenta o limite
+ *   a cada página carregada (rolagem infinita)
+ *
+ * Além das pessoas, publica na collection 'peopleSearchCounts' o total de
+ * pessoas que atendem à busca, para a interface saber se há mais páginas.
+ * O documento do total é da busca (getPeopleSearchCountId), e não do
+ * evento: duas inscrições com filtros diferentes no mesmo cliente não
+ * sobrescrevem o total uma da outra.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {Object} [options] - { search, status, company, title, sortBy, limit }
+ * @returns {Promise<Mongo.Cursor>|Array} - Cursor limitado ou array vazio se inválido
+ */
+Meteor.publish('people.search', async function publishPeopleSearch(communityId, options = {}) {
+  // Sem um communityId válido, ou sem acesso ao evento, nada é enviado
+  if (!communityId || typeof communityId !== 'string' || !communityId.trim()) {
     return [];
   }
-  
-  // VALIDAÇÃO: Verificar se communityId não é uma string vazia
-  // Uma string vazia não é um ID válido e poderia causar problemas na busca
-  if (!communityId.trim()) {
-    // Log removido para conformidade ESLint
-    // console.log('Publicação people: communityId está vazio, retornando vazio');
+  if (!(await hasPermission(this.userId, communityId, PERMISSIONS.VIEW_PEOPLE))) {
     return [];
   }
-  
-  // BUSCA FILTRADA: Retorna apenas pessoas do evento especificado
-  // O filtro { communityId } é equivalente a { communityId: communityId }
-  // Garante que apenas pessoas associadas ao evento selecionado sejam enviadas
-  const cursor = People.find({ communityId });
-  
-  // Log removido para conformidade ESLint
-  // console.log(`Publicação people: enviando pessoas para communityId ${communityId}`);
-  
-  // Retorna o cursor filtrado
-  // Este cursor é reativo, então quando pessoas fazem check-in/check-out,
-  // ou quando novos participantes são adicionados ao evento,
-  // todos os clientes inscritos recebem as atualizações automaticamente
-  return cursor;
-  
-  // IMPORTANTE: A reatividade funciona em múltiplos níveis:
-  // 1. Se uma pessoa é adicionada/removida do evento, a lista é atualizada
-  // 2. Se os dados de check-in/check-out de uma pessoa mudam, os clientes veem imediatamente
-  // 3. Se uma pessoa muda de evento, ela desaparece/aparece nas listas apropriadas
-});
\ No newline at end of file
+
+  // Opções inválidas são ignoradas em vez de derrubar a inscrição
+  const { sortBy, limit } = options && typeof options === 'object' ? options : {};
+  const { search: searchTerm, filters } = normalizePeopleSearch(options);
+  const countId = getPeopleSearchCountId(communityId, options);
+  const safeLimit = Number.isInteger(limit)
+    ? Math.min(Math.max(limit, 1), PEOPLE_MAX_LIMIT)
+    : PEOPLE_PAGE_SIZE;
+
+  const selector = buildPeopleSearchSelector(communityId, searchTerm, filters);
+
+  // CONTAGEM: acompanha quantas pessoas atendem à busca (sem limite),
+  // observando apenas o _id para não trazer os documentos inteiros
+  let total = 0;
+  let initializing = true;
+  const publishTotal = () => {
+    if (!initializing) {
+      this.changed(PEOPLE_SEARCH_COUNTS_COLLECTION, countId, { total });
+    }
+  };
+
+  const countHandle = await People.find(selector, { fields: { _id: 1 } }).observeChangesAsync({
+    added: () => {
+      total += 1;
+      publishTotal();
+    },
+    removed: () => {
+      total -= 1;
+      publishTotal();
+    },
+  });
+
+  initializing = false;
+  this.added(PEOPLE_SEARCH_COUNTS_COLLECTION, countId, { total });
+  this.onStop(() => countHandle.stop());
+
+  // BUSCA PAGINADA: apenas os campos usados pela lista, já ordenados e limitados
+  return People.find(selector, {
+    fields: PEOPLE_LIST_FIELDS,
+    sort: getPeopleSort(sortBy),
+    limit: safeLimit,
+  });
+});
+
+/**
+ * Publicação: people.details
+ *
+ * Publica o documento completo de uma pessoa (exceto os campos internos)
+ * para a gaveta de detalhes. Os dados vão para a collection 'personDetails'
+ * do cliente, e não para People, para não misturar a pessoa aberta com a
+ * página da lista.
+ *
+ * @param {string} personId - ID da pessoa
+ * @returns {Promise<void>|Array} - Array vazio se o ID for inválido ou o usuário não tiver acesso
+ */
+Meteor.publish('people.details', async function publishPersonDetails(personId) {
+  if (!personId || typeof personId !== 'string' || !personId.trim()) {
+    return [];
+  }
+
+  // A permissão é conferida no evento da própria pessoa
+  const person = await People.findOneAsync({ _id: personId }, { fields: { communityId: 1 } });
+  if (!person || !(await hasPermission(this.userId, person.communityId, PERMISSIONS.VIEW_PEOPLE))) {
+    return [];
+  }
+
+  // O evento entra no seletor: se a pessoa mudar de evento, some da gaveta
+  const handle = await People.find(
+    { _id: personId, communityId: person.communityId },
+    { fields: PERSON_DETAILS_HIDDEN_FIELDS }
+  ).observeChangesAsync({
+    added: (id, fields) => this.added(PERSON_DETAILS_COLLECTION, id, fields),
+    changed: (id, fields) => this.changed(PERSON_DETAILS_COLLECTION, id, fields),
+    removed: (id) => this.removed(PERSON_DETAILS_COLLECTION, id),
+  });
+
+  this.onStop(() => handle.stop());
+  this.ready();
+  return undefined;
+});
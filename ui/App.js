@@ -1,7 +1,29 @@
 import React from 'react';
 
+// Roteamento no cliente: o evento e a pessoa abertos ficam na URL
+import { BrowserRouter, Navigate, Route, Routes } from 'react-router-dom';
+
+import HomePage from './pages/HomePage.jsx';
+import { ROUTE_PATHS } from './routes';
+
+// Idioma da interface, disponível para todas as telas
+import { I18nProvider } from './i18n';
+
+/**
+ * COMPONENTE: App
+ *
+ * Todas as rotas levam ao HomePage, que lê o evento e a pessoa dos
+ * parâmetros da URL. Caminhos desconhecidos voltam para o início.
+ */
 export const App = () => (
-  <div>
-    <h1 className="text-lg font-bold">Event Check-in</h1>
-  </div>
+  <I18nProvider>
+    <BrowserRouter>
+      <Routes>
+        <Route path={ROUTE_PATHS.HOME} element={<HomePage />} />
+        <Route path={ROUTE_PATHS.EVENT} element={<HomePage />} />
+        <Route path={ROUTE_PATHS.PERSON} element={<HomePage />} />
+        <Route path="*" element={<Navigate to={ROUTE_PATHS.HOME} replace />} />
+      </Routes>
+    </BrowserRouter>
+  </I18nProvider>
 );
@@ -0,0 +1,413 @@
+// Importação do React e dos hooks de estado e efeito
+import React, { useEffect, useMemo, useState } from 'react';
+
+// Importação do Meteor para consultar quem estava no evento
+import { Meteor } from 'meteor/meteor';
+
+// Importação dos hooks do Meteor para assinar a linha do tempo calculada no servidor
+import { useSubscribe, useTracker } from 'meteor/react-meteor-data';
+
+// Collection (apenas no cliente) com as faixas publicadas e montagem dos pontos do gráfico
+import { EventTimelines, TIMELINE_BUCKET_OPTIONS, buildTimeline } from '../../people/event-timeline';
+
+// Textos e números no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * CONSTANTES: Dimensões do gráfico
+ *
+ * Coordenadas do viewBox do SVG; o gráfico é esticado para a largura do
+ * card. As barras de entradas/saídas ocupam a parte de baixo do gráfico,
+ * abaixo da área de lotação.
+ */
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const FLOW_HEIGHT = 50;
+
+// Quantos horários aparecem no eixo abaixo do gráfico
+const AXIS_LABELS = 5;
+
+// Espera entre o último movimento do cursor e a consulta ao servidor
+const PRESENT_AT_DEBOUNCE_MS = 300;
+
+/**
+ * FUNÇÃO AUXILIAR: formatTime
+ *
+ * Horário (HH:mm) no fuso do evento; com `withDay`, inclui dia e mês para
+ * gráficos que passam de um dia.
+ *
+ * @param {Date} date - Data a formatar
+ * @param {string} [timeZone] - Fuso do evento; sem ele, usa o do navegador
+ * @param {string} locale - Idioma da interface
+ * @param {boolean} withDay - Incluir dia e mês
+ * @returns {string} Horário formatado
+ */
+const formatTime = (date, timeZone, locale, withDay) =>
+  new Intl.DateTimeFormat(locale, {
+    timeZone: timeZone || undefined,
+    day: withDay ? '2-digit' : undefined,
+    month: withDay ? '2-digit' : undefined,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(date);
+
+/**
+ * FUNÇÃO AUXILIAR: getDayKey
+ *
+ * Dia (YYYY-MM-DD) da data no fuso do evento, para saber se o gráfico
+ * passa de um dia.
+ *
+ * @param {Date} date - Data
+ * @param {string} [timeZone] - Fuso do evento
+ * @returns {string} Dia da data
+ */
+const getDayKey = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+/**
+ * COMPONENTE: ArrivalsTimeline
+ *
+ * Gráfico de chegadas e saídas do evento ao longo do tempo, exibido no
+ * EventSummary. Mostra a lotação ao fim de cada faixa (área azul) e as
+ * entradas e saídas de cada faixa (barras verdes e laranja).
+ *
+ * O gráfico acompanha o evento ao vivo. Arrastando o cursor (ou usando o
+ * controle deslizante) a pessoa escolhe um horário passado e vê quantos e
+ * quem estavam no evento naquele momento (method people.presentAt).
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento selecionado
+ * @param {string} [props.timeZone] - Fuso horário do evento
+ * @param {number|null} [props.capacity] - Capacidade do evento, desenhada como linha de referência
+ */
+const ArrivalsTimeline = ({ communityId, timeZone, capacity }) => {
+  const { locale, t } = useI18n();
+
+  /**
+   * ESTADO LOCAL:
+   * - bucketMinutes: tamanho da faixa escolhido
+   * - selectedStart: início (ms) da faixa escolhida no cursor; null acompanha o ao vivo
+   * - presentAt: resposta de people.presentAt para a faixa escolhida
+   * - presentAtError: motivo do erro da consulta
+   * - now: momento atual, avançado a cada minuto para a faixa atual crescer
+   */
+  const [bucketMinutes, setBucketMinutes] = useState(TIMELINE_BUCKET_OPTIONS[0]);
+  const [selectedStart, setSelectedStart] = useState(null);
+  const [presentAt, setPresentAt] = useState(null);
+  const [presentAtError, setPresentAtError] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  const isLoading = useSubscribe('eventTimeline', communityId);
+  const timeline = useTracker(() => EventTimelines.findOne(communityId), [communityId]);
+
+  // Sem movimento no evento o documento não muda; o relógio faz a faixa atual avançar
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Trocar de evento volta para o ao vivo
+  useEffect(() => {
+    setSelectedStart(null);
+  }, [communityId]);
+
+  const points = useMemo(
+    () => buildTimeline(timeline, bucketMinutes, now),
+    [timeline, bucketMinutes, now]
+  );
+
+  const selectedIndex =
+    selectedStart === null ? -1 : points.findIndex((point) => point.start.getTime() === selectedStart);
+  const selectedPoint = selectedIndex >= 0 ? points[selectedIndex] : null;
+
+  // Fim da faixa escolhida (ou agora, se a faixa ainda não terminou)
+  const selectedMoment =
+    selectedPoint && selectedPoint.end > now ? now.getTime() : selectedPoint && selectedPoint.end.getTime();
+
+  /**
+   * EFEITO: Consulta quem estava no evento no horário escolhido
+   *
+   * Espera o cursor parar para não disparar uma consulta por faixa
+   * percorrida; respostas de consultas antigas são descartadas.
+   */
+  useEffect(() => {
+    setPresentAt(null);
+    setPresentAtError(null);
+    if (!selectedMoment) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(() => {
+      Meteor.callAsync('people.presentAt', { communityId, at: new Date(selectedMoment) })
+        .then((result) => {
+          if (!cancelled) {
+            setPresentAt(result);
+          }
+        })
+        .catch((error) => {
+          if (!cancelled) {
+            setPresentAtError(error.reason || error.message);
+          }
+        });
+    }, PRESENT_AT_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [communityId, selectedMoment]);
+
+  if (isLoading()) {
+    return null;
+  }
+
+  if (points.length === 0) {
+    return (
+      <div className="border border-gray-200 rounded-lg p-4">
+        <h3 className="text-sm font-semibold text-gray-900">{t('eventTimeline.title')}</h3>
+        <p className="text-sm text-gray-500 mt-2">{t('eventTimeline.empty')}</p>
+      </div>
+    );
+  }
+
+  /**
+   * CÁLCULO: Escalas do gráfico
+   *
+   * A lotação usa a maior lotação registrada ou a capacidade, o que for
+   * maior; as barras usam o maior movimento de uma faixa.
+   */
+  const maxOccupancy = Math.max(1, capacity || 0, ...points.map((point) => point.occupancy));
+  const maxFlow = Math.max(1, ...points.map((point) => Math.max(point.checkIns, point.checkOuts)));
+  const step = CHART_WIDTH / points.length;
+  const occupancyHeight = CHART_HEIGHT - FLOW_HEIGHT;
+  const occupancyY = (value) => occupancyHeight - (value / maxOccupancy) * occupancyHeight;
+  const flowHeight = (value) => (value / maxFlow) * (FLOW_HEIGHT - 4);
+
+  const occupancyPath = [
+    `M 0 ${occupancyHeight}`,
+    ...points.map((point, index) => `L ${index * step} ${occupancyY(point.occupancy)} L ${(index + 1) * step} ${occupancyY(point.occupancy)}`),
+    `L ${CHART_WIDTH} ${occupancyHeight}`,
+    'Z',
+  ].join(' ');
+
+  const spansDays = getDayKey(points[0].start, timeZone) !== getDayKey(points[points.length - 1].start, timeZone);
+  const axisIndexes = [
+    ...new Set(
+      Array.from({ length: AXIS_LABELS }, (_, index) =>
+        Math.round((index * (points.length - 1)) / (AXIS_LABELS - 1))
+      )
+    ),
+  ];
+
+  /**
+   * HANDLER: handlePointer
+   *
+   * Escolhe a faixa sob o ponteiro ao clicar ou arrastar sobre o gráfico.
+   *
+   * @param {PointerEvent} event - Evento do ponteiro
+   */
+  const handlePointer = (event) => {
+    if (event.type === 'pointermove' && event.buttons !== 1) {
+      return;
+    }
+    const rect = event.currentTarget.getBoundingClientRect();
+    const index = Math.min(
+      points.length - 1,
+      Math.max(0, Math.floor(((event.clientX - rect.left) / rect.width) * points.length))
+    );
+    setSelectedStart(points[index].start.getTime());
+  };
+
+  const shownPoint = selectedPoint || points[points.length - 1];
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-sm font-semibold text-gray-900">{t('eventTimeline.title')}</h3>
+        <div className="flex items-center gap-1" role="group" aria-label={t('eventTimeline.bucketLabel')}>
+          {TIMELINE_BUCKET_OPTIONS.map((minutes) => (
+            <button
+              key={minutes}
+              type="button"
+              onClick={() => {
+                setBucketMinutes(minutes);
+                setSelectedStart(null);
+              }}
+              aria-pressed={bucketMinutes === minutes}
+              className={`px-2 py-1 text-xs rounded-md border ${
+                bucketMinutes === minutes
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {t('eventTimeline.bucket', { minutes })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Legenda */}
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600 mt-2">
+        <span className="inline-flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm bg-blue-200 border border-blue-500"></span>
+          {t('eventTimeline.legendOccupancy')}
+        </span>
+        <span className="inline-flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm bg-green-500"></span>
+          {t('eventTimeline.legendCheckIns')}
+        </span>
+        <span className="inline-flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm bg-orange-400"></span>
+          {t('eventTimeline.legendCheckOuts')}
+        </span>
+      </div>
+
+      {/* GRÁFICO: lotação, entradas e saídas por faixa */}
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-40 mt-3 cursor-crosshair touch-none select-none"
+        role="img"
+        aria-label={t('eventTimeline.chartLabel')}
+        onPointerDown={handlePointer}
+        onPointerMove={handlePointer}
+      >
+        <path d={occupancyPath} className="fill-blue-200 stroke-blue-500" vectorEffect="non-scaling-stroke" />
+
+        {capacity > 0 && (
+          <line
+            x1={0}
+            x2={CHART_WIDTH}
+            y1={occupancyY(capacity)}
+            y2={occupancyY(capacity)}
+            className="stroke-red-500"
+            strokeDasharray="4 4"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+
+        {points.map((point, index) => (
+          <g key={point.start.getTime()}>
+            <rect
+              x={index * step + step * 0.1}
+              y={CHART_HEIGHT - flowHeight(point.checkIns)}
+              width={step * 0.4}
+              height={flowHeight(point.checkIns)}
+              className="fill-green-500"
+            />
+            <rect
+              x={index * step + step * 0.5}
+              y={CHART_HEIGHT - flowHeight(point.checkOuts)}
+              width={step * 0.4}
+              height={flowHeight(point.checkOuts)}
+              className="fill-orange-400"
+            />
+          </g>
+        ))}
+
+        {selectedPoint && (
+          <line
+            x1={(selectedIndex + 0.5) * step}
+            x2={(selectedIndex + 0.5) * step}
+            y1={0}
+            y2={CHART_HEIGHT}
+            className="stroke-gray-900"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+
+      {/* Eixo de horários */}
+      <div className="relative h-4 text-xs text-gray-500">
+        {axisIndexes.map((index) => (
+          <span
+            key={index}
+            className="absolute -translate-x-1/2 whitespace-nowrap"
+            style={{ left: `${((index + 0.5) / points.length) * 100}%` }}
+          >
+            {formatTime(points[index].start, timeZone, locale, spansDays)}
+          </span>
+        ))}
+      </div>
+
+      {/* CURSOR: escolha do horário pelo teclado ou arrastando */}
+      <input
+        type="range"
+        min={0}
+        max={points.length - 1}
+        value={selectedIndex >= 0 ? selectedIndex : points.length - 1}
+        onChange={(event) => setSelectedStart(points[Number(event.target.value)].start.getTime())}
+        aria-label={t('eventTimeline.scrubLabel')}
+        className="w-full mt-3"
+      />
+
+      {/* DETALHES da faixa escolhida (ou da atual, no ao vivo) */}
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-2 text-sm text-gray-700">
+        <span>
+          <span className="font-medium">
+            {t('eventTimeline.presentAt', {
+              time: selectedPoint ? formatTime(new Date(selectedMoment), timeZone, locale, spansDays) : t('eventTimeline.live'),
+              count: shownPoint.occupancy,
+            })}
+          </span>{' '}
+          <span className="text-gray-500">
+            {t('eventTimeline.bucketMovement', {
+              checkIns: shownPoint.checkIns,
+              checkOuts: shownPoint.checkOuts,
+              start: formatTime(shownPoint.start, timeZone, locale, false),
+              end: formatTime(shownPoint.end, timeZone, locale, false),
+            })}
+          </span>
+        </span>
+        {selectedPoint && (
+          <button
+            type="button"
+            onClick={() => setSelectedStart(null)}
+            className="text-sm text-blue-600 hover:text-blue-800"
+          >
+            {t('eventTimeline.backToLive')}
+          </button>
+        )}
+      </div>
+
+      {/* QUEM ESTAVA no evento no horário escolhido */}
+      {selectedPoint && (
+        <div className="mt-2 text-sm">
+          {presentAtError && (
+            <p className="text-red-600">{t('eventTimeline.whoError', { reason: presentAtError })}</p>
+          )}
+          {!presentAtError && !presentAt && <p className="text-gray-500">{t('eventTimeline.whoLoading')}</p>}
+          {presentAt && presentAt.totalCount === 0 && (
+            <p className="text-gray-500">{t('eventTimeline.whoEmpty')}</p>
+          )}
+          {presentAt && presentAt.totalCount > 0 && (
+            <p className="text-gray-700 break-words">
+              {presentAt.people
+                .map((person) =>
+                  person.companyName
+                    ? `${person.firstName} ${person.lastName} (${person.companyName})`
+                    : `${person.firstName} ${person.lastName}`
+                )
+                .join(', ')}
+              {presentAt.totalCount > presentAt.people.length && (
+                <span className="text-gray-500">
+                  {' '}{t('eventTimeline.whoMore', { count: presentAt.totalCount - presentAt.people.length })}
+                </span>
+              )}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default ArrivalsTimeline;
@@ -0,0 +1,95 @@
+// Importação do React e do hook useState para o filtro e o estado da exportação
+import React, { useState } from 'react';
+
+// Importação do Meteor para chamar o method de exportação
+import { Meteor } from 'meteor/meteor';
+
+// Status usados no filtro do relatório
+import { ATTENDANCE_STATUS, getAttendanceStatusLabelKey } from '../../people/attendance-report';
+
+// Download do arquivo gerado pelo servidor
+import { downloadFile } from '../download-file';
+
+// Textos no idioma da interface (o servidor gera o arquivo no mesmo idioma)
+import { useI18n } from '../i18n';
+
+/**
+ * COMPONENTE: AttendanceExport
+ *
+ * Exportação do relatório de presença do evento em CSV ou Excel, com
+ * filtro por situação (no evento, saiu ou não compareceu). As datas saem
+ * no fuso horário do navegador de quem exporta.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento selecionado
+ */
+const AttendanceExport = ({ communityId }) => {
+  const { t } = useI18n();
+  const [status, setStatus] = useState('');
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  /**
+   * HANDLER: handleExport
+   *
+   * @param {string} format - 'csv' ou 'xlsx'
+   */
+  const handleExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      const file = await Meteor.callAsync('people.exportAttendance', {
+        communityId,
+        status: status || undefined,
+        format,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      });
+      downloadFile(file);
+    } catch (error) {
+      console.error('Erro ao exportar relatório:', error);
+      alert(t('attendanceExport.failed', { reason: error.reason }));
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+      <div className="flex flex-col space-y-1 flex-1">
+        <label htmlFor="export-status" className="text-sm font-medium text-gray-700">
+          {t('attendanceExport.title')}
+        </label>
+        <select
+          id="export-status"
+          value={status}
+          onChange={(event) => setStatus(event.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white"
+        >
+          <option value="">{t('attendanceExport.allPeople')}</option>
+          {Object.values(ATTENDANCE_STATUS).map((value) => (
+            <option key={value} value={value}>
+              {t(getAttendanceStatusLabelKey(value))}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={() => handleExport('csv')}
+          disabled={!!exportingFormat}
+          className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          {exportingFormat === 'csv' ? t('attendanceExport.exporting') : t('attendanceExport.exportCsv')}
+        </button>
+        <button
+          onClick={() => handleExport('xlsx')}
+          disabled={!!exportingFormat}
+          className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          {exportingFormat === 'xlsx' ? t('attendanceExport.exporting') : t('attendanceExport.exportXlsx')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default AttendanceExport;
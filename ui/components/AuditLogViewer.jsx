@@ -0,0 +1,292 @@
+// Importação do React e dos hooks para filtros e carregamento dos registros
+import React, { useCallback, useEffect, useState } from 'react';
+
+// Importação do Meteor para consultar e exportar o log
+import { Meteor } from 'meteor/meteor';
+
+// Tipos de ação e tamanho da página do log
+import { AUDIT_ACTIONS, AUDIT_PAGE_SIZE, getAuditActionLabelKey } from '../../audit/audit-log';
+
+// Datas digitadas no fuso horário do evento
+import { fromDateTimeLocalValue } from '../../communities/event-details';
+
+// Textos e datas no idioma da interface
+import { useI18n } from '../i18n';
+
+// Download do CSV gerado pelo servidor
+import { downloadFile } from '../download-file';
+
+/**
+ * FUNÇÃO AUXILIAR: formatAuditValue
+ *
+ * @param {*} value - Valor guardado em before/after
+ * @param {Object} i18n - { t, formatDate } de useI18n
+ * @param {string} [timeZone] - Fuso do evento
+ * @returns {string} Valor legível
+ */
+const formatAuditValue = (value, { t, formatDate }, timeZone) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  if (value instanceof Date) {
+    return formatDate(value, timeZone);
+  }
+  if (Array.isArray(value)) {
+    return t('auditLog.items', { count: value.length });
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * FUNÇÃO AUXILIAR: describeChanges
+ *
+ * Lista apenas os campos que mudaram entre "antes" e "depois".
+ *
+ * @param {Object} entry - Registro do log
+ * @param {Object} i18n - { t, formatDate } de useI18n
+ * @param {string} [timeZone] - Fuso do evento
+ * @returns {Array<{field: string, before: string, after: string}>} Campos alterados
+ */
+const describeChanges = (entry, i18n, timeZone) => {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({
+      field,
+      before: formatAuditValue(before[field], i18n, timeZone),
+      after: formatAuditValue(after[field], i18n, timeZone),
+    }));
+};
+
+/**
+ * COMPONENTE: AuditLogViewer
+ *
+ * Visualizador do log de auditoria do evento, para organizadores: quem
+ * alterou o quê, quando, por qual method e de qual IP. Os filtros são
+ * aplicados no servidor, e o mesmo recorte pode ser exportado em CSV para
+ * revisões de conformidade.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento selecionado
+ * @param {string} [props.timeZone] - Fuso horário do evento
+ * @param {Function} props.onClose - Fecha o visualizador
+ */
+const AuditLogViewer = ({ communityId, timeZone, onClose }) => {
+  const i18n = useI18n();
+  const { t, formatDate } = i18n;
+
+  // Filtros como digitados no formulário
+  const [action, setAction] = useState('');
+  const [userEmail, setUserEmail] = useState('');
+  const [personSearch, setPersonSearch] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  // Filtros aplicados (só mudam ao clicar em "Filtrar") e página carregada
+  const [appliedFilters, setAppliedFilters] = useState({});
+  const [limit, setLimit] = useState(AUDIT_PAGE_SIZE);
+  const [result, setResult] = useState({ entries: [], hasMore: false });
+  const [isLoading, setIsLoading] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * FUNÇÃO: loadEntries
+   *
+   * Busca no servidor os registros dos filtros aplicados.
+   */
+  const loadEntries = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setResult(await Meteor.callAsync('audit.search', { communityId, ...appliedFilters, limit }));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.reason || loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [communityId, appliedFilters, limit]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  /**
+   * HANDLER: handleFilter
+   *
+   * Aplica os filtros do formulário e volta para a primeira página.
+   *
+   * @param {Event} event - Evento de submit do formulário
+   */
+  const handleFilter = (event) => {
+    event.preventDefault();
+    setAppliedFilters({
+      action: action || undefined,
+      userEmail: userEmail.trim() || undefined,
+      personSearch: personSearch.trim() || undefined,
+      from: fromDateTimeLocalValue(from, timeZone) || undefined,
+      to: fromDateTimeLocalValue(to, timeZone) || undefined,
+    });
+    setLimit(AUDIT_PAGE_SIZE);
+  };
+
+  /**
+   * HANDLER: handleExport
+   *
+   * Exporta em CSV os registros dos filtros aplicados.
+   */
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      downloadFile(await Meteor.callAsync('audit.export', { communityId, ...appliedFilters }));
+    } catch (exportError) {
+      console.error('Erro ao exportar o log de auditoria:', exportError);
+      alert(t('auditLog.exportFailed', { reason: exportError.reason || exportError.message }));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Cabeçalho da seção */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('auditLog.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('auditLog.subtitle')}</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            {isExporting ? t('auditLog.exporting') : t('auditLog.export')}
+          </button>
+          <button onClick={onClose} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">
+            {t('auditLog.close')}
+          </button>
+        </div>
+      </div>
+
+      {/* Filtros */}
+      <form onSubmit={handleFilter} className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+        <select
+          value={action}
+          onChange={(event) => setAction(event.target.value)}
+          aria-label={t('auditLog.actionFilter')}
+          className="px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white"
+        >
+          <option value="">{t('auditLog.allActions')}</option>
+          {Object.values(AUDIT_ACTIONS).map((value) => (
+            <option key={value} value={value}>
+              {t(getAuditActionLabelKey(value))}
+            </option>
+          ))}
+        </select>
+        <input
+          type="search"
+          value={userEmail}
+          onChange={(event) => setUserEmail(event.target.value)}
+          placeholder={t('auditLog.userFilter')}
+          aria-label={t('auditLog.userFilter')}
+          className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+        />
+        <input
+          type="search"
+          value={personSearch}
+          onChange={(event) => setPersonSearch(event.target.value)}
+          placeholder={t('auditLog.personFilter')}
+          aria-label={t('auditLog.personFilterLabel')}
+          className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+        />
+        <label className="flex flex-col text-sm text-gray-700">
+          {t('auditLog.from')}
+          <input
+            type="datetime-local"
+            value={from}
+            onChange={(event) => setFrom(event.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </label>
+        <label className="flex flex-col text-sm text-gray-700">
+          {t('auditLog.to')}
+          <input
+            type="datetime-local"
+            value={to}
+            onChange={(event) => setTo(event.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </label>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          {t('auditLog.filter')}
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {/* Registros */}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b border-gray-200">
+              <th className="py-2 pr-4">{t('auditLog.columns.date')}</th>
+              <th className="py-2 pr-4">{t('auditLog.columns.user')}</th>
+              <th className="py-2 pr-4">{t('auditLog.columns.action')}</th>
+              <th className="py-2 pr-4">{t('auditLog.columns.person')}</th>
+              <th className="py-2 pr-4">{t('auditLog.columns.changes')}</th>
+              <th className="py-2">{t('auditLog.columns.ip')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.entries.map((entry) => (
+              <tr key={entry._id} className="border-b border-gray-100 align-top">
+                <td className="py-2 pr-4 whitespace-nowrap">{formatDate(entry.createdAt, timeZone)}</td>
+                <td className="py-2 pr-4">{entry.userEmail || entry.userId || '—'}</td>
+                <td className="py-2 pr-4">
+                  {t(getAuditActionLabelKey(entry.action))}
+                  <span className="block text-xs text-gray-500">{entry.method}</span>
+                </td>
+                <td className="py-2 pr-4">{entry.personName || entry.personId || '—'}</td>
+                <td className="py-2 pr-4">
+                  {describeChanges(entry, i18n, timeZone).map((change) => (
+                    <p key={change.field}>
+                      <span className="font-medium">{change.field}:</span> {change.before} → {change.after}
+                    </p>
+                  ))}
+                </td>
+                <td className="py-2 text-gray-500">{entry.clientIp || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!isLoading && result.entries.length === 0 && (
+        <p className="text-center text-gray-500 py-4">{t('auditLog.empty')}</p>
+      )}
+
+      {result.hasMore && (
+        <div className="text-center">
+          <button
+            onClick={() => setLimit((previousLimit) => previousLimit + AUDIT_PAGE_SIZE)}
+            disabled={isLoading}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-60"
+          >
+            {isLoading ? t('auditLog.loading') : t('auditLog.loadMore')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default AuditLogViewer;
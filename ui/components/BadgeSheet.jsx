@@ -0,0 +1,128 @@
+// Importação do React e dos hooks para carregar os crachás ao abrir a tela
+import React, { useEffect, useState } from 'react';
+
+// Importação do Meteor para buscar os dados dos crachás
+import { Meteor } from 'meteor/meteor';
+
+// Biblioteca que gera a imagem do QR code no navegador
+import QRCode from 'qrcode';
+
+// Texto gravado no QR code a partir do token do crachá
+import { buildBadgeCode } from '../../people/badges';
+
+// Textos no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * COMPONENTE: BadgeSheet
+ *
+ * Folha de crachás para impressão: um crachá por participante do evento,
+ * com nome, empresa, cargo e o QR code lido no modo de leitura da recepção.
+ * Ao imprimir, apenas os crachás aparecem no papel (ver client/main.css).
+ *
+ * Disponível apenas para organizadores; o servidor valida a permissão.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento
+ * @param {string} props.communityName - Nome do evento, impresso no crachá
+ * @param {Function} props.onClose - Fecha a folha de crachás
+ */
+const BadgeSheet = ({ communityId, communityName, onClose }) => {
+  const { t } = useI18n();
+
+  // Crachás carregados: [{ _id, firstName, lastName, companyName, title, qrCodeUrl }]
+  const [badges, setBadges] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * EFEITO: Carregamento dos crachás
+   *
+   * Busca os dados no servidor (que gera tokens para quem ainda não tem)
+   * e converte cada token em uma imagem de QR code.
+   */
+  useEffect(() => {
+    let isCancelled = false;
+
+    const loadBadges = async () => {
+      try {
+        const people = await Meteor.callAsync('people.getBadges', communityId);
+        const withQrCodes = await Promise.all(
+          people.map(async (person) => ({
+            ...person,
+            qrCodeUrl: await QRCode.toDataURL(buildBadgeCode(person.badgeToken), {
+              margin: 1,
+              width: 160,
+            }),
+          }))
+        );
+        if (!isCancelled) {
+          setBadges(withQrCodes);
+        }
+      } catch (loadError) {
+        if (!isCancelled) {
+          setError(loadError.reason || loadError.message);
+        }
+      }
+    };
+
+    loadBadges();
+    return () => {
+      isCancelled = true;
+    };
+  }, [communityId]);
+
+  return (
+    <div className="space-y-6">
+      {/* Cabeçalho da seção (não aparece na impressão) */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('badgeSheet.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {badges
+              ? t('badgeSheet.count', { count: badges.length, name: communityName })
+              : t('badgeSheet.generating')}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => window.print()}
+            disabled={!badges || badges.length === 0}
+            className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {t('badgeSheet.print')}
+          </button>
+          <button onClick={onClose} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">
+            {t('badgeSheet.close')}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {/* Folha de crachás - a única parte impressa */}
+      {badges && (
+        <div className="badge-sheet grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {badges.map((badge) => (
+            <div
+              key={badge._id}
+              className="badge flex items-center gap-4 border-2 border-gray-300 rounded-lg p-4"
+            >
+              <img src={badge.qrCodeUrl} alt="" className="h-28 w-28 flex-shrink-0" />
+              <div className="min-w-0">
+                <p className="text-xs uppercase tracking-wide text-gray-500">{communityName}</p>
+                <p className="text-xl font-bold text-gray-900 break-words">
+                  {badge.firstName} {badge.lastName}
+                </p>
+                {badge.companyName && <p className="text-gray-700">{badge.companyName}</p>}
+                {badge.title && <p className="text-sm text-gray-500">{badge.title}</p>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default BadgeSheet;
@@ -0,0 +1,71 @@
+// Importação do React para criação do componente
+import React from 'react';
+
+// Pessoas chamadas da lista de espera pelas vagas liberadas no lote
+import { formatAdmittedMessage } from '../../people/waitlist';
+
+// Contagens e textos no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * COMPONENTE: BulkActionResults
+ *
+ * Exibe o resultado de uma ação em lote (check-in/check-out de várias
+ * pessoas): quantas deram certo e, para cada falha, o nome da pessoa e o
+ * motivo informado pelo servidor. Falhas parciais ficam visíveis até o
+ * usuário fechar o painel.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.title - Nome da ação (ex.: "Check-in dos selecionados")
+ * @param {Object} props.summary - Retorno do method em lote ({ results, successCount, failureCount, admitted? })
+ * @param {Function} props.getPersonName - (personId) => nome para exibir
+ * @param {Function} props.onDismiss - Fecha o painel
+ */
+const BulkActionResults = ({ title, summary, getPersonName, onDismiss }) => {
+  const { locale, t } = useI18n();
+  const failures = summary.results.filter((result) => !result.success);
+  const hasFailures = failures.length > 0;
+  const admittedMessage = formatAdmittedMessage(summary.admitted, locale);
+
+  return (
+    <div
+      role="status"
+      className={`border rounded-lg p-4 ${hasFailures ? 'bg-yellow-50 border-yellow-200' : 'bg-green-50 border-green-200'}`}
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <p className="font-medium text-gray-900">{title}</p>
+          <p className="text-sm text-gray-700">
+            {t('bulkResults.succeeded', { count: summary.successCount })}
+            {hasFailures && t('bulkResults.failed', { count: summary.failureCount })}
+            {summary.results.length === 0 && t('bulkResults.empty')}
+          </p>
+        </div>
+        <button
+          onClick={onDismiss}
+          aria-label={t('bulkResults.close')}
+          className="text-gray-500 hover:text-gray-800"
+        >
+          ×
+        </button>
+      </div>
+
+      {/* Check-outs do lote que liberaram vagas para a lista de espera */}
+      {admittedMessage && <p className="mt-2 text-sm text-green-800">{admittedMessage}</p>}
+
+      {/* Lista de falhas com o motivo de cada uma */}
+      {hasFailures && (
+        <ul className="mt-3 space-y-1 text-sm text-yellow-900">
+          {failures.map((failure) => (
+            <li key={failure.personId}>
+              <span className="font-medium">{getPersonName(failure.personId)}</span>: {failure.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default BulkActionResults;
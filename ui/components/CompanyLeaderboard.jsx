@@ -0,0 +1,137 @@
+// Importação do React e do hook de estado para a ordenação da tabela
+import React, { useState } from 'react';
+
+// Grupo de quem não informou empresa, traduzido na exibição
+import { NO_COMPANY_KEY } from '../../people/event-summaries';
+
+// Textos e números no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * CONSTANTE: COMPANY_COLUMNS
+ *
+ * Colunas da tabela, na ordem de exibição. `field` é o campo de cada item
+ * de summary.companies e `numeric` indica as colunas de contagem (que
+ * começam ordenadas da maior para a menor).
+ */
+const COMPANY_COLUMNS = [
+  { field: 'companyName', numeric: false },
+  { field: 'registeredCount', numeric: true },
+  { field: 'presentCount', numeric: true },
+  { field: 'checkedOutCount', numeric: true },
+  { field: 'noShowCount', numeric: true },
+];
+
+/**
+ * COMPONENTE: CompanyLeaderboard
+ *
+ * Tabela de empresas do EventSummary: inscritos, presentes agora, quem já
+ * saiu e quem não compareceu, por empresa. A ordenação é escolhida
+ * clicando no cabeçalho; clicar numa empresa filtra a lista de
+ * participantes por ela (e clicar de novo remove o filtro).
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {Array<Object>} props.companies - summary.companies publicado pelo servidor
+ * @param {string} [props.selectedCompany] - Empresa filtrada na lista
+ * @param {Function} props.onSelectCompany - Recebe o nome da empresa ('' remove o filtro)
+ */
+const CompanyLeaderboard = ({ companies, selectedCompany, onSelectCompany }) => {
+  const { locale, t, formatNumber } = useI18n();
+
+  /**
+   * ESTADO LOCAL: sort
+   *
+   * Coluna e direção da ordenação; começa pelas empresas com mais
+   * pessoas presentes.
+   */
+  const [sort, setSort] = useState({ field: 'presentCount', direction: -1 });
+
+  const getCompanyLabel = (companyName) =>
+    companyName === NO_COMPANY_KEY ? t('eventSummary.noCompany') : companyName;
+
+  /**
+   * HANDLER: handleSort
+   *
+   * Clicar na coluna já ordenada inverte a direção.
+   *
+   * @param {Object} column - Item de COMPANY_COLUMNS
+   */
+  const handleSort = (column) => {
+    setSort((previous) =>
+      previous.field === column.field
+        ? { field: column.field, direction: -previous.direction }
+        : { field: column.field, direction: column.numeric ? -1 : 1 }
+    );
+  };
+
+  // Empates (e a coluna de nome) usam a ordem alfabética do idioma da interface
+  const compareNames = (a, b) =>
+    getCompanyLabel(a.companyName).localeCompare(getCompanyLabel(b.companyName), locale);
+  const sortedCompanies = [...companies].sort((a, b) => {
+    if (sort.field === 'companyName') {
+      return sort.direction * compareNames(a, b);
+    }
+    return sort.direction * (a[sort.field] - b[sort.field]) || compareNames(a, b);
+  });
+
+  if (companies.length === 0) {
+    return <p className="text-sm text-blue-900">{t('companyLeaderboard.empty')}</p>;
+  }
+
+  return (
+    <div className="overflow-auto max-h-80">
+      <table className="min-w-full text-sm">
+        <thead className="sticky top-0 bg-blue-50">
+          <tr className="text-left text-blue-700 border-b border-blue-200">
+            {COMPANY_COLUMNS.map((column) => (
+              <th
+                key={column.field}
+                className={`py-2 px-2 ${column.numeric ? 'text-right' : ''}`}
+                aria-sort={
+                  sort.field === column.field ? (sort.direction === 1 ? 'ascending' : 'descending') : 'none'
+                }
+              >
+                <button type="button" onClick={() => handleSort(column)} className="font-medium hover:underline">
+                  {t(`companyLeaderboard.columns.${column.field}`)}
+                  {sort.field === column.field && (sort.direction === 1 ? ' ▲' : ' ▼')}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedCompanies.map((company) => {
+            const isSelected = company.companyName === selectedCompany;
+            return (
+              <tr
+                key={company.companyName}
+                className={`border-b border-blue-100 ${isSelected ? 'bg-blue-100' : 'hover:bg-blue-50'}`}
+              >
+                <td className="py-2 px-2">
+                  <button
+                    type="button"
+                    onClick={() => onSelectCompany(isSelected ? '' : company.companyName)}
+                    aria-pressed={isSelected}
+                    title={t(isSelected ? 'companyLeaderboard.clearFilter' : 'companyLeaderboard.filter')}
+                    className="text-left text-blue-900 hover:underline break-words"
+                  >
+                    {getCompanyLabel(company.companyName)}
+                  </button>
+                </td>
+                <td className="py-2 px-2 text-right">{formatNumber(company.registeredCount)}</td>
+                <td className="py-2 px-2 text-right font-semibold text-green-800">
+                  {formatNumber(company.presentCount)}
+                </td>
+                <td className="py-2 px-2 text-right">{formatNumber(company.checkedOutCount)}</td>
+                <td className="py-2 px-2 text-right text-orange-800">{formatNumber(company.noShowCount)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default CompanyLeaderboard;
@@ -0,0 +1,356 @@
+// Importação do React e dos hooks para a lista de pares e o formulário de mesclagem
+import React, { useCallback, useEffect, useState } from 'react';
+
+// Importação do Meteor para chamar os methods de duplicados
+import { Meteor } from 'meteor/meteor';
+
+// Campos cadastrais que o organizador escolhe de qual cadastro manter
+import { PROFILE_FIELDS, getProfileValues } from '../../people/person-profile';
+
+// Presença de cada cadastro, exibida para comparação
+import { getVisits, isPresent } from '../../people/attendance';
+import { isWalkIn } from '../../people/walk-ins';
+
+// Textos, nomes dos campos e motivos de cada par (duplicateReview.reasons) no idioma da interface
+import { useI18n } from '../i18n';
+
+// Escolha das observações que junta o texto dos dois cadastros
+const COMBINE_NOTES = 'both';
+
+/**
+ * FUNÇÃO AUXILIAR: getDefaultMerge
+ *
+ * Sugestão inicial da mesclagem: mantém o cadastro com mais visitas (o
+ * primeiro, em caso de empate) e, em cada campo, o valor preenchido. As
+ * observações dos dois são combinadas quando diferentes.
+ *
+ * @param {Object} candidate - Par de cadastros ({ _id, people })
+ * @returns {Object} { candidateId, keepIndex, choices: { [campo]: 0 | 1 | 'both' } }
+ */
+const getDefaultMerge = (candidate) => {
+  const [first, second] = candidate.people.map(getProfileValues);
+  const choices = Object.fromEntries(
+    PROFILE_FIELDS.map(({ key }) => {
+      if (key === 'notes' && first.notes && second.notes && first.notes !== second.notes) {
+        return [key, COMBINE_NOTES];
+      }
+      return [key, !first[key] && second[key] ? 1 : 0];
+    })
+  );
+  const [firstVisits, secondVisits] = candidate.people.map((person) => getVisits(person).length);
+
+  return { candidateId: candidate._id, keepIndex: secondVisits > firstVisits ? 1 : 0, choices };
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getMergedValues
+ *
+ * @param {Object} candidate - Par de cadastros
+ * @param {Object} choices - Escolha de cada campo (veja getDefaultMerge)
+ * @returns {Object} Valores enviados ao duplicates.merge
+ */
+const getMergedValues = (candidate, choices) => {
+  const profiles = candidate.people.map(getProfileValues);
+  return Object.fromEntries(
+    PROFILE_FIELDS.map(({ key }) => [
+      key,
+      choices[key] === COMBINE_NOTES
+        ? profiles.map((profile) => profile[key]).filter(Boolean).join('\n\n')
+        : profiles[choices[key]][key],
+    ])
+  );
+};
+
+/**
+ * FUNÇÃO AUXILIAR: describeAttendance
+ *
+ * @param {Object} person - Documento da pessoa
+ * @param {Object} i18n - { t, formatDate } de useI18n
+ * @param {string} [timeZone] - Fuso do evento
+ * @returns {string} Resumo da presença do cadastro
+ */
+const describeAttendance = (person, { t, formatDate }, timeZone) => {
+  const visits = getVisits(person);
+  if (visits.length === 0) {
+    return t(person.waitlistedAt ? 'duplicateReview.waitlisted' : 'duplicateReview.noVisits');
+  }
+  return t(isPresent(person) ? 'duplicateReview.visitsPresent' : 'duplicateReview.visitsLeft', {
+    count: visits.length,
+    date: formatDate(person.checkInDate, timeZone),
+  });
+};
+
+/**
+ * COMPONENTE: DuplicateReview
+ *
+ * Revisão, pelo organizador, dos cadastros que a varredura do servidor
+ * apontou como prováveis duplicados. Para cada par, o organizador mescla
+ * os dois em um só (escolhendo qual manter e o valor de cada campo) ou
+ * indica que são pessoas diferentes.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento selecionado
+ * @param {string} [props.timeZone] - Fuso horário do evento
+ * @param {Function} props.onClose - Fecha a revisão
+ */
+const DuplicateReview = ({ communityId, timeZone, onClose }) => {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  const [result, setResult] = useState({ candidates: [], hasMore: false });
+  const [isLoading, setIsLoading] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  // Par aberto no formulário de mesclagem (null quando nenhum)
+  const [merge, setMerge] = useState(null);
+
+  /**
+   * FUNÇÃO: loadCandidates
+   *
+   * Busca no servidor os pares pendentes de revisão.
+   */
+  const loadCandidates = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setResult(await Meteor.callAsync('duplicates.list', communityId));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.reason || loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [communityId]);
+
+  useEffect(() => {
+    loadCandidates();
+  }, [loadCandidates]);
+
+  /**
+   * HANDLER: handleScan
+   *
+   * Procura duplicados agora, sem esperar a varredura periódica.
+   */
+  const handleScan = async () => {
+    setIsScanning(true);
+    setMessage(null);
+    try {
+      const { pendingCount } = await Meteor.callAsync('duplicates.scan', communityId);
+      setMessage(t('duplicateReview.pendingCount', { count: pendingCount }));
+      await loadCandidates();
+    } catch (scanError) {
+      setError(scanError.reason || scanError.message);
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  /**
+   * FUNÇÃO: resolveCandidate
+   *
+   * Chama o method que resolve o par e recarrega a lista. Um par já
+   * resolvido por outra pessoa da equipe também sai da lista.
+   *
+   * @param {string} methodName - 'duplicates.merge' ou 'duplicates.dismiss'
+   * @param {*} argument - Parâmetros do method
+   */
+  const resolveCandidate = async (methodName, argument) => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const response = await Meteor.callAsync(methodName, argument);
+      setMessage(response.message);
+      setMerge(null);
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.reason || saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+    await loadCandidates();
+  };
+
+  /**
+   * HANDLER: handleMerge
+   *
+   * @param {Object} candidate - Par aberto no formulário de mesclagem
+   */
+  const handleMerge = (candidate) =>
+    resolveCandidate('duplicates.merge', {
+      candidateId: candidate._id,
+      keepPersonId: candidate.people[merge.keepIndex]._id,
+      values: getMergedValues(candidate, merge.choices),
+    });
+
+  /**
+   * FUNÇÃO: renderMergeForm
+   *
+   * @param {Object} candidate - Par sendo mesclado
+   * @returns {JSX.Element} Escolha do cadastro mantido e do valor de cada campo
+   */
+  const renderMergeForm = (candidate) => {
+    const profiles = candidate.people.map(getProfileValues);
+    const setChoice = (key, choice) => setMerge({ ...merge, choices: { ...merge.choices, [key]: choice } });
+
+    return (
+      <div className="mt-3 space-y-3 rounded-md border border-blue-200 bg-blue-50 p-3 text-sm">
+        <fieldset>
+          <legend className="font-medium text-gray-900">{t('duplicateReview.keptRecord')}</legend>
+          <p className="text-gray-600">{t('duplicateReview.keptRecordHint')}</p>
+          <div className="mt-1 flex flex-wrap gap-4">
+            {candidate.people.map((person, index) => (
+              <label key={person._id} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name={`keep-${candidate._id}`}
+                  checked={merge.keepIndex === index}
+                  onChange={() => setMerge({ ...merge, keepIndex: index })}
+                />
+                {person.firstName} {person.lastName}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        {PROFILE_FIELDS.filter(({ key }) => profiles[0][key] !== profiles[1][key]).map(({ key, labelKey }) => (
+          <fieldset key={key}>
+            <legend className="font-medium text-gray-900">{t(labelKey)}</legend>
+            <div className="mt-1 flex flex-wrap gap-4">
+              {profiles.map((profile, index) => (
+                <label key={index} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name={`${key}-${candidate._id}`}
+                    checked={merge.choices[key] === index}
+                    onChange={() => setChoice(key, index)}
+                  />
+                  <span className="whitespace-pre-wrap">{profile[key] || t('duplicateReview.empty')}</span>
+                </label>
+              ))}
+              {key === 'notes' && profiles[0].notes && profiles[1].notes && (
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name={`${key}-${candidate._id}`}
+                    checked={merge.choices[key] === COMBINE_NOTES}
+                    onChange={() => setChoice(key, COMBINE_NOTES)}
+                  />
+                  {t('duplicateReview.combineNotes')}
+                </label>
+              )}
+            </div>
+          </fieldset>
+        ))}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => setMerge(null)}
+            className="px-3 py-1 border border-gray-300 rounded-md bg-white hover:bg-gray-50"
+          >
+            {t('duplicateReview.cancel')}
+          </button>
+          <button
+            onClick={() => handleMerge(candidate)}
+            disabled={isSaving}
+            className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSaving ? t('duplicateReview.merging') : t('duplicateReview.confirmMerge')}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Cabeçalho da seção */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('duplicateReview.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('duplicateReview.subtitle')}</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={handleScan}
+            disabled={isScanning}
+            className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            {isScanning ? t('duplicateReview.scanning') : t('duplicateReview.scan')}
+          </button>
+          <button onClick={onClose} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">
+            {t('duplicateReview.close')}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {message && !error && <p className="text-sm text-green-700">{message}</p>}
+
+      <ul className="space-y-3">
+        {result.candidates.map((candidate) => (
+          <li key={candidate._id} className="rounded-md border border-gray-200 p-3">
+            <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-gray-900">
+                  {formatNumber(candidate.score, { style: 'percent' })}
+                </span>
+                {candidate.reasons.map((reason) => (
+                  <span key={reason} className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs">
+                    {t(`duplicateReview.reasons.${reason}`)}
+                  </span>
+                ))}
+              </div>
+              {(!merge || merge.candidateId !== candidate._id) && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => resolveCandidate('duplicates.dismiss', candidate._id)}
+                    disabled={isSaving}
+                    className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    {t('duplicateReview.dismiss')}
+                  </button>
+                  <button
+                    onClick={() => setMerge(getDefaultMerge(candidate))}
+                    disabled={isSaving}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {t('duplicateReview.merge')}
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+              {candidate.people.map((person) => (
+                <div key={person._id} className="rounded bg-gray-50 p-2">
+                  <p className="font-medium text-gray-900">
+                    {person.firstName} {person.lastName}
+                    {isWalkIn(person) && (
+                      <span className="ml-2 text-xs text-purple-700">{t('peopleList.walkIn')}</span>
+                    )}
+                  </p>
+                  <p className="text-gray-600">
+                    {[person.companyName, person.title].filter(Boolean).join(' · ') ||
+                      t('duplicateReview.noCompanyOrTitle')}
+                  </p>
+                  <p className="text-gray-500">{describeAttendance(person, i18n, timeZone)}</p>
+                </div>
+              ))}
+            </div>
+
+            {merge && merge.candidateId === candidate._id && renderMergeForm(candidate)}
+          </li>
+        ))}
+      </ul>
+
+      {isLoading && <p className="text-center text-gray-500 py-4">{t('duplicateReview.loading')}</p>}
+      {!isLoading && result.candidates.length === 0 && (
+        <p className="text-center text-gray-500 py-4">{t('duplicateReview.noCandidates')}</p>
+      )}
+      {result.hasMore && <p className="text-center text-sm text-gray-500">{t('duplicateReview.hasMore')}</p>}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default DuplicateReview;
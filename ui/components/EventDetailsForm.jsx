@@ -0,0 +1,263 @@
+// Importação do React e do hook useState para os campos do formulário
+import React, { useState } from 'react';
+
+// Importação do Meteor para chamar o method de atualização do evento
+import { Meteor } from 'meteor/meteor';
+
+// Validação e conversão de datas no fuso do evento (as mesmas do servidor)
+import {
+  MAX_CHECK_OUT_COOLDOWN_SECONDS,
+  MAX_VENUE_LENGTH,
+  fromDateTimeLocalValue,
+  toDateTimeLocalValue,
+  validateEventDetails,
+} from '../../communities/event-details';
+
+// Intervalo de check-out usado quando o evento não define o seu
+import { CHECK_OUT_COOLDOWN_SECONDS } from '../../people/attendance';
+
+// Aumentar a capacidade pode chamar pessoas da lista de espera
+import { formatAdmittedMessage } from '../../people/waitlist';
+
+// Textos e mensagens das validações no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * CONSTANTE: TIME_ZONE_OPTIONS
+ *
+ * Fusos horários oferecidos no formulário. Navegadores antigos não têm
+ * Intl.supportedValuesOf; nesse caso o campo vira um texto livre.
+ */
+const TIME_ZONE_OPTIONS =
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : null;
+
+/**
+ * COMPONENTE: EventDetailsForm
+ *
+ * Formulário do organizador para editar os dados do evento: nome, início e
+ * término, local, fuso horário, capacidade máxima e intervalo mínimo entre
+ * check-in e check-out.
+ *
+ * Os horários são digitados no fuso do evento (e não no do navegador de
+ * quem edita), para que um organizador em outra cidade veja e informe os
+ * mesmos horários divulgados aos participantes.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.community - Documento do evento selecionado
+ * @param {Function} props.onClose - Fecha o formulário
+ */
+const EventDetailsForm = ({ community, onClose }) => {
+  const { locale, t } = useI18n();
+  const initialTimeZone = community.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const [name, setName] = useState(community.name || '');
+  const [timeZone, setTimeZone] = useState(initialTimeZone);
+  const [startDate, setStartDate] = useState(
+    toDateTimeLocalValue(community.startDate, initialTimeZone)
+  );
+  const [endDate, setEndDate] = useState(toDateTimeLocalValue(community.endDate, initialTimeZone));
+  const [venue, setVenue] = useState(community.venue || '');
+  const [capacity, setCapacity] = useState(community.capacity ? String(community.capacity) : '');
+  const [checkOutCooldown, setCheckOutCooldown] = useState(
+    Number.isInteger(community.checkOutCooldownSeconds) ? String(community.checkOutCooldownSeconds) : ''
+  );
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * HANDLER: handleSubmit
+   *
+   * Converte os campos para o formato do method, valida no cliente para
+   * responder na hora e envia ao servidor (que valida de novo).
+   *
+   * @param {Event} event - Evento de submit do formulário
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const details = {
+      name: name.trim(),
+      startDate: fromDateTimeLocalValue(startDate, timeZone),
+      endDate: fromDateTimeLocalValue(endDate, timeZone),
+      venue: venue.trim() || null,
+      timeZone: timeZone || null,
+      capacity: capacity === '' ? null : Number(capacity),
+      checkOutCooldownSeconds: checkOutCooldown === '' ? null : Number(checkOutCooldown),
+    };
+
+    const validationError = validateEventDetails(details);
+    if (validationError) {
+      setError(t(validationError.key, validationError.params));
+      return;
+    }
+
+    setError(null);
+    setIsSaving(true);
+    try {
+      const { admitted } = await Meteor.callAsync('communities.updateDetails', {
+        communityId: community._id,
+        ...details,
+      });
+      const admittedMessage = formatAdmittedMessage(admitted, locale);
+      if (admittedMessage) {
+        alert(admittedMessage);
+      }
+      onClose();
+    } catch (saveError) {
+      setError(saveError.reason || saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {/* Cabeçalho da seção */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('eventDetailsForm.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('eventDetailsForm.subtitle')}</p>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          {t('eventDetailsForm.close')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="flex flex-col space-y-1 sm:col-span-2">
+          <label htmlFor="event-name" className="text-sm font-medium text-gray-700">
+            {t('eventDetailsForm.name')}
+          </label>
+          <input
+            id="event-name"
+            type="text"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+
+        <div className="flex flex-col space-y-1">
+          <label htmlFor="event-start" className="text-sm font-medium text-gray-700">
+            {t('eventDetailsForm.startDate')}
+          </label>
+          <input
+            id="event-start"
+            type="datetime-local"
+            value={startDate}
+            onChange={(event) => setStartDate(event.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+
+        <div className="flex flex-col space-y-1">
+          <label htmlFor="event-end" className="text-sm font-medium text-gray-700">
+            {t('eventDetailsForm.endDate')}
+          </label>
+          <input
+            id="event-end"
+            type="datetime-local"
+            value={endDate}
+            onChange={(event) => setEndDate(event.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+
+        <div className="flex flex-col space-y-1">
+          <label htmlFor="event-timezone" className="text-sm font-medium text-gray-700">
+            {t('eventDetailsForm.timeZone')}
+          </label>
+          {TIME_ZONE_OPTIONS ? (
+            <select
+              id="event-timezone"
+              value={timeZone}
+              onChange={(event) => setTimeZone(event.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white"
+            >
+              {TIME_ZONE_OPTIONS.map((zone) => (
+                <option key={zone} value={zone}>
+                  {zone}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              id="event-timezone"
+              type="text"
+              value={timeZone}
+              onChange={(event) => setTimeZone(event.target.value)}
+              placeholder="America/Sao_Paulo"
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+            />
+          )}
+        </div>
+
+        <div className="flex flex-col space-y-1">
+          <label htmlFor="event-capacity" className="text-sm font-medium text-gray-700">
+            {t('eventDetailsForm.capacity')}
+          </label>
+          <input
+            id="event-capacity"
+            type="number"
+            min="1"
+            step="1"
+            value={capacity}
+            onChange={(event) => setCapacity(event.target.value)}
+            placeholder={t('eventDetailsForm.noLimit')}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+
+        <div className="flex flex-col space-y-1">
+          <label htmlFor="event-check-out-cooldown" className="text-sm font-medium text-gray-700">
+            {t('eventDetailsForm.checkOutCooldown')}
+          </label>
+          <input
+            id="event-check-out-cooldown"
+            type="number"
+            min="0"
+            max={MAX_CHECK_OUT_COOLDOWN_SECONDS}
+            step="1"
+            value={checkOutCooldown}
+            onChange={(event) => setCheckOutCooldown(event.target.value)}
+            placeholder={t('eventDetailsForm.defaultCooldown', { seconds: CHECK_OUT_COOLDOWN_SECONDS })}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+
+        <div className="flex flex-col space-y-1 sm:col-span-2">
+          <label htmlFor="event-venue" className="text-sm font-medium text-gray-700">
+            {t('eventDetailsForm.venue')}
+          </label>
+          <input
+            id="event-venue"
+            type="text"
+            value={venue}
+            maxLength={MAX_VENUE_LENGTH}
+            onChange={(event) => setVenue(event.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="text-right">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSaving ? t('eventDetailsForm.saving') : t('eventDetailsForm.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default EventDetailsForm;
@@ -8,7 +8,45 @@ import { useSubscribe, useTracker } from 'meteor/react-meteor-data';
 
 // Importação da collection Communities para realizar consultas reativas
 // Esta collection contém todos os eventos/comunidades disponíveis
-import { Communities } from '../../api/collections/communities.js';
+import { Communities } from '../../communities/communities';
+
+// Situação do evento (acontecendo, próximo, encerrado)
+import {
+  EVENT_STATUS,
+  EVENT_STATUS_ORDER,
+  getEventStatus,
+} from '../../communities/event-details';
+
+// Textos e datas no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * FUNÇÃO AUXILIAR: groupCommunitiesByStatus
+ *
+ * Separa os eventos nos grupos do seletor. Eventos em andamento e próximos
+ * aparecem do mais cedo para o mais tarde; encerrados, do mais recente
+ * para o mais antigo; sem data, em ordem alfabética.
+ *
+ * @param {Array} communities - Eventos ordenados por nome
+ * @param {Date} now - Momento de referência
+ * @returns {Array<{status: string, communities: Array}>} Grupos não vazios, na ordem de EVENT_STATUS_ORDER
+ */
+const groupCommunitiesByStatus = (communities, now) => {
+  const byStartDate = (a, b) => a.startDate - b.startDate;
+  const sorters = {
+    [EVENT_STATUS.ONGOING]: byStartDate,
+    [EVENT_STATUS.UPCOMING]: byStartDate,
+    [EVENT_STATUS.PAST]: (a, b) => b.startDate - a.startDate,
+    [EVENT_STATUS.UNSCHEDULED]: null,
+  };
+
+  return EVENT_STATUS_ORDER
+    .map((status) => {
+      const group = communities.filter((community) => getEventStatus(community, now) === status);
+      return { status, communities: sorters[status] ? group.sort(sorters[status]) : group };
+    })
+    .filter((group) => group.communities.length > 0);
+};
 
 /**
  * COMPONENTE: EventSelector
@@ -33,7 +71,8 @@ import { Communities } from '../../api/collections/communities.js';
  * @param {string|null} props.selectedCommunityId - ID do evento atualmente selecionado
  */
 const EventSelector = ({ onSelectCommunity, selectedCommunityId }) => {
-  
+  const { t, formatDate } = useI18n();
+
   /**
    * HOOK: useSubscribe
    * 
@@ -46,8 +85,7 @@ const EventSelector = ({ onSelectCommunity, selectedCommunityId }) => {
    * - Retorna estado de loading da inscrição
    * 
    * Retorno:
-   * - true: ainda carregando dados do servidor
-   * - false: dados foram carregados e estão disponíveis
+   * - função isLoading(): true enquanto os dados ainda estão chegando do servidor
    * 
    * Esta inscrição garante que o componente tenha acesso aos dados
    * da collection Communities no lado cliente.
@@ -80,6 +118,10 @@ const EventSelector = ({ onSelectCommunity, selectedCommunityId }) => {
     return Communities.find({}, { sort: { name: 1 } }).fetch();
   }, []); // Array vazio = não há dependências externas, só reatividade do Meteor
 
+  // Eventos agrupados por situação e dados do evento selecionado
+  const groups = groupCommunitiesByStatus(communities, new Date());
+  const selectedCommunity = communities.find((community) => community._id === selectedCommunityId);
+
   /**
    * HANDLER: handleSelectChange
    * 
@@ -117,12 +159,12 @@ const EventSelector = ({ onSelectCommunity, selectedCommunityId }) => {
    * UX: Fornece feedback visual imediato ao usuário
    * Performance: Evita renderizar lista vazia enquanto carrega
    */
-  if (isLoadingCommunities) {
+  if (isLoadingCommunities()) {
     return (
       <div className="flex flex-col space-y-2">
         {/* Label para acessibilidade e UX */}
         <label htmlFor="event-selector" className="block text-sm font-medium text-gray-700">
-          Selecionar Evento
+          {t('eventSelector.label')}
         </label>
         
         {/* Select desabilitado durante loading */}
@@ -131,12 +173,12 @@ const EventSelector = ({ onSelectCommunity, selectedCommunityId }) => {
           disabled 
           className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-gray-50 text-gray-500 cursor-not-allowed"
         >
-          <option>Carregando eventos...</option>
+          <option>{t('eventSelector.loading')}</option>
         </select>
         
         {/* Indicador visual adicional de loading */}
         <p className="text-xs text-gray-500">
-          Buscando eventos disponíveis no servidor...
+          {t('eventSelector.loadingHint')}
         </p>
       </div>
     );
@@ -152,7 +194,7 @@ const EventSelector = ({ onSelectCommunity, selectedCommunityId }) => {
     <div className="flex flex-col space-y-2">
       {/* Label semântico para acessibilidade */}
       <label htmlFor="event-selector" className="block text-sm font-medium text-gray-700">
-        Selecionar Evento
+        {t('eventSelector.label')}
       </label>
       
       {/* 
@@ -183,27 +225,49 @@ const EventSelector = ({ onSelectCommunity, selectedCommunityId }) => {
           - Texto explicativo para orientar o usuário
         */}
         <option value="" disabled>
-          Selecione um evento
+          {t('eventSelector.placeholder')}
         </option>
         
         {/* 
           MAPEAMENTO DOS EVENTOS
           
-          Para cada evento na collection Communities:
-          1. Cria uma <option> com value igual ao _id do evento
-          2. Exibe o name do evento como texto visível
-          3. key={_id} para otimização do React
+          Os eventos aparecem agrupados (<optgroup>) por situação:
+          acontecendo agora, próximos, encerrados e sem data definida.
+          Cada <option> tem value igual ao _id do evento.
           
           Reatividade: Quando events mudam, o map é reexecutado
           automaticamente e a lista é atualizada na interface
         */}
-        {communities.map((community) => (
-          <option key={community._id} value={community._id}>
-            {community.name}
-          </option>
+        {groups.map((group) => (
+          <optgroup key={group.status} label={t(`eventStatus.${group.status}`)}>
+            {group.communities.map((community) => (
+              <option key={community._id} value={community._id}>
+                {community.name}
+              </option>
+            ))}
+          </optgroup>
         ))}
       </select>
       
+      {/* DADOS DO EVENTO SELECIONADO (horários no fuso do evento) */}
+      {selectedCommunity && (selectedCommunity.startDate || selectedCommunity.venue) && (
+        <div className="text-sm text-gray-600 space-y-1">
+          {selectedCommunity.startDate && (
+            <p>
+              {selectedCommunity.endDate
+                ? t('eventSelector.dateRange', {
+                    start: formatDate(selectedCommunity.startDate, selectedCommunity.timeZone),
+                    end: formatDate(selectedCommunity.endDate, selectedCommunity.timeZone),
+                  })
+                : formatDate(selectedCommunity.startDate, selectedCommunity.timeZone)}
+              {selectedCommunity.timeZone && ` (${selectedCommunity.timeZone})`}
+            </p>
+          )}
+          {selectedCommunity.venue && <p>{selectedCommunity.venue}</p>}
+          {selectedCommunity.capacity && <p>{t('eventSelector.capacity', { count: selectedCommunity.capacity })}</p>}
+        </div>
+      )}
+
       {/* 
         INFORMAÇÃO CONTEXTUAL
         
@@ -211,10 +275,7 @@ const EventSelector = ({ onSelectCommunity, selectedCommunityId }) => {
         a entender o escopo das opções disponíveis
       */}
       <p className="text-xs text-gray-500">
-        {communities.length > 0 
-          ? `${communities.length} evento${communities.length > 1 ? 's' : ''} disponível${communities.length > 1 ? 'eis' : ''}`
-          : 'Nenhum evento encontrado'
-        }
+        {t('eventSelector.count', { count: communities.length })}
       </p>
     </div>
   );
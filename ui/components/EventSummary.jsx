@@ -1,122 +1,138 @@
 // Importação do React para criação do componente
 import React from 'react';
 
+// Importação dos hooks do Meteor para assinar o resumo calculado no servidor
+import { useSubscribe, useTracker } from 'meteor/react-meteor-data';
+
+// Collection (apenas no cliente) com o resumo publicado pelo servidor
+// e função que completa o cálculo do tempo no evento
+import { EventSummaries, getSummaryTimeOnSite } from '../../people/event-summaries';
+
+// Formatação de durações do histórico de visitas
+import { formatDuration } from '../../people/attendance';
+
+// Capacidade do evento (publicada com os dados da comunidade) e faixas de lotação
+import { Communities } from '../../communities/communities';
+import { getOccupancyLevel } from '../../communities/event-details';
+
+// Gráfico de chegadas e saídas ao longo do tempo e tabela de empresas
+import ArrivalsTimeline from './ArrivalsTimeline.jsx';
+import CompanyLeaderboard from './CompanyLeaderboard.jsx';
+
+// Textos e números no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * CONSTANTE: OCCUPANCY_STYLES
+ *
+ * Cores do card de lotação para cada faixa de getOccupancyLevel.
+ */
+const OCCUPANCY_STYLES = {
+  normal: { card: 'bg-green-50 border-green-200', bar: 'bg-green-600', text: 'text-green-900' },
+  warning: { card: 'bg-yellow-50 border-yellow-200', bar: 'bg-yellow-500', text: 'text-yellow-900' },
+  critical: { card: 'bg-red-50 border-red-200', bar: 'bg-red-500', text: 'text-red-900' },
+  full: { card: 'bg-red-100 border-red-300', bar: 'bg-red-700', text: 'text-red-900' },
+};
+
 /**
  * COMPONENTE: EventSummary
  * 
- * Componente responsável por calcular e exibir estatísticas em tempo real
+ * Componente responsável por exibir estatísticas em tempo real
  * sobre o status dos participantes de um evento.
  * 
  * RESPONSABILIDADES:
- * 1. Calcular pessoas atualmente presentes no evento
- * 2. Agrupar pessoas presentes por empresa
- * 3. Calcular pessoas que ainda não fizeram check-in
- * 4. Exibir estatísticas de forma clara e visual
- * 5. Atualizar automaticamente conforme dados mudam (reatividade)
+ * 1. Assinar a publicação 'eventSummary' do evento selecionado
+ * 2. Exibir pessoas atualmente presentes no evento
+ * 3. Exibir a situação de cada empresa (CompanyLeaderboard), que também
+ *    filtra a lista de participantes pela empresa clicada
+ * 4. Exibir pessoas que ainda não fizeram check-in
+ * 5. Exibir a lotação em relação à capacidade e a lista de espera
+ * 6. Exibir o gráfico de chegadas e saídas (ArrivalsTimeline)
+ * 7. Atualizar automaticamente conforme dados mudam (reatividade)
  * 
- * CÁLCULOS REALIZADOS:
- * - Filtros com condições específicas de check-in/check-out
- * - Agrupamento usando reduce para contar por empresa
- * - Formatação de strings para exibição user-friendly
+ * DE ONDE VÊM OS NÚMEROS:
+ * - Os contadores são mantidos no servidor (server/publications.js) com
+ *   observeChanges e chegam aqui como um único documento por comunidade
+ * - O componente não recebe nem percorre a lista de participantes
  * 
  * @param {Object} props - Propriedades do componente
- * @param {Array} props.people - Array de objetos representando participantes
+ * @param {string} props.selectedCommunityId - ID do evento selecionado
+ * @param {string} [props.selectedCompany] - Empresa filtrada na lista de participantes
+ * @param {Function} props.onSelectCompany - Filtra a lista pela empresa ('' remove o filtro)
  */
-const EventSummary = ({ people }) => {
-  
+const EventSummary = ({ selectedCommunityId, selectedCompany, onSelectCompany }) => {
+  const { t, formatNumber } = useI18n();
+
   /**
-   * VALIDAÇÃO: Verificar se existem dados para processar
-   * 
-   * Se não há pessoas registradas, não há estatísticas para calcular.
-   * Retorna null para não renderizar nada (componente vazio).
+   * HOOK: useSubscribe
+   *
+   * Assina o resumo do evento selecionado. Trocar de evento cancela a
+   * inscrição anterior e o servidor encerra o observer correspondente.
    */
-  if (!people || people.length === 0) {
-    return null;
-  }
+  const isLoadingSummary = useSubscribe('eventSummary', selectedCommunityId);
 
   /**
-   * CÁLCULO 1: Pessoas atualmente no evento
-   * 
-   * Critério: pessoas que fizeram check-in mas ainda não fizeram check-out
-   * - checkInDate deve existir (não nulo)
-   * - checkOutDate deve ser nulo (ainda não saíram)
-   * 
-   * Lógica:
-   * - filter() cria novo array apenas com pessoas que atendem critério
-   * - !! converte para boolean (elimina valores falsy)
-   * - length conta quantas pessoas atendem critério
+   * HOOK: useTracker
+   *
+   * Busca o documento de resumo do evento (o _id é o próprio communityId).
+   * É reexecutado sempre que o servidor envia contadores novos.
    */
-  const peopleCurrentlyPresent = people.filter(person => 
-    !!person.checkInDate && !person.checkOutDate
+  const summary = useTracker(
+    () => EventSummaries.findOne(selectedCommunityId),
+    [selectedCommunityId]
   );
-  const currentlyPresentCount = peopleCurrentlyPresent.length;
 
   /**
-   * CÁLCULO 2: Agrupamento por empresa das pessoas presentes
-   * 
-   * Objetivo: contar quantas pessoas de cada empresa estão atualmente no evento
-   * 
-   * Processo:
-   * 1. Pega apenas pessoas atualmente presentes (do cálculo anterior)
-   * 2. Usa reduce() para agrupar e contar por empresa
-   * 3. Trata casos onde companyName pode ser null/undefined
-   * 4. Retorna objeto no formato: { "Empresa A": 3, "Empresa B": 2 }
+   * HOOK: useTracker
+   *
+   * Capacidade máxima e fuso horário do evento, editados pelo organizador.
    */
-  const companiesPresent = peopleCurrentlyPresent.reduce((acc, person) => {
-    // Define nome da empresa, usando 'Sem empresa' como fallback
-    // Isso garante que pessoas sem empresa sejam contabilizadas
-    const company = person.companyName || 'Sem empresa';
-    
-    // Se empresa já existe no acumulador, incrementa contador
-    // Se não existe, inicia com 1
-    acc[company] = (acc[company] || 0) + 1;
-    
-    return acc;
-  }, {}); // Objeto vazio como valor inicial
+  const { capacity, timeZone } = useTracker(() => {
+    const community = Communities.findOne(selectedCommunityId, { fields: { capacity: 1, timeZone: 1 } });
+    return community
+      ? { capacity: community.capacity, timeZone: community.timeZone }
+      : { capacity: null, timeZone: undefined };
+  }, [selectedCommunityId]);
 
   /**
-   * CÁLCULO 3: Pessoas que ainda não fizeram check-in
-   * 
-   * Critério: pessoas onde checkInDate é nulo
+   * VALIDAÇÃO: Verificar se existem dados para processar
    * 
-   * Lógica:
-   * - filter() encontra pessoas sem check-in
-   * - !person.checkInDate identifica valores nulos/undefined
-   * - length conta quantas pessoas ainda não entraram
+   * Enquanto o resumo carrega, ou se não há pessoas registradas,
+   * não há estatísticas para exibir.
+   * Retorna null para não renderizar nada (componente vazio).
    */
-  const peopleNotCheckedIn = people.filter(person => !person.checkInDate);
-  const notCheckedInCount = peopleNotCheckedIn.length;
+  if (isLoadingSummary() || !summary || summary.totalCount === 0) {
+    return null;
+  }
+
+  const {
+    totalCount,
+    presentCount: currentlyPresentCount,
+    notCheckedInCount,
+    attendedCount,
+    waitlistCount,
+    walkInCount,
+    walkInPresentCount,
+    companies,
+  } = summary;
+
+  // Faixa de lotação (null quando o evento não tem capacidade definida)
+  const occupancyLevel = getOccupancyLevel(currentlyPresentCount, capacity);
 
   /**
-   * FORMATAÇÃO: String de empresas presentes
-   * 
-   * Converte objeto de empresas em string legível para exibição.
-   * Formato final: "Empresa A (3), Empresa B (2), Sem empresa (1)"
-   * 
-   * Processo:
-   * 1. Object.entries() converte objeto em array de [nome, count]
-   * 2. map() formata cada entrada como "Nome (quantidade)"
-   * 3. join(', ') une tudo com vírgulas
-   * 4. Se vazio, exibe mensagem apropriada
+   * CÁLCULO: Tempo total no evento
+   *
+   * Soma de todas as visitas, incluindo entradas e saídas anteriores.
+   * Visitas em aberto contam até agora. A média considera apenas quem
+   * já fez pelo menos um check-in.
    */
-  const formatCompaniesPresent = () => {
-    const entries = Object.entries(companiesPresent);
-    
-    // Se não há empresas (ninguém presente), retorna mensagem vazia
-    if (entries.length === 0) {
-      return 'Nenhuma empresa presente';
-    }
-    
-    // Formata cada empresa e junta com vírgulas
-    return entries
-      .map(([company, count]) => `${company} (${count})`)
-      .join(', ');
-  };
+  const totalTimeOnSite = getSummaryTimeOnSite(summary);
+  const averageTimeOnSite = attendedCount > 0 ? totalTimeOnSite / attendedCount : 0;
 
   /**
    * RENDERIZAÇÃO: Cards de estatísticas
    * 
-   * Layout responsivo com três cards principais mostrando as métricas calculadas.
+   * Layout responsivo com dois cards principais, seguidos da tabela de empresas.
    * Cada card tem cor e ícone específicos para facilitar identificação visual.
    */
   return (
@@ -125,15 +141,15 @@ const EventSummary = ({ people }) => {
       {/* Cabeçalho da seção */}
       <div className="border-b border-gray-200 pb-4">
         <h2 className="text-xl font-semibold text-gray-900">
-          Resumo do Evento
+          {t('eventSummary.title')}
         </h2>
         <p className="text-sm text-gray-600 mt-1">
-          Estatísticas em tempo real dos participantes
+          {t('eventSummary.subtitle')}
         </p>
       </div>
 
       {/* Grid responsivo de cards de estatísticas */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         
         {/* CARD 1: Pessoas atualmente presentes */}
         <div className="bg-green-50 border border-green-200 rounded-lg p-6">
@@ -148,45 +164,16 @@ const EventSummary = ({ people }) => {
             {/* Conteúdo do card */}
             <div className="ml-4">
               <p className="text-sm font-medium text-green-600">
-                Pessoas no evento agora
+                {t('eventSummary.present')}
               </p>
               <p className="text-2xl font-bold text-green-900">
-                {currentlyPresentCount}
-              </p>
-            </div>
-          </div>
-        </div>
-
-        {/* CARD 2: Pessoas por empresa */}
-        <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
-          <div className="flex items-start">
-            {/* Ícone de empresas */}
-            <div className="flex-shrink-0">
-              <svg className="h-8 w-8 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
-              </svg>
-            </div>
-            
-            {/* Conteúdo do card */}
-            <div className="ml-4 min-w-0 flex-1">
-              <p className="text-sm font-medium text-blue-600">
-                Pessoas por empresa no evento agora
+                {formatNumber(currentlyPresentCount)}
               </p>
-              <div className="mt-2">
-                {/* 
-                  Exibição formatada das empresas
-                  text-sm para não ocupar muito espaço
-                  break-words para quebrar nomes longos de empresa
-                */}
-                <p className="text-sm text-blue-900 break-words">
-                  {formatCompaniesPresent()}
-                </p>
-              </div>
             </div>
           </div>
         </div>
 
-        {/* CARD 3: Pessoas não registradas */}
+        {/* CARD 2: Pessoas não registradas */}
         <div className="bg-orange-50 border border-orange-200 rounded-lg p-6">
           <div className="flex items-center">
             {/* Ícone de pessoas aguardando */}
@@ -199,37 +186,104 @@ const EventSummary = ({ people }) => {
             {/* Conteúdo do card */}
             <div className="ml-4">
               <p className="text-sm font-medium text-orange-600">
-                Pessoas não registradas
+                {t('eventSummary.notCheckedIn')}
               </p>
               <p className="text-2xl font-bold text-orange-900">
-                {notCheckedInCount}
+                {formatNumber(notCheckedInCount)}
               </p>
               <p className="text-xs text-orange-700 mt-1">
-                Ainda não fizeram check-in
+                {t('eventSummary.notCheckedInHint')}
               </p>
             </div>
           </div>
         </div>
       </div>
 
+      {/* EMPRESAS: inscritos, presentes, saídas e ausências por empresa */}
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
+        <p className="text-sm font-medium text-blue-600 mb-3">
+          {t('eventSummary.byCompany')}
+        </p>
+        <CompanyLeaderboard
+          companies={companies}
+          selectedCompany={selectedCompany}
+          onSelectCompany={onSelectCompany}
+        />
+      </div>
+
+      {/* LOTAÇÃO: presentes em relação à capacidade do local */}
+      {occupancyLevel && (
+        <div className={`border rounded-lg p-4 ${OCCUPANCY_STYLES[occupancyLevel].card}`}>
+          <div className={`flex items-center justify-between text-sm ${OCCUPANCY_STYLES[occupancyLevel].text}`}>
+            <span className="font-medium">
+              {t('eventSummary.occupancy', { present: currentlyPresentCount, capacity })}
+              {occupancyLevel === 'full' && t('eventSummary.occupancyFull')}
+            </span>
+            <span className="font-semibold">
+              {formatNumber(currentlyPresentCount / capacity, { style: 'percent' })}
+            </span>
+          </div>
+          <div className="w-full bg-white rounded-full h-2 mt-2">
+            <div
+              className={`h-2 rounded-full transition-all duration-500 ${OCCUPANCY_STYLES[occupancyLevel].bar}`}
+              style={{ width: `${Math.min(100, (currentlyPresentCount / capacity) * 100)}%` }}
+            ></div>
+          </div>
+          {waitlistCount > 0 && (
+            <p className={`text-sm mt-2 ${OCCUPANCY_STYLES[occupancyLevel].text}`}>
+              {t('eventSummary.waitlist', { count: waitlistCount })}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* LINHA DO TEMPO: chegadas, saídas e lotação ao longo do evento */}
+      <ArrivalsTimeline communityId={selectedCommunityId} timeZone={timeZone} capacity={capacity} />
+
       {/* Informação adicional sobre total de participantes */}
       <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
         <div className="flex items-center justify-between text-sm text-gray-600">
-          <span>Total de participantes registrados:</span>
-          <span className="font-semibold text-gray-900">{people.length}</span>
+          <span>{t('eventSummary.total')}</span>
+          <span className="font-semibold text-gray-900">{formatNumber(totalCount)}</span>
+        </div>
+
+        {/* Pré-inscritos x cadastrados na porta (walk-ins) */}
+        <div className="flex items-center justify-between text-sm text-gray-600 mt-2">
+          <span>{t('eventSummary.preRegisteredWalkIns')}</span>
+          <span className="font-semibold text-gray-900">
+            {formatNumber(totalCount - walkInCount)} / {formatNumber(walkInCount)}
+            {walkInCount > 0 && (
+              <span className="font-normal text-gray-500">
+                {' '}{t('eventSummary.walkInsPresent', { count: walkInPresentCount })}
+              </span>
+            )}
+          </span>
+        </div>
+
+        {/* Tempo total no evento somando todas as visitas */}
+        <div className="flex items-center justify-between text-sm text-gray-600 mt-2">
+          <span>{t('eventSummary.timeOnSite')}</span>
+          <span className="font-semibold text-gray-900">
+            {formatDuration(totalTimeOnSite)}
+            {attendedCount > 0 && (
+              <span className="font-normal text-gray-500">
+                {' '}{t('eventSummary.averageTimeOnSite', { duration: formatDuration(averageTimeOnSite) })}
+              </span>
+            )}
+          </span>
         </div>
         
         {/* Barra de progresso visual (opcional) */}
         <div className="mt-3">
           <div className="flex justify-between text-xs text-gray-500 mb-1">
-            <span>Progresso de check-ins</span>
-            <span>{Math.round(((people.length - notCheckedInCount) / people.length) * 100)}%</span>
+            <span>{t('eventSummary.checkInProgress')}</span>
+            <span>{formatNumber((totalCount - notCheckedInCount) / totalCount, { style: 'percent' })}</span>
           </div>
           <div className="w-full bg-gray-200 rounded-full h-2">
             <div 
               className="bg-green-600 h-2 rounded-full transition-all duration-500"
               style={{ 
-                width: `${((people.length - notCheckedInCount) / people.length) * 100}%` 
+                width: `${((totalCount - notCheckedInCount) / totalCount) * 100}%` 
               }}
             ></div>
           </div>
@@ -0,0 +1,37 @@
+// Importação do React para criação do componente
+import React from 'react';
+
+// Idiomas disponíveis e idioma atual da interface
+import { LOCALE_LABELS } from '../../i18n/i18n';
+import { useI18n } from '../i18n';
+
+/**
+ * COMPONENTE: LanguageSwitcher
+ *
+ * Seletor de idioma do cabeçalho. A troca vale na hora para toda a
+ * interface e fica salva no aparelho; os nomes dos idiomas aparecem no
+ * próprio idioma, para quem não entende o idioma atual achar o seu.
+ */
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-gray-600">
+      <span>{t('language.label')}</span>
+      <select
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+        className="px-2 py-1 border border-gray-300 rounded-md bg-white text-gray-900"
+      >
+        {Object.entries(LOCALE_LABELS).map(([value, label]) => (
+          <option key={value} value={value} lang={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default LanguageSwitcher;
@@ -0,0 +1,104 @@
+// Importação do React e do hook useState para os campos do formulário
+import React, { useState } from 'react';
+
+// Importação do Meteor para realizar o login com e-mail e senha
+import { Meteor } from 'meteor/meteor';
+
+// Textos no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * COMPONENTE: LoginForm
+ *
+ * Formulário de login da equipe do evento (organizadores, recepção e
+ * somente leitura). As contas são criadas por organizadores, por isso
+ * não há opção de cadastro aqui.
+ *
+ * Após o login, o Meteor atualiza Meteor.user() de forma reativa e o
+ * HomePage passa a exibir o seletor de eventos automaticamente.
+ */
+const LoginForm = () => {
+  const { t } = useI18n();
+
+  // Campos do formulário e estado da tentativa de login
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  // error guarda a chave do catálogo, traduzida ao exibir
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * HANDLER: handleSubmit
+   *
+   * Envia as credenciais ao servidor. Em caso de erro, exibe a mensagem
+   * abaixo do formulário em vez de usar alert.
+   *
+   * @param {Event} event - Evento de submit do formulário
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    Meteor.loginWithPassword(email.trim(), password, (loginError) => {
+      setIsSubmitting(false);
+      if (loginError) {
+        setError('loginForm.invalidCredentials');
+      }
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto space-y-4">
+      <h2 className="text-xl font-semibold text-gray-900 text-center">
+        {t('loginForm.title')}
+      </h2>
+
+      {/* E-mail da conta da equipe */}
+      <div className="flex flex-col space-y-1">
+        <label htmlFor="login-email" className="text-sm font-medium text-gray-700">
+          {t('loginForm.email')}
+        </label>
+        <input
+          id="login-email"
+          type="email"
+          autoComplete="username"
+          required
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        />
+      </div>
+
+      {/* Senha */}
+      <div className="flex flex-col space-y-1">
+        <label htmlFor="login-password" className="text-sm font-medium text-gray-700">
+          {t('loginForm.password')}
+        </label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        />
+      </div>
+
+      {/* Mensagem de erro do login */}
+      {error && <p className="text-sm text-red-600">{t(error)}</p>}
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-60"
+      >
+        {isSubmitting ? t('loginForm.submitting') : t('loginForm.submit')}
+      </button>
+    </form>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default LoginForm;
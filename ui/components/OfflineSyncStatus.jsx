@@ -0,0 +1,129 @@
+// Importação do React para renderização do componente
+import React from 'react';
+
+// Situação de presença da pessoa
+import { isPresent } from '../../people/attendance';
+
+// Textos e datas no idioma da interface (o nome de cada ação fica em offlineSync.actions)
+import { useI18n } from '../i18n';
+
+/**
+ * FUNÇÃO AUXILIAR: describeCurrentState
+ *
+ * Situação da pessoa no servidor no momento do conflito, para a recepção
+ * decidir se precisa refazer a ação.
+ *
+ * @param {Object|null} current - Campos de presença devolvidos pelo servidor
+ * @param {Object} i18n - { t, formatDate } de useI18n
+ * @param {string} [timeZone] - Fuso do evento
+ * @returns {string} Descrição da situação atual
+ */
+const describeCurrentState = (current, { t, formatDate }, timeZone) => {
+  if (!current) {
+    return t('offlineSync.state.notFound');
+  }
+  if (isPresent(current)) {
+    return t('offlineSync.state.present', { date: formatDate(current.checkInDate, timeZone) });
+  }
+  if (current.waitlistedAt) {
+    return t('offlineSync.state.waitlisted');
+  }
+  if (current.checkOutDate) {
+    return t('offlineSync.state.left', { date: formatDate(current.checkOutDate, timeZone) });
+  }
+  return t('offlineSync.state.notArrived');
+};
+
+/**
+ * COMPONENTE: OfflineSyncStatus
+ *
+ * Faixa exibida acima da lista enquanto o aparelho está sem conexão ou tem
+ * ações feitas offline para enviar, e painel com as ações que o servidor
+ * recusou na sincronização (conflitos).
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {boolean} props.isOffline - true enquanto não há conexão com o servidor
+ * @param {Array<Object>} props.pendingActions - Ações na fila deste aparelho
+ * @param {boolean} props.isSyncing - true enquanto a fila está sendo enviada
+ * @param {string|null} props.syncError - Erro do último envio da fila
+ * @param {Array<Object>} props.conflicts - Ações recusadas pelo servidor
+ * @param {Function} props.onDismissConflicts - Fecha o painel de conflitos
+ * @param {string} [props.timeZone] - Fuso horário do evento
+ */
+const OfflineSyncStatus = ({
+  isOffline,
+  pendingActions,
+  isSyncing,
+  syncError,
+  conflicts,
+  onDismissConflicts,
+  timeZone,
+}) => {
+  const i18n = useI18n();
+  const { t, formatDate } = i18n;
+  const pendingCount = pendingActions.length;
+
+  if (!isOffline && pendingCount === 0 && conflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-3">
+      {isOffline && (
+        <div className="rounded-lg border border-yellow-300 bg-yellow-50 p-4 text-sm text-yellow-900">
+          <p className="font-semibold">{t('offlineSync.offlineTitle')}</p>
+          <p>
+            {t('offlineSync.offlineDescription')}
+            {pendingCount > 0 && ` ${t('offlineSync.pendingOffline', { count: pendingCount })}`}
+          </p>
+        </div>
+      )}
+
+      {!isOffline && pendingCount > 0 && (
+        <div className="rounded-lg border border-blue-300 bg-blue-50 p-4 text-sm text-blue-900">
+          {isSyncing && t('offlineSync.syncing', { count: pendingCount })}
+          {!isSyncing && syncError && t('offlineSync.syncFailed', { reason: syncError })}
+          {!isSyncing && !syncError && t('offlineSync.pendingOnline', { count: pendingCount })}
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="rounded-lg border border-red-300 bg-red-50 p-4 text-sm">
+          <div className="flex items-start justify-between gap-4">
+            <p className="font-semibold text-red-800">
+              {t('offlineSync.conflictsTitle', { count: conflicts.length })}
+            </p>
+            <button
+              onClick={onDismissConflicts}
+              className="px-3 py-1 border border-red-300 text-red-800 rounded-md hover:bg-red-100"
+            >
+              {t('offlineSync.dismiss')}
+            </button>
+          </div>
+          <ul className="mt-2 space-y-2 text-red-900">
+            {conflicts.map((conflict) => (
+              <li key={conflict.id}>
+                <span className="font-medium">
+                  {t('offlineSync.conflictAction', {
+                    action: { key: `offlineSync.actions.${conflict.type}` },
+                    name: conflict.personName || conflict.personId,
+                  })}
+                </span>{' '}
+                {t('offlineSync.conflictReason', {
+                  date: formatDate(conflict.occurredAt, timeZone),
+                  reason: conflict.reason,
+                })}
+                <span className="block text-red-700">
+                  {t('offlineSync.currentState', { state: describeCurrentState(conflict.current, i18n, timeZone) })}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default OfflineSyncStatus;
@@ -0,0 +1,301 @@
+// Importação do React e do hook useState para as etapas da importação
+import React, { useState } from 'react';
+
+// Importação do Meteor para chamar os methods de prévia e importação
+import { Meteor } from 'meteor/meteor';
+
+// Hooks do Meteor para listar os relatórios de importações anteriores
+import { useSubscribe, useTracker } from 'meteor/react-meteor-data';
+
+// Leitura do CSV e regras de mapeamento/validação compartilhadas com o servidor
+import { parseCsv } from '../../people/csv';
+import {
+  IMPORT_FIELDS,
+  ImportReports,
+  MAX_IMPORT_ROWS,
+  guessColumnMapping,
+  mapCsvRows,
+} from '../../people/people-import';
+
+// Textos, nomes dos campos e erros das linhas no idioma da interface
+import { useI18n } from '../i18n';
+
+// Cores de cada status de linha na prévia e no relatório (o rótulo fica em peopleImport.status)
+const ROW_STATUS_CLASS_NAMES = {
+  valid: 'text-green-700 bg-green-50',
+  inserted: 'text-green-700 bg-green-50',
+  duplicate: 'text-yellow-800 bg-yellow-50',
+  invalid: 'text-red-700 bg-red-50',
+};
+
+/**
+ * COMPONENTE: PeopleImport
+ *
+ * Importação de inscritos a partir de um arquivo CSV, em quatro etapas:
+ * 1. Escolher o arquivo (lido no navegador)
+ * 2. Indicar qual coluna corresponde a nome, sobrenome, empresa e cargo
+ * 3. Conferir a prévia: o servidor aponta linhas com erro e duplicadas
+ *    (iguais a pessoas do evento ou a outra linha do arquivo)
+ * 4. Importar: apenas as linhas válidas são inseridas e um relatório é gravado
+ *
+ * Disponível apenas para organizadores; o servidor valida a permissão.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - Evento que receberá as pessoas
+ * @param {string} props.communityName - Nome do evento, exibido para confirmação
+ * @param {Function} props.onClose - Fecha a tela de importação
+ */
+const PeopleImport = ({ communityId, communityName, onClose }) => {
+  const { t, formatDate } = useI18n();
+
+  // Conteúdo do arquivo escolhido
+  const [fileName, setFileName] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+
+  // Resultado da prévia, da importação e estado das chamadas ao servidor
+  const [preview, setPreview] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // Últimas importações deste evento
+  useSubscribe('importReports', communityId);
+  const pastReports = useTracker(
+    () => ImportReports.find({ communityId }, { sort: { createdAt: -1 } }).fetch(),
+    [communityId]
+  );
+
+  /**
+   * HANDLER: handleFileChange
+   *
+   * Lê o arquivo escolhido, separa o cabeçalho das linhas de dados e
+   * sugere o mapeamento de colunas a partir dos nomes do cabeçalho.
+   *
+   * @param {Event} event - Evento de change do input de arquivo
+   */
+  const handleFileChange = (event) => {
+    const [file] = event.target.files;
+    setPreview(null);
+    setReport(null);
+    setError(null);
+
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const [headerRow = [], ...rows] = parseCsv(reader.result);
+
+      if (rows.length === 0) {
+        setError(t('peopleImport.noDataRows'));
+      } else if (rows.length > MAX_IMPORT_ROWS) {
+        setError(t('peopleImport.tooManyRows', { count: rows.length, max: MAX_IMPORT_ROWS }));
+      }
+
+      setFileName(file.name);
+      setHeaders(headerRow);
+      setDataRows(rows);
+      setMapping(guessColumnMapping(headerRow));
+    };
+    reader.readAsText(file);
+  };
+
+  /**
+   * HANDLER: handleMappingChange
+   *
+   * Atualiza a coluna escolhida para um campo. Mudar o mapeamento
+   * invalida a prévia anterior.
+   *
+   * @param {string} fieldKey - Campo de People (ex.: 'firstName')
+   * @param {string} value - Índice da coluna ou '' para "não importar"
+   */
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((previous) => ({ ...previous, [fieldKey]: value === '' ? null : Number(value) }));
+    setPreview(null);
+  };
+
+  /**
+   * FUNÇÃO: callImportMethod
+   *
+   * Envia as linhas mapeadas a um dos methods de importação e trata erros.
+   *
+   * @param {string} methodName - 'people.previewImport' ou 'people.import'
+   * @returns {Promise<Object|null>} Resultado do method ou null em caso de erro
+   */
+  const callImportMethod = async (methodName) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      return await Meteor.callAsync(methodName, {
+        communityId,
+        fileName,
+        people: mapCsvRows(dataRows, mapping),
+      });
+    } catch (methodError) {
+      setError(methodError.reason || methodError.message);
+      return null;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setPreview(await callImportMethod('people.previewImport'));
+  };
+
+  const handleImport = async () => {
+    const result = await callImportMethod('people.import');
+    if (result) {
+      setReport(result);
+      setPreview(null);
+    }
+  };
+
+  // Linhas exibidas na tabela: relatório (após importar) ou prévia
+  const tableRows = (report || preview)?.rows || [];
+  const requiredFieldsMapped = IMPORT_FIELDS.filter(({ required }) => required).every(
+    ({ key }) => mapping[key] !== null && mapping[key] !== undefined
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Cabeçalho da seção */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('peopleImport.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('peopleImport.subtitle', { name: communityName })}</p>
+        </div>
+        <button onClick={onClose} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">
+          {t('peopleImport.close')}
+        </button>
+      </div>
+
+      {/* ETAPA 1: arquivo */}
+      <div>
+        <label htmlFor="import-file" className="block text-sm font-medium text-gray-700 mb-1">
+          {t('peopleImport.file')}
+        </label>
+        <input id="import-file" type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+      </div>
+
+      {/* ETAPA 2: mapeamento de colunas */}
+      {headers.length > 0 && !report && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          {IMPORT_FIELDS.map(({ key, labelKey, required }) => (
+            <div key={key} className="flex flex-col space-y-1">
+              <label htmlFor={`import-column-${key}`} className="text-sm font-medium text-gray-700">
+                {t(labelKey)}
+                {required && ' *'}
+              </label>
+              <select
+                id={`import-column-${key}`}
+                value={mapping[key] ?? ''}
+                onChange={(event) => handleMappingChange(key, event.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md bg-white"
+              >
+                <option value="">{t('peopleImport.skipColumn')}</option>
+                {headers.map((header, index) => (
+                  // eslint-disable-next-line react/no-array-index-key
+                  <option key={index} value={index}>
+                    {header || t('peopleImport.column', { number: index + 1 })}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Erros da leitura do arquivo ou dos methods */}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {/* ETAPA 3 e 4: prévia e importação */}
+      {dataRows.length > 0 && !report && (
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={handlePreview}
+            disabled={isWorking || !requiredFieldsMapped || dataRows.length > MAX_IMPORT_ROWS}
+            className="px-4 py-2 border border-blue-600 text-blue-700 rounded-md hover:bg-blue-50 disabled:opacity-50"
+          >
+            {t('peopleImport.check', { count: dataRows.length })}
+          </button>
+          {preview && (
+            <>
+              <span className="text-sm text-gray-700">{t('peopleImport.previewCounts', preview.counts)}</span>
+              <button
+                onClick={handleImport}
+                disabled={isWorking || preview.counts.valid === 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {t('peopleImport.import', { count: preview.counts.valid })}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Resultado da importação */}
+      {report && (
+        <p className="text-sm text-gray-800 bg-green-50 border border-green-200 rounded-md p-3">
+          {t('peopleImport.done', report.counts)}
+        </p>
+      )}
+
+      {/* Tabela de linhas com status */}
+      {tableRows.length > 0 && (
+        <div className="max-h-96 overflow-auto border border-gray-200 rounded-md">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600 sticky top-0">
+              <tr>
+                <th className="px-3 py-2">{t('peopleImport.row')}</th>
+                {IMPORT_FIELDS.map(({ key, labelKey }) => (
+                  <th key={key} className="px-3 py-2">{t(labelKey)}</th>
+                ))}
+                <th className="px-3 py-2">{t('peopleImport.statusColumn')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tableRows.map((row) => (
+                <tr key={row.rowNumber} className="border-t border-gray-100">
+                  <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                  {IMPORT_FIELDS.map(({ key }) => (
+                    <td key={key} className="px-3 py-2">{row.person[key]}</td>
+                  ))}
+                  <td className={`px-3 py-2 ${ROW_STATUS_CLASS_NAMES[row.status]}`}>
+                    {t(`peopleImport.status.${row.status}`)}
+                    {row.errors.length > 0 && (
+                      <span className="block text-xs">
+                        {row.errors.map(({ key, params }) => t(key, params)).join(' ')}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Relatórios das importações anteriores */}
+      {pastReports.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">{t('peopleImport.pastReports')}</h3>
+          <ul className="text-sm text-gray-600 space-y-1">
+            {pastReports.map((pastReport) => (
+              <li key={pastReport._id}>
+                {formatDate(pastReport.createdAt)} - {pastReport.fileName || t('peopleImport.unnamedFile')}
+                {pastReport.counts && `: ${t('peopleImport.reportCounts', pastReport.counts)}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default PeopleImport;
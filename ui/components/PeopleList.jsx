@@ -1,62 +1,45 @@
 // Importação do React e hooks necessários
-// useEffect: para gerenciar efeitos colaterais (timer de reatividade)
-// useState: para forçar re-renderizações quando necessário
-import React, { useEffect, useState } from 'react';
+// useEffect: rolagem infinita e limpeza da seleção ao trocar de evento
+// useState: aviso de desfazer, seleção múltipla e ações em lote
+// useRef: sentinela da rolagem infinita e handlers mais recentes das linhas
+// useCallback/useMemo: mantêm estáveis as funções passadas às linhas e ao aviso de desfazer
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 
 // Importação do Meteor para chamar methods do servidor
 // Usado para executar check-in e check-out via methods seguros
 import { Meteor } from 'meteor/meteor';
 
-/**
- * FUNÇÃO AUXILIAR: formatDate
- * 
- * Formata uma data no padrão MM/DD/YYYY, HH:mm ou retorna 'N/A' se a data for nula.
- * 
- * Lógica:
- * - Se date for null/undefined, retorna 'N/A'
- * - Se date for válida, formata usando métodos nativos do JavaScript
- * - Adiciona zeros à esquerda quando necessário para manter formato consistente
- * 
- * @param {Date|null|undefined} date - Data a ser formatada
- * @returns {string} Data formatada ou 'N/A'
- */
-const formatDate = (date) => {
-  // Verifica se a data existe e é válida
-  if (!date || !(date instanceof Date)) {
-    return 'N/A';
-  }
+// Funções do histórico de visitas (entradas e saídas) e formatação de durações
+import { CHECK_OUT_COOLDOWN_SECONDS, UNDO_WINDOW_SECONDS } from '../../people/attendance';
 
-  // Extrai componentes da data
-  const month = (date.getMonth() + 1).toString().padStart(2, '0'); // +1 porque getMonth() retorna 0-11
-  const day = date.getDate().toString().padStart(2, '0');
-  const year = date.getFullYear();
-  const hours = date.getHours().toString().padStart(2, '0');
-  const minutes = date.getMinutes().toString().padStart(2, '0');
+// Barra de busca, filtros e ordenação da lista
+import PeopleListToolbar from './PeopleListToolbar.jsx';
 
-  // Retorna no formato MM/DD/YYYY, HH:mm
-  return `${month}/${day}/${year}, ${hours}:${minutes}`;
-};
+// Aviso com o botão "Desfazer" exibido após cada check-in/check-out
+import UndoToast from './UndoToast.jsx';
+
+// Resultado (sucessos e falhas por pessoa) das ações em lote
+import BulkActionResults from './BulkActionResults.jsx';
+
+// Card de cada participante
+import PersonRow from './PersonRow.jsx';
+
+// Aviso de quem foi admitido da lista de espera após um check-out
+import { formatAdmittedMessage } from '../../people/waitlist';
+
+// Só as linhas perto da área visível da página são montadas
+import { useVirtualRows } from '../virtual-rows';
+
+// Textos, números e datas no idioma da interface
+import { useI18n } from '../i18n';
 
 /**
- * FUNÇÃO AUXILIAR: getTimeDifferenceInSeconds
- * 
- * Calcula a diferença em segundos entre uma data e o momento atual.
- * Usado para determinar se já passaram 5 segundos desde o check-in.
- * 
- * @param {Date} date - Data de referência (checkInDate)
- * @returns {number} Diferença em segundos
+ * CONSTANTE: ESTIMATED_ROW_HEIGHT
+ *
+ * Altura aproximada (px) de um card com o espaçamento, usada para reservar
+ * o espaço das linhas que ainda não foram exibidas.
  */
-const getTimeDifferenceInSeconds = (date) => {
-  if (!date || !(date instanceof Date)) {
-    return 0;
-  }
-  
-  // Calcula diferença entre agora e a data fornecida em milissegundos
-  const diffInMs = new Date() - date;
-  
-  // Converte para segundos
-  return Math.floor(diffInMs / 1000);
-};
+const ESTIMATED_ROW_HEIGHT = 240;
 
 /**
  * COMPONENTE: PeopleList
@@ -68,77 +51,264 @@ const getTimeDifferenceInSeconds = (date) => {
  * 1. Exibir lista de participantes com informações detalhadas
  * 2. Formatar datas de check-in e check-out adequadamente
  * 3. Implementar lógica condicional para botões de ação
- * 4. Gerenciar reatividade temporal (botão de check-out após 5 segundos)
+ * 4. Montar apenas os cards perto da área visível (listas de eventos grandes)
  * 5. Executar methods do Meteor para check-in/check-out
  * 6. Fornecer feedback visual do status de cada participante
  * 
- * REATIVIDADE TEMPORAL:
- * - Usa timer para re-renderizar a cada segundo
- * - Permite que botão de check-out apareça exatamente após 5 segundos
- * - Atualiza contadores visuais em tempo real
+ * RENDERIZAÇÃO:
+ * - Cada card é um PersonRow memorizado; a lista não tem timer próprio
+ * - A contagem regressiva do check-out fica em cada card e só roda nos
+ *   que estão dentro do intervalo mínimo
+ * - useVirtualRows monta só os cards perto da área visível e reserva o
+ *   espaço dos demais, para a rolagem continuar do tamanho da lista
+ * 
+ * PAGINAÇÃO:
+ * - Recebe apenas a página já carregada (publicação people.search)
+ * - Quando o fim da lista aparece na tela, pede a próxima página (onLoadMore)
+ * - O botão "Carregar mais" faz o mesmo para navegadores sem IntersectionObserver
+ * 
+ * SELEÇÃO MÚLTIPLA:
+ * - Cada card tem uma caixa de seleção (apenas para quem pode fazer check-in)
+ * - As ações em lote chamam methods que processam pessoa a pessoa e
+ *   devolvem o resultado individual, exibido em BulkActionResults
  * 
  * @param {Object} props - Propriedades do componente
+ * @param {string} props.selectedCommunityId - ID do evento selecionado
  * @param {Array} props.people - Array de objetos representando participantes
+ * @param {number} props.totalCount - Total de participantes que atendem à busca
+ * @param {boolean} props.isLoading - true enquanto a página está sendo carregada
+ * @param {string} props.search - Termo digitado no campo de busca
+ * @param {Function} props.onSearchChange - Chamada com o novo termo de busca
+ * @param {string} props.sortBy - Chave da ordenação atual
+ * @param {Function} props.onSortChange - Chamada com a nova chave de ordenação
+ * @param {Object} props.filters - { status, company, title } aplicados à lista
+ * @param {Object} props.facets - Opções dos filtros de empresa e cargo (publicação people.facets)
+ * @param {Function} props.onFilterChange - Chamada com (filtro, valor)
+ * @param {Function} props.onClearFilters - Limpa a busca e os filtros
+ * @param {Function} props.onLoadMore - Carrega a próxima página
+ * @param {boolean} props.canCheckIn - Se o papel do usuário permite check-in/check-out
+ * @param {string} [props.timeZone] - Fuso horário do evento; sem ele, as datas usam o do navegador
+ * @param {number} [props.checkOutCooldownSeconds] - Intervalo mínimo entre check-in e check-out
+ *                                                   do evento (o mesmo aplicado pelo servidor)
+ * @param {boolean} [props.isOffline] - Sem conexão: check-in/check-out vão para a fila do aparelho
+ *                                      e as ações em lote ficam indisponíveis
+ * @param {Function} [props.onQueueAction] - Enfileira uma ação offline: (type, person)
+ * @param {Function} [props.onOpenPerson] - Abre os detalhes da pessoa clicada no nome
  */
-const PeopleList = ({ people }) => {
-  
+const PeopleList = ({
+  selectedCommunityId,
+  people,
+  totalCount,
+  isLoading,
+  search,
+  onSearchChange,
+  sortBy,
+  onSortChange,
+  filters,
+  facets,
+  onFilterChange,
+  onClearFilters,
+  onLoadMore,
+  canCheckIn,
+  timeZone,
+  checkOutCooldownSeconds = CHECK_OUT_COOLDOWN_SECONDS,
+  isOffline = false,
+  onQueueAction,
+  onOpenPerson,
+}) => {
+  const { locale, t } = useI18n();
+
   /**
-   * ESTADO LOCAL: forceUpdate
-   * 
-   * Estado usado exclusivamente para forçar re-renderizações do componente.
-   * Como a lógica do botão de check-out depende de tempo (5 segundos),
-   * precisamos re-renderizar regularmente para atualizar a interface.
-   * 
-   * A cada segundo, incrementamos este valor para triggerar nova renderização.
+   * ROLAGEM INFINITA
+   *
+   * Um elemento sentinela fica no fim da lista. Quando ele entra na tela
+   * e ainda há pessoas a carregar, pede a próxima página ao componente pai.
    */
-  const [forceUpdate, setForceUpdate] = useState(0);
+  const loadMoreRef = useRef(null);
+  const hasMore = people.length < totalCount;
+
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore || isLoading || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        onLoadMore();
+      }
+    });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [hasMore, isLoading, onLoadMore]);
 
   /**
-   * EFEITO: Timer de Reatividade
-   * 
-   * Implementa um timer que executa a cada segundo para forçar re-renderização.
-   * Isso é necessário para a funcionalidade do botão de check-out que deve
-   * aparecer exatamente 5 segundos após o check-in.
-   * 
-   * FUNCIONAMENTO:
-   * 1. setInterval executa função a cada 1000ms (1 segundo)
-   * 2. Função incrementa o estado forceUpdate
-   * 3. Mudança no estado força nova renderização do componente
-   * 4. Nova renderização recalcula condições dos botões
-   * 5. Botão de check-out aparece/desaparece conforme tempo decorrido
-   * 
-   * CLEANUP:
-   * - clearInterval é chamado quando componente é desmontado
-   * - Previne memory leaks e execuções desnecessárias
+   * ESTADO LOCAL: lastAction
+   *
+   * Última ação feita nesta tela, exibida no aviso com o botão "Desfazer".
+   * Formato: { personId, message, expiresAt } ou null quando não há aviso.
+   */
+  const [lastAction, setLastAction] = useState(null);
+  const [isUndoing, setIsUndoing] = useState(false);
+
+  /**
+   * FUNÇÃO: showUndoToast
+   *
+   * Abre o aviso de desfazer para a ação recém-concluída. O prazo é o mesmo
+   * que o servidor aceita no method people.undo.
+   *
+   * @param {string} personId - ID da pessoa afetada
+   * @param {string} message - Texto do aviso
+   */
+  const showUndoToast = (personId, message) => {
+    setLastAction({
+      personId,
+      message,
+      expiresAt: Date.now() + UNDO_WINDOW_SECONDS * 1000,
+    });
+  };
+
+  // Fecha o aviso (estável para não reiniciar o fechamento automático a cada renderização)
+  const dismissUndoToast = useCallback(() => setLastAction(null), []);
+
+  /**
+   * HANDLER: handleUndo
+   *
+   * Desfaz a última ação chamando o method people.undo. O servidor só aceita
+   * se a ação foi feita por este usuário e ainda está dentro do prazo.
+   */
+  const handleUndo = async () => {
+    if (!lastAction) {
+      return;
+    }
+    setIsUndoing(true);
+    try {
+      await Meteor.callAsync('people.undo', lastAction.personId);
+      setLastAction(null);
+    } catch (error) {
+      console.error('Erro ao desfazer ação:', error);
+      alert(t('peopleList.undoError', { reason: error.reason }));
+    } finally {
+      setIsUndoing(false);
+    }
+  };
+
+  /**
+   * ESTADO LOCAL: seleção múltipla e resultado da última ação em lote
+   *
+   * - selectedIds: IDs das pessoas marcadas (Set, sobrevive às atualizações reativas)
+   * - bulkResult: { titleKey, summary } da última ação em lote ou null
+   * - isBulkRunning: true enquanto um method em lote está em andamento
    */
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkResult, setBulkResult] = useState(null);
+  const [isBulkRunning, setIsBulkRunning] = useState(false);
+
+  // Trocar de evento limpa a seleção e o resultado anterior
   useEffect(() => {
-    // Cria interval que executa a cada segundo
-    const interval = setInterval(() => {
-      // Incrementa contador para forçar re-renderização
-      setForceUpdate(prev => prev + 1);
-    }, 1000);
+    setSelectedIds(new Set());
+    setBulkResult(null);
+  }, [selectedCommunityId]);
+
+  /**
+   * HANDLER: toggleSelected
+   *
+   * Marca/desmarca uma pessoa na seleção.
+   *
+   * @param {string} personId - ID da pessoa
+   */
+  const toggleSelected = useCallback((personId) => {
+    setSelectedIds((previous) => {
+      const next = new Set(previous);
+      if (next.has(personId)) {
+        next.delete(personId);
+      } else {
+        next.add(personId);
+      }
+      return next;
+    });
+  }, []);
+
+  // Todas as pessoas carregadas estão marcadas?
+  const allVisibleSelected = people.length > 0 && people.every((person) => selectedIds.has(person._id));
+
+  /**
+   * HANDLER: toggleSelectAllVisible
+   *
+   * Marca todas as pessoas carregadas na lista, ou desmarca se já estiverem todas marcadas.
+   */
+  const toggleSelectAllVisible = () => {
+    setSelectedIds(allVisibleSelected ? new Set() : new Set(people.map((person) => person._id)));
+  };
+
+  /**
+   * FUNÇÃO: getPersonName
+   *
+   * Nome usado no painel de resultado. Pessoas fora da página carregada
+   * aparecem pelo ID.
+   *
+   * @param {string} personId - ID da pessoa
+   * @returns {string} Nome completo ou identificação pelo ID
+   */
+  const getPersonName = (personId) => {
+    const person = people.find(({ _id }) => _id === personId);
+    return person ? `${person.firstName} ${person.lastName}` : t('peopleList.unknownPerson', { id: personId });
+  };
 
-    // Função de cleanup: remove o interval quando componente é desmontado
-    // ou quando dependências do useEffect mudam
-    return () => clearInterval(interval);
-  }, []); // Array vazio = efeito só executa no mount/unmount
+  /**
+   * HANDLER: handleBulkAction
+   *
+   * Chama um method em lote e exibe o resultado por pessoa. As pessoas
+   * processadas com sucesso saem da seleção; as que falharam continuam
+   * marcadas para o usuário tentar de novo ou corrigir.
+   *
+   * @param {string} titleKey - Chave da mensagem com o nome da ação exibido no resultado
+   * @param {string} methodName - Method do servidor
+   * @param {*} argument - IDs selecionados ou ID do evento
+   */
+  const handleBulkAction = async (titleKey, methodName, argument) => {
+    setIsBulkRunning(true);
+    try {
+      const summary = await Meteor.callAsync(methodName, argument);
+      const succeededIds = summary.results.filter((result) => result.success).map((result) => result.personId);
+      setSelectedIds((previous) => new Set([...previous].filter((id) => !succeededIds.includes(id))));
+      setBulkResult({ titleKey, summary });
+    } catch (error) {
+      console.error(`Erro em ${methodName}:`, error);
+      alert(t('peopleList.bulkError', { reason: error.reason }));
+    } finally {
+      setIsBulkRunning(false);
+    }
+  };
 
   /**
    * HANDLER: handleCheckIn
    * 
    * Executa check-in de um participante chamando method do servidor.
    * 
-   * @param {string} personId - ID da pessoa que está fazendo check-in
+   * @param {Object} person - Pessoa que está fazendo check-in
    */
-  const handleCheckIn = async (personId) => {
+  const handleCheckIn = async (person) => {
+    // Sem conexão a ação fica na fila e a lista já mostra a pessoa no evento
+    if (isOffline) {
+      onQueueAction('checkIn', person);
+      return;
+    }
     try {
       // Chama method assíncrono do servidor para realizar check-in
-      await Meteor.callAsync('people.checkIn', personId);
-      console.log(`Check-in realizado para pessoa ${personId}`);
+      // O horário do clique é enviado para o registro não depender da latência da rede
+      await Meteor.callAsync('people.checkIn', person._id, { clientTimestamp: new Date() });
+      showUndoToast(person._id, t('peopleList.checkInDone', { name: `${person.firstName} ${person.lastName}` }));
     } catch (error) {
+      // Evento lotado não é falha: a pessoa foi para a lista de espera
+      if (error.error === 'capacity-reached') {
+        alert(error.reason);
+        return;
+      }
       // Tratamento de erro: exibe mensagem no console e poderia mostrar toast/alert
       console.error('Erro ao fazer check-in:', error);
-      alert('Erro ao realizar check-in: ' + error.reason);
+      alert(t('peopleList.checkInError', { reason: error.reason }));
     }
   };
 
@@ -147,93 +317,85 @@ const PeopleList = ({ people }) => {
    * 
    * Executa check-out de um participante chamando method do servidor.
    * 
-   * @param {string} personId - ID da pessoa que está fazendo check-out
+   * @param {Object} person - Pessoa que está fazendo check-out
    */
-  const handleCheckOut = async (personId) => {
+  const handleCheckOut = async (person) => {
+    if (isOffline) {
+      onQueueAction('checkOut', person);
+      return;
+    }
     try {
       // Chama method assíncrono do servidor para realizar check-out
-      await Meteor.callAsync('people.checkOut', personId);
-      console.log(`Check-out realizado para pessoa ${personId}`);
+      const result = await Meteor.callAsync('people.checkOut', person._id, {
+        clientTimestamp: new Date(),
+      });
+      const admittedMessage = formatAdmittedMessage(result.admitted, locale);
+      const message = t('peopleList.checkOutDone', { name: `${person.firstName} ${person.lastName}` });
+      showUndoToast(person._id, admittedMessage ? `${message}. ${admittedMessage}` : message);
     } catch (error) {
       // Tratamento de erro: exibe mensagem no console e poderia mostrar toast/alert
       console.error('Erro ao fazer check-out:', error);
-      alert('Erro ao realizar check-out: ' + error.reason);
+      alert(t('peopleList.checkOutError', { reason: error.reason }));
     }
   };
 
   /**
-   * FUNÇÃO: renderActionButton
-   * 
-   * Renderiza o botão de ação apropriado baseado no status do participante.
-   * 
-   * LÓGICA CONDICIONAL:
-   * 1. Se não fez check-in: botão "Check-in {nome}"
-   * 2. Se fez check-in mas não check-out:
-   *    a) Se < 5 segundos: botão desabilitado "Aguarde..."
-   *    b) Se >= 5 segundos: botão "Check-out {nome}"
-   * 3. Se fez check-out: texto informativo "Check-out realizado"
-   * 
-   * @param {Object} person - Objeto da pessoa
-   * @returns {JSX.Element} Elemento JSX do botão ou texto
+   * HANDLER: handleLeaveWaitlist
+   *
+   * Tira a pessoa da lista de espera (ex.: desistiu de esperar).
+   *
+   * @param {Object} person - Pessoa na lista de espera
    */
-  const renderActionButton = (person) => {
-    const fullName = `${person.firstName} ${person.lastName}`;
-    
-    // CASO 1: Não fez check-in ainda
-    if (!person.checkInDate) {
-      return (
-        <button
-          onClick={() => handleCheckIn(person._id)}
-          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 transition-colors duration-200"
-        >
-          Check-in {fullName}
-        </button>
-      );
-    }
-    
-    // CASO 2: Fez check-in mas ainda não fez check-out
-    if (person.checkInDate && !person.checkOutDate) {
-      // Calcula tempo decorrido desde o check-in
-      const secondsSinceCheckIn = getTimeDifferenceInSeconds(person.checkInDate);
-      
-      // SUBCASO 2a: Menos de 5 segundos - botão desabilitado
-      if (secondsSinceCheckIn < 5) {
-        const remainingSeconds = 5 - secondsSinceCheckIn;
-        return (
-          <button
-            disabled
-            className="px-4 py-2 bg-gray-400 text-white rounded-md cursor-not-allowed opacity-60"
-          >
-            Aguarde... ({remainingSeconds}s)
-          </button>
-        );
-      }
-      
-      // SUBCASO 2b: 5 segundos ou mais - botão de check-out habilitado
-      return (
-        <button
-          onClick={() => handleCheckOut(person._id)}
-          className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition-colors duration-200"
-        >
-          Check-out {fullName}
-        </button>
-      );
+  const handleLeaveWaitlist = async (person) => {
+    try {
+      await Meteor.callAsync('people.leaveWaitlist', person._id);
+    } catch (error) {
+      console.error('Erro ao remover da lista de espera:', error);
+      alert(t('peopleList.leaveWaitlistError', { reason: error.reason }));
     }
-    
-    // CASO 3: Já fez check-out - apenas texto informativo
-    return (
-      <span className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md border">
-        Check-out realizado
-      </span>
-    );
   };
 
+  /**
+   * HANDLERS ESTÁVEIS DAS LINHAS
+   *
+   * Os handlers acima mudam a cada renderização (dependem da conexão e das
+   * props). As linhas recebem funções que nunca mudam e chamam a versão
+   * mais recente guardada em rowHandlersRef; assim o memo do PersonRow
+   * funciona e a rolagem não renderiza de novo os cards já montados.
+   */
+  const rowHandlersRef = useRef(null);
+  rowHandlersRef.current = { handleCheckIn, handleCheckOut, handleLeaveWaitlist, onOpenPerson };
+
+  const rowHandlers = useMemo(
+    () => ({
+      onCheckIn: (person) => rowHandlersRef.current.handleCheckIn(person),
+      onCheckOut: (person) => rowHandlersRef.current.handleCheckOut(person),
+      onLeaveWaitlist: (person) => rowHandlersRef.current.handleLeaveWaitlist(person),
+      onOpenPerson: (person) => rowHandlersRef.current.onOpenPerson(person),
+    }),
+    []
+  );
+
+  /**
+   * VIRTUALIZAÇÃO
+   *
+   * Só os cards perto da área visível são montados. O espaçamento entre os
+   * cards fica dentro de cada linha (padding) para entrar na medida da altura.
+   */
+  const { containerRef, start, end, paddingTop, paddingBottom, measureRef } = useVirtualRows({
+    keys: people.map((person) => person._id),
+    estimatedHeight: ESTIMATED_ROW_HEIGHT,
+  });
+
   /**
    * RENDERIZAÇÃO CONDICIONAL: Lista Vazia
    * 
-   * Se não há participantes, exibe mensagem amigável orientando o usuário.
+   * Se o evento não tem participantes (e não há busca ativa),
+   * exibe mensagem amigável orientando o usuário.
    */
-  if (!people || people.length === 0) {
+  const hasFilters = !!(search || filters.status || filters.company || filters.title);
+
+  if (!isLoading && !hasFilters && people.length === 0) {
     return (
       <div className="text-center py-12">
         <div className="text-gray-500">
@@ -252,10 +414,10 @@ const PeopleList = ({ people }) => {
             />
           </svg>
           <h3 className="text-lg font-medium text-gray-900 mb-2">
-            Nenhum participante encontrado
+            {t('peopleList.emptyTitle')}
           </h3>
           <p className="text-gray-500">
-            Selecione um evento para ver os participantes ou verifique se há pessoas registradas neste evento.
+            {t('peopleList.emptyDescription')}
           </p>
         </div>
       </div>
@@ -273,75 +435,135 @@ const PeopleList = ({ people }) => {
       {/* Cabeçalho da seção */}
       <div className="border-b border-gray-200 pb-4">
         <h2 className="text-xl font-semibold text-gray-900">
-          Participantes do Evento
+          {t('peopleList.title')}
         </h2>
         <p className="text-sm text-gray-600 mt-1">
-          {people.length} participante{people.length > 1 ? 's' : ''} registrado{people.length > 1 ? 's' : ''}
+          {t(hasFilters ? 'peopleList.foundCount' : 'peopleList.registeredCount', { count: totalCount })}
+          {hasMore && t('peopleList.showing', { count: people.length })}
         </p>
       </div>
 
-      {/* Lista de participantes - usando grid responsivo */}
-      <div className="grid gap-4 md:gap-6">
-        {people.map((person) => (
-          <div 
-            key={person._id} 
-            className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm hover:shadow-md transition-shadow duration-200"
-          >
-            {/* Layout do card usando flexbox responsivo */}
-            <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-4 lg:space-y-0">
-              
-              {/* Informações da pessoa */}
-              <div className="flex-1 space-y-2">
-                {/* Nome completo - destaque principal */}
-                <h3 className="text-lg font-semibold text-gray-900">
-                  {person.firstName} {person.lastName}
-                </h3>
-                
-                {/* Informações profissionais */}
-                <div className="text-sm text-gray-600 space-y-1">
-                  {/* Empresa - só exibe se existe */}
-                  {person.companyName && (
-                    <p>
-                      <span className="font-medium">Empresa:</span> {person.companyName}
-                    </p>
-                  )}
-                  
-                  {/* Cargo - só exibe se existe */}
-                  {person.title && (
-                    <p>
-                      <span className="font-medium">Cargo:</span> {person.title}
-                    </p>
-                  )}
-                </div>
-                
-                {/* Status de check-in/check-out */}
-                <div className="text-sm space-y-1">
-                  {/* Data de check-in */}
-                  <p className="text-gray-600">
-                    <span className="font-medium">Check-in:</span>{' '}
-                    <span className={person.checkInDate ? 'text-green-600' : 'text-gray-400'}>
-                      {formatDate(person.checkInDate)}
-                    </span>
-                  </p>
-                  
-                  {/* Data de check-out */}
-                  <p className="text-gray-600">
-                    <span className="font-medium">Check-out:</span>{' '}
-                    <span className={person.checkOutDate ? 'text-red-600' : 'text-gray-400'}>
-                      {formatDate(person.checkOutDate)}
-                    </span>
-                  </p>
-                </div>
-              </div>
-
-              {/* Área de ação - botões */}
-              <div className="flex-shrink-0">
-                {renderActionButton(person)}
-              </div>
-            </div>
+      {/* Busca, filtros e ordenação - executados no servidor pela publicação people.search */}
+      <PeopleListToolbar
+        search={search}
+        onSearchChange={onSearchChange}
+        filters={filters}
+        facets={facets}
+        onFilterChange={onFilterChange}
+        onClearFilters={onClearFilters}
+        sortBy={sortBy}
+        onSortChange={onSortChange}
+      />
+
+      {/* Ações em lote - apenas para quem pode fazer check-in/check-out */}
+      {canCheckIn && (
+        <div className="flex flex-wrap items-center gap-3 bg-gray-50 border border-gray-200 rounded-lg p-3">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={allVisibleSelected}
+              onChange={toggleSelectAllVisible}
+              disabled={people.length === 0}
+            />
+            {t('peopleList.selectAll')}
+          </label>
+          <span className="text-sm text-gray-500">
+            {t('peopleList.selectedCount', { count: selectedIds.size })}
+          </span>
+          <div className="flex flex-wrap gap-2 sm:ml-auto">
+            {isOffline && (
+              <span className="self-center text-sm text-yellow-800">
+                {t('peopleList.bulkOffline')}
+              </span>
+            )}
+            <button
+              onClick={() => handleBulkAction('peopleList.bulk.checkInSelected', 'people.checkInMany', [...selectedIds])}
+              disabled={isOffline || isBulkRunning || selectedIds.size === 0}
+              className="px-3 py-1.5 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('peopleList.bulk.checkInSelected')}
+            </button>
+            <button
+              onClick={() => handleBulkAction('peopleList.bulk.checkOutSelected', 'people.checkOutMany', [...selectedIds])}
+              disabled={isOffline || isBulkRunning || selectedIds.size === 0}
+              className="px-3 py-1.5 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('peopleList.bulk.checkOutSelected')}
+            </button>
+            <button
+              onClick={() =>
+                handleBulkAction('peopleList.bulk.checkOutAllPresent', 'people.checkOutAllPresent', selectedCommunityId)
+              }
+              disabled={isOffline || isBulkRunning}
+              className="px-3 py-1.5 text-sm border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('peopleList.bulk.checkOutAllPresent')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Resultado da última ação em lote */}
+      {bulkResult && (
+        <BulkActionResults
+          title={t(bulkResult.titleKey)}
+          summary={bulkResult.summary}
+          getPersonName={getPersonName}
+          onDismiss={() => setBulkResult(null)}
+        />
+      )}
+
+      {/* Busca sem resultados */}
+      {!isLoading && people.length === 0 && (
+        <p className="text-center text-gray-500 py-8">
+          {search ? t('peopleList.noResults', { search }) : t('peopleList.noFilterResults')}
+        </p>
+      )}
+
+      {/* Lista de participantes - só os cards perto da área visível */}
+      <div ref={containerRef} style={{ paddingTop, paddingBottom }}>
+        {people.slice(start, end).map((person) => (
+          <div key={person._id} ref={measureRef(person._id)} className="pb-4 md:pb-6">
+            <PersonRow
+              person={person}
+              isSelected={selectedIds.has(person._id)}
+              canCheckIn={canCheckIn}
+              isOffline={isOffline}
+              timeZone={timeZone}
+              checkOutCooldownSeconds={checkOutCooldownSeconds}
+              onToggleSelected={toggleSelected}
+              onCheckIn={rowHandlers.onCheckIn}
+              onCheckOut={rowHandlers.onCheckOut}
+              onLeaveWaitlist={rowHandlers.onLeaveWaitlist}
+              onOpenPerson={onOpenPerson ? rowHandlers.onOpenPerson : undefined}
+            />
           </div>
         ))}
       </div>
+
+      {/* Fim da lista: sentinela da rolagem infinita e botão de próxima página */}
+      {hasMore && (
+        <div ref={loadMoreRef} className="text-center pt-2">
+          <button
+            onClick={onLoadMore}
+            disabled={isLoading}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            {isLoading ? t('peopleList.loading') : t('peopleList.loadMore')}
+          </button>
+        </div>
+      )}
+
+      {/* Aviso com "Desfazer" da última ação de check-in/check-out */}
+      {lastAction && (
+        <UndoToast
+          message={lastAction.message}
+          expiresAt={lastAction.expiresAt}
+          isUndoing={isUndoing}
+          onUndo={handleUndo}
+          onDismiss={dismissUndoToast}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,184 @@
+// Importação do React e dos hooks para o atalho de teclado
+import React, { useEffect, useRef } from 'react';
+
+// Ordenações e situações aceitas pela publicação people.search
+import { PEOPLE_SORT_OPTIONS, PEOPLE_STATUS_FILTERS } from '../../people/people-search';
+
+// Grupo de quem não informou empresa, traduzido na exibição
+import { NO_COMPANY_KEY } from '../../people/event-summaries';
+
+// Textos e números no idioma da interface
+import { useI18n } from '../i18n';
+
+// Classes comuns aos campos da barra
+const FIELD_CLASS_NAME =
+  'px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 bg-white';
+
+/**
+ * FUNÇÃO AUXILIAR: isTypingTarget
+ *
+ * O atalho "/" não pode roubar a barra digitada num campo de texto.
+ *
+ * @param {EventTarget} target - Elemento que recebeu a tecla
+ * @returns {boolean} true se o foco está num campo editável
+ */
+const isTypingTarget = (target) =>
+  !!target &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/**
+ * COMPONENTE: PeopleListToolbar
+ *
+ * Barra de busca, filtros e ordenação da lista de participantes. A busca
+ * procura em nome, empresa e cargo; os filtros são por situação (não fez
+ * check-in, presente, saiu), empresa e cargo. Tudo é aplicado no servidor
+ * (publicação people.search) e guardado na URL pelo HomePage, então os
+ * filtros continuam valendo quando a lista é atualizada em tempo real.
+ *
+ * A tecla "/" leva o foco para a busca de qualquer lugar da página.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.search - Termo digitado no campo de busca
+ * @param {Function} props.onSearchChange - Chamada com o novo termo de busca
+ * @param {Object} props.filters - { status, company, title } aplicados
+ * @param {Object} props.facets - { companies, titles }: opções publicadas por people.facets
+ * @param {Function} props.onFilterChange - Chamada com (filtro, valor)
+ * @param {Function} props.onClearFilters - Limpa a busca e os filtros
+ * @param {string} props.sortBy - Chave da ordenação atual
+ * @param {Function} props.onSortChange - Chamada com a nova chave de ordenação
+ */
+const PeopleListToolbar = ({
+  search,
+  onSearchChange,
+  filters,
+  facets,
+  onFilterChange,
+  onClearFilters,
+  sortBy,
+  onSortChange,
+}) => {
+  const { locale, t, formatNumber } = useI18n();
+  const searchRef = useRef(null);
+
+  /**
+   * EFEITO: Atalho "/" para a busca
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) {
+        return;
+      }
+      event.preventDefault();
+      searchRef.current.focus();
+      searchRef.current.select();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const getCompanyLabel = (company) => (company === NO_COMPANY_KEY ? t('eventSummary.noCompany') : company);
+  const byLabel = (getLabel) => (a, b) => getLabel(a.value).localeCompare(getLabel(b.value), locale);
+  const companies = [...facets.companies].sort(byLabel(getCompanyLabel));
+  const titles = [...facets.titles].sort(byLabel((value) => value));
+
+  // Um filtro vindo da URL pode não estar mais entre as opções (ex.: a
+  // última pessoa da empresa foi removida); ele continua selecionável para
+  // o seletor mostrar o filtro aplicado
+  const withSelected = (options, selected) =>
+    selected && !options.some((option) => option.value === selected)
+      ? [...options, { value: selected, count: 0 }]
+      : options;
+
+  const hasFilters = !!(search || filters.status || filters.company || filters.title);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <input
+            ref={searchRef}
+            type="search"
+            value={search}
+            onChange={(event) => onSearchChange(event.target.value)}
+            placeholder={t('peopleList.searchPlaceholder')}
+            aria-label={t('peopleList.searchLabel')}
+            aria-keyshortcuts="/"
+            className={`w-full pr-10 ${FIELD_CLASS_NAME}`}
+          />
+          <kbd
+            className="absolute right-2 top-1/2 -translate-y-1/2 px-1.5 text-xs text-gray-500 border border-gray-300 rounded"
+            title={t('peopleList.searchShortcut')}
+          >
+            /
+          </kbd>
+        </div>
+        <select
+          value={sortBy}
+          onChange={(event) => onSortChange(event.target.value)}
+          aria-label={t('peopleList.sortLabel')}
+          className={FIELD_CLASS_NAME}
+        >
+          {Object.keys(PEOPLE_SORT_OPTIONS).map((key) => (
+            <option key={key} value={key}>
+              {t(`peopleList.sort.${key}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:flex-wrap gap-3">
+        <select
+          value={filters.status}
+          onChange={(event) => onFilterChange('status', event.target.value)}
+          aria-label={t('peopleList.statusLabel')}
+          className={FIELD_CLASS_NAME}
+        >
+          <option value="">{t('peopleList.status.all')}</option>
+          {PEOPLE_STATUS_FILTERS.map((status) => (
+            <option key={status} value={status}>
+              {t(`peopleList.status.${status}`)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.company}
+          onChange={(event) => onFilterChange('company', event.target.value)}
+          aria-label={t('peopleList.companyLabel')}
+          className={`sm:max-w-xs ${FIELD_CLASS_NAME}`}
+        >
+          <option value="">{t('peopleList.allCompanies')}</option>
+          {withSelected(companies, filters.company).map((option) => (
+            <option key={option.value} value={option.value}>
+              {getCompanyLabel(option.value)} ({formatNumber(option.count)})
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.title}
+          onChange={(event) => onFilterChange('title', event.target.value)}
+          aria-label={t('peopleList.titleLabel')}
+          className={`sm:max-w-xs ${FIELD_CLASS_NAME}`}
+        >
+          <option value="">{t('peopleList.allTitles')}</option>
+          {withSelected(titles, filters.title).map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.value} ({formatNumber(option.count)})
+            </option>
+          ))}
+        </select>
+        {hasFilters && (
+          <button
+            type="button"
+            onClick={onClearFilters}
+            className="px-3 py-2 text-sm text-blue-600 hover:text-blue-800"
+          >
+            {t('peopleList.clearFilters')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default PeopleListToolbar;
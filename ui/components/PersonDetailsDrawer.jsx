@@ -0,0 +1,466 @@
+// Importação do React e dos hooks de estado (edição) e efeito (tecla Esc fecha a gaveta)
+import React, { useEffect, useState } from 'react';
+
+// Importação do Meteor para chamar o method de edição
+import { Meteor } from 'meteor/meteor';
+
+// Hooks do Meteor para assinar e ler a pessoa aberta
+import { useSubscribe, useTracker } from 'meteor/react-meteor-data';
+
+// Documento completo da pessoa, publicado por people.details
+import { PersonDetails } from '../../people/person-details';
+
+// Campos editáveis e as mesmas validações do method people.update
+import {
+  PROFILE_FIELDS,
+  findProfileConflicts,
+  getProfileValues,
+  normalizeProfileChanges,
+  validateProfileChanges,
+} from '../../people/person-profile';
+
+// Histórico de visitas e formatação de durações
+import {
+  formatDuration,
+  getTimeOnSite,
+  getVisitDuration,
+  getVisits,
+  isPresent,
+} from '../../people/attendance';
+
+// Situações exibidas como etiquetas
+import { isWaitlisted } from '../../people/waitlist';
+import { WALK_IN_SOURCE, isWalkIn } from '../../people/walk-ins';
+
+// Textos, nomes dos campos e datas no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * CONSTANTE: SOURCE_LABEL_KEYS
+ *
+ * Chave do catálogo para a origem do cadastro (campo `source`). Pessoas
+ * do seed não têm o campo e aparecem como personDetails.sources.seed.
+ */
+const SOURCE_LABEL_KEYS = {
+  [WALK_IN_SOURCE]: 'personDetails.sources.walkIn',
+  import: 'personDetails.sources.import',
+};
+
+/**
+ * FUNÇÃO AUXILIAR: getStatusLabelKey
+ *
+ * @param {Object} person - Documento da pessoa
+ * @returns {string} Chave do catálogo com a situação atual da pessoa no evento
+ */
+const getStatusLabelKey = (person) => {
+  if (isPresent(person)) {
+    return 'personDetails.status.present';
+  }
+  if (isWaitlisted(person)) {
+    return 'personDetails.status.waitlisted';
+  }
+  return person.checkInDate ? 'personDetails.status.left' : 'personDetails.status.notArrived';
+};
+
+/**
+ * FUNÇÃO AUXILIAR: pickFields
+ *
+ * @param {Object} values - Valores dos campos editáveis
+ * @param {Array<string>} keys - Campos desejados
+ * @returns {Object} Apenas os campos pedidos
+ */
+const pickFields = (values, keys) => Object.fromEntries(keys.map((key) => [key, values[key]]));
+
+/**
+ * COMPONENTE: PersonDetailsDrawer
+ *
+ * Gaveta lateral com todos os dados de uma pessoa, as observações da
+ * equipe e o histórico de entradas e saídas. É aberta pela rota
+ * /events/:communityId/people/:personId, então o link pode ser
+ * compartilhado com outra pessoa da equipe.
+ *
+ * Organizadores podem corrigir os dados cadastrais (ex.: nome e
+ * sobrenome trocados). Se outra pessoa da equipe alterar os mesmos
+ * campos durante a edição, o conflito é mostrado antes de salvar, com os
+ * valores atuais e a escolha entre descartar ou manter o que foi digitado.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.personId - ID da pessoa (vindo da URL)
+ * @param {string} [props.timeZone] - Fuso horário do evento
+ * @param {boolean} [props.canEdit=false] - Se o papel do usuário permite editar participantes
+ * @param {Function} props.onClose - Fecha a gaveta (volta para a rota do evento)
+ */
+const PersonDetailsDrawer = ({ personId, timeZone, canEdit = false, onClose }) => {
+  const { t, formatDate } = useI18n();
+  const isLoading = useSubscribe('people.details', personId);
+  const person = useTracker(() => PersonDetails.findOne(personId), [personId]);
+
+  /**
+   * ESTADO LOCAL: edição
+   *
+   * - draft: valores como digitados no formulário (null fora da edição)
+   * - original: valores da pessoa quando a edição começou, enviados ao
+   *   servidor para a detecção de conflitos
+   * - conflict: conflito devolvido pelo servidor ({ fields, current })
+   */
+  const [draft, setDraft] = useState(null);
+  const [original, setOriginal] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const isEditing = draft !== null;
+
+  /**
+   * EFEITO: Troca de pessoa
+   *
+   * Abrir outra pessoa pela URL descarta a edição em andamento.
+   */
+  useEffect(() => {
+    setDraft(null);
+    setOriginal(null);
+    setConflict(null);
+    setError(null);
+    setMessage(null);
+  }, [personId]);
+
+  /**
+   * EFEITO: Tecla Esc
+   *
+   * Fecha a gaveta pelo teclado, como os demais painéis sobrepostos.
+   * Durante a edição o Esc não faz nada, para não perder o que foi digitado.
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isEditing) {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, isEditing]);
+
+  // Alterações digitadas (campos diferentes do original) e conflitos com a versão atual
+  const current = person ? getProfileValues(person) : null;
+  const changes = isEditing
+    ? Object.fromEntries(
+        Object.entries(normalizeProfileChanges(draft)).filter(([key, value]) => value !== original[key])
+      )
+    : {};
+  const conflictFields = conflict
+    ? conflict.fields
+    : (isEditing && current && findProfileConflicts(current, original, changes)) || [];
+  const conflictValues = conflict ? conflict.current : current;
+
+  /**
+   * HANDLER: handleStartEditing
+   *
+   * Abre o formulário com os valores atuais da pessoa.
+   */
+  const handleStartEditing = () => {
+    setDraft(current);
+    setOriginal(current);
+    setConflict(null);
+    setError(null);
+    setMessage(null);
+  };
+
+  /**
+   * HANDLER: handleCancelEditing
+   */
+  const handleCancelEditing = () => {
+    setDraft(null);
+    setOriginal(null);
+    setConflict(null);
+    setError(null);
+  };
+
+  /**
+   * HANDLERS: handleUseCurrentValues e handleKeepMyValues
+   *
+   * Resolvem um conflito de edição campo a campo:
+   * - usar os valores atuais descarta o que foi digitado nesses campos
+   * - manter os meus passa a considerar os valores atuais como originais,
+   *   e o próximo "Salvar" os sobrescreve de propósito
+   */
+  const handleUseCurrentValues = () => {
+    const latest = pickFields(conflictValues, conflictFields);
+    setDraft({ ...draft, ...latest });
+    setOriginal({ ...original, ...latest });
+    setConflict(null);
+    setError(null);
+  };
+  const handleKeepMyValues = () => {
+    setOriginal({ ...original, ...pickFields(conflictValues, conflictFields) });
+    setConflict(null);
+    setError(null);
+  };
+
+  /**
+   * HANDLER: handleSave
+   *
+   * Envia apenas os campos alterados, junto com os valores originais deles.
+   *
+   * @param {Event} event - Evento de submit do formulário
+   */
+  const handleSave = async (event) => {
+    event.preventDefault();
+
+    const changedFields = Object.keys(changes);
+    if (changedFields.length === 0) {
+      handleCancelEditing();
+      return;
+    }
+    const errors = validateProfileChanges(changes);
+    if (errors.length > 0) {
+      setError(errors.map(({ key, params }) => t(key, params)).join(' '));
+      return;
+    }
+
+    setError(null);
+    setIsSaving(true);
+    try {
+      const result = await Meteor.callAsync('people.update', {
+        personId,
+        changes,
+        original: pickFields(original, changedFields),
+      });
+      setDraft(null);
+      setOriginal(null);
+      setMessage(result.message);
+    } catch (saveError) {
+      if (saveError.error === 'edit-conflict' && saveError.details) {
+        setConflict(saveError.details);
+      }
+      setError(saveError.reason || saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * FUNÇÃO: renderProfile
+   *
+   * @returns {JSX.Element} Dados cadastrais em modo de leitura
+   */
+  const renderProfile = () => (
+    <dl className="grid grid-cols-3 gap-2 text-sm">
+      {PROFILE_FIELDS.map(({ key, labelKey }) => (
+        <React.Fragment key={key}>
+          <dt className="font-medium text-gray-600">{t(labelKey)}</dt>
+          <dd className="col-span-2 whitespace-pre-wrap text-gray-900">{current[key] || '—'}</dd>
+        </React.Fragment>
+      ))}
+      <dt className="font-medium text-gray-600">{t('personDetails.source')}</dt>
+      <dd className="col-span-2 text-gray-900">
+        {t(SOURCE_LABEL_KEYS[person.source] || 'personDetails.sources.seed')}
+      </dd>
+      {person.createdAt && (
+        <>
+          <dt className="font-medium text-gray-600">{t('personDetails.createdAt')}</dt>
+          <dd className="col-span-2 text-gray-900">{formatDate(person.createdAt, timeZone)}</dd>
+        </>
+      )}
+      {person.updatedAt && (
+        <>
+          <dt className="font-medium text-gray-600">{t('personDetails.updatedAt')}</dt>
+          <dd className="col-span-2 text-gray-900">{formatDate(person.updatedAt, timeZone)}</dd>
+        </>
+      )}
+    </dl>
+  );
+
+  /**
+   * FUNÇÃO: renderForm
+   *
+   * @returns {JSX.Element} Formulário de edição com o aviso de conflito
+   */
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="space-y-3">
+      {PROFILE_FIELDS.map(({ key, labelKey, required, maxLength, multiline }) => {
+        const InputTag = multiline ? 'textarea' : 'input';
+        return (
+          <div key={key} className="flex flex-col space-y-1">
+            <label htmlFor={`person-${key}`} className="text-sm font-medium text-gray-700">
+              {t(labelKey)}
+              {required && ' *'}
+            </label>
+            <InputTag
+              id={`person-${key}`}
+              type={multiline ? undefined : 'text'}
+              rows={multiline ? 4 : undefined}
+              maxLength={maxLength}
+              value={draft[key]}
+              onChange={(event) => setDraft({ ...draft, [key]: event.target.value })}
+              className={`px-3 py-2 border rounded-md shadow-sm ${
+                conflictFields.includes(key) ? 'border-yellow-500' : 'border-gray-300'
+              }`}
+            />
+          </div>
+        );
+      })}
+
+      {conflictFields.length > 0 && (
+        <div className="rounded-md border border-yellow-300 bg-yellow-50 p-3 text-sm text-yellow-900">
+          <p className="font-semibold">{t('personDetails.conflictTitle')}</p>
+          <ul className="mt-1 space-y-1">
+            {PROFILE_FIELDS.filter(({ key }) => conflictFields.includes(key)).map(({ key, labelKey }) => (
+              <li key={key}>
+                {t('personDetails.conflictValue', { field: { key: labelKey } })}{' '}
+                <span className="font-medium">{conflictValues[key] || t('personDetails.empty')}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="mt-2 flex gap-2">
+            <button
+              type="button"
+              onClick={handleUseCurrentValues}
+              className="px-3 py-1 border border-yellow-400 rounded-md hover:bg-yellow-100"
+            >
+              {t('personDetails.useCurrentValues')}
+            </button>
+            <button
+              type="button"
+              onClick={handleKeepMyValues}
+              className="px-3 py-1 border border-yellow-400 rounded-md hover:bg-yellow-100"
+            >
+              {t('personDetails.keepMyValues')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && !conflict && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={handleCancelEditing}
+          className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          {t('personDetails.cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving || conflictFields.length > 0}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSaving ? t('personDetails.saving') : t('personDetails.save')}
+        </button>
+      </div>
+    </form>
+  );
+
+  /**
+   * FUNÇÃO: renderContent
+   *
+   * @returns {JSX.Element} Carregando, pessoa não encontrada ou os dados da pessoa
+   */
+  const renderContent = () => {
+    if (!person) {
+      return (
+        <p className="text-gray-500">
+          {isLoading() ? t('personDetails.loading') : t('personDetails.notFound')}
+        </p>
+      );
+    }
+
+    const visits = getVisits(person);
+
+    return (
+      <div className="space-y-6">
+        <div>
+          <h2 className="text-2xl font-semibold text-gray-900">
+            {person.firstName} {person.lastName}
+          </h2>
+          <div className="mt-2 flex flex-wrap gap-2 text-xs font-medium">
+            <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-800">
+              {t(getStatusLabelKey(person))}
+            </span>
+            {isWalkIn(person) && (
+              <span className="px-2 py-0.5 rounded-full bg-purple-100 text-purple-800">
+                {t('peopleList.walkIn')}
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div>
+          <div className="mb-2 flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-900">{t('personDetails.profile')}</h3>
+            {canEdit && !isEditing && (
+              <button onClick={handleStartEditing} className="text-sm text-blue-600 hover:underline">
+                {t('personDetails.edit')}
+              </button>
+            )}
+          </div>
+          {isEditing ? renderForm() : renderProfile()}
+          {message && !isEditing && <p className="mt-2 text-sm text-green-700">{message}</p>}
+        </div>
+
+        <dl className="grid grid-cols-3 gap-2 text-sm">
+          <dt className="font-medium text-gray-600">{t('personDetails.timeOnSite')}</dt>
+          <dd className="col-span-2 text-gray-900">
+            {visits.length > 0 ? formatDuration(getTimeOnSite(person)) : '—'}
+          </dd>
+          {isWaitlisted(person) && (
+            <>
+              <dt className="font-medium text-gray-600">{t('personDetails.waitlist')}</dt>
+              <dd className="col-span-2 text-gray-900">
+                {t('personDetails.waitlistedSince', { date: formatDate(person.waitlistedAt, timeZone) })}
+              </dd>
+            </>
+          )}
+        </dl>
+
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">{t('personDetails.history')}</h3>
+          {visits.length === 0 ? (
+            <p className="mt-1 text-sm text-gray-500">{t('personDetails.noVisits')}</p>
+          ) : (
+            <ol className="mt-2 space-y-1 border-l-2 border-gray-200 pl-3 text-sm text-gray-600">
+              {visits.map((visit, index) => (
+                <li key={`${index}-${visit.checkInDate.getTime()}`}>
+                  <span className="text-gray-500">{index + 1}.</span>{' '}
+                  <span className="text-green-600">{formatDate(visit.checkInDate, timeZone)}</span>
+                  {' → '}
+                  <span className={visit.checkOutDate ? 'text-red-600' : 'text-gray-400'}>
+                    {visit.checkOutDate ? formatDate(visit.checkOutDate, timeZone) : t('peopleList.stillPresent')}
+                  </span>{' '}
+                  <span className="text-gray-500">({formatDuration(getVisitDuration(visit))})</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      {/* Fundo escurecido: clicar fora fecha a gaveta (exceto durante a edição) */}
+      <div
+        className="absolute inset-0 bg-black bg-opacity-30"
+        onClick={isEditing ? undefined : onClose}
+        aria-hidden="true"
+      />
+
+      <aside
+        role="dialog"
+        aria-label={t('personDetails.title')}
+        className="relative h-full w-full max-w-md overflow-y-auto bg-white p-6 shadow-xl"
+      >
+        <div className="mb-4 text-right">
+          <button onClick={onClose} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">
+            {t('personDetails.close')}
+          </button>
+        </div>
+        {renderContent()}
+      </aside>
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default PersonDetailsDrawer;
@@ -0,0 +1,407 @@
+// Importação do React e hooks necessários
+// memo: a linha só renderiza de novo quando os dados exibidos da pessoa ou da seleção mudam
+// useEffect/useState: contagem regressiva do intervalo mínimo de check-out
+import React, { memo, useEffect, useState } from 'react';
+
+// Funções do histórico de visitas (entradas e saídas) e formatação de durações
+import { formatDuration, getTimeOnSite, getVisitDuration, getVisits } from '../../people/attendance';
+
+// Situação da pessoa na lista de espera
+import { isWaitlisted } from '../../people/waitlist';
+
+// Identifica quem foi cadastrado na porta do evento
+import { isWalkIn } from '../../people/walk-ins';
+
+// Textos e datas no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * FUNÇÃO AUXILIAR: getTimeDifferenceInSeconds
+ *
+ * Calcula a diferença em segundos entre uma data e o momento atual.
+ * Usado para determinar se o intervalo mínimo de check-out já passou.
+ *
+ * @param {Date} date - Data de referência (checkInDate)
+ * @returns {number} Diferença em segundos
+ */
+const getTimeDifferenceInSeconds = (date) => {
+  if (!date || !(date instanceof Date)) {
+    return 0;
+  }
+
+  // Calcula diferença entre agora e a data fornecida em milissegundos
+  const diffInMs = new Date() - date;
+
+  // Converte para segundos
+  return Math.floor(diffInMs / 1000);
+};
+
+/**
+ * HOOK: useCheckOutCooldown
+ *
+ * Segundos que ainda faltam para o check-out ser liberado (0 quando a
+ * pessoa não está no evento ou o intervalo já passou).
+ *
+ * O timer de um segundo só existe enquanto a contagem está correndo e é
+ * desligado quando ela chega a zero; assim só as linhas dentro do
+ * intervalo renderizam a cada segundo, e o resto da lista fica parado.
+ *
+ * @param {Object} person - Objeto da pessoa
+ * @param {number} cooldownSeconds - Intervalo mínimo entre check-in e check-out
+ * @returns {number} Segundos restantes
+ */
+const useCheckOutCooldown = (person, cooldownSeconds) => {
+  const [, setTick] = useState(0);
+
+  const remainingSeconds =
+    person.checkInDate && !person.checkOutDate
+      ? Math.max(0, cooldownSeconds - getTimeDifferenceInSeconds(person.checkInDate))
+      : 0;
+  const isCoolingDown = remainingSeconds > 0;
+
+  useEffect(() => {
+    if (!isCoolingDown) {
+      return undefined;
+    }
+    const interval = setInterval(() => setTick((tick) => tick + 1), 1000);
+    return () => clearInterval(interval);
+  }, [isCoolingDown]);
+
+  return remainingSeconds;
+};
+
+/**
+ * COMPONENTE: PersonRow
+ *
+ * Card de um participante na PeopleList: dados da pessoa, datas de
+ * check-in/check-out, histórico de visitas, lista de espera e o botão de
+ * ação. Os handlers recebidos devem ser estáveis (a PeopleList os mantém
+ * iguais entre renderizações), senão o memo não evita nada.
+ *
+ * As durações de visitas em andamento são recalculadas quando a linha
+ * renderiza (mudança nos dados da pessoa ou volta para a área visível).
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {Object} props.person - Objeto da pessoa
+ * @param {boolean} props.isSelected - Se a pessoa está marcada para as ações em lote
+ * @param {boolean} props.canCheckIn - Se o papel do usuário permite check-in/check-out
+ * @param {boolean} props.isOffline - Sem conexão (esconde ações que precisam do servidor)
+ * @param {string} [props.timeZone] - Fuso horário do evento
+ * @param {number} props.checkOutCooldownSeconds - Intervalo mínimo entre check-in e check-out
+ * @param {Function} props.onToggleSelected - Marca/desmarca: (personId)
+ * @param {Function} props.onCheckIn - Check-in: (person)
+ * @param {Function} props.onCheckOut - Check-out: (person)
+ * @param {Function} props.onLeaveWaitlist - Tira da lista de espera: (person)
+ * @param {Function} [props.onOpenPerson] - Abre os detalhes da pessoa clicada no nome
+ */
+const PersonRow = ({
+  person,
+  isSelected,
+  canCheckIn,
+  isOffline,
+  timeZone,
+  checkOutCooldownSeconds,
+  onToggleSelected,
+  onCheckIn,
+  onCheckOut,
+  onLeaveWaitlist,
+  onOpenPerson,
+}) => {
+  const { t, formatDate } = useI18n();
+  const remainingSeconds = useCheckOutCooldown(person, checkOutCooldownSeconds);
+  const fullName = `${person.firstName} ${person.lastName}`;
+
+  /**
+   * FUNÇÃO: renderActionButton
+   *
+   * Renderiza o botão de ação apropriado baseado no status do participante.
+   *
+   * LÓGICA CONDICIONAL:
+   * 1. Se não fez check-in: botão "Check-in {nome}"
+   * 2. Se fez check-in mas não check-out:
+   *    a) Dentro do intervalo do evento (checkOutCooldownSeconds): botão desabilitado "Aguarde..."
+   *    b) Depois do intervalo: botão "Check-out {nome}"
+   * 3. Se fez check-out: botão "Check-in {nome}" para registrar uma nova entrada
+   *    (a visita anterior continua no histórico)
+   *
+   * @returns {JSX.Element} Elemento JSX do botão ou texto
+   */
+  const renderActionButton = () => {
+    // Usuários somente leitura não veem botões de ação
+    if (!canCheckIn) {
+      return null;
+    }
+
+    // CASO 1: Não fez check-in ainda
+    if (!person.checkInDate) {
+      return (
+        <button
+          onClick={() => onCheckIn(person)}
+          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 transition-colors duration-200"
+        >
+          {t('peopleList.checkIn', { name: fullName })}
+        </button>
+      );
+    }
+
+    // CASO 2: Fez check-in mas ainda não fez check-out
+    if (person.checkInDate && !person.checkOutDate) {
+      // SUBCASO 2a: Dentro do intervalo mínimo - botão desabilitado com contagem regressiva
+      if (remainingSeconds > 0) {
+        return (
+          <button
+            disabled
+            className="px-4 py-2 bg-gray-400 text-white rounded-md cursor-not-allowed opacity-60"
+          >
+            {t('peopleList.wait', { seconds: remainingSeconds })}
+          </button>
+        );
+      }
+
+      // SUBCASO 2b: Intervalo cumprido - botão de check-out habilitado
+      return (
+        <button
+          onClick={() => onCheckOut(person)}
+          className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition-colors duration-200"
+        >
+          {t('peopleList.checkOut', { name: fullName })}
+        </button>
+      );
+    }
+
+    // CASO 3: Já fez check-out - permite registrar o retorno da pessoa
+    // Um novo check-in abre outra visita sem apagar as anteriores
+    return (
+      <button
+        onClick={() => onCheckIn(person)}
+        className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 transition-colors duration-200"
+      >
+        {t('peopleList.checkIn', { name: fullName })}
+      </button>
+    );
+  };
+
+  /**
+   * FUNÇÃO: renderVisitTimeline
+   *
+   * Renderiza a linha do tempo com todas as visitas da pessoa (entrada,
+   * saída e duração de cada uma). Só aparece quando há mais de uma visita,
+   * já que a visita única é exibida pelos campos de check-in/check-out.
+   *
+   * @returns {JSX.Element|null} Lista de visitas ou null
+   */
+  const renderVisitTimeline = () => {
+    const visits = getVisits(person);
+
+    if (visits.length < 2) {
+      return null;
+    }
+
+    return (
+      <div className="text-sm text-gray-600">
+        <p className="font-medium">
+          {t('peopleList.visits', { count: visits.length, duration: formatDuration(getTimeOnSite(person)) })}
+        </p>
+        <ol className="mt-1 space-y-1 border-l-2 border-gray-200 pl-3">
+          {visits.map((visit, index) => (
+            <li key={`${index}-${visit.checkInDate.getTime()}`}>
+              <span className="text-gray-500">{index + 1}.</span>{' '}
+              <span className="text-green-600">{formatDate(visit.checkInDate, timeZone)}</span>
+              {' → '}
+              <span className={visit.checkOutDate ? 'text-red-600' : 'text-gray-400'}>
+                {visit.checkOutDate ? formatDate(visit.checkOutDate, timeZone) : t('peopleList.stillPresent')}
+              </span>{' '}
+              <span className="text-gray-500">({formatDuration(getVisitDuration(visit))})</span>
+            </li>
+          ))}
+        </ol>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm hover:shadow-md transition-shadow duration-200">
+      {/* Layout do card usando flexbox responsivo */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between space-y-4 lg:space-y-0">
+
+        {/* Caixa de seleção para as ações em lote */}
+        {canCheckIn && (
+          <div className="flex-shrink-0 lg:mr-4">
+            <input
+              type="checkbox"
+              checked={isSelected}
+              onChange={() => onToggleSelected(person._id)}
+              aria-label={t('peopleList.selectPerson', { name: fullName })}
+              className="h-5 w-5"
+            />
+          </div>
+        )}
+
+        {/* Informações da pessoa */}
+        <div className="flex-1 space-y-2">
+          {/* Nome completo - destaque principal */}
+          <h3 className="text-lg font-semibold text-gray-900">
+            {onOpenPerson ? (
+              <button
+                onClick={() => onOpenPerson(person)}
+                className="text-left hover:text-blue-700 hover:underline"
+              >
+                {person.firstName} {person.lastName}
+              </button>
+            ) : (
+              <>
+                {person.firstName} {person.lastName}
+              </>
+            )}
+            {isWalkIn(person) && (
+              <span className="ml-2 align-middle px-2 py-0.5 rounded-full bg-purple-100 text-purple-800 text-xs font-medium">
+                {t('peopleList.walkIn')}
+              </span>
+            )}
+          </h3>
+
+          {/* Informações profissionais */}
+          <div className="text-sm text-gray-600 space-y-1">
+            {/* Empresa - só exibe se existe */}
+            {person.companyName && (
+              <p>
+                <span className="font-medium">{t('peopleList.company')}</span> {person.companyName}
+              </p>
+            )}
+
+            {/* Cargo - só exibe se existe */}
+            {person.title && (
+              <p>
+                <span className="font-medium">{t('peopleList.jobTitle')}</span> {person.title}
+              </p>
+            )}
+          </div>
+
+          {/* Status de check-in/check-out */}
+          <div className="text-sm space-y-1">
+            {/* Data de check-in */}
+            <p className="text-gray-600">
+              <span className="font-medium">Check-in:</span>{' '}
+              <span className={person.checkInDate ? 'text-green-600' : 'text-gray-400'}>
+                {formatDate(person.checkInDate, timeZone)}
+              </span>
+            </p>
+
+            {/* Data de check-out */}
+            <p className="text-gray-600">
+              <span className="font-medium">Check-out:</span>{' '}
+              <span className={person.checkOutDate ? 'text-red-600' : 'text-gray-400'}>
+                {formatDate(person.checkOutDate, timeZone)}
+              </span>
+            </p>
+          </div>
+
+          {/* Histórico de visitas - só aparece para quem entrou mais de uma vez */}
+          {renderVisitTimeline()}
+
+          {/* Lista de espera - evento lotado quando a pessoa tentou entrar */}
+          {isWaitlisted(person) && (
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 font-medium">
+                {t('peopleList.waitlistedSince', { date: formatDate(person.waitlistedAt, timeZone) })}
+              </span>
+              {canCheckIn && !isOffline && (
+                <button
+                  onClick={() => onLeaveWaitlist(person)}
+                  className="text-gray-600 underline hover:text-gray-900"
+                >
+                  {t('peopleList.leaveWaitlist')}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Área de ação - botões */}
+        <div className="flex-shrink-0">
+          {renderActionButton()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * FUNÇÃO AUXILIAR: isSameDate
+ *
+ * Compara duas datas pelo valor (ou as duas ausentes).
+ *
+ * @param {Date|null|undefined} a
+ * @param {Date|null|undefined} b
+ * @returns {boolean}
+ */
+const isSameDate = (a, b) => {
+  if (!a || !b) {
+    return !a && !b;
+  }
+  return a.getTime() === b.getTime();
+};
+
+/**
+ * CONSTANTE: PERSON_ROW_FIELDS
+ *
+ * Campos da pessoa exibidos no card, além das datas e das visitas.
+ */
+const PERSON_ROW_FIELDS = ['_id', 'firstName', 'lastName', 'companyName', 'title', 'source'];
+
+/**
+ * FUNÇÃO AUXILIAR: isSamePerson
+ *
+ * O useTracker da lista devolve objetos novos a cada mudança na
+ * minimongo, mesmo para as pessoas que não mudaram. Por isso a comparação
+ * é feita pelos campos que o card exibe, e não pela referência do objeto.
+ *
+ * @param {Object} previous - Pessoa da renderização anterior
+ * @param {Object} next - Pessoa da nova renderização
+ * @returns {boolean} true se o card ficaria igual
+ */
+const isSamePerson = (previous, next) => {
+  if (previous === next) {
+    return true;
+  }
+  if (PERSON_ROW_FIELDS.some((field) => previous[field] !== next[field])) {
+    return false;
+  }
+  if (
+    !isSameDate(previous.checkInDate, next.checkInDate) ||
+    !isSameDate(previous.checkOutDate, next.checkOutDate) ||
+    !isSameDate(previous.waitlistedAt, next.waitlistedAt)
+  ) {
+    return false;
+  }
+  const previousVisits = getVisits(previous);
+  const nextVisits = getVisits(next);
+  return (
+    previousVisits.length === nextVisits.length &&
+    previousVisits.every(
+      (visit, index) =>
+        isSameDate(visit.checkInDate, nextVisits[index].checkInDate) &&
+        isSameDate(visit.checkOutDate, nextVisits[index].checkOutDate)
+    )
+  );
+};
+
+/**
+ * FUNÇÃO AUXILIAR: arePersonRowPropsEqual
+ *
+ * Comparação do memo: a pessoa pelos campos exibidos e as demais
+ * propriedades (flags, fuso, handlers) pela referência.
+ *
+ * @param {Object} previousProps
+ * @param {Object} nextProps
+ * @returns {boolean} true para pular a renderização
+ */
+const arePersonRowPropsEqual = (previousProps, nextProps) =>
+  Object.keys(nextProps).every((prop) =>
+    prop === 'person'
+      ? isSamePerson(previousProps.person, nextProps.person)
+      : previousProps[prop] === nextProps[prop]
+  ) && Object.keys(previousProps).length === Object.keys(nextProps).length;
+
+// Exportação padrão do componente (memorizado) para uso em outras partes da aplicação
+export default memo(PersonRow, arePersonRowPropsEqual);
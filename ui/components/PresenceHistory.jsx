@@ -0,0 +1,235 @@
+// Importação do React e do hook de estado para o formulário e o resultado
+import React, { useState } from 'react';
+
+// Importação do Meteor para consultar o histórico de presença
+import { Meteor } from 'meteor/meteor';
+
+// Horários digitados no fuso horário do evento
+import { fromDateTimeLocalValue, toDateTimeLocalValue } from '../../communities/event-details';
+
+// Textos, números e datas no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * COMPONENTE: PresenceHistory
+ *
+ * Painel "Quem estava no evento": responde quem esteve no local num
+ * horário exato ou durante um período, com a contagem por empresa e as
+ * visitas de cada pessoa dentro do período. Pensado para o acompanhamento
+ * de incidentes pela equipe de segurança.
+ *
+ * Os horários são digitados no fuso do evento e a consulta usa o histórico
+ * de visitas (method people.presentAt), então quem entrou e saiu várias
+ * vezes aparece corretamente.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento selecionado
+ * @param {string} [props.timeZone] - Fuso horário do evento
+ * @param {Function} props.onClose - Fecha o painel
+ */
+const PresenceHistory = ({ communityId, timeZone, onClose }) => {
+  const { t, formatNumber, formatDate } = useI18n();
+
+  /**
+   * ESTADO LOCAL:
+   * - mode: 'moment' (um horário) ou 'period' (de/até)
+   * - at/from/to: valores dos campos datetime-local
+   * - result: resposta de people.presentAt
+   */
+  const [mode, setMode] = useState('moment');
+  const [at, setAt] = useState(() => toDateTimeLocalValue(new Date(), timeZone));
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * HANDLER: handleSubmit
+   *
+   * Converte os horários do fuso do evento e consulta o servidor.
+   *
+   * @param {Event} event - Evento de submit do formulário
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const params =
+      mode === 'moment'
+        ? { at: fromDateTimeLocalValue(at, timeZone) }
+        : { from: fromDateTimeLocalValue(from, timeZone), to: fromDateTimeLocalValue(to, timeZone) };
+
+    if (Object.values(params).some((value) => !value)) {
+      setError(t('presenceHistory.fillTimes'));
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      setResult(await Meteor.callAsync('people.presentAt', { communityId, ...params }));
+      setError(null);
+    } catch (searchError) {
+      setResult(null);
+      setError(searchError.reason || searchError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Cabeçalho da seção */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('presenceHistory.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('presenceHistory.subtitle')}</p>
+        </div>
+        <button onClick={onClose} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">
+          {t('presenceHistory.close')}
+        </button>
+      </div>
+
+      {/* Formulário: horário exato ou período */}
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="flex gap-4 text-sm text-gray-700" role="radiogroup">
+          {['moment', 'period'].map((value) => (
+            <label key={value} className="inline-flex items-center gap-2">
+              <input
+                type="radio"
+                name="presence-history-mode"
+                value={value}
+                checked={mode === value}
+                onChange={() => setMode(value)}
+              />
+              {t(`presenceHistory.mode.${value}`)}
+            </label>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+          {mode === 'moment' ? (
+            <label className="flex flex-col text-sm text-gray-700">
+              {t('presenceHistory.at')}
+              <input
+                type="datetime-local"
+                value={at}
+                onChange={(event) => setAt(event.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+              />
+            </label>
+          ) : (
+            <>
+              <label className="flex flex-col text-sm text-gray-700">
+                {t('presenceHistory.from')}
+                <input
+                  type="datetime-local"
+                  value={from}
+                  onChange={(event) => setFrom(event.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+                />
+              </label>
+              <label className="flex flex-col text-sm text-gray-700">
+                {t('presenceHistory.to')}
+                <input
+                  type="datetime-local"
+                  value={to}
+                  onChange={(event) => setTo(event.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+                />
+              </label>
+            </>
+          )}
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-60"
+          >
+            {isLoading ? t('presenceHistory.searching') : t('presenceHistory.search')}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {/* RESULTADO */}
+      {result && (
+        <div className="space-y-4">
+          <p className="text-sm font-medium text-gray-900">
+            {result.from.getTime() === result.to.getTime()
+              ? t('presenceHistory.resultAt', { count: result.totalCount, at: formatDate(result.from, timeZone) })
+              : t('presenceHistory.resultPeriod', {
+                count: result.totalCount,
+                from: formatDate(result.from, timeZone),
+                to: formatDate(result.to, timeZone),
+              })}
+          </p>
+
+          {/* Contagem por empresa */}
+          {result.companies.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b border-gray-200">
+                    <th className="py-2 pr-4">{t('presenceHistory.company')}</th>
+                    <th className="py-2 text-right">{t('presenceHistory.people')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.companies.map((company) => (
+                    <tr key={company.companyName || ''} className="border-b border-gray-100">
+                      <td className="py-2 pr-4">{company.companyName || t('eventSummary.noCompany')}</td>
+                      <td className="py-2 text-right">{formatNumber(company.count)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pessoas e as visitas dentro do período */}
+          {result.people.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b border-gray-200">
+                    <th className="py-2 pr-4">{t('presenceHistory.name')}</th>
+                    <th className="py-2 pr-4">{t('presenceHistory.company')}</th>
+                    <th className="py-2 pr-4">{t('presenceHistory.jobTitle')}</th>
+                    <th className="py-2">{t('presenceHistory.visits')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.people.map((person) => (
+                    <tr key={person._id} className="border-b border-gray-100 align-top">
+                      <td className="py-2 pr-4">{person.firstName} {person.lastName}</td>
+                      <td className="py-2 pr-4">{person.companyName || '—'}</td>
+                      <td className="py-2 pr-4">{person.title || '—'}</td>
+                      <td className="py-2">
+                        {person.visits.map((visit, index) => (
+                          <p key={`${index}-${visit.checkInDate.getTime()}`} className="whitespace-nowrap">
+                            {formatDate(visit.checkInDate, timeZone)} →{' '}
+                            {visit.checkOutDate
+                              ? formatDate(visit.checkOutDate, timeZone)
+                              : t('peopleList.stillPresent')}
+                          </p>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {result.totalCount > result.people.length && (
+            <p className="text-sm text-gray-500">
+              {t('presenceHistory.truncated', { shown: result.people.length, count: result.totalCount })}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default PresenceHistory;
@@ -0,0 +1,266 @@
+// Importação do React e dos hooks para o campo do leitor e a câmera
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+
+// Importação do Meteor para chamar o method de leitura de crachá
+import { Meteor } from 'meteor/meteor';
+
+// Aviso de quem foi chamado da lista de espera após uma saída
+import { formatAdmittedMessage } from '../../people/waitlist';
+
+// Textos no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * CONSTANTE: CAMERA_SCAN_INTERVAL_MS
+ *
+ * Intervalo entre as tentativas de ler um QR code na imagem da câmera.
+ */
+const CAMERA_SCAN_INTERVAL_MS = 400;
+
+/**
+ * CONSTANTE: REPEATED_CODE_IGNORE_MS
+ *
+ * Por quanto tempo a câmera ignora o mesmo crachá depois de lê-lo. Sem isso,
+ * um crachá parado na frente da câmera faria check-in e logo em seguida
+ * tentaria o check-out.
+ */
+const REPEATED_CODE_IGNORE_MS = 5000;
+
+/**
+ * FUNÇÃO AUXILIAR: isCameraScanSupported
+ *
+ * A leitura pela câmera usa a API BarcodeDetector do navegador, que nem
+ * todos suportam (ex.: Firefox e Safari no desktop).
+ *
+ * @returns {boolean} true se o navegador consegue ler QR codes da câmera
+ */
+const isCameraScanSupported = () =>
+  typeof window !== 'undefined' &&
+  'BarcodeDetector' in window &&
+  !!navigator.mediaDevices &&
+  !!navigator.mediaDevices.getUserMedia;
+
+/**
+ * COMPONENTE: ScanCheckIn
+ *
+ * Modo de leitura da recepção: cada crachá lido faz check-in de quem ainda
+ * não está no evento ou check-out de quem está. Funciona com leitores USB/
+ * Bluetooth (que "digitam" o código e um Enter no campo em foco) e com a
+ * câmera do aparelho, quando o navegador suporta.
+ *
+ * O resultado da última leitura aparece em letras grandes para a equipe
+ * conferir o nome de longe.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento selecionado
+ * @param {Function} props.onClose - Sai do modo de leitura
+ */
+const ScanCheckIn = ({ communityId, onClose }) => {
+  const { locale, t } = useI18n();
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Resultado da última leitura: { action, person, admitted } ou { error }
+  const [lastResult, setLastResult] = useState(null);
+  const [isCameraOn, setIsCameraOn] = useState(false);
+  // Chave do catálogo com o erro da câmera (traduzida ao exibir)
+  const [cameraError, setCameraError] = useState(null);
+
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  // Último código lido pela câmera e quando, para ignorar leituras repetidas
+  const lastCameraReadRef = useRef({ code: null, at: 0 });
+
+  /**
+   * HANDLER: submitCode
+   *
+   * Envia o código lido ao servidor e mostra o resultado.
+   *
+   * @param {string} scannedCode - Texto lido do QR code
+   */
+  const submitCode = useCallback(
+    async (scannedCode) => {
+      if (!scannedCode.trim()) {
+        return;
+      }
+      setIsSubmitting(true);
+      try {
+        const result = await Meteor.callAsync('people.scanBadge', {
+          code: scannedCode,
+          communityId,
+        });
+        setLastResult(result);
+      } catch (error) {
+        setLastResult({ error: error.reason || error.message });
+      } finally {
+        setIsSubmitting(false);
+        // Campo pronto para o próximo crachá
+        setCode('');
+        if (inputRef.current) {
+          inputRef.current.focus();
+        }
+      }
+    },
+    [communityId]
+  );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    submitCode(code);
+  };
+
+  /**
+   * EFEITO: Leitura pela câmera
+   *
+   * Enquanto a câmera está ligada, procura um QR code na imagem a cada
+   * CAMERA_SCAN_INTERVAL_MS. A câmera é desligada ao sair do modo.
+   */
+  useEffect(() => {
+    if (!isCameraOn) {
+      return undefined;
+    }
+
+    let stream = null;
+    let intervalId = null;
+    let isCancelled = false;
+
+    const startCamera = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+        });
+        if (isCancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        intervalId = setInterval(async () => {
+          const barcodes = await detector.detect(videoRef.current).catch(() => []);
+          if (barcodes.length === 0) {
+            return;
+          }
+          const scannedCode = barcodes[0].rawValue;
+          const lastRead = lastCameraReadRef.current;
+          const now = Date.now();
+          if (scannedCode === lastRead.code && now - lastRead.at < REPEATED_CODE_IGNORE_MS) {
+            return;
+          }
+          lastCameraReadRef.current = { code: scannedCode, at: now };
+          submitCode(scannedCode);
+        }, CAMERA_SCAN_INTERVAL_MS);
+      } catch (error) {
+        setCameraError('scanCheckIn.cameraError');
+        setIsCameraOn(false);
+      }
+    };
+
+    startCamera();
+    return () => {
+      isCancelled = true;
+      clearInterval(intervalId);
+      if (stream) {
+        stream.getTracks().forEach((track) => track.stop());
+      }
+    };
+  }, [isCameraOn, submitCode]);
+
+  return (
+    <div className="space-y-6">
+      {/* Cabeçalho da seção */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('scanCheckIn.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('scanCheckIn.subtitle')}</p>
+        </div>
+        <button onClick={onClose} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">
+          {t('scanCheckIn.close')}
+        </button>
+      </div>
+
+      {/* Campo do leitor: fica sempre em foco para receber a próxima leitura */}
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          ref={inputRef}
+          type="text"
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          placeholder={t('scanCheckIn.waiting')}
+          autoFocus
+          autoComplete="off"
+          aria-label={t('scanCheckIn.codeLabel')}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting || !code.trim()}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {t('scanCheckIn.submit')}
+        </button>
+      </form>
+
+      {/* Câmera do aparelho */}
+      {isCameraScanSupported() ? (
+        <div className="space-y-2">
+          <button
+            onClick={() => {
+              setCameraError(null);
+              setIsCameraOn(!isCameraOn);
+            }}
+            className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {isCameraOn ? t('scanCheckIn.cameraOff') : t('scanCheckIn.cameraOn')}
+          </button>
+          {isCameraOn && (
+            <video ref={videoRef} muted playsInline className="w-full max-w-md rounded-md bg-black" />
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">{t('scanCheckIn.cameraUnsupported')}</p>
+      )}
+      {cameraError && <p className="text-sm text-red-600">{t(cameraError)}</p>}
+
+      {/* Resultado da última leitura */}
+      {lastResult && lastResult.error && (
+        <div className="rounded-lg border-2 border-red-300 bg-red-50 p-6 text-center">
+          <p className="text-2xl font-bold text-red-700">{lastResult.error}</p>
+        </div>
+      )}
+      {lastResult && lastResult.person && (
+        <div
+          className={`rounded-lg border-2 p-6 text-center ${
+            lastResult.action === 'checkIn'
+              ? 'border-green-300 bg-green-50'
+              : 'border-blue-300 bg-blue-50'
+          }`}
+        >
+          <p
+            className={`text-lg font-semibold uppercase ${
+              lastResult.action === 'checkIn' ? 'text-green-700' : 'text-blue-700'
+            }`}
+          >
+            {t(`scanCheckIn.actions.${lastResult.action}`)}
+          </p>
+          <p className="text-4xl font-bold text-gray-900 mt-2">
+            {lastResult.person.firstName} {lastResult.person.lastName}
+          </p>
+          {(lastResult.person.companyName || lastResult.person.title) && (
+            <p className="text-xl text-gray-700 mt-1">
+              {[lastResult.person.title, lastResult.person.companyName].filter(Boolean).join(' - ')}
+            </p>
+          )}
+          {formatAdmittedMessage(lastResult.admitted, locale) && (
+            <p className="text-lg font-semibold text-green-800 mt-4">
+              {formatAdmittedMessage(lastResult.admitted, locale)}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default ScanCheckIn;
@@ -0,0 +1,252 @@
+// Importação do React e do hook de estado para o formulário
+import React, { useState } from 'react';
+
+// Importação do Meteor para o usuário logado e o method de papéis
+import { Meteor } from 'meteor/meteor';
+
+// Inscrição e consulta reativa da equipe do evento
+import { useSubscribe, useTracker } from 'meteor/react-meteor-data';
+
+// Equipe publicada por community.team
+import { CommunityTeam } from '../../roles/community-team';
+
+// Papéis que podem ser atribuídos
+import { ROLES } from '../../roles/roles';
+
+// Textos no idioma da interface
+import { useI18n } from '../i18n';
+
+// Senha mínima exigida pelo servidor para contas novas
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * COMPONENTE: TeamManagement
+ *
+ * Tela do organizador para gerenciar a equipe do evento: quem tem acesso e
+ * com qual papel (organizador, recepção ou somente leitura). É o único
+ * caminho para dar acesso a novas pessoas, já que as contas não podem ser
+ * criadas pelo próprio cliente.
+ *
+ * - Adicionar: informa o e-mail e o papel; se a conta ainda não existe, a
+ *   senha inicial é obrigatória e deve ser repassada à pessoa
+ * - Alterar papel: direto no seletor de cada linha
+ * - Remover: tira o acesso ao evento (a conta continua existindo)
+ *
+ * O próprio organizador aparece na lista sem ações, pois o servidor não
+ * deixa ninguém alterar o próprio papel.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento selecionado
+ * @param {Function} props.onClose - Fecha a tela
+ */
+const TeamManagement = ({ communityId, onClose }) => {
+  const { t } = useI18n();
+
+  const isLoading = useSubscribe('community.team', communityId);
+  const { members, currentUserId } = useTracker(
+    () => ({
+      members: CommunityTeam.find({ communityId }, { sort: { email: 1 } }).fetch(),
+      currentUserId: Meteor.userId(),
+    }),
+    [communityId]
+  );
+
+  /**
+   * ESTADO LOCAL:
+   * - email/role/password: campos do formulário de nova pessoa
+   * - message: { type: 'success' | 'error', text } da última ação
+   * - isSaving: true enquanto um method está em andamento
+   */
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState(ROLES.DOOR_STAFF);
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * FUNÇÃO: setCommunityRole
+   *
+   * Chama users.setCommunityRole e exibe o resultado.
+   *
+   * @param {Object} params - { email, role, password? }
+   * @param {string} successKey - Chave da mensagem de sucesso
+   * @returns {Promise<boolean>} true se o servidor aceitou
+   */
+  const setCommunityRole = async (params, successKey) => {
+    setIsSaving(true);
+    try {
+      await Meteor.callAsync('users.setCommunityRole', { communityId, ...params });
+      setMessage({ type: 'success', text: t(successKey, { email: params.email }) });
+      return true;
+    } catch (error) {
+      setMessage({ type: 'error', text: error.reason || error.message });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * HANDLER: handleSubmit
+   *
+   * Adiciona a pessoa à equipe (ou muda o papel de quem já tem conta).
+   *
+   * @param {Event} event - Evento de submit do formulário
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const trimmedEmail = email.trim().toLowerCase();
+    const saved = await setCommunityRole(
+      { email: trimmedEmail, role, password: password || undefined },
+      'teamManagement.added'
+    );
+    if (saved) {
+      setEmail('');
+      setPassword('');
+    }
+  };
+
+  /**
+   * HANDLER: handleRemove
+   *
+   * @param {Object} member - Documento de CommunityTeam
+   */
+  const handleRemove = (member) => {
+    if (window.confirm(t('teamManagement.confirmRemove', { email: member.email }))) {
+      setCommunityRole({ email: member.email, role: null }, 'teamManagement.removed');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Cabeçalho da seção */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('teamManagement.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('teamManagement.subtitle')}</p>
+        </div>
+        <button onClick={onClose} className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50">
+          {t('teamManagement.close')}
+        </button>
+      </div>
+
+      {/* Nova pessoa na equipe */}
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        <label className="flex flex-col text-sm text-gray-700">
+          {t('teamManagement.email')}
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </label>
+        <label className="flex flex-col text-sm text-gray-700">
+          {t('teamManagement.role')}
+          <select
+            value={role}
+            onChange={(event) => setRole(event.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white"
+          >
+            {Object.values(ROLES).map((value) => (
+              <option key={value} value={value}>
+                {t(`roles.${value}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-sm text-gray-700">
+          {t('teamManagement.password')}
+          <input
+            type="password"
+            autoComplete="new-password"
+            minLength={MIN_PASSWORD_LENGTH}
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            placeholder={t('teamManagement.passwordHint', { min: MIN_PASSWORD_LENGTH })}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-60"
+        >
+          {t('teamManagement.add')}
+        </button>
+      </form>
+
+      {message && (
+        <p className={`text-sm ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+          {message.text}
+        </p>
+      )}
+
+      {/* Equipe atual */}
+      {isLoading() ? (
+        <p className="text-sm text-gray-500">{t('teamManagement.loading')}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-2 pr-4">{t('teamManagement.email')}</th>
+                <th className="py-2 pr-4">{t('teamManagement.role')}</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {members.map((member) => {
+                const isCurrentUser = member._id === currentUserId;
+                return (
+                  <tr key={member._id} className="border-b border-gray-100">
+                    <td className="py-2 pr-4">
+                      {member.email}
+                      {isCurrentUser && <span className="ml-2 text-gray-500">{t('teamManagement.you')}</span>}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <select
+                        value={member.role}
+                        disabled={isCurrentUser || isSaving}
+                        onChange={(event) =>
+                          setCommunityRole(
+                            { email: member.email, role: event.target.value },
+                            'teamManagement.roleChanged'
+                          )
+                        }
+                        aria-label={t('teamManagement.roleOf', { email: member.email })}
+                        className="px-2 py-1 border border-gray-300 rounded-md bg-white disabled:bg-gray-100"
+                      >
+                        {Object.values(ROLES).map((value) => (
+                          <option key={value} value={value}>
+                            {t(`roles.${value}`)}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 text-right">
+                      {!isCurrentUser && (
+                        <button
+                          type="button"
+                          onClick={() => handleRemove(member)}
+                          disabled={isSaving}
+                          className="text-red-700 hover:underline disabled:opacity-50"
+                        >
+                          {t('teamManagement.remove')}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default TeamManagement;
@@ -0,0 +1,60 @@
+// Importação do React e do hook useEffect para fechar o aviso automaticamente
+import React, { useEffect } from 'react';
+
+// Textos dos botões no idioma da interface
+import { useI18n } from '../i18n';
+
+/**
+ * COMPONENTE: UndoToast
+ *
+ * Aviso flutuante exibido depois de cada check-in/check-out, com um botão
+ * "Desfazer". Fecha sozinho quando o prazo para desfazer termina, já que
+ * depois disso o servidor recusaria a chamada de people.undo.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.message - Texto do aviso (ex.: "Check-in de Ana Silva realizado")
+ * @param {number} props.expiresAt - Timestamp (ms) em que o prazo para desfazer termina
+ * @param {boolean} props.isUndoing - true enquanto a chamada de desfazer está em andamento
+ * @param {Function} props.onUndo - Chamada ao clicar em "Desfazer"
+ * @param {Function} props.onDismiss - Chamada para fechar o aviso
+ */
+const UndoToast = ({ message, expiresAt, isUndoing, onUndo, onDismiss }) => {
+  const { t } = useI18n();
+
+  /**
+   * EFEITO: Fechamento automático
+   *
+   * Agenda o fechamento para o fim do prazo. Um novo aviso (novo expiresAt)
+   * reinicia o agendamento.
+   */
+  useEffect(() => {
+    const timeout = setTimeout(onDismiss, Math.max(0, expiresAt - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [expiresAt, onDismiss]);
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 bg-gray-900 text-white rounded-lg shadow-lg"
+    >
+      <span className="text-sm">{message}</span>
+      <button
+        onClick={onUndo}
+        disabled={isUndoing}
+        className="text-sm font-semibold text-yellow-300 hover:text-yellow-200 disabled:opacity-60"
+      >
+        {isUndoing ? t('undoToast.undoing') : t('undoToast.undo')}
+      </button>
+      <button
+        onClick={onDismiss}
+        aria-label={t('undoToast.close')}
+        className="text-gray-400 hover:text-white"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default UndoToast;
@@ -0,0 +1,140 @@
+// Importação do React e do hook useState para os campos do formulário
+import React, { useState } from 'react';
+
+// Importação do Meteor para chamar o method de cadastro
+import { Meteor } from 'meteor/meteor';
+
+// Campos e validação usados também pelo servidor (os mesmos da importação por CSV)
+import {
+  IMPORT_FIELDS,
+  normalizeImportedPerson,
+  validateImportedPerson,
+} from '../../people/people-import';
+
+// Textos no idioma da interface
+import { useI18n } from '../i18n';
+
+// Campos vazios do formulário: { firstName: '', lastName: '', ... }
+const EMPTY_PERSON = Object.fromEntries(IMPORT_FIELDS.map(({ key }) => [key, '']));
+
+/**
+ * COMPONENTE: WalkInForm
+ *
+ * Cadastro rápido, na recepção, de quem chegou ao evento sem inscrição.
+ * Por padrão a pessoa já entra com check-in feito; a recepção pode
+ * desmarcar a opção para apenas cadastrá-la.
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {string} props.communityId - ID do evento selecionado
+ * @param {Function} props.onClose - Fecha o formulário
+ */
+const WalkInForm = ({ communityId, onClose }) => {
+  const { t } = useI18n();
+  const [person, setPerson] = useState(EMPTY_PERSON);
+  const [checkIn, setCheckIn] = useState(true);
+  const [error, setError] = useState(null);
+  // Mensagem do último cadastro, mantida enquanto o próximo é digitado
+  const [lastMessage, setLastMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * HANDLER: handleSubmit
+   *
+   * Valida no cliente e envia ao servidor. Depois de cadastrar, limpa o
+   * formulário para a próxima pessoa da fila.
+   *
+   * @param {Event} event - Evento de submit do formulário
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const errors = validateImportedPerson(normalizeImportedPerson(person));
+    if (errors.length > 0) {
+      setError(errors.map(({ key, params }) => t(key, params)).join(' '));
+      return;
+    }
+
+    setError(null);
+    setIsSaving(true);
+    try {
+      const result = await Meteor.callAsync('people.registerWalkIn', {
+        communityId,
+        person,
+        checkIn,
+      });
+      setLastMessage(
+        t('walkInForm.lastRegistered', {
+          name: `${person.firstName.trim()} ${person.lastName.trim()}`,
+          message: result.message,
+        })
+      );
+      setPerson(EMPTY_PERSON);
+    } catch (saveError) {
+      setError(saveError.reason || saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {/* Cabeçalho da seção */}
+      <div className="flex items-start justify-between border-b border-gray-200 pb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{t('walkInForm.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('walkInForm.subtitle')}</p>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          {t('walkInForm.close')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {IMPORT_FIELDS.map(({ key, labelKey, required }) => (
+          <div key={key} className="flex flex-col space-y-1">
+            <label htmlFor={`walk-in-${key}`} className="text-sm font-medium text-gray-700">
+              {t(labelKey)}
+              {required && ' *'}
+            </label>
+            <input
+              id={`walk-in-${key}`}
+              type="text"
+              value={person[key]}
+              onChange={(event) => setPerson({ ...person, [key]: event.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+            />
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={checkIn}
+          onChange={(event) => setCheckIn(event.target.checked)}
+        />
+        {t('walkInForm.checkInNow')}
+      </label>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {lastMessage && !error && <p className="text-sm text-green-700">{lastMessage}</p>}
+
+      <div className="text-right">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+        >
+          {isSaving ? t('walkInForm.saving') : t('walkInForm.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Exportação padrão do componente para uso em outras partes da aplicação
+export default WalkInForm;
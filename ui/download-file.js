@@ -0,0 +1,22 @@
+/**
+ * FUNÇÃO: downloadFile
+ *
+ * Transforma um arquivo gerado pelo servidor (exportações de relatório e
+ * do log de auditoria) em um download no navegador.
+ *
+ * @param {Object} file - { fileName, mimeType, encoding, content }, com content
+ *                        em base64 quando encoding é 'base64'
+ */
+export const downloadFile = ({ fileName, mimeType, encoding, content }) => {
+  const data =
+    encoding === 'base64'
+      ? Uint8Array.from(atob(content), (char) => char.charCodeAt(0))
+      : content;
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,111 @@
+// Idioma da interface: contexto React com a tradução e a formatação
+// O idioma escolhido fica no localStorage do aparelho e é informado ao
+// servidor (method i18n.setLocale) para os erros dos methods chegarem traduzidos
+
+// Importação do React para o contexto e o estado do idioma
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+
+// Importação do Meteor para avisar o servidor e acompanhar a conexão
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+
+// Catálogos e formatação compartilhados com o servidor
+import { formatNumber, resolveLocale, translate } from '../i18n/i18n';
+import { formatDate } from '../people/attendance';
+
+// Chave do localStorage com o idioma escolhido no seletor
+const LOCALE_STORAGE_KEY = 'i18n.locale';
+
+/**
+ * FUNÇÃO AUXILIAR: getInitialLocale
+ *
+ * Idioma salvo no aparelho ou, na primeira visita, o idioma do navegador.
+ *
+ * @returns {string} Valor de LOCALES
+ */
+const getInitialLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (stored) {
+      return resolveLocale(stored);
+    }
+  } catch (error) {
+    // localStorage indisponível (ex.: navegação privada): usa o do navegador
+  }
+  return resolveLocale(window.navigator.language);
+};
+
+const I18nContext = createContext(null);
+
+/**
+ * COMPONENTE: I18nProvider
+ *
+ * Guarda o idioma da interface e o repassa aos componentes por useI18n.
+ * Também atualiza o atributo lang da página e informa o idioma ao
+ * servidor a cada conexão (o servidor esquece o idioma ao reconectar).
+ *
+ * @param {Object} props - Propriedades do componente
+ * @param {React.ReactNode} props.children - Aplicação
+ */
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(getInitialLocale);
+  const isConnected = useTracker(() => Meteor.status().connected, []);
+
+  // Leitores de tela e a hifenização do navegador usam o lang da página
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  useEffect(() => {
+    if (!isConnected) {
+      return;
+    }
+    Meteor.callAsync('i18n.setLocale', locale).catch((error) => {
+      console.error('Erro ao informar o idioma ao servidor:', error);
+    });
+  }, [locale, isConnected]);
+
+  /**
+   * HANDLER: setLocale
+   *
+   * @param {string} nextLocale - Idioma escolhido no seletor
+   */
+  const setLocale = useCallback((nextLocale) => {
+    const resolved = resolveLocale(nextLocale);
+    try {
+      window.localStorage.setItem(LOCALE_STORAGE_KEY, resolved);
+    } catch (error) {
+      // Sem localStorage o idioma vale só até recarregar a página
+    }
+    setLocaleState(resolved);
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      locale,
+      setLocale,
+      t: (key, params) => translate(locale, key, params),
+      formatNumber: (number, options) => formatNumber(locale, number, options),
+      formatDate: (date, timeZone) => formatDate(date, timeZone, locale),
+    }),
+    [locale, setLocale]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+/**
+ * HOOK: useI18n
+ *
+ * @returns {Object} { locale, setLocale, t, formatNumber, formatDate }
+ *   - t(key, params): mensagem do catálogo no idioma atual
+ *   - formatNumber(number, options): número com os separadores do idioma
+ *   - formatDate(date, timeZone): data e hora na ordem do idioma
+ */
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n precisa estar dentro de um I18nProvider.');
+  }
+  return context;
+};
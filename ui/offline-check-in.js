@@ -0,0 +1,324 @@
+// Check-in offline: cópia local das pessoas do evento e fila de ações
+// Os dados ficam no localStorage do aparelho, então a fila sobrevive a um
+// recarregamento da página antes de a conexão voltar
+
+// Importação do React para o estado da fila e da sincronização
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Importação do Meteor para o estado da conexão e os methods de sincronização
+import { Meteor } from 'meteor/meteor';
+import { Mongo } from 'meteor/mongo';
+import { useTracker } from 'meteor/react-meteor-data';
+
+// Pessoas já recebidas da publicação, usadas quando ainda não há cópia local
+import { People } from '../people/people';
+
+// Regras das ações offline (as mesmas validadas pelo servidor)
+import { MAX_OFFLINE_ACTIONS, applyOfflineAction } from '../people/offline-actions';
+
+/**
+ * Collection OfflinePeople
+ *
+ * Collection apenas local (sem nome, não sincronizada com o servidor) com a
+ * cópia das pessoas do evento. Sem conexão, a lista é consultada aqui com o
+ * mesmo seletor e ordenação da publicação people.search.
+ */
+export const OfflinePeople = new Mongo.Collection(null);
+
+/**
+ * CONSTANTE: OFFLINE_SNAPSHOT_REFRESH_MS
+ *
+ * Intervalo para atualizar a cópia local enquanto há conexão.
+ */
+const OFFLINE_SNAPSHOT_REFRESH_MS = 60 * 1000;
+
+// Chaves do localStorage (uma fila e uma cópia por evento)
+const getQueueKey = (communityId) => `offlineCheckIn.queue.${communityId}`;
+const getPeopleKey = (communityId) => `offlineCheckIn.people.${communityId}`;
+
+// Campos de data, convertidos de volta para Date ao ler do localStorage
+const DATE_FIELDS = [
+  'checkInDate',
+  'checkOutDate',
+  'checkInRecordedAt',
+  'checkOutRecordedAt',
+  'waitlistedAt',
+  'occurredAt',
+];
+
+/**
+ * FUNÇÃO AUXILIAR: readStorage
+ *
+ * @param {string} key - Chave do localStorage
+ * @param {*} fallback - Valor quando não há nada salvo ou o conteúdo é inválido
+ * @returns {*} Valor salvo, com as datas convertidas para Date
+ */
+const readStorage = (key, fallback) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    if (!stored) {
+      return fallback;
+    }
+    return JSON.parse(stored, (field, value) =>
+      DATE_FIELDS.includes(field) && typeof value === 'string' ? new Date(value) : value
+    );
+  } catch (error) {
+    console.error(`Erro ao ler ${key} do armazenamento local:`, error);
+    return fallback;
+  }
+};
+
+/**
+ * FUNÇÃO AUXILIAR: writeStorage
+ *
+ * Falhas (armazenamento cheio ou bloqueado) são apenas registradas: a tela
+ * continua funcionando com o que está em memória.
+ *
+ * @param {string} key - Chave do localStorage
+ * @param {*} value - Valor a salvar
+ */
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Erro ao salvar ${key} no armazenamento local:`, error);
+  }
+};
+
+/**
+ * FUNÇÃO AUXILIAR: loadOfflinePeople
+ *
+ * Substitui a cópia local do evento pelas pessoas informadas, com as ações
+ * ainda na fila aplicadas por cima.
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {Array<Object>} people - Pessoas do evento
+ * @param {Array<Object>} queue - Ações ainda não enviadas
+ */
+const loadOfflinePeople = (communityId, people, queue) => {
+  const peopleById = new Map(people.map((person) => [person._id, person]));
+  queue.forEach((action) => {
+    const person = peopleById.get(action.personId);
+    if (person) {
+      peopleById.set(action.personId, { ...person, ...applyOfflineAction(person, action) });
+    }
+  });
+
+  OfflinePeople.remove({ communityId });
+  peopleById.forEach((person) => OfflinePeople.insert(person));
+};
+
+/**
+ * FUNÇÃO AUXILIAR: createActionId
+ *
+ * @returns {string} Identificador da ação na fila, usado para retirá-la depois de enviada
+ */
+const createActionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * HOOK: useOfflineCheckIn
+ *
+ * Mantém a cópia local das pessoas do evento, enfileira check-ins/check-outs
+ * feitos sem conexão e os envia ao servidor (people.syncOfflineActions)
+ * assim que a conexão e o login voltam. As ações recusadas pelo servidor
+ * ficam em `conflicts` até a recepção dispensá-las.
+ *
+ * @param {string|null} communityId - Evento selecionado
+ * @param {boolean} enabled - Se o usuário pode fazer check-in (sem isso não há cópia nem fila)
+ * @returns {Object} { isOffline, hasOfflineCopy, pendingActions, isSyncing, syncError,
+ *                     conflicts, queueAction, dismissConflicts }
+ */
+export const useOfflineCheckIn = (communityId, enabled) => {
+  // Conectado e com o login retomado: só então os methods podem ser chamados
+  const isOnline = useTracker(() => Meteor.status().connected && !Meteor.loggingIn(), []);
+  const isOffline = useTracker(() => !Meteor.status().connected, []);
+
+  const [pendingActions, setPendingActions] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [syncError, setSyncError] = useState(null);
+  const isSyncingRef = useRef(false);
+
+  const hasOfflineCopy = useTracker(
+    () => !!communityId && OfflinePeople.find({ communityId }, { limit: 1 }).count() > 0,
+    [communityId]
+  );
+
+  /**
+   * EFEITO: Troca de evento
+   *
+   * Carrega a fila e a cópia salvas neste aparelho para o evento selecionado.
+   */
+  useEffect(() => {
+    setConflicts([]);
+    setSyncError(null);
+    if (!communityId || !enabled) {
+      setPendingActions([]);
+      return;
+    }
+    const queue = readStorage(getQueueKey(communityId), []);
+    setPendingActions(queue);
+    loadOfflinePeople(communityId, readStorage(getPeopleKey(communityId), []), queue);
+  }, [communityId, enabled]);
+
+  /**
+   * EFEITO: Atualização da cópia local
+   *
+   * Com conexão e sem ações pendentes, busca todas as pessoas do evento no
+   * servidor e repete a busca a cada OFFLINE_SNAPSHOT_REFRESH_MS.
+   */
+  const hasPendingActions = pendingActions.length > 0;
+  useEffect(() => {
+    if (!communityId || !enabled || !isOnline || hasPendingActions) {
+      return undefined;
+    }
+
+    let isCancelled = false;
+    const refreshSnapshot = async () => {
+      try {
+        const people = await Meteor.callAsync('people.getOfflineSnapshot', communityId);
+        if (!isCancelled) {
+          writeStorage(getPeopleKey(communityId), people);
+          loadOfflinePeople(communityId, people, []);
+        }
+      } catch (error) {
+        console.error('Erro ao atualizar a cópia offline:', error);
+      }
+    };
+
+    refreshSnapshot();
+    const interval = setInterval(refreshSnapshot, OFFLINE_SNAPSHOT_REFRESH_MS);
+    return () => {
+      isCancelled = true;
+      clearInterval(interval);
+    };
+  }, [communityId, enabled, isOnline, hasPendingActions]);
+
+  /**
+   * EFEITO: Sincronização da fila
+   *
+   * Quando a conexão volta, envia a fila em partes de até MAX_OFFLINE_ACTIONS.
+   * Cada ação respondida (aplicada ou em conflito) sai da fila; se o envio
+   * falhar, a fila fica como está e uma nova tentativa acontece na próxima
+   * reconexão.
+   */
+  useEffect(() => {
+    if (!communityId || !isOnline || !hasPendingActions || syncError || isSyncingRef.current) {
+      return;
+    }
+
+    const syncQueue = async () => {
+      isSyncingRef.current = true;
+      setIsSyncing(true);
+      try {
+        let queue = readStorage(getQueueKey(communityId), []);
+        // Sequencial de propósito: cada parte sai da fila antes da próxima ser enviada
+        /* eslint-disable no-await-in-loop */
+        while (queue.length > 0) {
+          const { results } = await Meteor.callAsync('people.syncOfflineActions', {
+            communityId,
+            actions: queue.slice(0, MAX_OFFLINE_ACTIONS),
+          });
+
+          const answeredIds = new Set(results.map((result) => result.id));
+          if (answeredIds.size === 0) {
+            break;
+          }
+          const sentActions = new Map(queue.map((action) => [action.id, action]));
+          const newConflicts = results
+            .filter((result) => !result.success)
+            .map((result) => ({
+              ...result,
+              personName: (sentActions.get(result.id) || {}).personName,
+            }));
+
+          // A fila é relida: nada é enfileirado durante o envio, mas outra aba pode ter mexido nela
+          queue = readStorage(getQueueKey(communityId), []).filter(
+            (action) => !answeredIds.has(action.id)
+          );
+          writeStorage(getQueueKey(communityId), queue);
+          setPendingActions(queue);
+          if (newConflicts.length > 0) {
+            setConflicts((previous) => [...previous, ...newConflicts]);
+          }
+        }
+        /* eslint-enable no-await-in-loop */
+      } catch (error) {
+        console.error('Erro ao sincronizar ações offline:', error);
+        setSyncError(error.reason || error.message);
+      } finally {
+        isSyncingRef.current = false;
+        setIsSyncing(false);
+      }
+    };
+
+    syncQueue();
+  }, [communityId, isOnline, hasPendingActions, syncError]);
+
+  /**
+   * EFEITO: Queda de conexão
+   *
+   * Libera uma nova tentativa de envio na próxima reconexão. Se a conexão
+   * caiu antes da primeira cópia do evento chegar, as pessoas já carregadas
+   * na lista viram a cópia local.
+   */
+  useEffect(() => {
+    if (!isOffline) {
+      return;
+    }
+    setSyncError(null);
+    if (communityId && enabled && OfflinePeople.find({ communityId }).count() === 0) {
+      loadOfflinePeople(
+        communityId,
+        People.find({ communityId }).fetch(),
+        readStorage(getQueueKey(communityId), [])
+      );
+    }
+  }, [isOffline, communityId, enabled]);
+
+  /**
+   * FUNÇÃO: queueAction
+   *
+   * Enfileira um check-in ou check-out feito sem conexão e o aplica na
+   * cópia local, para a lista mostrar a pessoa com a nova situação.
+   *
+   * @param {string} type - 'checkIn' ou 'checkOut'
+   * @param {Object} person - Pessoa exibida na lista
+   */
+  const queueAction = useCallback(
+    (type, person) => {
+      const action = {
+        id: createActionId(),
+        type,
+        personId: person._id,
+        personName: `${person.firstName} ${person.lastName}`,
+        occurredAt: new Date(),
+      };
+
+      const queue = [...readStorage(getQueueKey(communityId), []), action];
+      writeStorage(getQueueKey(communityId), queue);
+      setPendingActions(queue);
+
+      // Sem cópia local da pessoa (ex.: a conexão caiu antes da primeira
+      // atualização), a versão exibida na lista passa a ser a cópia
+      const { _id: personId, ...fields } = person;
+      OfflinePeople.upsert(personId, { $set: { ...fields, ...applyOfflineAction(person, action) } });
+      writeStorage(getPeopleKey(communityId), OfflinePeople.find({ communityId }).fetch());
+    },
+    [communityId]
+  );
+
+  // Fecha o painel de conflitos depois que a recepção conferiu
+  const dismissConflicts = useCallback(() => setConflicts([]), []);
+
+  return {
+    isOffline,
+    hasOfflineCopy,
+    pendingActions,
+    isSyncing,
+    syncError,
+    conflicts,
+    queueAction,
+    dismissConflicts,
+  };
+};
@@ -1,6 +1,20 @@
-// Importação do React e do hook useState para gerenciamento de estado local
-// useState permite que o componente mantenha estado interno (evento selecionado)
-import React, { useState } from 'react';
+// Importação do React e dos hooks para gerenciamento de estado local
+// useState permite que o componente mantenha estado interno (evento selecionado, busca)
+// useEffect aplica o atraso (debounce) da busca digitada
+// useCallback mantém estáveis a função que altera a query string e a paginação
+import React, { useCallback, useEffect, useState } from 'react';
+
+// Rotas: o evento, a pessoa aberta, a busca e a ordenação ficam na URL
+import {
+  useLocation,
+  useNavigate,
+  useParams,
+  useSearchParams,
+} from 'react-router-dom';
+import { QUERY_PARAMS, ROUTE_PATHS, getEventPath, getPersonPath } from '../routes';
+
+// Importação do Meteor para obter o usuário logado e fazer logout
+import { Meteor } from 'meteor/meteor';
 
 // Importação dos hooks específicos do Meteor para reatividade
 // useSubscribe: gerencia inscrições em publicações do servidor
@@ -9,13 +23,66 @@ import { useSubscribe, useTracker } from 'meteor/react-meteor-data';
 
 // Importação da collection People para realizar consultas reativas
 // Esta collection contém todos os participantes dos eventos
-import { People } from '../../api/collections/people.js';
+import { People } from '../../people/people';
+
+// Collection de eventos, usada para exibir o nome do evento selecionado
+import { Communities } from '../../communities/communities';
+
+// Regras de busca/ordenação/paginação compartilhadas com a publicação people.search
+import {
+  DEFAULT_PEOPLE_SORT,
+  PEOPLE_PAGE_SIZE,
+  PEOPLE_SORT_OPTIONS,
+  PEOPLE_STATUS_FILTERS,
+  PeopleFacets,
+  PeopleSearchCounts,
+  buildPeopleSearchSelector,
+  getPeopleSearchCountId,
+  getPeopleSort,
+} from '../../people/people-search';
+
+// Intervalo mínimo de check-out definido no evento
+import { getCheckOutCooldownSeconds } from '../../people/attendance';
+
+// Cópia local e fila de ações para a recepção continuar trabalhando sem conexão
+import { OfflinePeople, useOfflineCheckIn } from '../offline-check-in';
+
+// Papéis por comunidade: definem quais ações aparecem para o usuário
+import { PERMISSIONS, getCommunityRole, userCan } from '../../roles/roles';
+
+// Textos no idioma escolhido no seletor do cabeçalho
+import { useI18n } from '../i18n';
 
 // Importação dos componentes filhos que compõem a interface
 // Estes componentes serão criados posteriormente e renderizados nesta página
+import AttendanceExport from '../components/AttendanceExport.jsx';
+import AuditLogViewer from '../components/AuditLogViewer.jsx';
+import BadgeSheet from '../components/BadgeSheet.jsx';
+import EventDetailsForm from '../components/EventDetailsForm.jsx';
 import EventSelector from '../components/EventSelector.jsx';
+import LanguageSwitcher from '../components/LanguageSwitcher.jsx';
+import LoginForm from '../components/LoginForm.jsx';
+import OfflineSyncStatus from '../components/OfflineSyncStatus.jsx';
+import PeopleImport from '../components/PeopleImport.jsx';
 import EventSummary from '../components/EventSummary.jsx';
+import DuplicateReview from '../components/DuplicateReview.jsx';
 import PeopleList from '../components/PeopleList.jsx';
+import PersonDetailsDrawer from '../components/PersonDetailsDrawer.jsx';
+import PresenceHistory from '../components/PresenceHistory.jsx';
+import ScanCheckIn from '../components/ScanCheckIn.jsx';
+import TeamManagement from '../components/TeamManagement.jsx';
+import WalkInForm from '../components/WalkInForm.jsx';
+
+/**
+ * CONSTANTE: FILTER_QUERY_PARAMS
+ *
+ * Parâmetro da query string de cada filtro da barra da lista.
+ */
+const FILTER_QUERY_PARAMS = {
+  status: QUERY_PARAMS.STATUS,
+  company: QUERY_PARAMS.COMPANY,
+  title: QUERY_PARAMS.TITLE,
+};
 
 /**
  * ARQUITETURA:
@@ -25,36 +92,156 @@ import PeopleList from '../components/PeopleList.jsx';
  */
 const HomePage = () => {
   /**
-   * ESTADO LOCAL: selectedCommunityId
-   * 
-   * Armazena o ID do evento/comunidade atualmente selecionado pelo usuário.
-   * 
-   * Estados possíveis:
-   * - null: Nenhum evento selecionado (estado inicial)
-   * - string: ID do evento selecionado
-   * 
-   * Este estado é a "fonte da verdade" para qual evento está sendo visualizado
-   * e influencia quais dados são carregados e exibidos em toda a aplicação.
+   * HOOK: useTracker
+   *
+   * Usuário logado (com os papéis publicados em communityRoles).
+   * Sem usuário, a página mostra apenas o formulário de login.
+   */
+  const user = useTracker(() => Meteor.user(), []);
+  const { t } = useI18n();
+
+  /**
+   * ROTA: selectedCommunityId e openPersonId
+   *
+   * O evento selecionado e a pessoa aberta vêm da URL
+   * (/events/:communityId e /events/:communityId/people/:personId).
+   * A URL é a "fonte da verdade" para qual evento está sendo visualizado:
+   * recarregar a página, compartilhar o link ou abrir outra aba mostra o
+   * mesmo evento, e o botão voltar do navegador passa pelos eventos abertos.
+   *
+   * Valores possíveis:
+   * - null: nenhum evento selecionado (rota /)
+   * - string: ID do evento (e da pessoa) na URL
+   */
+  const { communityId: selectedCommunityId = null, personId: openPersonId = null } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  /**
+   * QUERY STRING: busca, filtro e ordenação da lista
+   *
+   * - search: termo aplicado (?q=), enviado ao servidor
+   * - status: situação escolhida na barra da lista (?status=, valor de PEOPLE_STATUS_FILTERS)
+   * - company: empresa escolhida na barra da lista ou na tabela de empresas do resumo (?company=)
+   * - title: cargo escolhido na barra da lista (?title=)
+   * Os filtros ficam na URL, e não em estado local, para sobreviverem às
+   * novas renderizações e ao recarregar a página
+   * - sortBy: chave de PEOPLE_SORT_OPTIONS (?sort=); a padrão não aparece na URL
+   */
+  const [searchParams, setSearchParams] = useSearchParams();
+  const search = searchParams.get(QUERY_PARAMS.SEARCH) || '';
+  const statusParam = searchParams.get(QUERY_PARAMS.STATUS);
+  const status = PEOPLE_STATUS_FILTERS.includes(statusParam) ? statusParam : '';
+  const company = searchParams.get(QUERY_PARAMS.COMPANY) || '';
+  const title = searchParams.get(QUERY_PARAMS.TITLE) || '';
+  const sortParam = searchParams.get(QUERY_PARAMS.SORT);
+  const sortBy = PEOPLE_SORT_OPTIONS[sortParam] ? sortParam : DEFAULT_PEOPLE_SORT;
+
+  /**
+   * ESTADO LOCAL: digitação e paginação da lista
+   *
+   * - searchInput: texto exatamente como digitado no campo de busca
+   * - limit: quantas pessoas já foram carregadas (cresce a cada página)
    */
-  const [selectedCommunityId, setSelectedCommunityId] = useState(null);
+  const [searchInput, setSearchInput] = useState(search);
+  const [limit, setLimit] = useState(PEOPLE_PAGE_SIZE);
+
+  /**
+   * FUNÇÃO: updateQueryParam
+   *
+   * Altera um parâmetro da query string substituindo a entrada atual do
+   * histórico: o botão voltar navega entre eventos, não entre letras digitadas.
+   *
+   * @param {string} name - Valor de QUERY_PARAMS
+   * @param {string} value - Novo valor (vazio remove o parâmetro)
+   */
+  const updateQueryParam = useCallback(
+    (name, value) => {
+      setSearchParams(
+        (previous) => {
+          const next = new URLSearchParams(previous);
+          if (value) {
+            next.set(name, value);
+          } else {
+            next.delete(name);
+          }
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setSearchParams]
+  );
+
+  /**
+   * EFEITO: Debounce da busca
+   *
+   * Evita refazer a inscrição a cada tecla: o termo só vai para a URL (e
+   * daí para o servidor) depois que o usuário para de digitar por 300ms.
+   */
+  useEffect(() => {
+    if (searchInput === search) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => updateQueryParam(QUERY_PARAMS.SEARCH, searchInput), 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput, search, updateQueryParam]);
+
+  /**
+   * EFEITO: Busca vinda da URL
+   *
+   * Ao voltar/avançar no navegador ou trocar de evento, o campo de busca
+   * mostra o termo da nova URL.
+   */
+  useEffect(() => {
+    setSearchInput(search);
+  }, [search]);
+
+  /**
+   * EFEITO: Volta para a primeira página
+   *
+   * Trocar de evento, de busca, de filtro ou de ordenação recomeça a paginação,
+   * senão o cliente continuaria pedindo todas as páginas já carregadas.
+   */
+  useEffect(() => {
+    setLimit(PEOPLE_PAGE_SIZE);
+  }, [selectedCommunityId, search, status, company, title, sortBy]);
 
   /**
    * HOOK: useSubscribe
    * 
-   * Gerencia a inscrição na publicação 'people' do servidor.
+   * Gerencia a inscrição na publicação 'people.search' do servidor.
    * 
    * Funcionamento:
-   * - Se selectedCommunityId for null, não faz inscrição (evita carregar dados desnecessários)
-   * - Se selectedCommunityId tiver valor, inscreve na publicação passando o ID como parâmetro
+   * - Se selectedCommunityId for null, o servidor não envia nada
+   * - O servidor filtra pela busca, ordena e envia apenas as primeiras `limit` pessoas
+   * - Mudanças no evento, na busca, na ordenação ou no limite refazem a inscrição
    * - A inscrição é automaticamente cancelada quando o componente é desmontado
-   * - Mudanças no selectedCommunityId automaticamente atualizam a inscrição
    * 
    * Performance:
-   * - Evita carregar dados quando nenhum evento está selecionado
+   * - Eventos com milhares de inscritos enviam só a página visível
    * - Cancela inscrições antigas automaticamente ao trocar eventos
-   * - Otimiza uso de banda e recursos do servidor
    */
-  const isLoadingPeople = useSubscribe('people', selectedCommunityId);
+  const isLoadingPeople = useSubscribe('people.search', selectedCommunityId, {
+    search,
+    status,
+    company,
+    title,
+    sortBy,
+    limit,
+  });
+
+  /**
+   * HOOKS: Opções dos filtros de empresa e cargo
+   *
+   * Publicadas à parte (people.facets) porque a lista só recebe uma página
+   * de pessoas e não conhece todas as empresas e cargos do evento.
+   */
+  useSubscribe('people.facets', selectedCommunityId);
+  const facets = useTracker(() => {
+    const doc = selectedCommunityId && PeopleFacets.findOne(selectedCommunityId);
+    return doc ? { companies: doc.companies, titles: doc.titles } : { companies: [], titles: [] };
+  }, [selectedCommunityId]);
 
   /**
    * HOOK: useTracker
@@ -78,13 +265,189 @@ const HomePage = () => {
       return [];
     }
     
-    // Busca todas as pessoas do evento selecionado
-    // A consulta é filtrada pelo communityId e ordenada alfabeticamente por nome
+    // Busca as pessoas do evento selecionado com o mesmo filtro, ordenação
+    // e limite usados pelo servidor, para exibir exatamente a página publicada
     return People.find(
-      { communityId: selectedCommunityId },
-      { sort: { firstName: 1, lastName: 1 } } // Ordenação alfabética
+      buildPeopleSearchSelector(selectedCommunityId, search, { status, company, title }),
+      { sort: getPeopleSort(sortBy), limit }
     ).fetch();
-  }, [selectedCommunityId]); // Dependência: reexecuta quando selectedCommunityId muda
+  }, [selectedCommunityId, search, status, company, title, sortBy, limit]); // Reexecuta quando evento, busca, filtro, ordenação ou limite mudam
+
+  /**
+   * HOOK: useTracker
+   *
+   * Total de pessoas que atendem à busca, publicado pelo servidor no
+   * documento desta busca (getPeopleSearchCountId).
+   * Usado para exibir "X de Y" e saber se ainda há páginas a carregar.
+   */
+  const totalCount = useTracker(() => {
+    const counts =
+      selectedCommunityId &&
+      PeopleSearchCounts.findOne(
+        getPeopleSearchCountId(selectedCommunityId, { search, status, company, title })
+      );
+    return counts ? counts.total : 0;
+  }, [selectedCommunityId, search, status, company, title]);
+
+  /**
+   * PERMISSÕES DO USUÁRIO NO EVENTO SELECIONADO
+   *
+   * O servidor sempre valida as permissões; aqui elas servem apenas para
+   * esconder da interface as ações que o usuário não pode executar.
+   */
+  const communityRole = getCommunityRole(user, selectedCommunityId);
+  const canViewPeople = userCan(user, selectedCommunityId, PERMISSIONS.VIEW_PEOPLE);
+  const canCheckIn = userCan(user, selectedCommunityId, PERMISSIONS.CHECK_IN);
+  const canManagePeople = userCan(user, selectedCommunityId, PERMISSIONS.MANAGE_PEOPLE);
+  const canManageCommunity = userCan(user, selectedCommunityId, PERMISSIONS.MANAGE_COMMUNITY);
+
+  /**
+   * HOOK: useOfflineCheckIn
+   *
+   * Sem conexão, a lista passa a ser lida da cópia local do evento (com a
+   * mesma busca, ordenação e limite) e os check-ins/check-outs vão para a
+   * fila do aparelho, enviada quando a conexão volta.
+   */
+  const offline = useOfflineCheckIn(selectedCommunityId, canCheckIn);
+  const showOfflineCopy = offline.isOffline && offline.hasOfflineCopy;
+
+  const offlineList = useTracker(() => {
+    if (!showOfflineCopy || !selectedCommunityId) {
+      return null;
+    }
+    const selector = buildPeopleSearchSelector(selectedCommunityId, search, { status, company, title });
+    return {
+      people: OfflinePeople.find(selector, { sort: getPeopleSort(sortBy), limit }).fetch(),
+      totalCount: OfflinePeople.find(selector).count(),
+    };
+  }, [showOfflineCopy, selectedCommunityId, search, status, company, title, sortBy, limit]);
+
+  /**
+   * ESTADO LOCAL: activePanel
+   *
+   * Painel aberto acima da lista de participantes:
+   * - 'event': edição dos dados do evento (apenas organizadores)
+   * - 'audit': log de auditoria (apenas organizadores)
+   * - 'team': equipe do evento e papéis de cada pessoa (apenas organizadores)
+   * - 'import': importação de CSV (apenas organizadores)
+   * - 'badges': folha de crachás para impressão (apenas organizadores)
+   * - 'scan': modo leitura de QR code (quem pode fazer check-in)
+   * - 'walkIn': cadastro de quem chegou sem inscrição (quem pode fazer check-in)
+   * - 'presence': quem estava no evento num horário ou período (todos os papéis)
+   * - null: nenhum painel aberto
+   */
+  const [activePanel, setActivePanel] = useState(null);
+
+  // Evento selecionado (nome, fuso horário e dados exibidos nos painéis)
+  const selectedCommunity = useTracker(
+    () => (selectedCommunityId ? Communities.findOne(selectedCommunityId) : null),
+    [selectedCommunityId]
+  );
+
+  /**
+   * HANDLER: handleSelectCommunity
+   *
+   * Abre o evento escolhido no seletor. Cada troca cria uma entrada no
+   * histórico do navegador; a busca e a ordenação recomeçam.
+   *
+   * @param {string|null} communityId - ID do evento ou vazio para nenhum
+   */
+  const handleSelectCommunity = (communityId) => {
+    navigate(communityId ? getEventPath(communityId) : ROUTE_PATHS.HOME);
+  };
+
+  /**
+   * HANDLERS: handleOpenPerson e handleClosePerson
+   *
+   * Abrem e fecham a gaveta de detalhes trocando a rota, mantendo a busca e
+   * a ordenação da lista que fica atrás dela.
+   *
+   * @param {Object} person - Pessoa clicada na lista
+   */
+  const handleOpenPerson = (person) => {
+    navigate(getPersonPath(selectedCommunityId, person._id, location.search));
+  };
+  const handleClosePerson = () => {
+    navigate(getEventPath(selectedCommunityId, location.search));
+  };
+
+  /**
+   * HANDLER: handleLogout
+   *
+   * Encerra a sessão e volta para o início.
+   */
+  const handleLogout = () => {
+    navigate(ROUTE_PATHS.HOME);
+    setActivePanel(null);
+    Meteor.logout();
+  };
+
+  /**
+   * HANDLER: handleSortChange
+   *
+   * @param {string} value - Chave de PEOPLE_SORT_OPTIONS
+   */
+  const handleSortChange = (value) => {
+    updateQueryParam(QUERY_PARAMS.SORT, value === DEFAULT_PEOPLE_SORT ? '' : value);
+  };
+
+  /**
+   * HANDLER: handleFilterChange
+   *
+   * @param {string} name - Filtro alterado: 'status', 'company' ou 'title'
+   * @param {string} value - Valor escolhido ('' remove o filtro)
+   */
+  const handleFilterChange = (name, value) => {
+    updateQueryParam(FILTER_QUERY_PARAMS[name], value);
+  };
+
+  /**
+   * HANDLER: handleClearFilters
+   *
+   * Limpa a busca e os filtros de uma vez, mantendo a ordenação.
+   */
+  const handleClearFilters = () => {
+    setSearchInput('');
+    setSearchParams(
+      (previous) => {
+        const next = new URLSearchParams(previous);
+        [QUERY_PARAMS.SEARCH, ...Object.values(FILTER_QUERY_PARAMS)].forEach((name) => next.delete(name));
+        return next;
+      },
+      { replace: true }
+    );
+  };
+
+  /**
+   * HANDLER: handleSelectCompany
+   *
+   * Filtra a lista pela empresa clicada na tabela do resumo. Diferente da
+   * busca, o clique entra no histórico: voltar desfaz o filtro.
+   *
+   * @param {string} value - Nome da empresa ('' remove o filtro)
+   */
+  const handleSelectCompany = (value) => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      if (value) {
+        next.set(QUERY_PARAMS.COMPANY, value);
+      } else {
+        next.delete(QUERY_PARAMS.COMPANY);
+      }
+      return next;
+    });
+  };
+
+  /**
+   * HANDLER: handleLoadMore
+   *
+   * Carrega a próxima página aumentando o limite da inscrição. A função é
+   * sempre a mesma: ela é dependência do IntersectionObserver da PeopleList,
+   * que seria recriado (e pediria outra página) a cada renderização.
+   */
+  const handleLoadMore = useCallback(() => {
+    setLimit((previousLimit) => previousLimit + PEOPLE_PAGE_SIZE);
+  }, []);
 
   /**
    * RENDERIZAÇÃO DO COMPONENTE
@@ -108,63 +471,298 @@ const HomePage = () => {
           {/* CABEÇALHO: Título principal da aplicação */}
           <header className="text-center">
             <h1 className="text-4xl font-bold text-gray-800 mb-2">
-              Quave Event Check-in
+              {t('homePage.title')}
             </h1>
             {/* Subtítulo explicativo */}
             <p className="text-lg text-gray-600">
-              Sistema de gerenciamento de presença em eventos
+              {t('homePage.subtitle')}
             </p>
+
+            {/* Idioma da interface (disponível também antes do login) */}
+            <div className="mt-3">
+              <LanguageSwitcher />
+            </div>
+
+            {/* Usuário logado, papel no evento selecionado e logout */}
+            {user && (
+              <div className="mt-4 flex items-center justify-center gap-3 text-sm text-gray-600">
+                <span>
+                  {user.emails && user.emails[0] && user.emails[0].address}
+                  {communityRole && ` · ${t(`roles.${communityRole}`)}`}
+                </span>
+                <button
+                  onClick={handleLogout}
+                  className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                  {t('homePage.logout')}
+                </button>
+              </div>
+            )}
           </header>
 
+          {/* LOGIN: sem usuário logado, nenhum dado do evento é exibido */}
+          {!user && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <LoginForm />
+            </div>
+          )}
+
           {/* SELETOR DE EVENTOS */}
           {/* 
             Componente responsável por exibir dropdown de eventos e permitir seleção.
             Props:
             - selectedCommunityId: evento atualmente selecionado
-            - setSelectedCommunityId: função para atualizar evento selecionado
+            - onSelectCommunity: função para atualizar evento selecionado
           */}
-          <div className="bg-white rounded-lg shadow-md p-6">
-            <EventSelector 
-              selectedCommunityId={selectedCommunityId}
-              setSelectedCommunityId={setSelectedCommunityId}
-            />
-          </div>
+          {user && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <EventSelector 
+                selectedCommunityId={selectedCommunityId}
+                onSelectCommunity={handleSelectCommunity}
+              />
+            </div>
+          )}
 
           {/* CONTEÚDO CONDICIONAL: Só exibe se um evento estiver selecionado */}
-          {selectedCommunityId && (
+          {user && selectedCommunityId && (
             <>
               {/* RESUMO DO EVENTO */}
               {/* 
                 Componente que exibe estatísticas do evento selecionado.
+                Os contadores são calculados no servidor (publicação eventSummary),
+                por isso o componente recebe apenas o ID do evento.
                 Props:
-                - selectedCommunityId: ID do evento para calcular estatísticas
-                - people: lista de pessoas para gerar contadores e métricas
+                - selectedCommunityId: ID do evento para buscar as estatísticas
+                - selectedCompany/onSelectCompany: filtro da lista pela tabela de empresas
               */}
               <div className="bg-white rounded-lg shadow-md p-6">
                 <EventSummary 
                   selectedCommunityId={selectedCommunityId}
-                  people={people}
+                  selectedCompany={company}
+                  onSelectCompany={handleSelectCompany}
                 />
               </div>
 
+              {/* EXPORTAÇÃO DO RELATÓRIO DE PRESENÇA (CSV/Excel) */}
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <AttendanceExport communityId={selectedCommunityId} />
+              </div>
+
+              {/* PAINÉIS: dados do evento, auditoria, equipe, importação, duplicados, crachás, modo leitura e walk-ins */}
+              {activePanel === 'audit' && canManageCommunity && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <AuditLogViewer
+                    communityId={selectedCommunityId}
+                    timeZone={selectedCommunity ? selectedCommunity.timeZone : undefined}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {activePanel === 'team' && canManageCommunity && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <TeamManagement
+                    communityId={selectedCommunityId}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {activePanel === 'event' && canManageCommunity && selectedCommunity && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <EventDetailsForm
+                    key={selectedCommunity._id}
+                    community={selectedCommunity}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {activePanel === 'import' && canManagePeople && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <PeopleImport
+                    communityId={selectedCommunityId}
+                    communityName={selectedCommunity ? selectedCommunity.name : ''}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {activePanel === 'duplicates' && canManagePeople && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <DuplicateReview
+                    communityId={selectedCommunityId}
+                    timeZone={selectedCommunity ? selectedCommunity.timeZone : undefined}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {activePanel === 'badges' && canManagePeople && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <BadgeSheet
+                    communityId={selectedCommunityId}
+                    communityName={selectedCommunity ? selectedCommunity.name : ''}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {activePanel === 'scan' && canCheckIn && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <ScanCheckIn
+                    communityId={selectedCommunityId}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {activePanel === 'walkIn' && canCheckIn && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <WalkInForm
+                    communityId={selectedCommunityId}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {activePanel === 'presence' && canViewPeople && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <PresenceHistory
+                    communityId={selectedCommunityId}
+                    timeZone={selectedCommunity ? selectedCommunity.timeZone : undefined}
+                    onClose={() => setActivePanel(null)}
+                  />
+                </div>
+              )}
+              {!activePanel && (canViewPeople || canCheckIn || canManagePeople || canManageCommunity) && (
+                <div className="flex flex-wrap justify-end gap-2">
+                  {canViewPeople && (
+                    <button
+                      onClick={() => setActivePanel('presence')}
+                      className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                    >
+                      {t('homePage.panels.presence')}
+                    </button>
+                  )}
+                  {canCheckIn && (
+                    <>
+                      <button
+                        onClick={() => setActivePanel('walkIn')}
+                        className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                      >
+                        {t('homePage.panels.walkIn')}
+                      </button>
+                      <button
+                        onClick={() => setActivePanel('scan')}
+                        className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                      >
+                        {t('homePage.panels.scan')}
+                      </button>
+                    </>
+                  )}
+                  {canManageCommunity && (
+                    <>
+                      <button
+                        onClick={() => setActivePanel('event')}
+                        className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                      >
+                        {t('homePage.panels.event')}
+                      </button>
+                      <button
+                        onClick={() => setActivePanel('audit')}
+                        className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                      >
+                        {t('homePage.panels.audit')}
+                      </button>
+                      <button
+                        onClick={() => setActivePanel('team')}
+                        className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                      >
+                        {t('homePage.panels.team')}
+                      </button>
+                    </>
+                  )}
+                  {canManagePeople && (
+                    <>
+                      <button
+                        onClick={() => setActivePanel('badges')}
+                        className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                      >
+                        {t('homePage.panels.badges')}
+                      </button>
+                      <button
+                        onClick={() => setActivePanel('import')}
+                        className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                      >
+                        {t('homePage.panels.import')}
+                      </button>
+                      <button
+                        onClick={() => setActivePanel('duplicates')}
+                        className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm hover:bg-gray-50"
+                      >
+                        {t('homePage.panels.duplicates')}
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+
               {/* LISTA DE PARTICIPANTES */}
               {/* 
                 Componente que exibe lista de pessoas e permite check-in/check-out.
                 Props:
                 - selectedCommunityId: ID do evento (para contexto)
-                - people: lista completa de participantes com dados atualizados
+                - people: página atual de participantes com dados atualizados
+                - totalCount: total de participantes que atendem à busca
+                - search/sortBy e callbacks: controles de busca e ordenação
+                - filters/facets/onFilterChange: filtros de situação, empresa e cargo
+                - onLoadMore: carrega a próxima página (rolagem infinita)
+                - canCheckIn: se o papel do usuário permite check-in/check-out
+                - timeZone: fuso do evento, usado para exibir os horários
+                - checkOutCooldownSeconds: intervalo do evento para liberar o check-out
+                - isOffline/onQueueAction: sem conexão, as ações vão para a fila do aparelho
+                - onOpenPerson: abre a gaveta de detalhes pela rota da pessoa
               */}
-              <div className="bg-white rounded-lg shadow-md p-6">
+              <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+                <OfflineSyncStatus
+                  isOffline={offline.isOffline}
+                  pendingActions={offline.pendingActions}
+                  isSyncing={offline.isSyncing}
+                  syncError={offline.syncError}
+                  conflicts={offline.conflicts}
+                  onDismissConflicts={offline.dismissConflicts}
+                  timeZone={selectedCommunity ? selectedCommunity.timeZone : undefined}
+                />
                 <PeopleList 
                   selectedCommunityId={selectedCommunityId}
-                  people={people}
+                  people={offlineList ? offlineList.people : people}
+                  totalCount={offlineList ? offlineList.totalCount : totalCount}
+                  isLoading={!offlineList && isLoadingPeople()}
+                  search={searchInput}
+                  onSearchChange={setSearchInput}
+                  sortBy={sortBy}
+                  onSortChange={handleSortChange}
+                  filters={{ status, company, title }}
+                  facets={facets}
+                  onFilterChange={handleFilterChange}
+                  onClearFilters={handleClearFilters}
+                  onLoadMore={handleLoadMore}
+                  canCheckIn={canCheckIn}
+                  timeZone={selectedCommunity ? selectedCommunity.timeZone : undefined}
+                  checkOutCooldownSeconds={getCheckOutCooldownSeconds(selectedCommunity)}
+                  isOffline={offline.isOffline}
+                  onQueueAction={offline.queueAction}
+                  onOpenPerson={handleOpenPerson}
                 />
               </div>
+
+              {/* GAVETA: detalhes da pessoa aberta pela URL (organizadores podem editar) */}
+              {openPersonId && (
+                <PersonDetailsDrawer
+                  personId={openPersonId}
+                  timeZone={selectedCommunity ? selectedCommunity.timeZone : undefined}
+                  canEdit={canManagePeople && !offline.isOffline}
+                  onClose={handleClosePerson}
+                />
+              )}
             </>
           )}
 
           {/* ESTADO INICIAL: Mensagem quando nenhum evento está selecionado */}
-          {!selectedCommunityId && (
+          {user && !selectedCommunityId && (
             <div className="bg-white rounded-lg shadow-md p-12 text-center">
               <div className="text-gray-500">
                 <svg 
@@ -181,10 +779,10 @@ const HomePage = () => {
                   />
                 </svg>
                 <h3 className="text-lg font-medium text-gray-900 mb-2">
-                  Selecione um evento
+                  {t('homePage.noEventTitle')}
                 </h3>
                 <p className="text-gray-500">
-                  Escolha um evento no seletor acima para visualizar os participantes e gerenciar check-ins.
+                  {t('homePage.noEventDescription')}
                 </p>
               </div>
             </div>
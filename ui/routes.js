@@ -0,0 +1,49 @@
+// Rotas da aplicação
+// O evento selecionado e a pessoa aberta ficam no caminho da URL, e a busca,
+// os filtros e a ordenação da lista ficam na query string, para que recarregar a página,
+// compartilhar o link ou abrir outra aba mantenha a mesma tela
+
+/**
+ * CONSTANTE: ROUTE_PATHS
+ *
+ * Padrões de caminho usados no <Routes> do App.
+ */
+export const ROUTE_PATHS = {
+  HOME: '/',
+  EVENT: '/events/:communityId',
+  PERSON: '/events/:communityId/people/:personId',
+};
+
+/**
+ * CONSTANTE: QUERY_PARAMS
+ *
+ * Nomes dos parâmetros da query string da lista de participantes.
+ */
+export const QUERY_PARAMS = {
+  SEARCH: 'q',
+  STATUS: 'status',
+  COMPANY: 'company',
+  TITLE: 'title',
+  SORT: 'sort',
+};
+
+/**
+ * FUNÇÃO: getEventPath
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {string} [query] - Query string atual (ex.: '?q=ana'), mantida ao voltar para o evento
+ * @returns {string} Caminho do evento
+ */
+export const getEventPath = (communityId, query = '') =>
+  `/events/${encodeURIComponent(communityId)}${query}`;
+
+/**
+ * FUNÇÃO: getPersonPath
+ *
+ * @param {string} communityId - ID da comunidade/evento
+ * @param {string} personId - ID da pessoa
+ * @param {string} [query] - Query string atual, para a lista continuar igual atrás da gaveta
+ * @returns {string} Caminho da pessoa
+ */
+export const getPersonPath = (communityId, personId, query = '') =>
+  `/events/${encodeURIComponent(communityId)}/people/${encodeURIComponent(personId)}${query}`;
@@ -0,0 +1,203 @@
+// Virtualização de listas longas que rolam com a página
+// Só as linhas perto da área visível são montadas; o espaço das demais é
+// reservado com margens em cima e embaixo, para a barra de rolagem continuar
+// do tamanho da lista inteira
+
+// Importação dos hooks do React para medir as linhas e acompanhar a rolagem
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+/**
+ * HOOK: useVirtualRows
+ *
+ * As linhas podem ter alturas diferentes (ex.: histórico de visitas, lista
+ * de espera). Cada linha montada é medida com ResizeObserver; as que ainda
+ * não foram montadas usam a altura estimada até aparecerem.
+ *
+ * A lista rola junto com a janela (não tem barra de rolagem própria), então
+ * a área visível é calculada pela posição do contêiner na tela.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.keys - Chave de cada linha, na ordem da lista
+ * @param {number} options.estimatedHeight - Altura estimada (px) de uma linha ainda não medida
+ * @param {number} [options.overscan=5] - Linhas extras montadas acima e abaixo da área visível
+ * @returns {Object} { containerRef, start, end, paddingTop, paddingBottom, measureRef }
+ *   - containerRef: ref do elemento que contém as linhas
+ *   - start/end: índices das linhas a montar (end exclusivo)
+ *   - paddingTop/paddingBottom: espaço reservado para as linhas não montadas
+ *   - measureRef(key): ref callback do elemento de cada linha montada
+ */
+export const useVirtualRows = ({ keys, estimatedHeight, overscan = 5 }) => {
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const elementsRef = useRef(new Map());
+  const keysByElementRef = useRef(new WeakMap());
+  const measureRefsRef = useRef(new Map());
+  const observerRef = useRef(null);
+
+  // Versão das medidas: muda quando alguma linha muda de altura
+  const [, setMeasureVersion] = useState(0);
+
+  // Área visível em coordenadas do contêiner (0 = topo da lista)
+  const [viewport, setViewport] = useState({ top: 0, bottom: 0 });
+
+  /**
+   * FUNÇÃO AUXILIAR: updateViewport
+   *
+   * Lê a posição do contêiner na tela. Só atualiza o estado quando o valor
+   * muda, para a rolagem parada não renderizar a lista.
+   */
+  const updateViewport = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) {
+      return;
+    }
+    const { top } = container.getBoundingClientRect();
+    const next = { top: -top, bottom: window.innerHeight - top };
+    setViewport((previous) =>
+      previous.top === next.top && previous.bottom === next.bottom ? previous : next
+    );
+  }, []);
+
+  /**
+   * EFEITO: Rolagem e redimensionamento da janela
+   *
+   * Os eventos de rolagem chegam várias vezes por quadro; a leitura da
+   * posição fica limitada a uma por quadro com requestAnimationFrame.
+   */
+  useEffect(() => {
+    let frame = null;
+    const handleScroll = () => {
+      if (frame === null) {
+        frame = window.requestAnimationFrame(() => {
+          frame = null;
+          updateViewport();
+        });
+      }
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+      if (frame !== null) {
+        window.cancelAnimationFrame(frame);
+      }
+    };
+  }, [updateViewport]);
+
+  // Conteúdo acima da lista (filtros, resumo) pode mudar de altura a cada renderização
+  useLayoutEffect(() => {
+    updateViewport();
+  });
+
+  /**
+   * EFEITO: Observador das alturas
+   */
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new ResizeObserver((entries) => {
+      let changed = false;
+      entries.forEach((entry) => {
+        const key = keysByElementRef.current.get(entry.target);
+        const height = entry.target.offsetHeight;
+        if (heightsRef.current.get(key) !== height) {
+          heightsRef.current.set(key, height);
+          changed = true;
+        }
+      });
+      if (changed) {
+        setMeasureVersion((version) => version + 1);
+      }
+    });
+    observerRef.current = observer;
+    elementsRef.current.forEach((element) => observer.observe(element));
+    return () => {
+      observer.disconnect();
+      observerRef.current = null;
+    };
+  }, []);
+
+  /**
+   * FUNÇÃO: measureRef
+   *
+   * Ref callback de cada linha. A função de cada chave é guardada para ser
+   * sempre a mesma; assim o React não desliga e religa a medição a cada
+   * renderização.
+   *
+   * @param {string} key - Chave da linha
+   * @returns {Function} Ref callback
+   */
+  const measureRef = useCallback((key) => {
+    if (!measureRefsRef.current.has(key)) {
+      measureRefsRef.current.set(key, (element) => {
+        const observer = observerRef.current;
+        const previous = elementsRef.current.get(key);
+        if (previous && observer) {
+          observer.unobserve(previous);
+        }
+        if (element) {
+          keysByElementRef.current.set(element, key);
+          elementsRef.current.set(key, element);
+          heightsRef.current.set(key, element.offsetHeight);
+          if (observer) {
+            observer.observe(element);
+          }
+        } else {
+          elementsRef.current.delete(key);
+        }
+      });
+    }
+    return measureRefsRef.current.get(key);
+  }, []);
+
+  /**
+   * CÁLCULO: Linhas visíveis
+   *
+   * Percorre as alturas acumuladas até achar a primeira linha que termina
+   * depois do topo visível e a primeira que começa depois do fim visível.
+   */
+  const getHeight = (key) => heightsRef.current.get(key) || estimatedHeight;
+  let offset = 0;
+  let start = keys.length;
+  let end = keys.length;
+  let paddingTop = 0;
+  for (let index = 0; index < keys.length; index += 1) {
+    const height = getHeight(keys[index]);
+    if (start === keys.length && offset + height > viewport.top) {
+      start = index;
+      paddingTop = offset;
+    }
+    if (offset >= viewport.bottom) {
+      end = index;
+      break;
+    }
+    offset += height;
+  }
+  // Página rolada além do fim da lista: todas as linhas ficam acima
+  if (start === keys.length) {
+    paddingTop = offset;
+  }
+
+  // Linhas extras acima e abaixo deixam a rolagem rápida sem espaços em branco
+  const overscanStart = Math.max(0, Math.min(start, keys.length) - overscan);
+  const overscanEnd = Math.min(keys.length, Math.max(end, overscanStart) + overscan);
+  for (let index = overscanStart; index < Math.min(start, keys.length); index += 1) {
+    paddingTop -= getHeight(keys[index]);
+  }
+  let paddingBottom = 0;
+  for (let index = overscanEnd; index < keys.length; index += 1) {
+    paddingBottom += getHeight(keys[index]);
+  }
+
+  return {
+    containerRef,
+    start: overscanStart,
+    end: overscanEnd,
+    paddingTop: Math.max(0, paddingTop),
+    paddingBottom,
+    measureRef,
+  };
+};